@@ -18,15 +18,57 @@ const STP23L_CONSTANTS = {
     FLOW_CONTROL: 'none',
     
     // 数据包配置
+    // 包头4×0xAA / 设备地址 / 命令码 / 偏移(2) / 数据长度(2) / 12个测量点×15字节 / 时间戳(4) / 校验和
     PACKET_SIZE: 195,
     START_BYTE: 0xAA,
+    HEADER_LENGTH: 4,
+    COMMAND_INDEX: 5,
+    COMMAND_MEASUREMENT: 0x02,
+    OFFSET_INDEX: 6,
+    LENGTH_INDEX: 8,
+    DATA_LENGTH: 180,
+    CHECKSUM_INDEX: 194,
     DATA_START_INDEX: 10,
     DATA_INTERVAL: 15,
+    MAX_QUEUED_PACKETS: 2,    // 只保留最近的数据包，测量总是使用最新数据
     
     // 测量参数
     MAX_DISTANCE: 30000, // 30米
     MIN_DISTANCE: 20,    // 2厘米
     MEASUREMENT_INTERVAL: 100, // 100ms
+    READ_TIMEOUT: 500,         // 等待一个完整数据包的超时
+
+    // 测量点质量过滤（每个数据包12个测量点）
+    MIN_CONFIDENCE: 60,          // 置信度低于该值的测量点丢弃（0-100）
+    MAX_NOISE: 1500,             // 环境噪声高于该值的测量点丢弃
+    MIN_VALID_MEASUREMENTS: 3,   // 有效测量点少于该数量时整包丢弃
+    MAD_SCALE: 1.4826,           // 中位绝对偏差换算为标准差的系数
+    
+    // 高度滤波
+    FILTER_TYPES: ['kalman', 'median', 'ema', 'none'],
+    DEFAULT_FILTER: 'kalman',
+    MEDIAN_WINDOW: 5,            // 滑动中值窗口（数据包数）
+    EMA_ALPHA: 0.3,              // 指数平滑系数，越大越跟手
+    KALMAN_PROCESS_NOISE: 100,   // 过程噪声（mm²/s），允许装置高度缓慢变化
+    KALMAN_MIN_VARIANCE: 4,      // 测量方差下限（mm²）
+    KALMAN_NOISE_SCALE: 0.05,    // 环境噪声换算为测量方差的系数（mm²/噪声单位）
+    OUTLIER_SIGMA: 4,            // 残差超过该倍数标准差的读数视为离群
+    OUTLIER_MIN_GATE: 30,        // 离群门限下限（mm）
+    OUTLIER_MAX_CONSECUTIVE: 5,  // 连续离群达到该次数时认为高度确实发生变化，滤波器重新初始化
+    
+    // 温漂补偿：距离误差 = 偏移 + 斜率 × (REFTOF - 参考REFTOF)
+    MIN_CALIBRATION_SAMPLES: 30, // 标定至少需要的数据包数
+    MIN_REFTOF_SPAN: 5,          // 标定期间REFTOF变化小于该值时只标定固定偏移
+    COMPENSATION_STORAGE_PREFIX: 'stp23l-compensation:',
+    
+    // 扫描时刻的高度
+    HEIGHT_MAX_GAP: 500,         // 前后两个高度样本相隔超过该时长（ms）时不插值
+    HEIGHT_MAX_HOLD: 300,        // 扫描晚于最新高度样本不超过该时长（ms）时沿用最新高度
+    
+    // 自动恢复
+    MAX_CONSECUTIVE_FAILURES: 10, // 连续读取失败次数达到该值时重新连接
+    RECOVERY_RETRY_DELAY: 1000,
+    RECOVERY_MAX_ATTEMPTS: 10,
     
     // 数据字段索引
     DATA_FIELDS: {
@@ -48,6 +90,41 @@ const STP23L_CONSTANTS = {
     }
 };
 
+// 高度报警规则常量定义
+const HEIGHT_ALARM_CONSTANTS = {
+    RULE_TYPES: ['min', 'max', 'rate', 'deviation'],
+    SEVERITIES: ['info', 'warning', 'critical'],
+    RULES_STORAGE_KEY: 'height-alarm-rules',
+    
+    // 默认规则：threshold 单位为mm（rate 为mm/s），window/duration/cooldown 单位为ms，
+    // hysteresis 为解除报警需要回到阈值以内的距离（与 threshold 单位相同）
+    DEFAULT_RULES: [
+        { id: 'min-height', name: '高度过低', type: 'min', severity: 'warning', threshold: 1000, hysteresis: 20, cooldown: 5000 },
+        { id: 'max-height', name: '高度过高', type: 'max', severity: 'warning', threshold: 1600, hysteresis: 20, cooldown: 5000 },
+        { id: 'fast-change', name: '高度突变', type: 'rate', severity: 'critical', threshold: 1000, window: 1000, hysteresis: 200, cooldown: 5000 },
+        { id: 'baseline-drift', name: '偏离基准', type: 'deviation', severity: 'info', threshold: 50, duration: 3000, hysteresis: 10, cooldown: 10000 }
+    ]
+};
+
+// 背景模型常量定义（激光雷达固定安装时的变化检测）
+const BACKGROUND_CONSTANTS = {
+    DEFAULT_LEARNING_SCANS: 20,  // 学习背景默认使用的扫描帧数
+    MIN_LEARNING_SCANS: 5,
+    MAX_LEARNING_SCANS: 1000,
+    MIN_VALID_RATIO: 0.5,        // 学习期间有效回波比例低于该值的扫描线视为无背景（空旷方向）
+    MIN_DIFFERENCE: 100,         // 判定为变化的最小距离差（mm）
+    SIGMA_FACTOR: 4,             // 判定阈值为该倍数的扫描线距离标准差，不低于 MIN_DIFFERENCE
+    MAD_SCALE: 1.4826,           // 中位数绝对偏差换算为标准差
+    MIN_OBJECT_BEAMS: 3,         // 连续变化的扫描线达到该数量才算一个目标，孤立的噪声点忽略
+    MAX_OBJECT_GAP: 2,           // 同一目标内允许间断的扫描线数
+    CONFIRM_FRAMES: 2            // 变化连续保持该帧数才发出变化事件，避免闪烁
+};
+
+// 树木检测模块：浏览器中由 tree-detection.js 以全局类提供，Node.js中按需加载
+const TreeDetection = typeof module !== 'undefined' && module.exports ?
+    require('./tree-detection') :
+    { TREE_DETECTION_DEFAULTS, TreeDetector, TreeTracker, TreeDetectionClient, SpatialGrid };
+
 // 常量定义
 const LIDAR_CONSTANTS = {
     // 串口配置
@@ -58,9 +135,55 @@ const LIDAR_CONSTANTS = {
     FLOW_CONTROL: 'none',
     
     // 数据包配置
-    EXPECTED_DATA_SIZE: 2134,
     MAX_BUFFER_SIZE: 10000,
     
+    // SCIP 2.0 帧格式
+    SCIP: {
+        LINE_FEED: '\n',
+        FRAME_END: '\n\n',
+        DATA_LINE_LENGTH: 64,   // 每个数据块最多64个字符（不含校验和）
+        CHARS_PER_VALUE: { GD: 3, GS: 2, GE: 3, MD: 3, MS: 2, ME: 3 },
+        // 距离+反射强度命令：每个点依次输出距离值和强度值
+        // 多回波命令（HD/HE/ND/NE）以'&'分隔各回波，目前不支持
+        INTENSITY_COMMANDS: ['GE', 'ME'],
+        STATUS_OK: '00',
+        STATUS_STREAMING: '99'
+    },
+    
+    // VV/PP/II应答字段到设备信息的映射
+    DEVICE_INFO_FIELDS: {
+        VEND: { key: 'vendor' },
+        PROD: { key: 'product' },
+        FIRM: { key: 'firmware' },
+        PROT: { key: 'protocol' },
+        SERI: { key: 'serial' },
+        MODL: { key: 'model' },
+        DMIN: { key: 'minDistance', numeric: true },
+        DMAX: { key: 'maxDistance', numeric: true },
+        ARES: { key: 'angularResolution', numeric: true },
+        AMIN: { key: 'minStep', numeric: true },
+        AMAX: { key: 'maxStep', numeric: true },
+        AFRT: { key: 'frontStep', numeric: true },
+        SCAN: { key: 'scanSpeed', numeric: true },
+        LASR: { key: 'laserState' },
+        SCSP: { key: 'motorSpeed' },
+        MESM: { key: 'measurementMode' },
+        SBPS: { key: 'bitRate' },
+        TIME: { key: 'sensorTime' },
+        STAT: { key: 'state' }
+    },
+    
+    // SCIP状态码说明
+    STATUS_MESSAGES: {
+        '01': '起始步非数值',
+        '02': '结束步非数值',
+        '03': '簇数非数值',
+        '04': '结束步超出范围',
+        '05': '结束步小于起始步',
+        '06': '扫描间隔非数值',
+        '07': '扫描次数非数值'
+    },
+    
     // 扫描参数
     START_ANGLE: -120,
     END_ANGLE: 120,
@@ -68,1419 +191,4583 @@ const LIDAR_CONSTANTS = {
     MAX_RANGE: 5500,
     MIN_RANGE: 20,
     
+    // 步进几何（URG-04LX：每圈1024步，正前方为第384步）
+    MIN_STEP: 44,
+    MAX_STEP: 725,
+    FRONT_STEP: 384,
+    STEPS_PER_REVOLUTION: 1024,
+    MAX_CLUSTER_COUNT: 99,
+    
     // 协议命令
     COMMANDS: {
         SCIP: 'SCIP2.0',
         VERSION: 'VV',
+        PARAMETERS: 'PP',
+        STATUS: 'II',
+        TIME_ADJUST_ON: 'TM0',   // 进入时间校准模式
+        TIME_READ: 'TM1',        // 读取传感器时间
+        TIME_ADJUST_OFF: 'TM2',  // 退出时间校准模式
         LASER_ON: 'BM',
-        SCAN: 'GD0044072500',
+        SCAN: 'GD',          // 单次扫描，3字符编码
+        SCAN_SHORT: 'GS',    // 单次扫描，2字符编码（量程≤4095mm）
+        STREAM: 'MD',        // 连续扫描，3字符编码
+        STREAM_SHORT: 'MS',  // 连续扫描，2字符编码
+        SCAN_INTENSITY: 'GE',    // 单次扫描，距离+反射强度
+        STREAM_INTENSITY: 'ME',  // 连续扫描，距离+反射强度
         LASER_OFF: 'QT'
     },
     
     // 延迟时间
     DELAYS: {
-        INIT_RESPONSE: 300,
-        SCAN_RESPONSE: 300,
-        READ_TIMEOUT: 50,
-        SCAN_INTERVAL: 100
+        COMMAND_TIMEOUT: 1000,   // 普通命令应答超时
+        SCAN_TIMEOUT: 1000,      // GD/GS扫描应答超时
+        SCAN_INTERVAL: 100,
+        STREAM_STOP: 500         // 停止流式采集时等待QT应答的超时
+    },
+    
+    // 自动恢复（USB拔出、传感器复位）
+    RECOVERY: {
+        MAX_CONSECUTIVE_FAILURES: 5,  // 连续扫描失败次数达到该值时重新连接
+        STREAM_STALL_TIMEOUT: 2000,   // 流式采集超过该时间没有数据帧视为中断
+        RETRY_DELAY: 1000,            // 两次重连尝试的间隔
+        MAX_ATTEMPTS: 10              // 放弃前的最多尝试次数
+    },
+    
+    // 传感器时钟同步
+    CLOCK: {
+        TIMESTAMP_BITS: 24,       // 时间戳为4字符编码的24位毫秒计数，约4.66小时回绕
+        SYNC_SAMPLES: 5,          // 每次同步发送TM1的次数，取往返时间最短的一次
+        MAX_SAMPLES: 10,          // 参与偏移/漂移拟合的同步样本数
+        MIN_DRIFT_SPAN: 10000,    // 样本跨度不足该时长（ms）时只估计偏移
+        MAX_DRIFT_PPM: 1000,      // 超过该值的漂移估计视为异常
+        RESYNC_INTERVAL: 60000,   // 重新同步的间隔（ms）
+        HOST_TIME_UNCERTAINTY: 50 // 没有传感器时间戳时，主机接收时间相对实际采集时间的不确定度（ms）
     }
 };
 
 /**
- * STP-23L单点测距传感器类
- * 用于测量装置距离地面的垂直高度
+ * 传感器时钟
+ * 把传感器时间戳换算为主机时间（Unix毫秒）：TM1往返测量得到 (传感器时间, 主机时间) 样本，
+ * 样本跨度足够时用最小二乘同时估计偏移和漂移，否则只估计偏移
  */
-class STP23LSensor {
-    constructor() {
-        // 连接状态
-        this.isConnected = false;
-        this.isMeasuring = false;
-        
-        // 串口相关
-        this.port = null;
-        this.reader = null;
-        
-        // 测量数据
-        this.currentHeight = 0;
-        this.heightHistory = [];
-        this.measurementCount = 0;
-        
-        // 定时器
-        this.measurementInterval = null;
-        
-        // 阈值设置
-        this.heightThreshold = 1000; // 默认1米
-        
-        this.log('STP-23L传感器类已初始化', 'info');
+class SensorClock {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.now] - 主机时间（Unix毫秒），默认使用高精度时钟
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => performance.timeOrigin + performance.now());
+        this.reset();
     }
     
     /**
-     * 连接STP-23L传感器
+     * 清除同步结果（重新连接后传感器可能已复位，计数从0开始）
      */
-    async connect() {
-        try {
-            this.log('正在连接STP-23L传感器...', 'info');
-            
-            // 请求串口访问权限
-            this.port = await navigator.serial.requestPort();
-            
-            // 打开串口
-            await this.port.open({
-                baudRate: STP23L_CONSTANTS.BAUD_RATE,
-                dataBits: STP23L_CONSTANTS.DATA_BITS,
-                stopBits: STP23L_CONSTANTS.STOP_BITS,
-                parity: STP23L_CONSTANTS.PARITY,
-                flowControl: STP23L_CONSTANTS.FLOW_CONTROL
-            });
-            
-            this.isConnected = true;
-            this.updateStatus('已连接', 'connected');
-            this.updateButtons();
-            this.log('STP-23L传感器连接成功！', 'success');
-            
-            // 发送状态更新到WebSocket服务器
-            if (window.lidarSystem && typeof window.lidarSystem.sendStatusUpdate === 'function') {
-                window.lidarSystem.sendStatusUpdate();
+    reset() {
+        this.samples = [];
+        this.lastRaw = null;
+        this.wraps = 0;
+        this.reference = null;  // 拟合直线经过的点 {sensor, host}
+        this.rate = 1;          // 传感器每走1ms对应的主机时间
+    }
+    
+    /**
+     * 是否已完成同步
+     * @returns {boolean}
+     */
+    get isSynchronized() {
+        return this.reference !== null;
+    }
+    
+    /**
+     * 展开24位回绕的时间戳
+     * @param {number} raw - 帧中的原始时间戳
+     * @returns {number} 自首个时间戳所在周期起连续递增的传感器时间
+     */
+    unwrap(raw) {
+        const period = Math.pow(2, LIDAR_CONSTANTS.CLOCK.TIMESTAMP_BITS);
+        
+        if (this.lastRaw !== null) {
+            if (raw < this.lastRaw - period / 2) {
+                this.wraps++;
+            } else if (raw > this.lastRaw + period / 2 && this.wraps > 0) {
+                // 回绕前的迟到时间戳，属于上一个周期
+                return raw + (this.wraps - 1) * period;
             }
-            
-        } catch (error) {
-            this.handleConnectionError(error);
         }
+        
+        this.lastRaw = raw;
+        return raw + this.wraps * period;
     }
     
     /**
-     * 断开STP-23L传感器连接
+     * 加入一次TM1测量：传感器时间取主机发送与接收时刻的中点
+     * @param {number} raw - TM1返回的传感器时间
+     * @param {number} hostSend - 发送TM1时的主机时间
+     * @param {number} hostReceive - 收到应答时的主机时间
+     * @returns {Object} 样本
      */
-    async disconnect() {
-        try {
-            this.log('正在断开STP-23L传感器连接...', 'info');
-            
-            // 停止测量
-            this.stopMeasuring();
-            
-            // 关闭串口
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-            
-            // 清理状态
-            this.cleanup();
-            
-            this.updateStatus('已断开', 'disconnected');
-            this.updateButtons();
-            this.log('STP-23L传感器已断开连接', 'info');
-            
-        } catch (error) {
-            this.log(`断开连接失败: ${error.message}`, 'error');
+    addSample(raw, hostSend, hostReceive) {
+        const sample = {
+            sensor: this.unwrap(raw),
+            host: (hostSend + hostReceive) / 2,
+            roundTrip: hostReceive - hostSend
+        };
+        
+        this.samples.push(sample);
+        if (this.samples.length > LIDAR_CONSTANTS.CLOCK.MAX_SAMPLES) {
+            this.samples.shift();
         }
+        this.fit();
+        return sample;
     }
     
     /**
-     * 开始测量
+     * 拟合 主机时间 = reference.host + rate × (传感器时间 - reference.sensor)
      */
-    startMeasuring() {
-        if (!this.isConnected) {
-            this.log('STP-23L传感器未连接', 'warning');
-            return;
+    fit() {
+        const n = this.samples.length;
+        if (n === 0) return;
+        
+        const meanSensor = this.samples.reduce((sum, sample) => sum + sample.sensor, 0) / n;
+        const meanHost = this.samples.reduce((sum, sample) => sum + sample.host, 0) / n;
+        const span = this.samples[n - 1].sensor - this.samples[0].sensor;
+        
+        let rate = 1;
+        if (n >= 2 && span >= LIDAR_CONSTANTS.CLOCK.MIN_DRIFT_SPAN) {
+            let covariance = 0;
+            let variance = 0;
+            this.samples.forEach(sample => {
+                covariance += (sample.sensor - meanSensor) * (sample.host - meanHost);
+                variance += (sample.sensor - meanSensor) * (sample.sensor - meanSensor);
+            });
+            const fitted = covariance / variance;
+            if (Math.abs(fitted - 1) * 1e6 <= LIDAR_CONSTANTS.CLOCK.MAX_DRIFT_PPM) {
+                rate = fitted;
+            }
         }
         
-        this.isMeasuring = true;
-        this.updateButtons();
-        this.log('开始STP-23L高度测量...', 'info');
-        
-        // 开始连续测量
-        this.measurementInterval = setInterval(async () => {
-            if (this.isMeasuring) {
-                await this.performMeasurement();
-            }
-        }, STP23L_CONSTANTS.MEASUREMENT_INTERVAL);
+        this.rate = rate;
+        this.reference = { sensor: meanSensor, host: meanHost };
     }
     
     /**
-     * 停止测量
+     * 传感器时间戳换算为主机时间
+     * @param {number} raw - 帧中的原始时间戳
+     * @returns {number|null} 主机时间（Unix毫秒），未同步时返回null
      */
-    stopMeasuring() {
-        this.isMeasuring = false;
-        if (this.measurementInterval) {
-            clearInterval(this.measurementInterval);
-            this.measurementInterval = null;
-        }
-        this.updateButtons();
-        this.log('STP-23L测量已停止', 'info');
+    toHostTime(raw) {
+        const sensor = this.unwrap(raw);
+        if (!this.isSynchronized) return null;
+        return this.reference.host + this.rate * (sensor - this.reference.sensor);
     }
     
     /**
-     * 执行单次测量
+     * 同步状态，用于日志、界面和上报
+     * @returns {Object}
      */
-    async performMeasurement() {
-        if (!this.port) {
-            this.log('STP-23L传感器未连接', 'error');
-            return;
-        }
+    getState() {
+        const last = this.samples[this.samples.length - 1];
+        return {
+            synchronized: this.isSynchronized,
+            offset: this.isSynchronized ? this.reference.host - this.reference.sensor : null,
+            driftPpm: (1 / this.rate - 1) * 1e6,  // 正值表示传感器时钟比主机快
+            roundTrip: last ? last.roundTrip : null,
+            samples: this.samples.length,
+            lastSync: last ? last.host : null
+        };
+    }
+}
+
+/**
+ * 串口会话
+ * 每个连接只有一个读取循环：持续把传输层收到的字节追加到缓冲区，
+ * 使用方按各自的帧格式从缓冲区取数据，两次读取之间到达的字节不会丢失
+ */
+class SerialSession {
+    /**
+     * @param {Object} transport - 传输层（见 serial-transport.js）
+     * @param {Object} [options]
+     * @param {string} [options.name='串口'] - 日志中的名称
+     * @param {number} [options.maxBufferSize] - 缓冲区上限（字节），超出时丢弃最早的数据
+     * @param {Function} [options.log] - 日志函数 (message, type)
+     * @param {Function} [options.onClose] - 读取循环结束时调用，参数为异常（主动关闭时为null）
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.name = options.name || '串口';
+        this.maxBufferSize = options.maxBufferSize || LIDAR_CONSTANTS.MAX_BUFFER_SIZE;
+        this.log = options.log || ((message) => console.log(message));
+        this.onClose = options.onClose || null;
+        
+        this.readLoop = null;
+        this.writeChain = Promise.resolve();
+        this.isOpen = false;
+        this.isClosing = false;
+        this.disconnectError = null;
+        
+        // 接收缓冲区
+        this.buffer = new Uint8Array(0);
+        this.droppedBytes = 0;
+        
+        // 新数据监听器和等待中的读取
+        this.dataListeners = new Set();
+        this.waiters = [];
+    }
+    
+    /**
+     * 打开传输层并启动读取循环
+     * @param {Object} [options]
+     * @param {boolean} [options.reopen=false] - 断开后重新打开之前使用的设备
+     * @returns {Promise<void>}
+     */
+    async open({ reopen = false } = {}) {
+        if (this.isOpen) return;
         
-        try {
-            // 读取串口数据
-            const data = await this.readSerialData();
-            
-            if (data && data.length >= STP23L_CONSTANTS.PACKET_SIZE) {
-                // 解析数据
-                const measurements = this.parseData(data);
-                
-                if (measurements && measurements.length > 0) {
-                    // 使用第一个测量点的距离数据
-                    const measurement = measurements[0];
-                    this.currentHeight = measurement.distance;
-                    
-                    // 添加到历史记录
-                    this.heightHistory.push({
-                        height: this.currentHeight,
-                        timestamp: Date.now(),
-                        noise: measurement.noise,
-                        confidence: measurement.confidence
-                    });
-                    
-                    this.measurementCount++;
-                    
-                    // 更新显示
-                    this.updateDisplay();
-                    
-                    // 更新高度图表
-                    this.updateHeightChart();
-                    
-                    // 检查高度变化
-                    this.checkHeightChange();
-                    
-                    // 发送高度数据到WebSocket服务器
-                    if (window.lidarSystem && typeof window.lidarSystem.sendHeightData === 'function') {
-                        window.lidarSystem.sendHeightData();
-                    }
-                }
-            }
-            
-        } catch (error) {
-            this.log(`STP-23L测量失败: ${error.message}`, 'error');
+        if (reopen && typeof this.transport.reopen === 'function') {
+            await this.transport.reopen();
+        } else {
+            await this.transport.open();
         }
+        this.transport.onDisconnect = (error) => this.handleDisconnect(error);
+        this.isOpen = true;
+        this.readLoop = this.runReadLoop();
     }
     
     /**
-     * 读取串口数据
+     * 传输层报告设备断开：关闭传输层，让读取循环以该异常结束
+     * @param {Error} error - 断开原因
      */
-    async readSerialData() {
-        if (!this.port) return null;
+    handleDisconnect(error) {
+        if (this.isClosing || !this.isOpen) return;
+        
+        this.disconnectError = error;
+        this.transport.close().catch(() => {});
+    }
+    
+    /**
+     * 读取循环：持续读取直到会话关闭或连接出错
+     * @returns {Promise<void>}
+     */
+    async runReadLoop() {
+        let closeError = null;
         
         try {
-            // 释放之前的读取器
-            if (this.reader) {
-                try {
-                    this.reader.releaseLock();
-                } catch (e) {
-                    // 忽略释放错误
-                }
-                this.reader = null;
-            }
-            
-            // 获取新的读取器
-            this.reader = this.port.readable.getReader();
-            
-            // 按照STP-23L协议读取195字节数据包
-            let rawData = new Uint8Array(0);
-            let attempts = 0;
-            const maxAttempts = 10;
-            
-            while (rawData.length < STP23L_CONSTANTS.PACKET_SIZE && attempts < maxAttempts) {
-                const { value, done } = await this.reader.read();
+            while (true) {
+                const { value, done } = await this.transport.read();
                 if (done) break;
-                
-                // 合并数据
-                const newData = new Uint8Array(value);
-                const combinedData = new Uint8Array(rawData.length + newData.length);
-                combinedData.set(rawData);
-                combinedData.set(newData, rawData.length);
-                rawData = combinedData;
-                
-                attempts++;
-                
-                // 如果数据足够，跳出循环
-                if (rawData.length >= STP23L_CONSTANTS.PACKET_SIZE) {
-                    break;
+                if (value && value.length > 0) {
+                    this.append(value);
                 }
-                
-                // 短暂等待更多数据
-                await new Promise(resolve => setTimeout(resolve, 10));
-            }
-            
-            // 检查是否读取到完整的数据包
-            if (rawData.length >= STP23L_CONSTANTS.PACKET_SIZE) {
-                // 返回前195字节
-                return rawData.slice(0, STP23L_CONSTANTS.PACKET_SIZE);
-            } else {
-                this.log(`STP-23L数据包不完整: ${rawData.length}/${STP23L_CONSTANTS.PACKET_SIZE} 字节`, 'warning');
-                return null;
             }
-            
         } catch (error) {
-            this.log(`读取STP-23L数据失败: ${error.message}`, 'error');
-            return null;
+            if (!this.isClosing) {
+                closeError = error;
+                this.log(`${this.name}读取失败: ${error.message}`, 'error');
+            }
         } finally {
-            // 释放读取器
-            if (this.reader) {
-                try {
-                    this.reader.releaseLock();
-                } catch (e) {
-                    // 忽略释放错误
-                }
-                this.reader = null;
+            if (!closeError && this.disconnectError) {
+                closeError = this.disconnectError;
+                this.log(`${this.name}已断开: ${closeError.message}`, 'error');
+            }
+            this.isOpen = false;
+            
+            this.rejectWaiters(closeError || new Error(`${this.name}会话已关闭`));
+            if (this.onClose) {
+                this.onClose(closeError);
             }
         }
     }
     
     /**
-     * 解析STP-23L数据包
+     * 追加收到的数据并通知使用方
+     * @param {Uint8Array} chunk - 新数据
      */
-    parseData(data) {
-        try {
-            // 检查起始符
-            if (data[0] !== STP23L_CONSTANTS.START_BYTE) {
-                this.log('STP-23L数据包起始符错误', 'warning');
-                return null;
-            }
+    append(chunk) {
+        const merged = new Uint8Array(this.buffer.length + chunk.length);
+        merged.set(this.buffer);
+        merged.set(chunk, this.buffer.length);
+        
+        if (merged.length > this.maxBufferSize) {
+            const overflow = merged.length - this.maxBufferSize;
+            this.droppedBytes += overflow;
+            this.buffer = merged.slice(overflow);
+        } else {
+            this.buffer = merged;
+        }
+        
+        this.dataListeners.forEach(listener => listener(chunk));
+        this.serveWaiters();
+    }
+    
+    /**
+     * 从缓冲区头部移除数据
+     * @param {number} length - 字节数
+     * @returns {Uint8Array} 被移除的数据
+     */
+    consume(length) {
+        const taken = this.buffer.slice(0, length);
+        this.buffer = this.buffer.slice(length);
+        return taken;
+    }
+    
+    /**
+     * 注册新数据监听器
+     * @param {Function} listener - 收到数据块时调用
+     * @returns {Function} 取消注册
+     */
+    onData(listener) {
+        this.dataListeners.add(listener);
+        return () => this.dataListeners.delete(listener);
+    }
+    
+    /**
+     * 按给定的帧格式从缓冲区读取一帧
+     * @param {Function} extract - (buffer) => {value, consumed}|null，数据不足时返回null
+     * @param {number} timeout - 超时时间（ms）
+     * @returns {Promise<*>} extract返回的value
+     */
+    read(extract, timeout) {
+        return new Promise((resolve, reject) => {
+            const waiter = { extract, resolve, reject, timer: null };
+            if (this.tryServe(waiter)) return;
             
-            const measurements = [];
+            if (!this.isOpen) {
+                reject(new Error(`${this.name}未打开`));
+                return;
+            }
             
-            // 从第11个字节开始解析测量数据，每15个字节为一个测量点
-            for (let i = STP23L_CONSTANTS.DATA_START_INDEX; i < data.length; i += STP23L_CONSTANTS.DATA_INTERVAL) {
-                if (i + STP23L_CONSTANTS.DATA_INTERVAL < data.length) {
-                    // 按照官方例程解析数据
-                    // 距离数据：低字节在前，高字节在后
-                    const distanceLow = data[i];
-                    const distanceHigh = data[i + 1];
-                    const distance = (distanceHigh << 8) | distanceLow;
-                    
-                    // 环境噪声：低字节在前，高字节在后
-                    const noiseLow = data[i + 2];
-                    const noiseHigh = data[i + 3];
-                    const noise = (noiseHigh << 8) | noiseLow;
-                    
-                    // 接收强度信息（4字节）：从低字节到高字节
-                    const peak4 = data[i + 4];
-                    const peak3 = data[i + 5];
-                    const peak2 = data[i + 6];
-                    const peak1 = data[i + 7];
-                    const peak = (peak1 << 24) | (peak2 << 16) | (peak3 << 8) | peak4;
-                    
-                    // 置信度
-                    const confidence = data[i + 8];
-                    
-                    // 积分次数（4字节）：从低字节到高字节
-                    const intg4 = data[i + 9];
-                    const intg3 = data[i + 10];
-                    const intg2 = data[i + 11];
-                    const intg1 = data[i + 12];
-                    const intg = (intg1 << 24) | (intg2 << 16) | (intg3 << 8) | intg4;
-                    
-                    // 温度表征值：低字节在前，高字节在后
-                    const reftofLow = data[i + 13];
-                    const reftofHigh = data[i + 14];
-                    const reftof = (reftofHigh << 8) | reftofLow;
-                    
-                    measurements.push({
-                        distance: distance,
-                        noise: noise,
-                        peak: peak,
-                        confidence: confidence,
-                        intg: intg,
-                        reftof: reftof
-                    });
-                }
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`${this.name}读取超时 (${timeout}ms)，缓冲区 ${this.buffer.length} 字节`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+    
+    /**
+     * 尝试用缓冲区数据满足一个读取
+     * @param {Object} waiter - 等待中的读取
+     * @returns {boolean} 是否已完成
+     */
+    tryServe(waiter) {
+        const result = waiter.extract(this.buffer);
+        if (!result) return false;
+        
+        this.consume(result.consumed);
+        waiter.resolve(result.value);
+        return true;
+    }
+    
+    /**
+     * 按先后顺序满足等待中的读取
+     */
+    serveWaiters() {
+        while (this.waiters.length > 0 && this.tryServe(this.waiters[0])) {
+            clearTimeout(this.waiters.shift().timer);
+        }
+    }
+    
+    /**
+     * 以异常结束所有等待中的读取
+     * @param {Error} error - 异常
+     */
+    rejectWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        });
+    }
+    
+    /**
+     * 写入数据；多个调用方的写入按顺序排队
+     * @param {Uint8Array} data - 待写入数据
+     * @returns {Promise<void>}
+     */
+    write(data) {
+        const pending = this.writeChain.then(() => {
+            if (!this.isOpen) {
+                throw new Error(`${this.name}未打开`);
             }
-            
-            return measurements;
-            
+            return this.transport.write(data);
+        });
+        this.writeChain = pending.catch(() => {});
+        return pending;
+    }
+    
+    /**
+     * 关闭会话：等待写入完成后关闭传输层并等待读取循环退出
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.readLoop) return;
+        this.isClosing = true;
+        
+        await this.writeChain;
+        
+        try {
+            await this.transport.close();
         } catch (error) {
-            this.log(`STP-23L数据解析失败: ${error.message}`, 'error');
-            return null;
+            this.log(`关闭${this.name}失败: ${error.message}`, 'warning');
         }
+        await this.readLoop;
+        this.readLoop = null;
+    }
+}
+
+/**
+ * SCIP命令队列
+ * 命令逐条发送，按回显把应答帧交给对应的命令；连续扫描（MD/MS）的数据帧交给订阅者
+ */
+class SCIPCommandQueue {
+    /**
+     * @param {SerialSession} session - 串口会话
+     * @param {Object} protocol - 帧格式
+     * @param {Function} protocol.extractFrame - (buffer) => {frame, rest}|null
+     * @param {Function} protocol.matchesEcho - (echo, command) => boolean
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - 默认应答超时（ms）
+     * @param {Function} [options.log] - 日志函数 (message, type)
+     */
+    constructor(session, protocol, options = {}) {
+        this.session = session;
+        this.protocol = protocol;
+        this.defaultTimeout = options.timeout || LIDAR_CONSTANTS.DELAYS.COMMAND_TIMEOUT;
+        this.log = options.log || ((message) => console.log(message));
+        
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+        this.textBuffer = '';
+        
+        // 待发送命令、已发送等待应答的命令、数据流订阅
+        this.pending = [];
+        this.active = null;
+        this.subscriptions = new Set();
+        
+        this.removeDataListener = session.onData(() => this.handleData());
     }
     
     /**
-     * 更新高度图表
+     * 发送命令并等待回显匹配的应答
+     * @param {string} command - SCIP命令（不含换行）
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - 应答超时（ms）
+     * @returns {Promise<string>} 完整应答帧
      */
-    updateHeightChart() {
-        if (window.lidarSystem && typeof window.lidarSystem.drawHeightChart === 'function') {
-            window.lidarSystem.drawHeightChart(this.heightHistory);
-            // 调试信息
-            if (this.heightHistory.length > 0) {
-                console.log(`[STP-23L] 更新图表: ${this.heightHistory.length} 个数据点`);
-            }
+    send(command, options = {}) {
+        if (!this.session.isOpen) {
+            return Promise.reject(new Error('串口会话未打开'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.pending.push({
+                command,
+                timeout: options.timeout || this.defaultTimeout,
+                resolve,
+                reject,
+                timer: null
+            });
+            this.pump();
+        });
+    }
+    
+    /**
+     * 上一条命令完成后发送下一条
+     */
+    pump() {
+        if (this.active || this.pending.length === 0) return;
+        
+        const entry = this.pending.shift();
+        this.active = entry;
+        
+        entry.timer = setTimeout(() => {
+            this.finish(entry, new Error(`命令 ${entry.command} 应答超时 (${entry.timeout}ms)`));
+        }, entry.timeout);
+        
+        this.session.write(this.encoder.encode(entry.command + '\r')).catch(error => {
+            this.finish(entry, error);
+        });
+    }
+    
+    /**
+     * 结束当前命令并发送下一条
+     * @param {Object} entry - 命令
+     * @param {Error|null} error - 异常
+     * @param {string} [frame] - 应答帧
+     */
+    finish(entry, error, frame) {
+        if (this.active !== entry) return;
+        
+        clearTimeout(entry.timer);
+        this.active = null;
+        if (error) {
+            entry.reject(error);
         } else {
-            console.warn('[STP-23L] 主系统未初始化或图表绘制方法不可用');
+            entry.resolve(frame);
         }
+        this.pump();
     }
     
     /**
-     * 更新显示
+     * 订阅回显与命令匹配、但不属于当前命令的帧（连续扫描数据帧）
+     * @param {string} command - MD/MS命令
+     * @param {Function} onFrame - 收到帧时调用
+     * @returns {Function} 取消订阅
      */
-    updateDisplay() {
-        // 更新当前高度
-        const currentHeightElement = document.getElementById('currentHeight');
-        if (currentHeightElement) {
-            currentHeightElement.textContent = Math.round(this.currentHeight);
+    subscribe(command, onFrame) {
+        const subscription = { command, onFrame };
+        this.subscriptions.add(subscription);
+        return () => this.subscriptions.delete(subscription);
+    }
+    
+    /**
+     * 取出会话缓冲区中的数据并分帧
+     */
+    handleData() {
+        const bytes = this.session.consume(this.session.buffer.length);
+        this.textBuffer += this.decoder.decode(bytes, { stream: true });
+        
+        let extracted;
+        while ((extracted = this.protocol.extractFrame(this.textBuffer))) {
+            this.textBuffer = extracted.rest;
+            this.dispatch(extracted.frame);
         }
         
-        // 更新平均高度
-        const avgHeightElement = document.getElementById('avgHeight');
-        if (avgHeightElement && this.heightHistory.length > 0) {
-            const avgHeight = this.heightHistory.reduce((sum, h) => sum + h.height, 0) / this.heightHistory.length;
-            avgHeightElement.textContent = Math.round(avgHeight);
+        // 防止缓冲区无限增长
+        if (this.textBuffer.length > LIDAR_CONSTANTS.MAX_BUFFER_SIZE) {
+            this.log('SCIP接收缓冲区溢出，丢弃未完成数据', 'warning');
+            this.textBuffer = '';
+        }
+    }
+    
+    /**
+     * 按回显分发一帧
+     * @param {string} frame - 完整SCIP帧
+     */
+    dispatch(frame) {
+        const echo = frame.substring(0, frame.indexOf(LIDAR_CONSTANTS.SCIP.LINE_FEED));
+        
+        if (this.active && this.protocol.matchesEcho(echo, this.active.command)) {
+            this.finish(this.active, null, frame);
+            return;
         }
         
-        // 更新测量次数
-        const heightCountElement = document.getElementById('heightCount');
-        if (heightCountElement) {
-            heightCountElement.textContent = this.measurementCount;
+        for (const subscription of this.subscriptions) {
+            if (this.protocol.matchesEcho(echo, subscription.command)) {
+                subscription.onFrame(frame);
+                return;
+            }
         }
+        
+        this.log(`丢弃未匹配的SCIP应答: ${echo || '(空回显)'}`, 'warning');
     }
     
     /**
-     * 检查高度变化
+     * 关闭队列：以异常结束当前和待发送的命令
+     * @param {Error} [error] - 异常
      */
-    checkHeightChange() {
-        if (this.heightHistory.length < 2) return;
+    close(error = new Error('串口会话已关闭')) {
+        this.removeDataListener();
+        this.subscriptions.clear();
+        
+        const entries = this.pending;
+        this.pending = [];
+        if (this.active) {
+            entries.unshift(this.active);
+            clearTimeout(this.active.timer);
+            this.active = null;
+        }
+        entries.forEach(entry => entry.reject(error));
+    }
+}
+
+/**
+ * STP-23L数据包分帧器
+ * 从会话取出收到的字节，查找包头并校验字段和校验和，不完整的数据留到下一块再拼接；
+ * 数据包损坏或从数据流中间开始读取时跳到下一个包头重新同步
+ */
+class STP23LFramer {
+    /**
+     * @param {SerialSession} session - 串口会话
+     * @param {Object} [options]
+     * @param {Object} [options.stats] - 统计对象，重新连接时沿用以便累计
+     * @param {Function} [options.log] - 日志函数 (message, type)
+     * @param {Function} [options.now] - 主机时间（Unix毫秒），用于标记数据包的到达时间
+     */
+    constructor(session, options = {}) {
+        this.session = session;
+        this.log = options.log || ((message) => console.log(message));
+        this.now = options.now || (() => performance.timeOrigin + performance.now());
         
-        const current = this.heightHistory[this.heightHistory.length - 1];
-        const previous = this.heightHistory[this.heightHistory.length - 2];
+        this.buffer = new Uint8Array(0);
+        this.packets = [];
+        this.waiters = [];
+        this.discarding = false;
         
-        const heightChange = Math.abs(current.height - previous.height);
+        // 统计
+        this.stats = options.stats || STP23LFramer.createStats();
         
-        if (heightChange > this.heightThreshold) {
-            this.log(`高度变化警告: ${Math.round(heightChange)}mm (当前: ${Math.round(current.height)}mm, 上次: ${Math.round(previous.height)}mm)`, 'warning');
-        }
+        this.removeDataListener = session.onData(() => this.handleData());
     }
     
     /**
-     * 清除高度数据
+     * 新的统计对象
+     * @returns {Object}
      */
-    clearHeightData() {
-        this.heightHistory = [];
-        this.measurementCount = 0;
-        this.currentHeight = 0;
-        this.updateDisplay();
-        this.log('STP-23L高度数据已清除', 'info');
+    static createStats() {
+        return {
+            good: 0,          // 通过校验的数据包
+            bad: 0,           // 包头字段或校验和错误的数据包
+            resyncs: 0,       // 丢弃数据后重新对齐到有效数据包的次数
+            skippedBytes: 0,  // 重新同步时丢弃的字节
+            dropped: 0        // 来不及读取而被较新数据包替换的数据包
+        };
     }
     
     /**
-     * 处理连接错误
+     * 取出会话缓冲区中的数据并分帧
      */
-    handleConnectionError(error) {
-        this.log(`STP-23L连接失败: ${error.message}`, 'error');
-        this.isConnected = false;
-        this.updateStatus('连接失败', 'disconnected');
-        this.updateButtons();
-        this.cleanup();
+    handleData() {
+        // 同一批数据中的数据包都以收到这批数据的时刻为到达时间
+        const receivedAt = this.now();
+        const bytes = this.session.consume(this.session.buffer.length);
+        const merged = new Uint8Array(this.buffer.length + bytes.length);
+        merged.set(this.buffer);
+        merged.set(bytes, this.buffer.length);
+        this.buffer = merged;
+        
+        let packet;
+        while ((packet = this.extractPacket())) {
+            this.deliver({ data: packet, receivedAt });
+        }
     }
     
     /**
-     * 清理资源
+     * 从缓冲区取出下一个有效数据包
+     * @returns {Uint8Array|null} 数据不足时返回null
      */
-    cleanup() {
-        // 释放读取器
-        if (this.reader) {
-            try {
-                this.reader.releaseLock();
-            } catch (e) {
-                // 忽略释放错误
+    extractPacket() {
+        while (true) {
+            const start = this.findHeader();
+            if (start > 0) {
+                this.skip(start);
+            }
+            if (start === -1) {
+                // 保留末尾可能是半个包头的字节
+                const keep = Math.min(this.buffer.length, STP23L_CONSTANTS.HEADER_LENGTH - 1);
+                this.skip(this.buffer.length - keep);
+                return null;
+            }
+            if (this.buffer.length < STP23L_CONSTANTS.PACKET_SIZE) {
+                return null;
+            }
+            
+            const packet = this.buffer.slice(0, STP23L_CONSTANTS.PACKET_SIZE);
+            const error = this.validatePacket(packet);
+            if (!error) {
+                this.buffer = this.buffer.slice(STP23L_CONSTANTS.PACKET_SIZE);
+                this.stats.good++;
+                if (this.discarding) {
+                    this.stats.resyncs++;
+                    this.discarding = false;
+                }
+                return packet;
             }
-            this.reader = null;
+            
+            // 损坏的数据包或数据中恰好出现的包头：越过该包头继续查找
+            this.stats.bad++;
+            this.log(`丢弃损坏的STP-23L数据包: ${error}`, 'warning');
+            this.skip(1);
         }
-        
-        // 重置状态
-        this.isConnected = false;
-        this.isMeasuring = false;
-        
-        // 发送状态更新到WebSocket服务器
-        if (window.lidarSystem && typeof window.lidarSystem.sendStatusUpdate === 'function') {
-            window.lidarSystem.sendStatusUpdate();
+    }
+    
+    /**
+     * 查找连续4个0xAA的包头
+     * @returns {number} 包头位置，未找到返回-1
+     */
+    findHeader() {
+        const headerLength = STP23L_CONSTANTS.HEADER_LENGTH;
+        for (let i = 0; i + headerLength <= this.buffer.length; i++) {
+            let matched = true;
+            for (let k = 0; k < headerLength; k++) {
+                if (this.buffer[i + k] !== STP23L_CONSTANTS.START_BYTE) {
+                    matched = false;
+                    break;
+                }
+            }
+            if (matched) return i;
         }
+        return -1;
     }
     
     /**
-     * 更新状态显示
+     * 丢弃缓冲区头部的数据，直到下一个有效数据包前都处于重新同步状态
+     * @param {number} length - 字节数
      */
-    updateStatus(text, type) {
-        const statusText = document.getElementById('stp23lStatusText');
-        const statusDot = document.getElementById('stp23lStatusDot');
+    skip(length) {
+        if (length <= 0) return;
+        this.buffer = this.buffer.slice(length);
+        this.stats.skippedBytes += length;
+        this.discarding = true;
+    }
+    
+    /**
+     * 校验包头字段和校验和
+     * @param {Uint8Array} packet - 完整长度的数据包
+     * @returns {string|null} 错误说明，有效时返回null
+     */
+    validatePacket(packet) {
+        const command = packet[STP23L_CONSTANTS.COMMAND_INDEX];
+        if (command !== STP23L_CONSTANTS.COMMAND_MEASUREMENT) {
+            return `命令码 0x${command.toString(16)} 不是测量数据`;
+        }
         
-        if (statusText) {
-            statusText.textContent = text;
+        const offset = packet[STP23L_CONSTANTS.OFFSET_INDEX] | (packet[STP23L_CONSTANTS.OFFSET_INDEX + 1] << 8);
+        const length = packet[STP23L_CONSTANTS.LENGTH_INDEX] | (packet[STP23L_CONSTANTS.LENGTH_INDEX + 1] << 8);
+        if (offset !== 0 || length !== STP23L_CONSTANTS.DATA_LENGTH) {
+            return `偏移 ${offset} / 数据长度 ${length} 无效`;
         }
         
-        if (statusDot) {
-            statusDot.className = `status-dot status-${type}`;
+        // 校验和：包头之后到时间戳结束的所有字节累加取低8位
+        let sum = 0;
+        for (let i = STP23L_CONSTANTS.HEADER_LENGTH; i < STP23L_CONSTANTS.CHECKSUM_INDEX; i++) {
+            sum += packet[i];
         }
+        if ((sum & 0xFF) !== packet[STP23L_CONSTANTS.CHECKSUM_INDEX]) {
+            return `校验和错误: 计算 0x${(sum & 0xFF).toString(16)}，收到 0x${packet[STP23L_CONSTANTS.CHECKSUM_INDEX].toString(16)}`;
+        }
+        
+        return null;
     }
     
     /**
-     * 更新按钮状态
+     * 把数据包交给等待中的读取，没有读取时排队（只保留最新的几个）
+     * @param {{data: Uint8Array, receivedAt: number}} packet - 数据包及其到达时间
      */
-    updateButtons() {
-        const connectBtn = document.getElementById('stp23lConnectBtn');
-        const disconnectBtn = document.getElementById('stp23lDisconnectBtn');
-        const startBtn = document.getElementById('stp23lStartBtn');
-        const stopBtn = document.getElementById('stp23lStopBtn');
+    deliver(packet) {
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(packet);
+            return;
+        }
         
-        if (connectBtn) connectBtn.disabled = this.isConnected;
-        if (disconnectBtn) disconnectBtn.disabled = !this.isConnected;
-        if (startBtn) startBtn.disabled = !this.isConnected || this.isMeasuring;
-        if (stopBtn) stopBtn.disabled = !this.isConnected || !this.isMeasuring;
+        this.packets.push(packet);
+        if (this.packets.length > STP23L_CONSTANTS.MAX_QUEUED_PACKETS) {
+            this.packets.shift();
+            this.stats.dropped++;
+        }
     }
     
     /**
-     * 日志记录
+     * 读取下一个有效数据包
+     * @param {number} timeout - 超时时间（ms）
+     * @returns {Promise<{data: Uint8Array, receivedAt: number}>} 数据包及分帧器收到它的主机时间
      */
-    log(message, type = 'info') {
-        // 使用主系统的日志功能
-        if (window.lidarSystem && typeof window.lidarSystem.log === 'function') {
-            window.lidarSystem.log(`[STP-23L] ${message}`, type);
-        } else {
-            console.log(`[STP-23L] ${message}`);
+    next(timeout) {
+        if (this.packets.length > 0) {
+            return Promise.resolve(this.packets.shift());
+        }
+        if (!this.session.isOpen) {
+            return Promise.reject(new Error('STP-23L串口未打开'));
         }
+        
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`等待STP-23L数据包超时 (${timeout}ms)，缓冲区 ${this.buffer.length} 字节`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+    
+    /**
+     * 关闭分帧器：以异常结束等待中的读取
+     * @param {Error} [error] - 异常
+     */
+    close(error = new Error('STP-23L串口会话已关闭')) {
+        this.removeDataListener();
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        });
     }
 }
 
-class LidarSystem {
+/**
+ * STP-23L高度滤波器
+ * 支持滑动中值、指数平滑和一维卡尔曼滤波（以环境噪声估计测量方差），
+ * 偏离当前估计过远的读数作为离群值剔除，不参与滤波
+ */
+class HeightFilter {
     /**
-     * 初始化激光雷达系统
+     * @param {Object} [options]
+     * @param {string} [options.type] - 滤波方式：kalman / median / ema / none
      */
-    constructor() {
-        // 系统状态
-        this.isConnected = false;
-        this.isScanning = false;
-        this.scanData = [];
-        this.trees = [];
-        
-        // STP-23L传感器实例
-        this.stp23lSensor = new STP23LSensor();
-        
-        // 高度图表相关
-        this.heightChart = null;
-        this.heightChartCtx = null;
+    constructor(options = {}) {
+        this.setType(options.type || STP23L_CONSTANTS.DEFAULT_FILTER);
+    }
+    
+    /**
+     * 切换滤波方式，并重新开始滤波
+     * @param {string} type
+     */
+    setType(type) {
+        if (!STP23L_CONSTANTS.FILTER_TYPES.includes(type)) {
+            throw new Error(`未知的高度滤波方式: ${type}`);
+        }
+        this.type = type;
+        this.reset();
+    }
+    
+    /**
+     * 清除滤波状态，下一个读数作为初始值
+     */
+    reset() {
+        this.value = null;
+        this.variance = null;
+        this.lastTimestamp = null;
+        this.window = [];
+        this.consecutiveOutliers = 0;
+    }
+    
+    /**
+     * 输入一个读数
+     * @param {number} raw - 原始高度（mm）
+     * @param {Object} [quality]
+     * @param {number} [quality.timestamp] - 读数时间（ms）
+     * @param {number} [quality.noise=0] - 环境噪声
+     * @param {number} [quality.precision=0] - 数据包内测量点的离散程度（mm）
+     * @returns {{value: number, outlier: boolean}} 滤波后的高度；离群读数不改变滤波结果
+     */
+    update(raw, quality = {}) {
+        const timestamp = quality.timestamp !== undefined ? quality.timestamp : Date.now();
+        const measurementVariance = this.measurementVariance(quality.noise || 0, quality.precision || 0);
         
-        // WebSocket连接相关
-        this.ws = null;
-        this.wsConnected = false;
-        this.wsReconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectInterval = 3000;
-        this.clientId = null;
+        if (this.type === 'none') {
+            this.value = raw;
+            return { value: raw, outlier: false };
+        }
         
-        // DOM元素引用
-        this.canvas = null;
-        this.ctx = null;
-        this.dpr = (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+        if (this.value === null) {
+            this.initialize(raw, measurementVariance, timestamp);
+            return { value: raw, outlier: false };
+        }
         
-        // 定时器和动画
-        this.scanInterval = null;
-        this.scanAnimationFrame = null;
-        this.currentScanAngle = LIDAR_CONSTANTS.START_ANGLE;
+        // 卡尔曼预测：方差随时间增长
+        if (this.type === 'kalman') {
+            const dt = Math.max(0, timestamp - this.lastTimestamp) / 1000;
+            this.variance += STP23L_CONSTANTS.KALMAN_PROCESS_NOISE * dt;
+        }
+        this.lastTimestamp = timestamp;
         
-        // 串口相关
-        this.port = null;
-        this.reader = null;
+        if (Math.abs(raw - this.value) > this.outlierGate(measurementVariance)) {
+            this.consecutiveOutliers++;
+            if (this.consecutiveOutliers < STP23L_CONSTANTS.OUTLIER_MAX_CONSECUTIVE) {
+                return { value: this.value, outlier: true };
+            }
+            // 连续离群说明高度确实变了，从当前读数重新开始
+            this.initialize(raw, measurementVariance, timestamp);
+            return { value: raw, outlier: false };
+        }
+        this.consecutiveOutliers = 0;
+        
+        // 最近接受的读数，用于滑动中值和离群门限
+        this.window.push(raw);
+        if (this.window.length > STP23L_CONSTANTS.MEDIAN_WINDOW) {
+            this.window.shift();
+        }
+        
+        switch (this.type) {
+            case 'median':
+                this.value = HeightFilter.median(this.window);
+                break;
+            case 'ema':
+                this.value += STP23L_CONSTANTS.EMA_ALPHA * (raw - this.value);
+                break;
+            case 'kalman': {
+                const gain = this.variance / (this.variance + measurementVariance);
+                this.value += gain * (raw - this.value);
+                this.variance *= (1 - gain);
+                break;
+            }
+        }
         
-        // 视图控制
-        this.viewSettings = {
-            showGrid: true,
-            showLabels: true,
-            showScanLine: true,
-            zoom: 1.0,
-            offsetX: 0,
-            offsetY: 0,
-            rotation: 270 // 旋转角度（度），初始旋转270°让盲区在正左方
+        return { value: this.value, outlier: false };
+    }
+    
+    initialize(raw, measurementVariance, timestamp) {
+        this.value = raw;
+        this.variance = measurementVariance;
+        this.lastTimestamp = timestamp;
+        this.window = [raw];
+        this.consecutiveOutliers = 0;
+    }
+    
+    /**
+     * 测量方差（mm²）：包内离散程度的平方加上按环境噪声折算的部分
+     */
+    measurementVariance(noise, precision) {
+        return Math.max(precision * precision, STP23L_CONSTANTS.KALMAN_MIN_VARIANCE) +
+            noise * STP23L_CONSTANTS.KALMAN_NOISE_SCALE;
+    }
+    
+    /**
+     * 离群门限（mm）：卡尔曼用预测残差的标准差，其他方式用窗口内读数的稳健标准差
+     */
+    outlierGate(measurementVariance) {
+        let sigma = Math.sqrt(measurementVariance);
+        if (this.type === 'kalman') {
+            sigma = Math.sqrt(this.variance + measurementVariance);
+        } else if (this.window.length >= 3) {
+            const center = HeightFilter.median(this.window);
+            const deviation = HeightFilter.median(this.window.map(v => Math.abs(v - center)));
+            sigma = Math.max(sigma, deviation * STP23L_CONSTANTS.MAD_SCALE);
+        }
+        return Math.max(STP23L_CONSTANTS.OUTLIER_SIGMA * sigma, STP23L_CONSTANTS.OUTLIER_MIN_GATE);
+    }
+    
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+/**
+ * 高度报警规则引擎
+ * 规则类型：min/max 绝对高度上下限，rate 时间窗口内的变化速率，deviation 持续偏离基准；
+ * 每条规则可设置严重程度、持续时间、迟滞和冷却时间，报警触发和解除时各产生一个事件
+ */
+class HeightAlarmEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.rules] - 规则列表，默认 HEIGHT_ALARM_CONSTANTS.DEFAULT_RULES
+     */
+    constructor(options = {}) {
+        this.setRules(options.rules || HEIGHT_ALARM_CONSTANTS.DEFAULT_RULES);
+    }
+    
+    /**
+     * 替换规则列表，并清除报警状态
+     * @param {Array<Object>} rules
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('报警规则必须是数组');
+        }
+        this.rules = rules.map((rule, index) => HeightAlarmEngine.normalizeRule(rule, index));
+        this.reset();
+    }
+    
+    /**
+     * 检查规则字段并补全默认值
+     */
+    static normalizeRule(rule, index) {
+        const label = rule && rule.id ? rule.id : `第${index + 1}条`;
+        if (!rule || !HEIGHT_ALARM_CONSTANTS.RULE_TYPES.includes(rule.type)) {
+            throw new Error(`报警规则 ${label} 的类型无效，应为 ${HEIGHT_ALARM_CONSTANTS.RULE_TYPES.join('/')}`);
+        }
+        if (!Number.isFinite(rule.threshold)) {
+            throw new Error(`报警规则 ${label} 缺少阈值 threshold`);
+        }
+        const severity = rule.severity || 'warning';
+        if (!HEIGHT_ALARM_CONSTANTS.SEVERITIES.includes(severity)) {
+            throw new Error(`报警规则 ${label} 的严重程度无效，应为 ${HEIGHT_ALARM_CONSTANTS.SEVERITIES.join('/')}`);
+        }
+        
+        return {
+            id: rule.id || `rule-${index + 1}`,
+            name: rule.name || rule.id || `规则${index + 1}`,
+            type: rule.type,
+            severity: severity,
+            enabled: rule.enabled !== false,
+            threshold: rule.threshold,
+            hysteresis: rule.hysteresis || 0,
+            duration: rule.duration || 0,
+            cooldown: rule.cooldown || 0,
+            window: rule.window || 1000,
+            baseline: Number.isFinite(rule.baseline) ? rule.baseline : null
         };
+    }
+    
+    /**
+     * 清除报警状态和历史样本；自动基准在下一个样本重新确定
+     */
+    reset() {
+        this.samples = [];
+        this.baseline = null;
+        this.states = new Map(this.rules.map(rule => [rule.id, {
+            active: false,
+            pendingSince: null,
+            lastTriggeredAt: -Infinity,
+            value: null
+        }]));
+    }
+    
+    /**
+     * 设置 deviation 规则的基准高度（规则未指定 baseline 时使用）
+     * @param {number} height
+     */
+    setBaseline(height) {
+        this.baseline = height;
+    }
+    
+    /**
+     * 输入一个高度样本，返回本次触发或解除的报警事件
+     * @param {{height: number, timestamp: number}} sample
+     * @returns {Array<Object>} 事件 {ruleId, ruleName, type, severity, state: 'triggered'|'cleared', height, value, threshold, timestamp, message}
+     */
+    evaluate(sample) {
+        const { height, timestamp } = sample;
+        if (this.baseline === null) {
+            this.baseline = height;
+        }
         
-        // 扫描参数（使用常量）
-        this.scanParams = {
-            startAngle: LIDAR_CONSTANTS.START_ANGLE,
-            endAngle: LIDAR_CONSTANTS.END_ANGLE,
-            numPoints: LIDAR_CONSTANTS.TOTAL_POINTS,
-            maxRange: LIDAR_CONSTANTS.MAX_RANGE,
-            minRange: LIDAR_CONSTANTS.MIN_RANGE
+        // 只保留速率规则需要的时间窗口
+        this.samples.push({ height, timestamp });
+        const maxWindow = Math.max(0, ...this.rules.filter(rule => rule.type === 'rate').map(rule => rule.window));
+        while (this.samples.length > 1 && timestamp - this.samples[0].timestamp > maxWindow) {
+            this.samples.shift();
+        }
+        
+        const events = [];
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+            
+            const state = this.states.get(rule.id);
+            const value = this.measure(rule, height, timestamp);
+            state.value = value;
+            
+            // 数据不足（如测量中断后速率窗口内只剩新样本）时无法判断，按未超限处理：
+            // 持续计时重新开始，已触发的报警解除，数据恢复后仍超限时按冷却时间重新触发
+            if (value === null) {
+                state.pendingSince = null;
+                if (state.active) {
+                    state.active = false;
+                    events.push(this.createEvent(rule, 'cleared', height, value, timestamp));
+                }
+                return;
+            }
+            
+            const limit = rule.type === 'min' ? -rule.threshold : rule.threshold;
+            const metric = rule.type === 'min' ? -value : value;
+            
+            if (!state.active) {
+                if (metric <= limit) {
+                    state.pendingSince = null;
+                    return;
+                }
+                if (state.pendingSince === null) {
+                    state.pendingSince = timestamp;
+                }
+                // 持续足够时间且不在冷却期内才触发
+                if (timestamp - state.pendingSince >= rule.duration &&
+                    timestamp - state.lastTriggeredAt >= rule.cooldown) {
+                    state.active = true;
+                    state.lastTriggeredAt = timestamp;
+                    events.push(this.createEvent(rule, 'triggered', height, value, timestamp));
+                }
+            } else if (metric <= limit - rule.hysteresis) {
+                state.active = false;
+                state.pendingSince = null;
+                events.push(this.createEvent(rule, 'cleared', height, value, timestamp));
+            }
+        });
+        
+        return events;
+    }
+    
+    /**
+     * 计算规则对应的指标：高度、变化速率（mm/s）或偏离基准的距离；数据不足时返回 null
+     */
+    measure(rule, height, timestamp) {
+        switch (rule.type) {
+            case 'min':
+            case 'max':
+                return height;
+            case 'rate': {
+                const first = this.samples.find(s => timestamp - s.timestamp <= rule.window);
+                const dt = timestamp - first.timestamp;
+                // 窗口内的数据跨度不足一半时不判断，避免两个相邻样本的抖动被放大
+                if (dt < rule.window / 2) return null;
+                return Math.abs(height - first.height) / dt * 1000;
+            }
+            case 'deviation': {
+                const baseline = rule.baseline !== null ? rule.baseline : this.baseline;
+                return Math.abs(height - baseline);
+            }
+            default:
+                return null;
+        }
+    }
+    
+    createEvent(rule, state, height, value, timestamp) {
+        const messages = {
+            min: `高度 ${Math.round(height)}mm 低于 ${rule.threshold}mm`,
+            max: `高度 ${Math.round(height)}mm 高于 ${rule.threshold}mm`,
+            rate: `高度变化速率 ${Math.round(value)}mm/s 超过 ${rule.threshold}mm/s`,
+            deviation: `高度偏离基准 ${Math.round(value)}mm，超过 ${rule.threshold}mm`
         };
         
-        // 检测参数
-        this.detectionParams = {
-            eps: 100,        // DBSCAN聚类半径
-            minPoints: 5,    // 最小点数
-            minRadius: 50,   // 最小圆半径
-            maxRadius: 500   // 最大圆半径
+        return {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            severity: rule.severity,
+            state: state,
+            height: height,
+            value: value,
+            threshold: rule.threshold,
+            timestamp: timestamp,
+            message: state === 'triggered' ? `${rule.name}: ${messages[rule.type]}` : `${rule.name}已解除（当前 ${Math.round(height)}mm）`
         };
+    }
+    
+    /**
+     * 当前处于报警状态的规则，按严重程度从高到低排列
+     * @returns {Array<Object>} 规则及当前指标值
+     */
+    getActiveAlarms() {
+        const rank = (severity) => HEIGHT_ALARM_CONSTANTS.SEVERITIES.indexOf(severity);
+        return this.rules
+            .filter(rule => this.states.get(rule.id).active)
+            .map(rule => ({ ...rule, value: this.states.get(rule.id).value }))
+            .sort((a, b) => rank(b.severity) - rank(a.severity));
+    }
+}
+
+/**
+ * STP-23L单点测距传感器类
+ * 用于测量装置距离地面的垂直高度
+ */
+class STP23LSensor {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - 传输层，默认使用Web Serial
+     * @param {boolean} [options.headless=false] - 无界面模式，不访问DOM
+     * @param {LidarSystem} [options.system] - 主系统实例，默认使用 window.lidarSystem
+     * @param {SessionRecorder} [options.recorder] - 会话录制器
+     * @param {string} [options.filterType] - 高度滤波方式：kalman / median / ema / none
+     * @param {string} [options.deviceId] - 设备标识，用于保存温漂补偿系数，默认使用串口描述
+     * @param {Object} [options.calibrationStore] - 补偿系数存储 {load(deviceId), save(deviceId, coefficients)}，默认使用localStorage
+     * @param {Array<Object>} [options.alarmRules] - 高度报警规则，默认 HEIGHT_ALARM_CONSTANTS.DEFAULT_RULES
+     */
+    constructor(options = {}) {
+        // 连接状态
+        this.isConnected = false;
+        this.isMeasuring = false;
         
-        this.init();
+        // 运行环境
+        this.headless = !!options.headless;
+        this.system = options.system || null;
+        
+        // 传输层与串口会话
+        this.recorder = options.recorder || null;
+        this.replaying = false;
+        this.transport = this.attachRecorder(options.transport || null);
+        this.session = null;
+        this.framer = null;
+        this.packetStats = STP23LFramer.createStats();
+        
+        // 测量数据
+        this.currentHeight = 0;
+        this.currentPrecision = null;    // 最近一个数据包内有效测量点的离散程度（mm）
+        this.heightHistory = [];
+        this.measurementCount = 0;
+        this.lowQualityPackets = 0;      // 有效测量点不足而丢弃的数据包
+        
+        // 高度滤波
+        this.heightFilter = new HeightFilter({ type: options.filterType });
+        this.outlierCount = 0;
+        
+        // 温漂补偿，系数按设备保存
+        this.deviceId = options.deviceId || null;
+        this.calibrationStore = options.calibrationStore || STP23LSensor.createCalibrationStore();
+        this.compensation = null;   // {offset, slope, reference, ...}
+        this.calibration = null;    // 进行中的标定 {knownDistance, samples}
+        
+        // 定时器
+        this.measurementInterval = null;
+        this.measurementBusy = false;    // 上一次测量仍在等待数据包
+        
+        // 自动恢复
+        this.isRecovering = false;
+        this.consecutiveFailures = 0;
+        this.recoveryCount = 0;
+        
+        // 高度报警规则
+        this.alarmEngine = new HeightAlarmEngine({ rules: options.alarmRules });
+        this.heightEvents = [];
+        
+        this.log('STP-23L传感器类已初始化', 'info');
     }
     
-    init() {
-        this.setupCanvas();
-        this.setupHeightChart();
-        this.setupEventListeners();
+    /**
+     * 连接STP-23L传感器
+     */
+    async connect() {
+        try {
+            this.log('正在连接STP-23L传感器...', 'info');
+            
+            if (!this.transport) {
+                this.transport = this.attachRecorder(this.createTransport());
+            }
+            
+            // 数据包统计按连接累计，自动恢复时保留
+            this.packetStats = STP23LFramer.createStats();
+            this.lowQualityPackets = 0;
+            this.heightFilter.reset();
+            await this.openSession();
+            this.log(`已打开 ${this.transport.description}`, 'info');
+            
+            // 串口打开后才能确定设备，加载该设备的温漂补偿系数
+            this.loadCompensation();
+            
+            this.isConnected = true;
+            this.updateStatus('已连接', 'connected');
+            this.updateButtons();
+            this.log('STP-23L传感器连接成功！', 'success');
+            
+            // 发送状态更新到WebSocket服务器
+            const system = this.getSystem();
+            if (system && typeof system.sendStatusUpdate === 'function') {
+                system.sendStatusUpdate();
+            }
+            
+        } catch (error) {
+            this.handleConnectionError(error);
+        }
+    }
+    
+    /**
+     * 断开STP-23L传感器连接
+     */
+    async disconnect() {
+        try {
+            this.log('正在断开STP-23L传感器连接...', 'info');
+            
+            // 取消进行中的自动恢复
+            this.isRecovering = false;
+            
+            // 停止测量
+            this.stopMeasuring();
+            
+            // 关闭串口会话和传输层
+            await this.closeSession();
+            
+            // 清理状态
+            this.cleanup();
+            
+            this.updateStatus('已断开', 'disconnected');
+            this.updateButtons();
+            this.log('STP-23L传感器已断开连接', 'info');
+            
+        } catch (error) {
+            this.log(`断开连接失败: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * 创建默认传输层（Web Serial）
+     * @returns {WebSerialTransport}
+     */
+    createTransport() {
+        if (typeof WebSerialTransport === 'undefined') {
+            throw new Error('未提供传输层，请通过 options.transport 传入');
+        }
+        
+        return new WebSerialTransport({
+            serialOptions: {
+                baudRate: STP23L_CONSTANTS.BAUD_RATE,
+                dataBits: STP23L_CONSTANTS.DATA_BITS,
+                stopBits: STP23L_CONSTANTS.STOP_BITS,
+                parity: STP23L_CONSTANTS.PARITY,
+                flowControl: STP23L_CONSTANTS.FLOW_CONTROL
+            }
+        });
+    }
+    
+    /**
+     * 获取主系统实例（日志、高度图表和WebSocket同步）
+     * @returns {LidarSystem|null}
+     */
+    getSystem() {
+        if (this.system) return this.system;
+        return typeof window !== 'undefined' ? window.lidarSystem || null : null;
+    }
+    
+    /**
+     * 开始测量
+     */
+    startMeasuring() {
+        if (!this.isConnected) {
+            this.log('STP-23L传感器未连接', 'warning');
+            return;
+        }
+        
+        this.isMeasuring = true;
         this.updateButtons();
-        this.updateVisualization();
+        this.log('开始STP-23L高度测量...', 'info');
         
-        // 初始化WebSocket连接
-        this.initWebSocket();
+        // 开始连续测量；读取数据包最长要等待 READ_TIMEOUT，上一次未结束时跳过本次
+        this.measurementInterval = setInterval(async () => {
+            if (!this.isMeasuring || this.measurementBusy) return;
+            this.measurementBusy = true;
+            try {
+                await this.performMeasurement();
+            } finally {
+                this.measurementBusy = false;
+            }
+        }, STP23L_CONSTANTS.MEASUREMENT_INTERVAL);
+    }
+    
+    /**
+     * 停止测量
+     */
+    stopMeasuring() {
+        this.isMeasuring = false;
+        if (this.measurementInterval) {
+            clearInterval(this.measurementInterval);
+            this.measurementInterval = null;
+        }
+        this.cancelCalibration();
+        this.updateButtons();
+        this.log('STP-23L测量已停止', 'info');
+    }
+    
+    /**
+     * 执行单次测量
+     */
+    async performMeasurement() {
+        if (!this.session) {
+            this.log('STP-23L传感器未连接', 'error');
+            return;
+        }
         
-        // 确保旋转角度正确初始化
-        console.log('系统初始化 - 旋转角度:', this.viewSettings.rotation);
-        this.log(`激光雷达系统已初始化 - 旋转角度: ${this.viewSettings.rotation}° (盲区位于正左方)`, 'info');
+        try {
+            // 读取串口数据
+            const packet = await this.readSerialData();
+            
+            // 读取超时或会话中断，连续多次时自动重新连接
+            if (!packet) {
+                this.recordReadFailure('未收到完整数据包');
+                return;
+            }
+            this.consecutiveFailures = 0;
+            const data = packet.data;
+            
+            if (data.length >= STP23L_CONSTANTS.PACKET_SIZE) {
+                // 解析数据
+                const measurements = this.parseData(data);
+                
+                // 标定使用未补偿的距离
+                if (measurements && this.calibration) {
+                    this.addCalibrationSample(measurements);
+                }
+                
+                // 按REFTOF补偿温漂后，合并一个数据包内的全部测量点
+                const measurement = measurements ?
+                    this.combineMeasurements(measurements.map(m => this.compensate(m))) : null;
+                
+                if (!measurement) {
+                    this.lowQualityPackets++;
+                    this.updateDisplay();
+                } else {
+                    // 以数据包到达时间为准，而不是轮询取出它的时间（可能晚一到两个测量周期）
+                    const timestamp = packet.receivedAt;
+                    
+                    // 滤波并剔除离群读数
+                    const filtered = this.heightFilter.update(measurement.distance, {
+                        timestamp: timestamp,
+                        noise: measurement.noise,
+                        precision: measurement.precision
+                    });
+                    if (filtered.outlier) {
+                        this.outlierCount++;
+                        this.log(`STP-23L离群读数已剔除: ${Math.round(measurement.distance)}mm (滤波高度: ${Math.round(filtered.value)}mm)`, 'warning');
+                    }
+                    
+                    this.currentHeight = filtered.value;
+                    this.currentPrecision = measurement.precision;
+                    
+                    // 添加到历史记录：height为滤波后高度，raw为原始高度
+                    this.heightHistory.push({
+                        height: this.currentHeight,
+                        raw: measurement.distance,
+                        outlier: filtered.outlier,
+                        timestamp: timestamp,
+                        noise: measurement.noise,
+                        confidence: measurement.confidence,
+                        precision: measurement.precision,
+                        samples: measurement.used,
+                        reftof: measurement.reftof
+                    });
+                    
+                    this.measurementCount++;
+                    
+                    // 更新显示
+                    this.updateDisplay();
+                    
+                    // 更新高度图表
+                    this.updateHeightChart();
+                    
+                    // 检查高度变化
+                    this.checkHeightChange();
+                    
+                    // 发送高度数据到WebSocket服务器
+                    const system = this.getSystem();
+                    if (system && typeof system.sendHeightData === 'function') {
+                        system.sendHeightData();
+                    }
+                }
+            }
+            
+        } catch (error) {
+            this.log(`STP-23L测量失败: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * 从串口会话读取一个数据包
+     * @returns {Promise<{data: Uint8Array, receivedAt: number}|null>} 超时或会话中断时返回null
+     */
+    async readSerialData() {
+        if (!this.framer) return null;
+        
+        try {
+            // 分帧器已完成包头对齐和校验
+            return await this.framer.next(STP23L_CONSTANTS.READ_TIMEOUT);
+        } catch (error) {
+            this.log(`读取STP-23L数据失败: ${error.message}`, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * 为传输层加上会话录制；回放的数据不再录制
+     * @param {Object|null} transport - 传输层
+     * @returns {Object|null}
+     */
+    attachRecorder(transport) {
+        if (!transport || !this.recorder || transport.isReplay) return transport;
+        return this.recorder.wrap(transport, 'stp23l');
+    }
+    
+    /**
+     * 当前主机时间（Unix毫秒）；回放时为录制中的时间
+     * 与激光雷达的 hostNow 使用同一个时钟，heightAt 直接用扫描的 acquiredAt 查询
+     * @returns {number}
+     */
+    now() {
+        if (this.transport && typeof this.transport.now === 'function') {
+            return this.transport.now();
+        }
+        return performance.timeOrigin + performance.now();
+    }
+    
+    /**
+     * 用录制文件代替串口回放STP-23L数据，连接后自动开始测量
+     * @param {ReplayTransport} transport - 回放传输
+     * @returns {Promise<void>}
+     */
+    async startReplay(transport) {
+        if (this.isConnected) {
+            await this.disconnect();
+        }
+        
+        this.transport = transport;
+        this.replaying = true;
+        await this.connect();
+        if (this.isConnected) {
+            this.startMeasuring();
+        }
+    }
+    
+    /**
+     * 打开串口会话，收到的数据交给分帧器
+     * @param {Object} [options]
+     * @param {boolean} [options.reopen=false] - 断开后重新打开之前使用的设备
+     * @returns {Promise<void>}
+     */
+    async openSession({ reopen = false } = {}) {
+        const session = new SerialSession(this.transport, {
+            name: 'STP-23L串口',
+            maxBufferSize: STP23L_CONSTANTS.PACKET_SIZE * 2,
+            log: (message, type) => this.log(message, type),
+            onClose: (error) => {
+                framer.close(error || undefined);
+                if (error && this.session === session) {
+                    this.recoverConnection(`串口断开: ${error.message}`);
+                }
+            }
+        });
+        const framer = new STP23LFramer(session, {
+            stats: this.packetStats,
+            log: (message, type) => this.log(message, type),
+            now: () => this.now()
+        });
+        this.session = session;
+        this.framer = framer;
+        await session.open({ reopen });
+    }
+    
+    /**
+     * 记录一次读取失败，连续失败达到阈值时自动重新连接
+     * @param {string} reason - 失败原因
+     */
+    recordReadFailure(reason) {
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= STP23L_CONSTANTS.MAX_CONSECUTIVE_FAILURES) {
+            this.recoverConnection(`连续 ${this.consecutiveFailures} 次读取失败（${reason}）`);
+        }
+    }
+    
+    /**
+     * 自动恢复：重新打开之前授权的串口，恢复前在测量则继续测量
+     * @param {string} reason - 触发原因
+     * @returns {Promise<void>}
+     */
+    async recoverConnection(reason) {
+        if (this.isRecovering || !this.isConnected) return;
+        
+        this.isRecovering = true;
+        const resumeMeasuring = this.isMeasuring;
+        const startedAt = Date.now();
+        this.log(`检测到STP-23L异常: ${reason}，开始自动恢复...`, 'warning');
+        
+        // 停止定时测量，避免恢复期间继续报错
+        this.isMeasuring = false;
+        if (this.measurementInterval) {
+            clearInterval(this.measurementInterval);
+            this.measurementInterval = null;
+        }
+        this.updateStatus('正在恢复连接...', 'recovering');
+        this.updateButtons();
+        this.reportRecovery({ state: 'started', reason });
+        
+        const maxAttempts = STP23L_CONSTANTS.RECOVERY_MAX_ATTEMPTS;
+        for (let attempt = 1; attempt <= maxAttempts && this.isRecovering; attempt++) {
+            await this.closeSession();
+            await new Promise(resolve => setTimeout(resolve, STP23L_CONSTANTS.RECOVERY_RETRY_DELAY));
+            if (!this.isRecovering) return;
+            
+            try {
+                await this.openSession({ reopen: true });
+                
+                this.isRecovering = false;
+                this.consecutiveFailures = 0;
+                this.recoveryCount++;
+                this.updateStatus('已连接', 'connected');
+                this.updateButtons();
+                this.log(`STP-23L已恢复连接（第 ${attempt} 次尝试，中断 ${((Date.now() - startedAt) / 1000).toFixed(1)}s）`, 'success');
+                this.reportRecovery({ state: 'recovered', reason, attempts: attempt, downtime: Date.now() - startedAt });
+                
+                if (resumeMeasuring) {
+                    this.startMeasuring();
+                }
+                return;
+            } catch (error) {
+                this.log(`第 ${attempt}/${maxAttempts} 次恢复失败: ${error.message}`, 'warning');
+            }
+        }
+        
+        // 恢复期间被手动断开
+        if (!this.isRecovering) return;
+        
+        this.isRecovering = false;
+        this.log('STP-23L自动恢复失败，请检查连接后手动重新连接', 'error');
+        this.cleanup();
+        this.updateStatus('连接失败', 'disconnected');
+        this.updateButtons();
+        this.reportRecovery({ state: 'failed', reason, attempts: maxAttempts });
+    }
+    
+    /**
+     * 通过主系统把恢复过程作为状态更新发送到WebSocket服务器
+     * @param {Object} recovery - 恢复状态
+     */
+    reportRecovery(recovery) {
+        const system = this.getSystem();
+        if (system && typeof system.sendStatusUpdate === 'function') {
+            system.sendStatusUpdate({ device: 'stp23l', recoveryCount: this.recoveryCount, ...recovery });
+        }
+    }
+    
+    /**
+     * 关闭串口会话
+     * @returns {Promise<void>}
+     */
+    async closeSession() {
+        if (!this.session) return;
+        
+        const session = this.session;
+        this.session = null;
+        this.framer = null;
+        await session.close();
+    }
+    
+    /**
+     * 解析STP-23L数据包
+     */
+    parseData(data) {
+        try {
+            // 检查起始符
+            if (data[0] !== STP23L_CONSTANTS.START_BYTE) {
+                this.log('STP-23L数据包起始符错误', 'warning');
+                return null;
+            }
+            
+            const measurements = [];
+            
+            // 从第11个字节开始解析测量数据，每15个字节为一个测量点
+            for (let i = STP23L_CONSTANTS.DATA_START_INDEX; i < data.length; i += STP23L_CONSTANTS.DATA_INTERVAL) {
+                if (i + STP23L_CONSTANTS.DATA_INTERVAL < data.length) {
+                    // 按照官方例程解析数据
+                    // 距离数据：低字节在前，高字节在后
+                    const distanceLow = data[i];
+                    const distanceHigh = data[i + 1];
+                    const distance = (distanceHigh << 8) | distanceLow;
+                    
+                    // 环境噪声：低字节在前，高字节在后
+                    const noiseLow = data[i + 2];
+                    const noiseHigh = data[i + 3];
+                    const noise = (noiseHigh << 8) | noiseLow;
+                    
+                    // 接收强度信息（4字节）：从低字节到高字节
+                    const peak4 = data[i + 4];
+                    const peak3 = data[i + 5];
+                    const peak2 = data[i + 6];
+                    const peak1 = data[i + 7];
+                    const peak = (peak1 << 24) | (peak2 << 16) | (peak3 << 8) | peak4;
+                    
+                    // 置信度
+                    const confidence = data[i + 8];
+                    
+                    // 积分次数（4字节）：从低字节到高字节
+                    const intg4 = data[i + 9];
+                    const intg3 = data[i + 10];
+                    const intg2 = data[i + 11];
+                    const intg1 = data[i + 12];
+                    const intg = (intg1 << 24) | (intg2 << 16) | (intg3 << 8) | intg4;
+                    
+                    // 温度表征值：低字节在前，高字节在后
+                    const reftofLow = data[i + 13];
+                    const reftofHigh = data[i + 14];
+                    const reftof = (reftofHigh << 8) | reftofLow;
+                    
+                    measurements.push({
+                        distance: distance,
+                        noise: noise,
+                        peak: peak,
+                        confidence: confidence,
+                        intg: intg,
+                        reftof: reftof
+                    });
+                }
+            }
+            
+            return measurements;
+            
+        } catch (error) {
+            this.log(`STP-23L数据解析失败: ${error.message}`, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * 将一个数据包内的测量点合并为一个高度
+     * 丢弃超出量程、置信度过低或噪声过高的测量点，其余按置信度加权取中位数，
+     * 离散程度用加权中位绝对偏差换算的标准差表示
+     * @param {Array<Object>} measurements - parseData 解析出的测量点
+     * @returns {{distance: number, precision: number, used: number, total: number, noise: number, confidence: number}|null}
+     *          有效测量点不足时返回 null
+     */
+    combineMeasurements(measurements) {
+        const valid = measurements.filter(m =>
+            m.distance >= STP23L_CONSTANTS.MIN_DISTANCE &&
+            m.distance <= STP23L_CONSTANTS.MAX_DISTANCE &&
+            m.confidence >= STP23L_CONSTANTS.MIN_CONFIDENCE &&
+            m.noise <= STP23L_CONSTANTS.MAX_NOISE
+        );
+        
+        if (valid.length < STP23L_CONSTANTS.MIN_VALID_MEASUREMENTS) {
+            return null;
+        }
+        
+        const weights = valid.map(m => m.confidence);
+        const distance = STP23LSensor.weightedMedian(valid.map(m => m.distance), weights);
+        const deviation = STP23LSensor.weightedMedian(valid.map(m => Math.abs(m.distance - distance)), weights);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        
+        return {
+            distance: distance,
+            precision: deviation * STP23L_CONSTANTS.MAD_SCALE,
+            used: valid.length,
+            total: measurements.length,
+            noise: valid.reduce((sum, m) => sum + m.noise, 0) / valid.length,
+            confidence: totalWeight / valid.length,
+            reftof: valid.reduce((sum, m) => sum + m.reftof, 0) / valid.length
+        };
+    }
+    
+    /**
+     * 按REFTOF温度表征值补偿单个测量点的距离
+     * @param {Object} measurement - parseData 解析出的测量点
+     * @returns {Object} 补偿后的测量点，uncompensated 为原始距离；未标定时原样返回
+     */
+    compensate(measurement) {
+        if (!this.compensation) return measurement;
+        
+        const { offset, slope, reference } = this.compensation;
+        const correction = offset + slope * (measurement.reftof - reference);
+        return {
+            ...measurement,
+            distance: measurement.distance - correction,
+            uncompensated: measurement.distance
+        };
+    }
+    
+    /**
+     * 开始温漂标定：传感器固定在已知距离处持续测量，期间REFTOF随温度变化的范围越大，斜率越准确
+     * @param {number} knownDistance - 传感器到目标的实际距离（mm）
+     */
+    startCalibration(knownDistance) {
+        if (!this.isMeasuring) {
+            this.log('请先开始测量再进行温漂标定', 'warning');
+            return;
+        }
+        if (!(knownDistance >= STP23L_CONSTANTS.MIN_DISTANCE && knownDistance <= STP23L_CONSTANTS.MAX_DISTANCE)) {
+            this.log(`标定距离无效: ${knownDistance}`, 'error');
+            return;
+        }
+        
+        this.calibration = { knownDistance: knownDistance, samples: [] };
+        this.updateButtons();
+        this.log(`开始温漂标定，已知距离 ${knownDistance}mm；保持传感器固定，REFTOF变化足够大后点击完成标定`, 'info');
+    }
+    
+    /**
+     * 记录一个数据包的标定样本（未补偿距离与平均REFTOF）
+     */
+    addCalibrationSample(measurements) {
+        const combined = this.combineMeasurements(measurements);
+        if (!combined) return;
+        
+        this.calibration.samples.push({ distance: combined.distance, reftof: combined.reftof });
+        this.updateDisplay();
+    }
+    
+    /**
+     * 结束标定，最小二乘拟合补偿系数并保存
+     * @returns {Object|null} 补偿系数，样本不足时返回 null
+     */
+    finishCalibration() {
+        const calibration = this.calibration;
+        this.calibration = null;
+        this.updateButtons();
+        if (!calibration) return null;
+        
+        const samples = calibration.samples;
+        if (samples.length < STP23L_CONSTANTS.MIN_CALIBRATION_SAMPLES) {
+            this.log(`温漂标定样本不足: ${samples.length} 个数据包，至少需要 ${STP23L_CONSTANTS.MIN_CALIBRATION_SAMPLES} 个`, 'error');
+            this.updateDisplay();
+            return null;
+        }
+        
+        const reftofs = samples.map(sample => sample.reftof);
+        const errors = samples.map(sample => sample.distance - calibration.knownDistance);
+        const reference = reftofs.reduce((sum, r) => sum + r, 0) / samples.length;
+        const offset = errors.reduce((sum, e) => sum + e, 0) / samples.length;
+        const reftofSpan = Math.max(...reftofs) - Math.min(...reftofs);
+        
+        // 以参考REFTOF为中心，偏移即平均误差，斜率为误差对REFTOF的最小二乘斜率
+        let slope = 0;
+        if (reftofSpan >= STP23L_CONSTANTS.MIN_REFTOF_SPAN) {
+            let sxy = 0;
+            let sxx = 0;
+            samples.forEach((sample, i) => {
+                const x = reftofs[i] - reference;
+                sxy += x * (errors[i] - offset);
+                sxx += x * x;
+            });
+            slope = sxy / sxx;
+        } else {
+            this.log(`标定期间REFTOF变化只有 ${reftofSpan.toFixed(1)}，只标定固定偏移`, 'warning');
+        }
+        
+        const residuals = errors.map((e, i) => e - offset - slope * (reftofs[i] - reference));
+        const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / samples.length);
+        
+        this.compensation = {
+            offset: offset,
+            slope: slope,
+            reference: reference,
+            knownDistance: calibration.knownDistance,
+            samples: samples.length,
+            reftofSpan: reftofSpan,
+            rms: rms,
+            calibratedAt: new Date().toISOString()
+        };
+        
+        const deviceId = this.getDeviceId();
+        try {
+            this.calibrationStore.save(deviceId, this.compensation);
+        } catch (error) {
+            this.log(`保存温漂补偿系数失败: ${error.message}`, 'error');
+        }
+        
+        // 补偿改变了读数，滤波从补偿后的读数重新开始
+        this.heightFilter.reset();
+        this.updateDisplay();
+        this.log(`温漂标定完成（${deviceId}）: 偏移 ${offset.toFixed(1)}mm，斜率 ${slope.toFixed(3)}mm/REFTOF，参考REFTOF ${reference.toFixed(1)}，残差 ${rms.toFixed(1)}mm`, 'success');
+        return this.compensation;
+    }
+    
+    /**
+     * 取消正在进行的标定
+     */
+    cancelCalibration() {
+        if (!this.calibration) return;
+        this.calibration = null;
+        this.updateButtons();
+        this.updateDisplay();
+        this.log('温漂标定已取消', 'warning');
+    }
+    
+    /**
+     * 清除当前设备的温漂补偿系数
+     */
+    clearCompensation() {
+        this.compensation = null;
+        try {
+            this.calibrationStore.save(this.getDeviceId(), null);
+        } catch (error) {
+            this.log(`清除温漂补偿系数失败: ${error.message}`, 'error');
+        }
+        this.heightFilter.reset();
+        this.updateDisplay();
+        this.log('温漂补偿已清除', 'info');
+    }
+    
+    /**
+     * 加载当前设备保存的温漂补偿系数；回放时沿用当前系数
+     */
+    loadCompensation() {
+        if (this.replaying) {
+            if (this.compensation) {
+                this.log('回放沿用当前温漂补偿系数', 'info');
+            }
+            return;
+        }
+        
+        const deviceId = this.getDeviceId();
+        try {
+            this.compensation = this.calibrationStore.load(deviceId) || null;
+        } catch (error) {
+            this.compensation = null;
+            this.log(`读取温漂补偿系数失败: ${error.message}`, 'error');
+        }
+        
+        if (this.compensation) {
+            this.log(`已加载温漂补偿（${deviceId}，${this.compensation.calibratedAt} 标定）`, 'info');
+        } else {
+            this.log(`${deviceId} 未进行温漂标定，高度不做温漂补偿`, 'info');
+        }
+        this.updateDisplay();
+    }
+    
+    /**
+     * 设备标识：优先使用 options.deviceId，否则使用串口描述（录制时取被包装的传输层）
+     * @returns {string}
+     */
+    getDeviceId() {
+        if (this.deviceId) return this.deviceId;
+        
+        let transport = this.transport;
+        while (transport && transport.recorder && transport.transport) {
+            transport = transport.transport;
+        }
+        return transport ? transport.description : 'STP-23L';
+    }
+    
+    /**
+     * 默认的补偿系数存储：浏览器中使用localStorage，否则只保存在内存中
+     * @returns {{load: function(string): Object|null, save: function(string, Object|null): void}}
+     */
+    static createCalibrationStore() {
+        const prefix = STP23L_CONSTANTS.COMPENSATION_STORAGE_PREFIX;
+        if (typeof localStorage !== 'undefined') {
+            return {
+                load: (deviceId) => {
+                    const text = localStorage.getItem(prefix + deviceId);
+                    return text ? JSON.parse(text) : null;
+                },
+                save: (deviceId, coefficients) => {
+                    if (coefficients) {
+                        localStorage.setItem(prefix + deviceId, JSON.stringify(coefficients));
+                    } else {
+                        localStorage.removeItem(prefix + deviceId);
+                    }
+                }
+            };
+        }
+        
+        const memory = new Map();
+        return {
+            load: (deviceId) => memory.get(deviceId) || null,
+            save: (deviceId, coefficients) => {
+                if (coefficients) {
+                    memory.set(deviceId, coefficients);
+                } else {
+                    memory.delete(deviceId);
+                }
+            }
+        };
+    }
+    
+    /**
+     * 加权中位数：按数值排序后取累计权重首次达到一半的值，恰好一半时取相邻两值的平均
+     * @param {Array<number>} values
+     * @param {Array<number>} weights
+     * @returns {number}
+     */
+    static weightedMedian(values, weights) {
+        const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+        const half = weights.reduce((sum, w) => sum + w, 0) / 2;
+        
+        let cumulative = 0;
+        for (let k = 0; k < order.length; k++) {
+            cumulative += weights[order[k]];
+            if (cumulative > half) {
+                return values[order[k]];
+            }
+            if (cumulative === half && k + 1 < order.length) {
+                return (values[order[k]] + values[order[k + 1]]) / 2;
+            }
+        }
+        return values[order[order.length - 1]];
+    }
+    
+    /**
+     * 更新高度图表
+     */
+    updateHeightChart() {
+        if (this.headless) return;
+        
+        const system = this.getSystem();
+        if (system && typeof system.drawHeightChart === 'function') {
+            system.drawHeightChart(this.heightHistory);
+            // 调试信息
+            if (this.heightHistory.length > 0) {
+                console.log(`[STP-23L] 更新图表: ${this.heightHistory.length} 个数据点`);
+            }
+        } else {
+            console.warn('[STP-23L] 主系统未初始化或图表绘制方法不可用');
+        }
+    }
+    
+    /**
+     * 更新显示
+     */
+    updateDisplay() {
+        if (this.headless) return;
+        
+        // 更新当前高度
+        const currentHeightElement = document.getElementById('currentHeight');
+        if (currentHeightElement) {
+            currentHeightElement.textContent = Math.round(this.currentHeight);
+        }
+        
+        // 更新平均高度
+        const avgHeightElement = document.getElementById('avgHeight');
+        if (avgHeightElement && this.heightHistory.length > 0) {
+            const avgHeight = this.heightHistory.reduce((sum, h) => sum + h.height, 0) / this.heightHistory.length;
+            avgHeightElement.textContent = Math.round(avgHeight);
+        }
+        
+        // 更新测量次数
+        const heightCountElement = document.getElementById('heightCount');
+        if (heightCountElement) {
+            heightCountElement.textContent = this.measurementCount;
+        }
+        
+        // 更新测量精度（单个数据包内有效测量点的离散程度）
+        const heightAccuracyElement = document.getElementById('heightAccuracy');
+        if (heightAccuracyElement) {
+            heightAccuracyElement.textContent = this.currentPrecision === null ? '--' : `±${this.currentPrecision.toFixed(1)}mm`;
+        }
+        
+        // 更新数据包统计
+        const packetStatsElement = document.getElementById('stp23lPacketStats');
+        if (packetStatsElement) {
+            const stats = this.packetStats;
+            packetStatsElement.textContent = `正常 ${stats.good} / 损坏 ${stats.bad} / 重新同步 ${stats.resyncs}（丢弃 ${stats.skippedBytes} 字节） / 质量不足 ${this.lowQualityPackets}`;
+        }
+        
+        // 更新温漂补偿状态
+        const compensationElement = document.getElementById('stp23lCompensation');
+        if (compensationElement) {
+            if (this.calibration) {
+                const samples = this.calibration.samples;
+                const reftofs = samples.map(sample => sample.reftof);
+                const span = samples.length > 0 ? Math.max(...reftofs) - Math.min(...reftofs) : 0;
+                compensationElement.textContent = `标定中：${samples.length} 个数据包，REFTOF变化 ${span.toFixed(1)}`;
+            } else if (this.compensation) {
+                const c = this.compensation;
+                compensationElement.textContent = `偏移 ${c.offset.toFixed(1)}mm，斜率 ${c.slope.toFixed(3)}mm/REFTOF（参考 ${c.reference.toFixed(1)}，残差 ${c.rms.toFixed(1)}mm）`;
+            } else {
+                compensationElement.textContent = '未标定';
+            }
+        }
+    }
+    
+    /**
+     * 按报警规则检查最新高度，触发或解除的事件记入高度历史并交给主系统显示和广播
+     */
+    checkHeightChange() {
+        const current = this.heightHistory[this.heightHistory.length - 1];
+        if (!current) return;
+        
+        const events = this.alarmEngine.evaluate({ height: current.height, timestamp: current.timestamp });
+        if (events.length === 0) return;
+        
+        current.events = events;
+        this.heightEvents.push(...events);
+        
+        const logTypes = { info: 'info', warning: 'warning', critical: 'error' };
+        events.forEach(event => {
+            this.log(`高度报警 - ${event.message}`, event.state === 'cleared' ? 'info' : logTypes[event.severity]);
+        });
+        
+        const system = this.getSystem();
+        if (system && typeof system.handleHeightEvents === 'function') {
+            system.handleHeightEvents(events);
+        }
+    }
+    
+    /**
+     * 更新报警规则
+     * @param {Array<Object>} rules
+     * @returns {boolean} 规则是否有效
+     */
+    setAlarmRules(rules) {
+        try {
+            this.alarmEngine.setRules(rules);
+            this.log(`高度报警规则已更新: ${this.alarmEngine.rules.length} 条`, 'info');
+            return true;
+        } catch (error) {
+            this.log(error.message, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * 指定时刻的高度：取前后两个高度样本线性插值；晚于最新样本不久时沿用最新高度
+     * 不确定度由样本精度按插值权重合成，再加上时间不确定度乘以高度变化速率
+     * @param {number} timestamp - 时刻（Unix毫秒）
+     * @param {Object} [options]
+     * @param {number} [options.timeUncertainty=0] - 时刻本身的不确定度（ms）
+     * @returns {{height: number, uncertainty: number, method: 'interpolated'|'held', sampleGap: number}|null}
+     *          没有可用的高度样本时返回 null
+     */
+    heightAt(timestamp, { timeUncertainty = 0 } = {}) {
+        const history = this.heightHistory;
+        let index = history.length - 1;
+        while (index >= 0 && history[index].timestamp > timestamp) {
+            index--;
+        }
+        if (index < 0) return null;
+        
+        const before = history[index];
+        const after = history[index + 1];
+        const sigma = (sample) => sample.precision !== undefined ? sample.precision : 0;
+        
+        if (after) {
+            const gap = after.timestamp - before.timestamp;
+            if (gap > STP23L_CONSTANTS.HEIGHT_MAX_GAP) return null;
+            
+            const weight = gap > 0 ? (timestamp - before.timestamp) / gap : 0;
+            const slope = gap > 0 ? (after.height - before.height) / gap : 0;
+            const sampleUncertainty = Math.hypot((1 - weight) * sigma(before), weight * sigma(after));
+            return {
+                height: before.height + weight * (after.height - before.height),
+                uncertainty: sampleUncertainty + Math.abs(slope) * timeUncertainty,
+                method: 'interpolated',
+                sampleGap: gap
+            };
+        }
+        
+        // 扫描晚于最新高度样本：短时间内沿用最新高度，按最近的变化速率放大不确定度
+        const age = timestamp - before.timestamp;
+        if (age > STP23L_CONSTANTS.HEIGHT_MAX_HOLD) return null;
+        
+        const previous = history[index - 1];
+        const slope = previous && before.timestamp > previous.timestamp ?
+            (before.height - previous.height) / (before.timestamp - previous.timestamp) : 0;
+        return {
+            height: before.height,
+            uncertainty: sigma(before) + Math.abs(slope) * (age + timeUncertainty),
+            method: 'held',
+            sampleGap: age
+        };
+    }
+    
+    /**
+     * 切换高度滤波方式
+     * @param {string} type - kalman / median / ema / none
+     */
+    setFilterType(type) {
+        try {
+            this.heightFilter.setType(type);
+            this.log(`STP-23L高度滤波方式: ${type}`, 'info');
+        } catch (error) {
+            this.log(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 清除高度数据
+     */
+    clearHeightData() {
+        this.heightHistory = [];
+        this.heightEvents = [];
+        this.measurementCount = 0;
+        this.outlierCount = 0;
+        this.currentHeight = 0;
+        this.currentPrecision = null;
+        this.heightFilter.reset();
+        this.alarmEngine.reset();
+        
+        const system = this.getSystem();
+        if (system && typeof system.updateHeightAlarmBanner === 'function') {
+            system.updateHeightAlarmBanner();
+        }
+        this.updateDisplay();
+        this.log('STP-23L高度数据已清除', 'info');
+    }
+    
+    /**
+     * 处理连接错误
+     */
+    handleConnectionError(error) {
+        this.log(`STP-23L连接失败: ${error.message}`, 'error');
+        this.isConnected = false;
+        this.updateStatus('连接失败', 'disconnected');
+        this.updateButtons();
+        this.cleanup();
+    }
+    
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        // 关闭串口会话
+        this.closeSession();
+        
+        // 回放结束后恢复使用串口
+        if (this.replaying) {
+            this.transport = null;
+            this.replaying = false;
+        }
+        
+        // 重置状态
+        this.isConnected = false;
+        this.isMeasuring = false;
+        
+        // 发送状态更新到WebSocket服务器
+        const system = this.getSystem();
+        if (system && typeof system.sendStatusUpdate === 'function') {
+            system.sendStatusUpdate();
+        }
+    }
+    
+    /**
+     * 更新状态显示
+     */
+    updateStatus(text, type) {
+        if (this.headless) return;
+        
+        const statusText = document.getElementById('stp23lStatusText');
+        const statusDot = document.getElementById('stp23lStatusDot');
+        
+        if (statusText) {
+            statusText.textContent = text;
+        }
+        
+        if (statusDot) {
+            statusDot.className = `status-dot status-${type}`;
+        }
+    }
+    
+    /**
+     * 更新按钮状态
+     */
+    updateButtons() {
+        if (this.headless) return;
+        
+        const connectBtn = document.getElementById('stp23lConnectBtn');
+        const disconnectBtn = document.getElementById('stp23lDisconnectBtn');
+        const startBtn = document.getElementById('stp23lStartBtn');
+        const stopBtn = document.getElementById('stp23lStopBtn');
+        
+        if (connectBtn) connectBtn.disabled = this.isConnected;
+        if (disconnectBtn) disconnectBtn.disabled = !this.isConnected;
+        if (startBtn) startBtn.disabled = !this.isConnected || this.isMeasuring || this.isRecovering;
+        if (stopBtn) stopBtn.disabled = !this.isConnected || !this.isMeasuring;
+        
+        const calibrateBtn = document.getElementById('stp23lCalibrateBtn');
+        if (calibrateBtn) {
+            calibrateBtn.disabled = !this.isMeasuring;
+            calibrateBtn.textContent = this.calibration ? '完成标定' : '开始温漂标定';
+        }
+    }
+    
+    /**
+     * 日志记录
+     */
+    log(message, type = 'info') {
+        // 使用主系统的日志功能
+        const system = this.getSystem();
+        if (system && typeof system.log === 'function') {
+            system.log(`[STP-23L] ${message}`, type);
+        } else {
+            console.log(`[STP-23L] ${message}`);
+        }
+    }
+}
+
+/**
+ * 静态背景模型
+ * 激光雷达固定安装时，逐扫描线学习N帧的背景距离（中位数）和波动（MAD），之后每帧与背景比较：
+ * 比背景近超过阈值的点为前景（人、车辆、倒伏的树干），比背景远超过阈值或不再有回波的扫描线说明原有物体已移走
+ * （树干倒下后原方向常常超出量程，没有回波）。
+ * 扫描线按 convertToCoordinates 输出的下标对应，扫描范围或簇数变化后背景失效，需要重新学习
+ */
+class BackgroundModel {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.isValid] - 判断扫描点距离是否有效 (point) => boolean
+     */
+    constructor(options = {}) {
+        this.isValid = options.isValid || (point => point.distance > 0);
+        this.clear();
+    }
+    
+    /**
+     * 清除背景和学习进度
+     */
+    clear() {
+        this.layout = null;       // 学习时的扫描线布局 {startStep, endStep, clusterCount, beams}
+        this.samples = null;      // 学习中：每条扫描线收集到的有效距离
+        this.learnedScans = 0;
+        this.targetScans = 0;
+        this.background = null;   // 每条扫描线的背景距离，NaN 表示该方向没有背景
+        this.threshold = null;    // 每条扫描线的变化判定阈值（mm）
+        this.resetChangeState();
+    }
+    
+    resetChangeState() {
+        this.reportedSignature = '0/0';
+        this.pendingSignature = null;
+        this.pendingFrames = 0;
+    }
+    
+    get learning() {
+        return this.samples !== null;
+    }
+    
+    get ready() {
+        return this.background !== null;
+    }
+    
+    /**
+     * 开始学习背景，扫描线布局取学习的第一帧
+     * @param {number} [scans] - 学习帧数
+     */
+    startLearning(scans = BACKGROUND_CONSTANTS.DEFAULT_LEARNING_SCANS) {
+        if (!(scans >= BACKGROUND_CONSTANTS.MIN_LEARNING_SCANS && scans <= BACKGROUND_CONSTANTS.MAX_LEARNING_SCANS)) {
+            throw new Error(`学习帧数无效: ${scans}，允许 ${BACKGROUND_CONSTANTS.MIN_LEARNING_SCANS}-${BACKGROUND_CONSTANTS.MAX_LEARNING_SCANS}`);
+        }
+        
+        this.clear();
+        this.targetScans = Math.round(scans);
+        this.samples = [];
+    }
+    
+    /**
+     * 扫描线布局是否与背景一致（尚未确定布局时视为一致）
+     * @param {{startStep: number, endStep: number, clusterCount: number, beams: number}} layout
+     */
+    matches(layout) {
+        return !this.layout ||
+            this.layout.startStep === layout.startStep &&
+            this.layout.endStep === layout.endStep &&
+            this.layout.clusterCount === layout.clusterCount &&
+            this.layout.beams === layout.beams;
+    }
+    
+    /**
+     * 加入一帧学习数据
+     * @param {Array<Object>} scanData - 扫描点
+     * @param {Object} layout - 这一帧的扫描线布局，第一帧的布局作为背景的布局
+     * @returns {boolean} 学习是否已完成
+     */
+    addScan(scanData, layout) {
+        if (!this.learning) return this.ready;
+        
+        if (!this.layout) {
+            this.layout = { ...layout };
+            this.samples = Array.from({ length: layout.beams }, () => []);
+        }
+        
+        scanData.forEach((point, i) => {
+            if (this.isValid(point)) {
+                this.samples[i].push(point.distance);
+            }
+        });
+        this.learnedScans++;
+        
+        if (this.learnedScans >= this.targetScans) {
+            this.finishLearning();
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 由学习数据计算每条扫描线的背景距离和判定阈值
+     */
+    finishLearning() {
+        const beams = this.layout.beams;
+        this.background = new Float64Array(beams);
+        this.threshold = new Float64Array(beams);
+        
+        this.samples.forEach((values, i) => {
+            if (values.length < this.learnedScans * BACKGROUND_CONSTANTS.MIN_VALID_RATIO) {
+                this.background[i] = NaN;
+                this.threshold[i] = NaN;
+                return;
+            }
+            
+            const median = HeightFilter.median(values);
+            const mad = HeightFilter.median(values.map(value => Math.abs(value - median)));
+            this.background[i] = median;
+            this.threshold[i] = Math.max(BACKGROUND_CONSTANTS.MIN_DIFFERENCE,
+                BACKGROUND_CONSTANTS.SIGMA_FACTOR * mad * BACKGROUND_CONSTANTS.MAD_SCALE);
+        });
+        
+        this.samples = null;
+    }
+    
+    /**
+     * 没有背景的扫描线数
+     */
+    getEmptyBeamCount() {
+        if (!this.ready) return 0;
+        return this.background.reduce((count, value) => count + (isNaN(value) ? 1 : 0), 0);
+    }
+    
+    /**
+     * 与背景比较一帧扫描
+     * @param {Array<Object>} scanData - 与布局对应的扫描点
+     * @returns {{foreground: Uint8Array, objects: Array<Object>, foregroundPoints: number, removedBeams: number}}
+     *          foreground 为每个点是否属于前景目标；objects 为变化目标
+     *          {kind: 'foreground'|'removed', startBeam, endBeam, beams, center: {x, y}, range, depth}，
+     *          移走目标的 center 和 range 取原背景的位置；
+     *          depth 为与背景的平均距离差（mm，没有背景或没有回波的方向不计入，都不可用时为 null）
+     */
+    classify(scanData) {
+        const beams = scanData.length;
+        const state = new Int8Array(beams); // 1: 比背景近，-1: 比背景远
+        
+        for (let i = 0; i < beams; i++) {
+            const point = scanData[i];
+            const background = this.background[i];
+            if (!this.isValid(point)) {
+                // 原本有背景的方向不再有回波
+                if (!isNaN(background)) state[i] = -1;
+                continue;
+            }
+            
+            if (isNaN(background)) {
+                // 原本空旷的方向出现回波
+                state[i] = 1;
+            } else if (point.distance < background - this.threshold[i]) {
+                state[i] = 1;
+            } else if (point.distance > background + this.threshold[i]) {
+                state[i] = -1;
+            }
+        }
+        
+        const objects = [
+            ...this.groupBeams(scanData, state, 1, 'foreground'),
+            ...this.groupBeams(scanData, state, -1, 'removed')
+        ];
+        
+        const foreground = new Uint8Array(beams);
+        let foregroundPoints = 0;
+        let removedBeams = 0;
+        objects.forEach(object => {
+            for (let i = object.startBeam; i <= object.endBeam; i++) {
+                if (object.kind === 'foreground' && state[i] === 1) {
+                    foreground[i] = 1;
+                    foregroundPoints++;
+                } else if (object.kind === 'removed' && state[i] === -1) {
+                    removedBeams++;
+                }
+            }
+        });
+        
+        return { foreground, objects, foregroundPoints, removedBeams };
+    }
+    
+    /**
+     * 把状态相同的相邻扫描线合并为目标，允许中间间断 MAX_OBJECT_GAP 条
+     */
+    groupBeams(scanData, state, value, kind) {
+        const objects = [];
+        let current = null;
+        
+        const close = () => {
+            if (current && current.indices.length >= BACKGROUND_CONSTANTS.MIN_OBJECT_BEAMS) {
+                const points = current.indices.map(i => kind === 'removed' ? this.backgroundPoint(scanData[i], i) : scanData[i]);
+                const depths = current.indices
+                    .filter(i => !isNaN(this.background[i]) && this.isValid(scanData[i]))
+                    .map(i => Math.abs(this.background[i] - scanData[i].distance));
+                objects.push({
+                    kind: kind,
+                    startBeam: current.indices[0],
+                    endBeam: current.indices[current.indices.length - 1],
+                    beams: current.indices.length,
+                    center: {
+                        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+                    },
+                    range: Math.min(...points.map(point => point.distance)),
+                    depth: depths.length ? depths.reduce((sum, depth) => sum + depth, 0) / depths.length : null
+                });
+            }
+            current = null;
+        };
+        
+        for (let i = 0; i < state.length; i++) {
+            if (state[i] !== value) continue;
+            
+            if (current && i - current.indices[current.indices.length - 1] - 1 > BACKGROUND_CONSTANTS.MAX_OBJECT_GAP) {
+                close();
+            }
+            if (!current) {
+                current = { indices: [] };
+            }
+            current.indices.push(i);
+        }
+        close();
+        
+        return objects;
+    }
+    
+    /**
+     * 扫描线上背景物体的位置
+     * @param {Object} point - 该扫描线本帧的扫描点，提供角度
+     * @param {number} index - 扫描线下标
+     * @returns {{angle: number, distance: number, x: number, y: number}}
+     */
+    backgroundPoint(point, index) {
+        const distance = this.background[index];
+        return {
+            angle: point.angle,
+            distance: distance,
+            x: distance * Math.cos(point.angle),
+            y: distance * Math.sin(point.angle)
+        };
+    }
+    
+    /**
+     * 根据本帧的变化目标判断是否发出变化事件
+     * 前景目标数或移走目标数变化并连续保持 CONFIRM_FRAMES 帧时发出一次
+     * @param {Object} result - classify 的返回值
+     * @param {number} timestamp - 采集时间（ms）
+     * @returns {Object|null} 变化事件 {state: 'appeared'|'changed'|'cleared', foregroundObjects, removedObjects,
+     *          foregroundPoints, removedBeams, objects, timestamp, message}
+     */
+    detectChange(result, timestamp) {
+        const foregroundObjects = result.objects.filter(object => object.kind === 'foreground').length;
+        const removedObjects = result.objects.length - foregroundObjects;
+        const signature = `${foregroundObjects}/${removedObjects}`;
+        
+        if (signature === this.reportedSignature) {
+            this.pendingSignature = null;
+            this.pendingFrames = 0;
+            return null;
+        }
+        
+        if (signature !== this.pendingSignature) {
+            this.pendingSignature = signature;
+            this.pendingFrames = 0;
+        }
+        this.pendingFrames++;
+        if (this.pendingFrames < BACKGROUND_CONSTANTS.CONFIRM_FRAMES) return null;
+        
+        const wasClear = this.reportedSignature === '0/0';
+        this.reportedSignature = signature;
+        this.pendingSignature = null;
+        this.pendingFrames = 0;
+        
+        let state = 'changed';
+        if (result.objects.length === 0) {
+            state = 'cleared';
+        } else if (wasClear) {
+            state = 'appeared';
+        }
+        
+        const message = state === 'cleared' ?
+            '场景已恢复为背景' :
+            `检测到变化: ${foregroundObjects} 个前景目标（${result.foregroundPoints} 点），${removedObjects} 处原有物体移走`;
+        
+        return {
+            state,
+            foregroundObjects,
+            removedObjects,
+            foregroundPoints: result.foregroundPoints,
+            removedBeams: result.removedBeams,
+            objects: result.objects,
+            timestamp,
+            message
+        };
+    }
+}
+
+class LidarSystem {
+    /**
+     * 初始化激光雷达系统
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - 激光雷达传输层，默认使用Web Serial
+     * @param {Object} [options.stp23lTransport] - STP-23L传输层，默认使用Web Serial
+     * @param {boolean} [options.headless=false] - 无界面模式（Node.js、自动化测试），不访问DOM和Canvas
+     * @param {string} [options.wsUrl] - WebSocket服务器地址；无界面模式下不提供则不连接
+     * @param {Function} [options.WebSocket] - WebSocket实现，Node.js中可传入ws包
+     * @param {SessionRecorder} [options.recorder] - 会话录制器，浏览器中默认创建
+     * @param {string} [options.detectionWorkerUrl='tree-detection.js'] - 树木检测Worker脚本地址
+     */
+    constructor(options = {}) {
+        // 系统状态
+        this.isConnected = false;
+        this.isScanning = false;
+        this.scanData = [];
+        this.trees = [];
+        
+        // 运行环境
+        this.headless = !!options.headless;
+        
+        // 会话录制：两个设备共用一个录制器，开始录制前只转发数据
+        this.recorder = options.recorder || (typeof SessionRecorder !== 'undefined' ? new SessionRecorder() : null);
+        this.replaying = false;
+        
+        // STP-23L传感器实例
+        this.stp23lSensor = new STP23LSensor({
+            transport: options.stp23lTransport,
+            headless: this.headless,
+            system: this,
+            recorder: this.recorder
+        });
+        
+        // 高度图表相关
+        this.heightChart = null;
+        this.heightChartCtx = null;
+        
+        // WebSocket连接相关
+        this.ws = null;
+        this.wsConnected = false;
+        this.wsReconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectInterval = 3000;
+        this.clientId = null;
+        this.wsUrl = options.wsUrl || null;
+        this.WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        
+        // DOM元素引用
+        this.canvas = null;
+        this.ctx = null;
+        this.dpr = (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+        
+        // 定时器和动画
+        this.scanInterval = null;
+        this.scanAnimationFrame = null;
+        this.currentScanAngle = LIDAR_CONSTANTS.START_ANGLE;
+        
+        // 串口相关：传输层上一个持续读取的会话，SCIP命令经队列收发
+        this.transport = this.attachRecorder(options.transport || null);
+        this.serialSession = null;
+        this.scipQueue = null;
+        
+        // 视图控制
+        this.viewSettings = {
+            showGrid: true,
+            showLabels: true,
+            showScanLine: true,
+            colorByIntensity: false,
+            zoom: 1.0,
+            offsetX: 0,
+            offsetY: 0,
+            rotation: 270 // 旋转角度（度），初始旋转270°让盲区在正左方
+        };
+        
+        // 传感器信息与几何参数（连接前使用常量，连接后由VV/PP/II应答填充）
+        this.deviceInfo = null;
+        this.sensorGeometry = {
+            minStep: LIDAR_CONSTANTS.MIN_STEP,
+            maxStep: LIDAR_CONSTANTS.MAX_STEP,
+            frontStep: LIDAR_CONSTANTS.FRONT_STEP,
+            stepsPerRevolution: LIDAR_CONSTANTS.STEPS_PER_REVOLUTION,
+            minRange: LIDAR_CONSTANTS.MIN_RANGE,
+            maxRange: LIDAR_CONSTANTS.MAX_RANGE
+        };
+        
+        // 扫描参数（角度、点数和量程由步进几何计算）
+        this.scanParams = {
+            startAngle: LIDAR_CONSTANTS.START_ANGLE,
+            endAngle: LIDAR_CONSTANTS.END_ANGLE,
+            numPoints: LIDAR_CONSTANTS.TOTAL_POINTS,
+            maxRange: this.sensorGeometry.maxRange,
+            minRange: this.sensorGeometry.minRange,
+            startStep: this.sensorGeometry.minStep,
+            endStep: this.sensorGeometry.maxStep,
+            clusterCount: 1,
+            encoding: LIDAR_CONSTANTS.COMMANDS.SCAN
+        };
+        Object.assign(this.scanParams, this.computeScanGeometry(this.scanParams));
+        this.scanCommand = this.buildScanCommand(this.scanParams);
+        
+        // 传感器时钟同步与最近一帧的采集时间
+        this.sensorClock = new SensorClock({ now: () => this.hostNow() });
+        this.scanTiming = null;
+        this.scanHeight = null;    // 扫描采集时刻的装置高度（STP-23L）
+        
+        // 连续扫描方式：'stream' 使用MD/MS流式采集，'poll' 定时发送GD/GS
+        this.scanMode = 'stream';
+        this.streamCommand = null;
+        this.streamLoop = null;
+        this.endStreamSubscription = null;
+        this.resolveStreamLoop = null;
+        this.streamRemaining = null;
+        this.streamWatchdog = null;
+        this.streamResyncing = false;  // 流式采集中为重新同步时钟而暂停数据流
+        this.pollPending = false;
+        
+        // 自动恢复
+        this.isRecovering = false;
+        this.consecutiveFailures = 0;
+        this.recoveryCount = 0;
+        this.lastFrameTime = null;
+        this.scanRate = 0;
+        
+        // 静态背景模型与变化检测
+        this.backgroundModel = new BackgroundModel({
+            isValid: point => point.distance > this.scanParams.minRange && point.distance < this.scanParams.maxRange
+        });
+        this.backgroundResult = null;
+        this.foregroundOnlyDetection = false;
+        
+        // 实时检测：每帧扫描完成后自动检测，上一帧检测未完成时跳过
+        this.liveDetection = false;
+        this.liveDetectionBusy = false;
+        this.skippedDetectionFrames = 0;
+        this.lastDetectionFrameTime = null;
+        this.detectionRate = 0;
+        
+        // 检测参数
+        this.detectionParams = {
+            algorithm: TreeDetection.TREE_DETECTION_DEFAULTS.algorithm, // DBSCAN聚类或断点分割
+            eps: 100,        // DBSCAN聚类半径
+            minPoints: 5,    // 最小点数
+            minRadius: 50,   // 最小圆半径
+            maxRadius: 500,  // 最大圆半径
+            minArcCoverage: TreeDetection.TREE_DETECTION_DEFAULTS.minArcCoverage,  // 最小弧覆盖角（度）
+            arcCoverageMode: TreeDetection.TREE_DETECTION_DEFAULTS.arcCoverageMode, // 覆盖角不足时丢弃或标记
+            clusteringMode: TreeDetection.TREE_DETECTION_DEFAULTS.clusteringMode    // 固定或自适应聚类半径
+        };
+        
+        // 树木检测在Worker中执行
+        this.treeDetection = new TreeDetection.TreeDetectionClient({
+            workerUrl: options.detectionWorkerUrl,
+            log: (message, type) => this.log(message, type)
+        });
+        
+        // 多帧跟踪：同一棵树在连续检测中保持编号，圆心和直径随观测平滑
+        this.treeTracker = new TreeDetection.TreeTracker();
+        this.lostTreeIds = [];
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.headless) {
+            this.setupCanvas();
+            this.setupHeightChart();
+            this.setupEventListeners();
+            this.updateButtons();
+            this.updateVisualization();
+        }
+        
+        // 初始化WebSocket连接（无界面模式下只在指定了服务器地址时连接）
+        if (!this.headless || this.wsUrl) {
+            this.initWebSocket();
+        }
+        
+        // 确保旋转角度正确初始化
+        console.log('系统初始化 - 旋转角度:', this.viewSettings.rotation);
+        this.log(`激光雷达系统已初始化 - 旋转角度: ${this.viewSettings.rotation}° (盲区位于正左方)`, 'info');
+    }
+    
+    setupCanvas() {
+        this.canvas = document.getElementById('scanCanvas');
+        if (!this.canvas) {
+            console.error('Canvas元素未找到: scanCanvas');
+            throw new Error('Canvas元素未找到');
+        }
+        
+        this.ctx = this.canvas.getContext('2d');
+        if (!this.ctx) {
+            console.error('无法获取Canvas 2D上下文');
+            throw new Error('无法获取Canvas 2D上下文');
+        }
+        
+        // 获取CSS容器的实际尺寸，确保画布像素尺寸与CSS尺寸一致
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+        
+        console.log('Canvas设置完成:', this.canvas);
+        console.log('CSS尺寸:', rect.width, 'x', rect.height);
+        console.log('画布像素尺寸:', this.canvas.width, 'x', this.canvas.height);
+    }
+
+    // 在窗口尺寸变化时保持画布像素与CSS尺寸一致，避免中心位移
+    resizeCanvas() {
+        if (!this.canvas || !this.ctx) return;
+        // 重新获取CSS容器尺寸，确保像素尺寸与CSS尺寸一致
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        console.log('画布尺寸已更新:', this.canvas.width, 'x', this.canvas.height);
+    }
+    
+    setupHeightChart() {
+        // 延迟初始化，确保DOM完全加载
+        setTimeout(() => {
+            this.heightChart = document.getElementById('heightChart');
+            if (!this.heightChart) {
+                console.error('高度图表Canvas元素未找到: heightChart');
+                return;
+            }
+            
+            this.heightChartCtx = this.heightChart.getContext('2d');
+            if (!this.heightChartCtx) {
+                console.error('无法获取高度图表Canvas 2D上下文');
+                return;
+            }
+            
+            // 初始化图表
+            this.drawHeightChart();
+            console.log('高度图表设置完成:', this.heightChart);
+        }, 100);
+    }
+    
+    setupEventListeners() {
+        console.log('开始设置事件监听器...');
+        
+        // 连接控制
+        const connectBtn = document.getElementById('connectBtn');
+        const disconnectBtn = document.getElementById('disconnectBtn');
+        
+        if (connectBtn) {
+            connectBtn.addEventListener('click', () => this.connect());
+            console.log('连接按钮事件监听器已设置');
+        } else {
+            console.error('连接按钮未找到');
+        }
+        
+        if (disconnectBtn) {
+            disconnectBtn.addEventListener('click', () => this.disconnect());
+            console.log('断开按钮事件监听器已设置');
+        } else {
+            console.error('断开按钮未找到');
+        }
+        
+        // 扫描控制
+        const startScanBtn = document.getElementById('startScanBtn');
+        const pauseScanBtn = document.getElementById('pauseScanBtn');
+        const singleScanBtn = document.getElementById('singleScanBtn');
+        
+        if (startScanBtn) {
+            startScanBtn.addEventListener('click', () => this.startScanning());
+            console.log('开始扫描按钮事件监听器已设置');
+        } else {
+            console.error('开始扫描按钮未找到');
+        }
+        
+        if (pauseScanBtn) {
+            pauseScanBtn.addEventListener('click', () => this.pauseScanning());
+            console.log('暂停扫描按钮事件监听器已设置');
+        } else {
+            console.error('暂停扫描按钮未找到');
+        }
+        
+        if (singleScanBtn) {
+            singleScanBtn.addEventListener('click', () => this.singleScan());
+            console.log('单次扫描按钮事件监听器已设置');
+        } else {
+            console.error('单次扫描按钮未找到');
+        }
+        
+        // 扫描参数
+        const applyScanParamsBtn = document.getElementById('applyScanParamsBtn');
+        const scanModeSelect = document.getElementById('scanMode');
+        
+        if (scanModeSelect) {
+            scanModeSelect.addEventListener('change', (e) => {
+                this.scanMode = e.target.value;
+                this.log(`连续扫描方式: ${this.scanMode === 'stream' ? 'MD/MS流式采集' : 'GD/GS轮询'}（下次开始扫描时生效）`, 'info');
+            });
+            console.log('扫描方式选择框事件监听器已设置');
+        } else {
+            console.error('扫描方式选择框未找到');
+        }
+        
+        if (applyScanParamsBtn) {
+            applyScanParamsBtn.addEventListener('click', () => this.applyScanParamsFromInputs());
+            console.log('应用扫描参数按钮事件监听器已设置');
+        } else {
+            console.error('应用扫描参数按钮未找到');
+        }
+        
+        // 录制与回放
+        const recordSessionBtn = document.getElementById('recordSessionBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        
+        if (recordSessionBtn) {
+            recordSessionBtn.addEventListener('click', () => this.toggleRecording());
+            console.log('录制按钮事件监听器已设置');
+        } else {
+            console.error('录制按钮未找到');
+        }
+        
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => this.startReplayFromFile());
+            console.log('回放按钮事件监听器已设置');
+        } else {
+            console.error('回放按钮未找到');
+        }
+        
+        // 树木检测
+        const detectTreesBtn = document.getElementById('detectTreesBtn');
+        const clearTreesBtn = document.getElementById('clearTreesBtn');
+        const debugBtn = document.getElementById('debugBtn');
+        const calibrateBtn = document.getElementById('calibrateBtn');
+        
+        if (detectTreesBtn) {
+            detectTreesBtn.addEventListener('click', () => this.detectTrees());
+            console.log('检测树木按钮事件监听器已设置');
+        } else {
+            console.error('检测树木按钮未找到');
+        }
+        
+        if (clearTreesBtn) {
+            clearTreesBtn.addEventListener('click', () => this.clearResults());
+            console.log('清除结果按钮事件监听器已设置');
+        } else {
+            console.error('清除结果按钮未找到');
+        }
+        
+        if (debugBtn) {
+            debugBtn.addEventListener('click', () => this.debugData());
+            console.log('调试数据按钮事件监听器已设置');
+        } else {
+            console.error('调试数据按钮未找到');
+        }
+        
+        const benchmarkBtn = document.getElementById('benchmarkBtn');
+        if (benchmarkBtn) {
+            benchmarkBtn.addEventListener('click', () => this.benchmarkDetection());
+            console.log('性能测试按钮事件监听器已设置');
+        } else {
+            console.error('性能测试按钮未找到');
+        }
+        
+        const liveDetectionBtn = document.getElementById('liveDetectionBtn');
+        if (liveDetectionBtn) {
+            liveDetectionBtn.addEventListener('click', () => this.setLiveDetection(!this.liveDetection));
+            console.log('实时检测按钮事件监听器已设置');
+        } else {
+            console.error('实时检测按钮未找到');
+        }
+        
+        // 背景模型
+        const learnBackgroundBtn = document.getElementById('learnBackgroundBtn');
+        const clearBackgroundBtn = document.getElementById('clearBackgroundBtn');
+        const detectionInputSelect = document.getElementById('detectionInput');
+        
+        if (learnBackgroundBtn) {
+            learnBackgroundBtn.addEventListener('click', () => {
+                const scansInput = document.getElementById('backgroundScans');
+                this.startBackgroundLearning(scansInput ? parseInt(scansInput.value) : undefined);
+            });
+            console.log('学习背景按钮事件监听器已设置');
+        } else {
+            console.error('学习背景按钮未找到');
+        }
+        
+        if (clearBackgroundBtn) {
+            clearBackgroundBtn.addEventListener('click', () => this.clearBackground());
+            console.log('清除背景按钮事件监听器已设置');
+        } else {
+            console.error('清除背景按钮未找到');
+        }
+        
+        if (detectionInputSelect) {
+            detectionInputSelect.addEventListener('change', (e) => {
+                this.foregroundOnlyDetection = e.target.value === 'foreground';
+                this.log(`检测输入: ${this.foregroundOnlyDetection ? '仅前景点（需要先学习背景）' : '全部有效点'}`, 'info');
+            });
+            console.log('检测输入选择框事件监听器已设置');
+        } else {
+            console.error('检测输入选择框未找到');
+        }
+        
+        if (calibrateBtn) {
+            calibrateBtn.addEventListener('click', () => this.calibrateDistance());
+            console.log('校准测试按钮事件监听器已设置');
+        } else {
+            console.error('校准测试按钮未找到');
+        }
+        
+        // 数据管理
+        const importBtn = document.getElementById('importBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        const exportTreesBtn = document.getElementById('exportTreesBtn');
+        
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.importData());
+            console.log('导入数据按钮事件监听器已设置');
+        } else {
+            console.error('导入数据按钮未找到');
+        }
+        
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportData());
+            console.log('导出数据按钮事件监听器已设置');
+        } else {
+            console.error('导出数据按钮未找到');
+        }
+        
+        if (exportTreesBtn) {
+            exportTreesBtn.addEventListener('click', () => this.exportTrees());
+            console.log('导出树木信息按钮事件监听器已设置');
+        } else {
+            console.error('导出树木信息按钮未找到');
+        }
+        
+        // 参数调整
+        const epsilonInput = document.getElementById('epsilon');
+        const minPtsInput = document.getElementById('minPts');
+        const minRadiusInput = document.getElementById('minRadius');
+        const maxRadiusInput = document.getElementById('maxRadius');
+        const minArcCoverageInput = document.getElementById('minArcCoverage');
+        const arcCoverageModeSelect = document.getElementById('arcCoverageMode');
+        const clusteringModeSelect = document.getElementById('clusteringMode');
+        const detectionAlgorithmSelect = document.getElementById('detectionAlgorithm');
+        
+        if (epsilonInput) {
+            epsilonInput.addEventListener('input', (e) => {
+                this.detectionParams.eps = parseInt(e.target.value);
+            });
+            console.log('聚类半径输入框事件监听器已设置');
+        } else {
+            console.error('聚类半径输入框未找到');
+        }
+        
+        if (minPtsInput) {
+            minPtsInput.addEventListener('input', (e) => {
+                this.detectionParams.minPoints = parseInt(e.target.value);
+            });
+            console.log('最小点数输入框事件监听器已设置');
+        } else {
+            console.error('最小点数输入框未找到');
+        }
+        
+        if (minRadiusInput) {
+            minRadiusInput.addEventListener('input', (e) => {
+                this.detectionParams.minRadius = parseInt(e.target.value);
+            });
+            console.log('最小半径输入框事件监听器已设置');
+        } else {
+            console.error('最小半径输入框未找到');
+        }
+        
+        if (maxRadiusInput) {
+            maxRadiusInput.addEventListener('input', (e) => {
+                this.detectionParams.maxRadius = parseInt(e.target.value);
+            });
+            console.log('最大半径输入框事件监听器已设置');
+        } else {
+            console.error('最大半径输入框未找到');
+        }
+        
+        if (minArcCoverageInput) {
+            minArcCoverageInput.value = this.detectionParams.minArcCoverage;
+            minArcCoverageInput.addEventListener('input', (e) => {
+                this.detectionParams.minArcCoverage = parseInt(e.target.value);
+            });
+            console.log('最小覆盖角输入框事件监听器已设置');
+        } else {
+            console.error('最小覆盖角输入框未找到');
+        }
+        
+        if (arcCoverageModeSelect) {
+            arcCoverageModeSelect.value = this.detectionParams.arcCoverageMode;
+            arcCoverageModeSelect.addEventListener('change', (e) => {
+                this.detectionParams.arcCoverageMode = e.target.value;
+            });
+            console.log('覆盖角处理方式选择框事件监听器已设置');
+        } else {
+            console.error('覆盖角处理方式选择框未找到');
+        }
+        
+        if (clusteringModeSelect) {
+            clusteringModeSelect.value = this.detectionParams.clusteringMode;
+            clusteringModeSelect.addEventListener('change', (e) => {
+                this.detectionParams.clusteringMode = e.target.value;
+                this.log(`聚类方式: ${e.target.value === 'adaptive' ? '自适应（随距离和角分辨率变化）' : `固定（${this.detectionParams.eps}mm）`}`, 'info');
+            });
+            console.log('聚类方式选择框事件监听器已设置');
+        } else {
+            console.error('聚类方式选择框未找到');
+        }
+        
+        if (detectionAlgorithmSelect) {
+            detectionAlgorithmSelect.value = this.detectionParams.algorithm;
+            detectionAlgorithmSelect.addEventListener('change', (e) => {
+                this.detectionParams.algorithm = e.target.value;
+                this.log(`检测算法: ${this.getAlgorithmName(e.target.value)}`, 'info');
+            });
+            console.log('检测算法选择框事件监听器已设置');
+        } else {
+            console.error('检测算法选择框未找到');
+        }
+        
+        // 视图控制 - 使用事件委托确保按钮点击能被捕获
+        const self = this; // 保存this引用
+        document.addEventListener('click', function(event) {
+            console.log('点击事件捕获:', event.target.id, event.target);
+            if (event.target.id === 'resetViewBtn') {
+                console.log('事件委托: 重置视图按钮被点击');
+                self.log('重置视图按钮被点击 (事件委托)', 'info');
+                self.resetView();
+            } else if (event.target.id === 'toggleGridBtn') {
+                console.log('事件委托: 网格按钮被点击');
+                self.log('网格按钮被点击 (事件委托)', 'info');
+                self.toggleGrid();
+            } else if (event.target.id === 'toggleLabelsBtn') {
+                console.log('事件委托: 标签按钮被点击');
+                self.log('标签按钮被点击 (事件委托)', 'info');
+                self.toggleLabels();
+            } else if (event.target.id === 'toggleIntensityBtn') {
+                console.log('事件委托: 强度着色按钮被点击');
+                self.toggleIntensityColor();
+            } else if (event.target.id === 'rotateViewBtn') {
+                console.log('事件委托: 旋转按钮被点击');
+                self.log('旋转按钮被点击 (事件委托)', 'info');
+                self.rotateView();
+            } else if (event.target.id === 'testBtn') {
+                console.log('事件委托: 测试按钮被点击');
+                self.log('测试按钮被点击 (事件委托)', 'info');
+                // 魔法粒子轻量反馈
+                try {
+                    const rect = event.target.getBoundingClientRect();
+                    const centerX = rect.left + rect.width / 2;
+                    const centerY = rect.top + rect.height / 2;
+                    for (let i = 0; i < 18; i++) {
+                        const particle = document.createElement('span');
+                        particle.style.position = 'fixed';
+                        particle.style.left = centerX + 'px';
+                        particle.style.top = centerY + 'px';
+                        particle.style.width = '6px';
+                        particle.style.height = '6px';
+                        particle.style.borderRadius = '50%';
+                        particle.style.pointerEvents = 'none';
+                        particle.style.background = i % 3 === 0 ? '#ffd700' : (i % 3 === 1 ? '#4ecdc4' : '#45b7d1');
+                        const angle = (Math.PI * 2 / 18) * i;
+                        const distance = 30 + Math.random() * 26;
+                        const dx = Math.cos(angle) * distance;
+                        const dy = Math.sin(angle) * distance;
+                        particle.style.transform = `translate(-50%, -50%)`;
+                        document.body.appendChild(particle);
+                        requestAnimationFrame(() => {
+                            particle.style.transition = 'transform 500ms ease-out, opacity 500ms ease-out';
+                            particle.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+                            particle.style.opacity = '0';
+                        });
+                        setTimeout(() => particle.remove(), 520);
+                    }
+                } catch (_) {}
+            }
+        });
+        
+        // 旋转按钮使用事件委托，不进行直接绑定
+        
+        // 画布交互
+        this.setupCanvasInteraction();
+        
+        // STP-23L传感器事件监听器
+        this.setupSTP23LEventListeners();
+        
+        // 窗口大小变化监听器
+        this.setupWindowResizeListener();
+    }
+    
+    /**
+     * 设置窗口大小变化监听器
+     */
+    setupWindowResizeListener() {
+        window.addEventListener('resize', () => {
+            // 延迟重绘，避免频繁调用
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                this.resizeCanvas();
+                if (this.heightChartCtx) {
+                    this.drawHeightChart(this.stp23lSensor.heightHistory);
+                }
+                if (this.ctx) {
+                    this.updateVisualization();
+                }
+            }, 100);
+        });
+    }
+    
+    /**
+     * 设置STP-23L传感器事件监听器
+     */
+    setupSTP23LEventListeners() {
+        // STP-23L连接控制
+        const stp23lConnectBtn = document.getElementById('stp23lConnectBtn');
+        const stp23lDisconnectBtn = document.getElementById('stp23lDisconnectBtn');
+        
+        if (stp23lConnectBtn) {
+            stp23lConnectBtn.addEventListener('click', () => this.stp23lSensor.connect());
+            console.log('STP-23L连接按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L连接按钮未找到');
+        }
+        
+        if (stp23lDisconnectBtn) {
+            stp23lDisconnectBtn.addEventListener('click', () => this.stp23lSensor.disconnect());
+            console.log('STP-23L断开按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L断开按钮未找到');
+        }
+        
+        // STP-23L测量控制
+        const stp23lStartBtn = document.getElementById('stp23lStartBtn');
+        const stp23lStopBtn = document.getElementById('stp23lStopBtn');
+        
+        if (stp23lStartBtn) {
+            stp23lStartBtn.addEventListener('click', () => this.stp23lSensor.startMeasuring());
+            console.log('STP-23L开始测量按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L开始测量按钮未找到');
+        }
+        
+        if (stp23lStopBtn) {
+            stp23lStopBtn.addEventListener('click', () => this.stp23lSensor.stopMeasuring());
+            console.log('STP-23L停止测量按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L停止测量按钮未找到');
+        }
+        
+        // STP-23L数据管理
+        const clearHeightBtn = document.getElementById('clearHeightBtn');
+        const heightFilterSelect = document.getElementById('heightFilter');
+        
+        if (clearHeightBtn) {
+            clearHeightBtn.addEventListener('click', () => this.stp23lSensor.clearHeightData());
+            console.log('STP-23L清除数据按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L清除数据按钮未找到');
+        }
+        
+        // 温漂补偿标定
+        const calibrateBtn = document.getElementById('stp23lCalibrateBtn');
+        const clearCompensationBtn = document.getElementById('clearCompensationBtn');
+        
+        if (calibrateBtn) {
+            calibrateBtn.addEventListener('click', () => {
+                if (this.stp23lSensor.calibration) {
+                    this.stp23lSensor.finishCalibration();
+                } else {
+                    const distanceInput = document.getElementById('calibrationDistance');
+                    this.stp23lSensor.startCalibration(distanceInput ? parseFloat(distanceInput.value) : NaN);
+                }
+            });
+            console.log('STP-23L温漂标定按钮事件监听器已设置');
+        } else {
+            console.error('STP-23L温漂标定按钮未找到');
+        }
+        
+        if (clearCompensationBtn) {
+            clearCompensationBtn.addEventListener('click', () => this.stp23lSensor.clearCompensation());
+            console.log('清除温漂补偿按钮事件监听器已设置');
+        } else {
+            console.error('清除温漂补偿按钮未找到');
+        }
+        
+        if (heightFilterSelect) {
+            heightFilterSelect.value = this.stp23lSensor.heightFilter.type;
+            heightFilterSelect.addEventListener('change', (e) => {
+                this.stp23lSensor.setFilterType(e.target.value);
+            });
+            console.log('STP-23L高度滤波选择框事件监听器已设置');
+        } else {
+            console.error('STP-23L高度滤波选择框未找到');
+        }
+        
+        // 高度报警规则
+        const alarmRulesInput = document.getElementById('heightAlarmRules');
+        const applyAlarmRulesBtn = document.getElementById('applyAlarmRulesBtn');
+        const setBaselineBtn = document.getElementById('setBaselineBtn');
+        
+        if (alarmRulesInput) {
+            this.loadAlarmRules();
+            alarmRulesInput.value = JSON.stringify(this.getAlarmRulesConfig(), null, 2);
+        } else {
+            console.error('高度报警规则输入框未找到');
+        }
+        
+        if (applyAlarmRulesBtn) {
+            applyAlarmRulesBtn.addEventListener('click', () => this.applyAlarmRulesFromInput());
+            console.log('应用报警规则按钮事件监听器已设置');
+        } else {
+            console.error('应用报警规则按钮未找到');
+        }
+        
+        if (setBaselineBtn) {
+            setBaselineBtn.addEventListener('click', () => {
+                if (!this.stp23lSensor.heightHistory.length) {
+                    this.log('还没有高度数据，无法设置基准', 'warning');
+                    return;
+                }
+                this.stp23lSensor.alarmEngine.setBaseline(this.stp23lSensor.currentHeight);
+                this.log(`基准高度已设为 ${Math.round(this.stp23lSensor.currentHeight)}mm`, 'info');
+            });
+            console.log('设置基准高度按钮事件监听器已设置');
+        } else {
+            console.error('设置基准高度按钮未找到');
+        }
+        
+        // 高度图表控制
+        const exportHeightBtn = document.getElementById('exportHeightBtn');
+        const resetHeightChartBtn = document.getElementById('resetHeightChartBtn');
+        
+        if (exportHeightBtn) {
+            exportHeightBtn.addEventListener('click', () => this.exportHeightData());
+            console.log('导出高度数据按钮事件监听器已设置');
+        } else {
+            console.error('导出高度数据按钮未找到');
+        }
+        
+        if (resetHeightChartBtn) {
+            resetHeightChartBtn.addEventListener('click', () => this.resetHeightChart());
+            console.log('重置高度图表按钮事件监听器已设置');
+        } else {
+            console.error('重置高度图表按钮未找到');
+        }
+        
+        // 添加测试数据按钮（仅用于调试）
+        const testHeightBtn = document.getElementById('testHeightBtn');
+        if (testHeightBtn) {
+            testHeightBtn.addEventListener('click', () => this.generateTestHeightData());
+            console.log('测试高度数据按钮事件监听器已设置');
+        }
+    }
+    
+    /**
+     * 连接激光雷达
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        try {
+            this.log('正在连接激光雷达...', 'info');
+            
+            if (!this.transport) {
+                this.transport = this.attachRecorder(this.createTransport());
+            }
+            
+            // 打开连接，启动串口会话和命令队列
+            await this.openSerialSession();
+            
+            this.log(`已打开 ${this.transport.description}，开始初始化激光雷达...`, 'info');
+            
+            // 初始化激光雷达
+            await this.initializeLidar();
+            
+            this.isConnected = true;
+            this.updateStatus('已连接', 'connected');
+            this.updateButtons();
+            this.log('激光雷达连接成功！', 'success');
+            
+            // 发送状态更新到WebSocket服务器
+            this.sendStatusUpdate();
+            
+        } catch (error) {
+            this.handleConnectionError(error);
+        }
+    }
+    
+    /**
+     * 处理连接错误
+     * @param {Error} error - 错误对象
+     */
+    handleConnectionError(error) {
+        this.log(`连接失败: ${error.message}`, 'error');
+        this.isConnected = false;
+        this.updateStatus('连接失败', 'disconnected');
+        this.updateButtons();
+        
+        // 清理资源
+        this.cleanup();
+    }
+    
+    /**
+     * 断开激光雷达连接
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        try {
+            this.log('正在断开连接...', 'info');
+            
+            // 取消进行中的自动恢复
+            this.isRecovering = false;
+            
+            // 停止流式采集并停止扫描
+            await this.stopStreaming({ restoreLaser: false });
+            this.stopScanning();
+            
+            // 发送关闭激光命令
+            await this.sendLaserOffCommand();
+            
+            // 关闭串口
+            await this.closeSerialPort();
+            
+            // 清理状态
+            this.cleanup();
+            
+            this.updateStatus('已断开', 'disconnected');
+            this.updateButtons();
+            this.updateVisualization();
+            this.log('激光雷达已断开连接', 'info');
+            
+        } catch (error) {
+            this.log(`断开连接失败: ${error.message}`, 'error');
+        }
     }
     
-    setupCanvas() {
-        this.canvas = document.getElementById('scanCanvas');
-        if (!this.canvas) {
-            console.error('Canvas元素未找到: scanCanvas');
-            throw new Error('Canvas元素未找到');
-        }
+    /**
+     * 停止扫描
+     */
+    stopScanning() {
+        this.isScanning = false;
         
-        this.ctx = this.canvas.getContext('2d');
-        if (!this.ctx) {
-            console.error('无法获取Canvas 2D上下文');
-            throw new Error('无法获取Canvas 2D上下文');
+        if (this.scanInterval) {
+            clearInterval(this.scanInterval);
+            this.scanInterval = null;
         }
         
-        // 获取CSS容器的实际尺寸，确保画布像素尺寸与CSS尺寸一致
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        
-        console.log('Canvas设置完成:', this.canvas);
-        console.log('CSS尺寸:', rect.width, 'x', rect.height);
-        console.log('画布像素尺寸:', this.canvas.width, 'x', this.canvas.height);
+        if (this.scanAnimationFrame) {
+            cancelAnimationFrame(this.scanAnimationFrame);
+            this.scanAnimationFrame = null;
+        }
     }
-
-    // 在窗口尺寸变化时保持画布像素与CSS尺寸一致，避免中心位移
-    resizeCanvas() {
-        if (!this.canvas || !this.ctx) return;
-        // 重新获取CSS容器尺寸，确保像素尺寸与CSS尺寸一致
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        console.log('画布尺寸已更新:', this.canvas.width, 'x', this.canvas.height);
+    
+    /**
+     * 发送关闭激光命令
+     * @returns {Promise<void>}
+     */
+    async sendLaserOffCommand() {
+        if (!this.scipQueue) return;
+        
+        try {
+            await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.LASER_OFF);
+            this.log('已发送QT命令关闭激光', 'info');
+        } catch (error) {
+            this.log('发送QT命令失败', 'warning');
+        }
     }
     
-    setupHeightChart() {
-        // 延迟初始化，确保DOM完全加载
-        setTimeout(() => {
-            this.heightChart = document.getElementById('heightChart');
-            if (!this.heightChart) {
-                console.error('高度图表Canvas元素未找到: heightChart');
-                return;
-            }
-            
-            this.heightChartCtx = this.heightChart.getContext('2d');
-            if (!this.heightChartCtx) {
-                console.error('无法获取高度图表Canvas 2D上下文');
-                return;
-            }
-            
-            // 初始化图表
-            this.drawHeightChart();
-            console.log('高度图表设置完成:', this.heightChart);
-        }, 100);
+    /**
+     * 关闭串口
+     * @returns {Promise<void>}
+     */
+    async closeSerialPort() {
+        // 会话关闭时一并关闭传输层
+        await this.closeSerialSession();
     }
     
-    setupEventListeners() {
-        console.log('开始设置事件监听器...');
-        
-        // 连接控制
-        const connectBtn = document.getElementById('connectBtn');
-        const disconnectBtn = document.getElementById('disconnectBtn');
-        
-        if (connectBtn) {
-            connectBtn.addEventListener('click', () => this.connect());
-            console.log('连接按钮事件监听器已设置');
-        } else {
-            console.error('连接按钮未找到');
-        }
+    /**
+     * 清理系统资源
+     */
+    cleanup() {
+        // 关闭串口会话
+        this.closeSerialSession();
         
-        if (disconnectBtn) {
-            disconnectBtn.addEventListener('click', () => this.disconnect());
-            console.log('断开按钮事件监听器已设置');
-        } else {
-            console.error('断开按钮未找到');
+        // 回放结束后恢复使用串口
+        if (this.replaying) {
+            this.transport = null;
+            this.replaying = false;
         }
         
-        // 扫描控制
-        const startScanBtn = document.getElementById('startScanBtn');
-        const pauseScanBtn = document.getElementById('pauseScanBtn');
-        const singleScanBtn = document.getElementById('singleScanBtn');
+        // 重置状态
+        this.isConnected = false;
+        this.scanData = [];
+        this.trees = [];
+        this.treeTracker.reset();
         
-        if (startScanBtn) {
-            startScanBtn.addEventListener('click', () => this.startScanning());
-            console.log('开始扫描按钮事件监听器已设置');
-        } else {
-            console.error('开始扫描按钮未找到');
+        // 发送状态更新到WebSocket服务器
+        this.sendStatusUpdate();
+    }
+    
+    /**
+     * 为传输层加上会话录制；回放的数据不再录制
+     * @param {Object|null} transport - 传输层
+     * @returns {Object|null}
+     */
+    attachRecorder(transport) {
+        if (!transport || !this.recorder || transport.isReplay) return transport;
+        return this.recorder.wrap(transport, 'lidar');
+    }
+    
+    /**
+     * 当前主机时间（Unix毫秒）；回放时为录制中的时间，时钟同步结果与现场一致
+     * @returns {number}
+     */
+    hostNow() {
+        if (this.transport && typeof this.transport.now === 'function') {
+            return this.transport.now();
         }
-        
-        if (pauseScanBtn) {
-            pauseScanBtn.addEventListener('click', () => this.pauseScanning());
-            console.log('暂停扫描按钮事件监听器已设置');
-        } else {
-            console.error('暂停扫描按钮未找到');
+        return performance.timeOrigin + performance.now();
+    }
+    
+    /**
+     * 开始或停止录制；停止时下载录制文件
+     */
+    toggleRecording() {
+        if (!this.recorder) {
+            this.log('当前环境不支持会话录制', 'warning');
+            return;
         }
         
-        if (singleScanBtn) {
-            singleScanBtn.addEventListener('click', () => this.singleScan());
-            console.log('单次扫描按钮事件监听器已设置');
+        if (this.recorder.isRecording) {
+            this.recorder.stop();
+            this.log(`录制已停止: ${this.recorder.recordCount} 条记录，${(this.recorder.byteCount / 1024).toFixed(1)}KB`, 'success');
+            this.downloadRecording();
         } else {
-            console.error('单次扫描按钮未找到');
+            this.recorder.start();
+            this.log('开始录制激光雷达和STP-23L的原始数据', 'info');
         }
+        this.updateButtons();
+    }
+    
+    /**
+     * 下载录制文件（JSON Lines）
+     */
+    downloadRecording() {
+        if (this.headless || this.recorder.sink) return;
         
-        // 树木检测
-        const detectTreesBtn = document.getElementById('detectTreesBtn');
-        const clearTreesBtn = document.getElementById('clearTreesBtn');
-        const debugBtn = document.getElementById('debugBtn');
-        const calibrateBtn = document.getElementById('calibrateBtn');
+        const blob = new Blob([this.recorder.toText()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `session_${new Date(this.recorder.startedAt).toISOString().slice(0, 19).replace(/:/g, '-')}.jsonl`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 从界面选择的录制文件开始回放
+     */
+    async startReplayFromFile() {
+        const fileInput = document.getElementById('replayFile');
+        const speedSelect = document.getElementById('replaySpeed');
+        const file = fileInput ? fileInput.files[0] : null;
         
-        if (detectTreesBtn) {
-            detectTreesBtn.addEventListener('click', () => this.detectTrees());
-            console.log('检测树木按钮事件监听器已设置');
-        } else {
-            console.error('检测树木按钮未找到');
+        if (!file) {
+            this.log('请选择要回放的录制文件', 'warning');
+            return;
         }
         
-        if (clearTreesBtn) {
-            clearTreesBtn.addEventListener('click', () => this.clearResults());
-            console.log('清除结果按钮事件监听器已设置');
-        } else {
-            console.error('清除结果按钮未找到');
+        try {
+            const session = SessionRecorder.parse(await file.text());
+            await this.replaySession(session, speedSelect ? parseFloat(speedSelect.value) : 1);
+        } catch (error) {
+            this.log(`回放失败: ${error.message}`, 'error');
         }
-        
-        if (debugBtn) {
-            debugBtn.addEventListener('click', () => this.debugData());
-            console.log('调试数据按钮事件监听器已设置');
-        } else {
-            console.error('调试数据按钮未找到');
+    }
+    
+    /**
+     * 用录制文件代替串口：激光雷达和STP-23L分别回放各自的通道，
+     * 解码、检测和时钟同步按录制时的数据和时间运行
+     * @param {Object} session - SessionRecorder.parse() 的结果
+     * @param {number} [speed=1] - 回放倍速，Infinity表示不等待
+     * @returns {Promise<void>}
+     */
+    async replaySession(session, speed = 1) {
+        const channels = new Set(session.records.map(record => record.ch));
+        this.log(`开始回放 ${new Date(session.header.startedAt).toLocaleString()} 的录制（${session.records.length} 条记录，` +
+            `${Number.isFinite(speed) ? `${speed}x` : '最快'}）`, 'info');
+        
+        if (channels.has('stp23l')) {
+            await this.stp23lSensor.startReplay(new ReplayTransport({
+                session,
+                channel: 'stp23l',
+                speed,
+                onFinish: () => {
+                    this.log('STP-23L回放结束', 'success');
+                    this.stp23lSensor.disconnect();
+                }
+            }));
         }
         
-        if (calibrateBtn) {
-            calibrateBtn.addEventListener('click', () => this.calibrateDistance());
-            console.log('校准测试按钮事件监听器已设置');
-        } else {
-            console.error('校准测试按钮未找到');
+        if (channels.has('lidar')) {
+            if (this.isConnected) {
+                await this.disconnect();
+            }
+            
+            this.transport = new ReplayTransport({
+                session,
+                channel: 'lidar',
+                speed,
+                onFinish: () => this.finishReplay()
+            });
+            this.replaying = true;
+            await this.connect();
+            if (this.isConnected) {
+                await this.startReplayScanning();
+            }
         }
-        
-        // 数据管理
-        const importBtn = document.getElementById('importBtn');
-        const exportBtn = document.getElementById('exportBtn');
-        const exportTreesBtn = document.getElementById('exportTreesBtn');
-        
-        if (importBtn) {
-            importBtn.addEventListener('click', () => this.importData());
-            console.log('导入数据按钮事件监听器已设置');
-        } else {
-            console.error('导入数据按钮未找到');
+    }
+    
+    /**
+     * 回放时按录制中的下一条测距命令设置扫描参数并开始扫描
+     * @returns {Promise<void>}
+     */
+    async startReplayScanning() {
+        const command = this.transport.findCommand(text => this.isSCIPDataCommand(text));
+        if (!command) {
+            this.log('录制中没有扫描命令', 'info');
+            return;
         }
         
-        if (exportBtn) {
-            exportBtn.addEventListener('click', () => this.exportData());
-            console.log('导出数据按钮事件监听器已设置');
-        } else {
-            console.error('导出数据按钮未找到');
-        }
+        // 流式命令对应的单次扫描编码
+        const singleEncodings = {
+            [LIDAR_CONSTANTS.COMMANDS.STREAM]: LIDAR_CONSTANTS.COMMANDS.SCAN,
+            [LIDAR_CONSTANTS.COMMANDS.STREAM_SHORT]: LIDAR_CONSTANTS.COMMANDS.SCAN_SHORT,
+            [LIDAR_CONSTANTS.COMMANDS.STREAM_INTENSITY]: LIDAR_CONSTANTS.COMMANDS.SCAN_INTENSITY
+        };
+        const type = command.substring(0, 2);
         
-        if (exportTreesBtn) {
-            exportTreesBtn.addEventListener('click', () => this.exportTrees());
-            console.log('导出树木信息按钮事件监听器已设置');
-        } else {
-            console.error('导出树木信息按钮未找到');
+        this.configureScan({
+            encoding: singleEncodings[type] || type,
+            startStep: parseInt(command.substring(2, 6), 10),
+            endStep: parseInt(command.substring(6, 10), 10),
+            clusterCount: parseInt(command.substring(10, 12), 10)
+        });
+        this.scanMode = singleEncodings[type] ? 'stream' : 'poll';
+        await this.startScanning();
+    }
+    
+    /**
+     * 激光雷达通道回放到末尾：停止扫描并断开
+     * @returns {Promise<void>}
+     */
+    async finishReplay() {
+        this.log('激光雷达回放结束', 'success');
+        this.isRecovering = false;
+        this.stopScanning();
+        this.endStream();
+        await this.closeSerialSession();
+        this.cleanup();
+        this.updateStatus('回放结束', 'disconnected');
+        this.updateButtons();
+    }
+    
+    /**
+     * 创建默认传输层（Web Serial）
+     * @returns {WebSerialTransport}
+     */
+    createTransport() {
+        if (typeof WebSerialTransport === 'undefined') {
+            throw new Error('未提供传输层，请通过 options.transport 传入');
         }
         
-        // 参数调整
-        const epsilonInput = document.getElementById('epsilon');
-        const minPtsInput = document.getElementById('minPts');
-        const minRadiusInput = document.getElementById('minRadius');
-        const maxRadiusInput = document.getElementById('maxRadius');
+        return new WebSerialTransport({
+            serialOptions: {
+                baudRate: LIDAR_CONSTANTS.BAUD_RATE,
+                dataBits: LIDAR_CONSTANTS.DATA_BITS,
+                stopBits: LIDAR_CONSTANTS.STOP_BITS,
+                parity: LIDAR_CONSTANTS.PARITY,
+                flowControl: LIDAR_CONSTANTS.FLOW_CONTROL
+            }
+        });
+    }
+    
+    /**
+     * 打开传输层，启动串口会话和SCIP命令队列
+     * @param {Object} [options]
+     * @param {boolean} [options.reopen=false] - 断开后重新打开之前使用的设备
+     * @returns {Promise<void>}
+     */
+    async openSerialSession({ reopen = false } = {}) {
+        this.serialSession = new SerialSession(this.transport, {
+            name: '激光雷达串口',
+            log: (message, type) => this.log(message, type),
+            onClose: (error) => this.handleSerialSessionClosed(error)
+        });
+        this.scipQueue = new SCIPCommandQueue(this.serialSession, {
+            extractFrame: (buffer) => this.extractSCIPFrame(buffer),
+            matchesEcho: (echo, command) => this.matchesSCIPEcho(echo, command)
+        }, {
+            log: (message, type) => this.log(message, type)
+        });
+        await this.serialSession.open({ reopen });
+    }
+    
+    /**
+     * 串口会话意外结束（如设备拔出）：结束未完成的命令和流式采集
+     * @param {Error|null} error - 读取异常，主动关闭时为null
+     */
+    handleSerialSessionClosed(error) {
+        if (!error) return;
         
-        if (epsilonInput) {
-            epsilonInput.addEventListener('input', (e) => {
-                this.detectionParams.eps = parseInt(e.target.value);
-            });
-            console.log('聚类半径输入框事件监听器已设置');
-        } else {
-            console.error('聚类半径输入框未找到');
+        this.log(`激光雷达串口会话中断: ${error.message}`, 'error');
+        if (this.scipQueue) {
+            this.scipQueue.close(error);
         }
-        
-        if (minPtsInput) {
-            minPtsInput.addEventListener('input', (e) => {
-                this.detectionParams.minPoints = parseInt(e.target.value);
-            });
-            console.log('最小点数输入框事件监听器已设置');
-        } else {
-            console.error('最小点数输入框未找到');
+        this.recoverConnection(`串口断开: ${error.message}`);
+    }
+    
+    /**
+     * 记录一次读取失败，连续失败达到阈值时自动重新连接
+     * @param {string} reason - 失败原因
+     */
+    recordReadFailure(reason) {
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= LIDAR_CONSTANTS.RECOVERY.MAX_CONSECUTIVE_FAILURES) {
+            this.recoverConnection(`连续 ${this.consecutiveFailures} 次读取失败（${reason}）`);
         }
+    }
+    
+    /**
+     * 自动恢复：重新打开之前授权的串口并重新初始化，恢复前在扫描则继续扫描
+     * @param {string} reason - 触发原因
+     * @returns {Promise<void>}
+     */
+    async recoverConnection(reason) {
+        if (this.isRecovering || !this.isConnected) return;
         
-        if (minRadiusInput) {
-            minRadiusInput.addEventListener('input', (e) => {
-                this.detectionParams.minRadius = parseInt(e.target.value);
-            });
-            console.log('最小半径输入框事件监听器已设置');
-        } else {
-            console.error('最小半径输入框未找到');
-        }
+        this.isRecovering = true;
+        const resumeScanning = this.isScanning;
+        const startedAt = Date.now();
+        this.log(`检测到激光雷达异常: ${reason}，开始自动恢复...`, 'warning');
         
-        if (maxRadiusInput) {
-            maxRadiusInput.addEventListener('input', (e) => {
-                this.detectionParams.maxRadius = parseInt(e.target.value);
-            });
-            console.log('最大半径输入框事件监听器已设置');
-        } else {
-            console.error('最大半径输入框未找到');
+        // 停止采集，避免恢复期间继续报错
+        this.isScanning = false;
+        if (this.scanInterval) {
+            clearInterval(this.scanInterval);
+            this.scanInterval = null;
         }
+        this.endStream();
+        this.updateStatus('正在恢复连接...', 'recovering');
+        this.updateButtons();
+        this.sendStatusUpdate({ device: 'lidar', state: 'started', reason, recoveryCount: this.recoveryCount });
         
-        // 视图控制 - 使用事件委托确保按钮点击能被捕获
-        const self = this; // 保存this引用
-        document.addEventListener('click', function(event) {
-            console.log('点击事件捕获:', event.target.id, event.target);
-            if (event.target.id === 'resetViewBtn') {
-                console.log('事件委托: 重置视图按钮被点击');
-                self.log('重置视图按钮被点击 (事件委托)', 'info');
-                self.resetView();
-            } else if (event.target.id === 'toggleGridBtn') {
-                console.log('事件委托: 网格按钮被点击');
-                self.log('网格按钮被点击 (事件委托)', 'info');
-                self.toggleGrid();
-            } else if (event.target.id === 'toggleLabelsBtn') {
-                console.log('事件委托: 标签按钮被点击');
-                self.log('标签按钮被点击 (事件委托)', 'info');
-                self.toggleLabels();
-            } else if (event.target.id === 'rotateViewBtn') {
-                console.log('事件委托: 旋转按钮被点击');
-                self.log('旋转按钮被点击 (事件委托)', 'info');
-                self.rotateView();
-            } else if (event.target.id === 'testBtn') {
-                console.log('事件委托: 测试按钮被点击');
-                self.log('测试按钮被点击 (事件委托)', 'info');
-                // 魔法粒子轻量反馈
-                try {
-                    const rect = event.target.getBoundingClientRect();
-                    const centerX = rect.left + rect.width / 2;
-                    const centerY = rect.top + rect.height / 2;
-                    for (let i = 0; i < 18; i++) {
-                        const particle = document.createElement('span');
-                        particle.style.position = 'fixed';
-                        particle.style.left = centerX + 'px';
-                        particle.style.top = centerY + 'px';
-                        particle.style.width = '6px';
-                        particle.style.height = '6px';
-                        particle.style.borderRadius = '50%';
-                        particle.style.pointerEvents = 'none';
-                        particle.style.background = i % 3 === 0 ? '#ffd700' : (i % 3 === 1 ? '#4ecdc4' : '#45b7d1');
-                        const angle = (Math.PI * 2 / 18) * i;
-                        const distance = 30 + Math.random() * 26;
-                        const dx = Math.cos(angle) * distance;
-                        const dy = Math.sin(angle) * distance;
-                        particle.style.transform = `translate(-50%, -50%)`;
-                        document.body.appendChild(particle);
-                        requestAnimationFrame(() => {
-                            particle.style.transition = 'transform 500ms ease-out, opacity 500ms ease-out';
-                            particle.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
-                            particle.style.opacity = '0';
-                        });
-                        setTimeout(() => particle.remove(), 520);
-                    }
-                } catch (_) {}
+        const { MAX_ATTEMPTS, RETRY_DELAY } = LIDAR_CONSTANTS.RECOVERY;
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS && this.isRecovering; attempt++) {
+            await this.closeSerialSession();
+            await this.delay(RETRY_DELAY);
+            if (!this.isRecovering) return;
+            
+            try {
+                await this.openSerialSession({ reopen: true });
+                await this.initializeLidar();
+                
+                this.isRecovering = false;
+                this.consecutiveFailures = 0;
+                this.recoveryCount++;
+                this.updateStatus('已连接', 'connected');
+                this.updateButtons();
+                this.log(`激光雷达已恢复连接（第 ${attempt} 次尝试，中断 ${((Date.now() - startedAt) / 1000).toFixed(1)}s）`, 'success');
+                this.sendStatusUpdate({
+                    device: 'lidar',
+                    state: 'recovered',
+                    reason,
+                    attempts: attempt,
+                    downtime: Date.now() - startedAt,
+                    recoveryCount: this.recoveryCount
+                });
+                
+                if (resumeScanning) {
+                    await this.startScanning();
+                }
+                return;
+            } catch (error) {
+                this.log(`第 ${attempt}/${MAX_ATTEMPTS} 次恢复失败: ${error.message}`, 'warning');
             }
-        });
-        
-        // 旋转按钮使用事件委托，不进行直接绑定
+        }
         
-        // 画布交互
-        this.setupCanvasInteraction();
+        // 恢复期间被手动断开
+        if (!this.isRecovering) return;
         
-        // STP-23L传感器事件监听器
-        this.setupSTP23LEventListeners();
+        this.isRecovering = false;
+        await this.closeSerialSession();
+        this.log('激光雷达自动恢复失败，请检查连接后手动重新连接', 'error');
+        this.cleanup();
+        this.updateStatus('连接失败', 'disconnected');
+        this.updateButtons();
+        this.sendStatusUpdate({ device: 'lidar', state: 'failed', reason, attempts: MAX_ATTEMPTS, recoveryCount: this.recoveryCount });
+    }
+    
+    /**
+     * 关闭串口会话，未完成的命令以异常结束
+     * @returns {Promise<void>}
+     */
+    async closeSerialSession() {
+        const session = this.serialSession;
+        const queue = this.scipQueue;
+        this.serialSession = null;
+        this.scipQueue = null;
         
-        // 窗口大小变化监听器
-        this.setupWindowResizeListener();
+        if (queue) {
+            queue.close();
+        }
+        if (session) {
+            await session.close();
+        }
     }
     
     /**
-     * 设置窗口大小变化监听器
+     * 初始化激光雷达
+     * @returns {Promise<void>}
      */
-    setupWindowResizeListener() {
-        window.addEventListener('resize', () => {
-            // 延迟重绘，避免频繁调用
-            clearTimeout(this.resizeTimeout);
-            this.resizeTimeout = setTimeout(() => {
-                this.resizeCanvas();
-                if (this.heightChartCtx) {
-                    this.drawHeightChart(this.stp23lSensor.heightHistory);
-                }
-                if (this.ctx) {
-                    this.updateVisualization();
+    async initializeLidar() {
+        if (!this.scipQueue) {
+            throw new Error('串口未连接');
+        }
+        
+        try {
+            // 初始化序列：SCIP2.0 -> VV -> PP -> II -> TM时钟同步 -> BM
+            const initSequence = [
+                { command: LIDAR_CONSTANTS.COMMANDS.SCIP, description: 'SCIP2.0协议切换' },
+                { command: LIDAR_CONSTANTS.COMMANDS.VERSION, description: '获取版本信息', isInfo: true },
+                { command: LIDAR_CONSTANTS.COMMANDS.PARAMETERS, description: '获取传感器参数', isInfo: true },
+                { command: LIDAR_CONSTANTS.COMMANDS.STATUS, description: '获取传感器状态', isInfo: true }
+            ];
+            
+            const deviceInfo = {};
+            for (const step of initSequence) {
+                const response = await this.sendCommand(step.command);
+                this.logResponse(response);
+                
+                if (step.isInfo) {
+                    try {
+                        Object.assign(deviceInfo, this.parseDeviceInfoResponse(response, step.command));
+                    } catch (error) {
+                        this.log(`${step.description}失败: ${error.message}`, 'warning');
+                        continue;
+                    }
                 }
-            }, 100);
+                this.log(`${step.description}完成`, 'info');
+            }
+            
+            // 用传感器上报的参数更新扫描几何
+            this.applyDeviceInfo(deviceInfo);
+            
+            // 重新连接后传感器可能已复位，丢弃之前的同步结果
+            this.sensorClock.reset();
+            await this.syncSensorClock({ restoreLaser: false });
+            
+            this.logResponse(await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.LASER_ON));
+            this.log('使能激光完成', 'info');
+            this.log('激光雷达初始化完成', 'success');
+            
+        } catch (error) {
+            this.log(`初始化失败: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+    
+    /**
+     * 解析VV/PP/II应答中的 "KEY:value;" 信息行
+     * @param {string} frame - 完整响应帧
+     * @param {string} command - 发出的命令
+     * @returns {Object} 按DEVICE_INFO_FIELDS映射后的字段
+     */
+    parseDeviceInfoResponse(frame, command) {
+        const response = this.parseSCIPResponse(frame, command);
+        if (response.status !== LIDAR_CONSTANTS.SCIP.STATUS_OK) {
+            throw new Error(`${command}返回错误状态 ${response.status}`);
+        }
+        
+        const info = {};
+        response.infoLines.forEach(line => {
+            // 校验和位于分号之后；不同固件对分号是否参与校验不一致，两种都接受
+            const separator = line.lastIndexOf(';');
+            const colon = line.indexOf(':');
+            if (separator === -1 || colon === -1 || colon > separator) {
+                throw new Error(`${command}信息行格式错误: "${line}"`);
+            }
+            const checksum = line.substring(separator + 1);
+            if (checksum.length === 1 &&
+                checksum !== this.computeSCIPChecksum(line.substring(0, separator)) &&
+                checksum !== this.computeSCIPChecksum(line.substring(0, separator + 1))) {
+                throw new Error(`${command}信息行校验和错误: "${line}"`);
+            }
+            
+            const field = LIDAR_CONSTANTS.DEVICE_INFO_FIELDS[line.substring(0, colon)];
+            if (!field) return;
+            
+            const value = line.substring(colon + 1, separator);
+            info[field.key] = field.numeric ? parseInt(value, 10) : value;
         });
+        
+        return info;
     }
     
     /**
-     * 设置STP-23L传感器事件监听器
+     * 应用传感器信息：更新几何参数、扫描参数和界面
+     * @param {Object} info - 解析得到的设备信息
      */
-    setupSTP23LEventListeners() {
-        // STP-23L连接控制
-        const stp23lConnectBtn = document.getElementById('stp23lConnectBtn');
-        const stp23lDisconnectBtn = document.getElementById('stp23lDisconnectBtn');
+    applyDeviceInfo(info) {
+        const isValid = (value) => Number.isFinite(value) && value >= 0;
+        const previous = { ...this.sensorGeometry };
         
-        if (stp23lConnectBtn) {
-            stp23lConnectBtn.addEventListener('click', () => this.stp23lSensor.connect());
-            console.log('STP-23L连接按钮事件监听器已设置');
-        } else {
-            console.error('STP-23L连接按钮未找到');
+        if (isValid(info.minStep) && isValid(info.maxStep) && info.maxStep > info.minStep) {
+            this.sensorGeometry.minStep = info.minStep;
+            this.sensorGeometry.maxStep = info.maxStep;
         }
-        
-        if (stp23lDisconnectBtn) {
-            stp23lDisconnectBtn.addEventListener('click', () => this.stp23lSensor.disconnect());
-            console.log('STP-23L断开按钮事件监听器已设置');
-        } else {
-            console.error('STP-23L断开按钮未找到');
+        if (isValid(info.frontStep)) this.sensorGeometry.frontStep = info.frontStep;
+        if (isValid(info.angularResolution) && info.angularResolution > 0) {
+            this.sensorGeometry.stepsPerRevolution = info.angularResolution;
+        }
+        if (isValid(info.minDistance)) this.sensorGeometry.minRange = info.minDistance;
+        if (isValid(info.maxDistance) && info.maxDistance > this.sensorGeometry.minRange) {
+            this.sensorGeometry.maxRange = info.maxDistance;
         }
         
-        // STP-23L测量控制
-        const stp23lStartBtn = document.getElementById('stp23lStartBtn');
-        const stp23lStopBtn = document.getElementById('stp23lStopBtn');
+        this.deviceInfo = {
+            ...info,
+            scanRate: isValid(info.scanSpeed) ? info.scanSpeed / 60 : null
+        };
         
-        if (stp23lStartBtn) {
-            stp23lStartBtn.addEventListener('click', () => this.stp23lSensor.startMeasuring());
-            console.log('STP-23L开始测量按钮事件监听器已设置');
-        } else {
-            console.error('STP-23L开始测量按钮未找到');
-        }
+        // 原先为全量程扇区时跟随新的全量程，否则把已配置扇区限制在新范围内
+        const wasFullSector = this.scanParams.startStep === previous.minStep && this.scanParams.endStep === previous.maxStep;
+        const clamp = (step) => Math.max(this.sensorGeometry.minStep, Math.min(this.sensorGeometry.maxStep, step));
+        const startStep = wasFullSector ? this.sensorGeometry.minStep : clamp(this.scanParams.startStep);
+        const endStep = wasFullSector ? this.sensorGeometry.maxStep : clamp(this.scanParams.endStep);
         
-        if (stp23lStopBtn) {
-            stp23lStopBtn.addEventListener('click', () => this.stp23lSensor.stopMeasuring());
-            console.log('STP-23L停止测量按钮事件监听器已设置');
-        } else {
-            console.error('STP-23L停止测量按钮未找到');
+        try {
+            this.configureScan({ startStep, endStep: Math.max(startStep, endStep) });
+        } catch (error) {
+            this.log(`按传感器参数更新扫描配置失败: ${error.message}`, 'warning');
         }
         
-        // STP-23L数据管理
-        const clearHeightBtn = document.getElementById('clearHeightBtn');
-        const heightThresholdInput = document.getElementById('heightThreshold');
+        this.log(`传感器: ${info.vendor || '未知厂商'} ${info.model || info.product || '未知型号'}，` +
+            `固件 ${info.firmware || '--'}，序列号 ${info.serial || '--'}`, 'info');
+        this.log(`传感器几何: 步 ${this.sensorGeometry.minStep}-${this.sensorGeometry.maxStep}，正前方 ${this.sensorGeometry.frontStep}，` +
+            `每圈 ${this.sensorGeometry.stepsPerRevolution} 步，量程 ${this.sensorGeometry.minRange}-${this.sensorGeometry.maxRange}mm`, 'info');
         
-        if (clearHeightBtn) {
-            clearHeightBtn.addEventListener('click', () => this.stp23lSensor.clearHeightData());
-            console.log('STP-23L清除数据按钮事件监听器已设置');
-        } else {
-            console.error('STP-23L清除数据按钮未找到');
-        }
+        this.updateDeviceInfoDisplay();
+        this.sendDeviceInfo();
+    }
+    
+    /**
+     * 更新系统介绍界面中的传感器信息
+     */
+    updateDeviceInfoDisplay() {
+        if (this.headless) return;
+        
+        const info = this.deviceInfo || {};
+        const geometry = this.sensorGeometry;
+        const clock = this.sensorClock.getState();
+        const fields = {
+            deviceVendor: info.vendor,
+            deviceModel: info.model || info.product,
+            deviceFirmware: info.firmware,
+            deviceSerial: info.serial,
+            deviceRange: `${geometry.minRange}mm - ${geometry.maxRange}mm`,
+            deviceAngle: `${this.stepToAngle(geometry.minStep).toFixed(1)}° ~ ${this.stepToAngle(geometry.maxStep).toFixed(1)}°` +
+                `（AMIN ${geometry.minStep} / AMAX ${geometry.maxStep} / AFRT ${geometry.frontStep} / ARES ${geometry.stepsPerRevolution}）`,
+            deviceScanRate: info.scanRate ? `${info.scanRate.toFixed(1)}Hz（${info.scanSpeed}rpm）` : null,
+            deviceState: info.state,
+            deviceClock: clock.synchronized ?
+                `已同步（往返 ${clock.roundTrip.toFixed(1)}ms，漂移 ${clock.driftPpm.toFixed(1)}ppm）` : '未同步，使用主机接收时间'
+        };
         
-        if (heightThresholdInput) {
-            heightThresholdInput.addEventListener('input', (e) => {
-                this.stp23lSensor.heightThreshold = parseInt(e.target.value);
-            });
-            console.log('STP-23L高度阈值输入框事件监听器已设置');
-        } else {
-            console.error('STP-23L高度阈值输入框未找到');
-        }
+        Object.entries(fields).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value || '--';
+            }
+        });
+    }
+    
+    /**
+     * 用TM0/TM1/TM2估计传感器时钟相对主机时钟的偏移和漂移
+     * 时间校准模式下传感器不接受测距命令，因此不能在流式采集过程中调用
+     * 同步失败时保留原有结果，扫描改用主机收到数据的时间
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreLaser=true] - 同步后是否重新发送BM
+     * @returns {Promise<boolean>} 是否同步成功
+     */
+    async syncSensorClock({ restoreLaser = true } = {}) {
+        const clock = this.sensorClock;
+        let best = null;
         
-        // 高度图表控制
-        const exportHeightBtn = document.getElementById('exportHeightBtn');
-        const resetHeightChartBtn = document.getElementById('resetHeightChartBtn');
+        try {
+            this.parseTimeResponse(await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.TIME_ADJUST_ON), LIDAR_CONSTANTS.COMMANDS.TIME_ADJUST_ON);
+            
+            for (let i = 0; i < LIDAR_CONSTANTS.CLOCK.SYNC_SAMPLES; i++) {
+                const hostSend = clock.now();
+                const response = await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.TIME_READ);
+                const hostReceive = clock.now();
+                const sensorTime = this.parseTimeResponse(response, LIDAR_CONSTANTS.COMMANDS.TIME_READ);
+                
+                // 往返时间最短的一次，主机时刻的不确定性最小
+                if (!best || hostReceive - hostSend < best.hostReceive - best.hostSend) {
+                    best = { sensorTime, hostSend, hostReceive };
+                }
+            }
+        } catch (error) {
+            this.log(`传感器时钟同步失败，采集时间改用主机接收时间: ${error.message}`, 'warning');
+        } finally {
+            // 无论成败都退出时间校准模式，否则后续测距命令会被拒绝
+            try {
+                await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.TIME_ADJUST_OFF);
+            } catch (error) {
+                this.log(`退出时间校准模式失败: ${error.message}`, 'warning');
+            }
+        }
         
-        if (exportHeightBtn) {
-            exportHeightBtn.addEventListener('click', () => this.exportHeightData());
-            console.log('导出高度数据按钮事件监听器已设置');
-        } else {
-            console.error('导出高度数据按钮未找到');
+        if (restoreLaser) {
+            try {
+                this.logResponse(await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.LASER_ON));
+            } catch (error) {
+                this.log(`重新使能激光失败: ${error.message}`, 'warning');
+            }
         }
         
-        if (resetHeightChartBtn) {
-            resetHeightChartBtn.addEventListener('click', () => this.resetHeightChart());
-            console.log('重置高度图表按钮事件监听器已设置');
-        } else {
-            console.error('重置高度图表按钮未找到');
+        if (!best) return false;
+        
+        clock.addSample(best.sensorTime, best.hostSend, best.hostReceive);
+        const state = clock.getState();
+        this.log(`传感器时钟已同步: 往返 ${state.roundTrip.toFixed(1)}ms，` +
+            `漂移 ${state.driftPpm.toFixed(1)}ppm（${state.samples} 个样本）`, 'success');
+        this.updateDeviceInfoDisplay();
+        return true;
+    }
+    
+    /**
+     * 解析TM命令应答
+     * @param {string} frame - 完整响应帧
+     * @param {string} command - TM0/TM1/TM2
+     * @returns {number|null} TM1返回的传感器时间，其余命令返回null
+     */
+    parseTimeResponse(frame, command) {
+        const response = this.parseSCIPResponse(frame, command);
+        if (response.status !== LIDAR_CONSTANTS.SCIP.STATUS_OK) {
+            throw new Error(`${command}返回错误状态 ${response.status}: ${this.describeSCIPStatus(response.status)}`);
         }
+        if (command !== LIDAR_CONSTANTS.COMMANDS.TIME_READ) return null;
         
-        // 添加测试数据按钮（仅用于调试）
-        const testHeightBtn = document.getElementById('testHeightBtn');
-        if (testHeightBtn) {
-            testHeightBtn.addEventListener('click', () => this.generateTestHeightData());
-            console.log('测试高度数据按钮事件监听器已设置');
+        const timeLine = response.infoLines[0] || '';
+        if (timeLine.length !== 5 || !this.verifySCIPLine(timeLine)) {
+            throw new Error(`TM1时间行校验失败: "${timeLine}"`);
         }
+        return this.decodeSCIP(timeLine.substring(0, 4));
     }
     
     /**
-     * 连接激光雷达
-     * @returns {Promise<void>}
+     * 距离上次同步是否已超过重新同步间隔
+     * @returns {boolean}
      */
-    async connect() {
-        try {
-            this.log('正在连接激光雷达...', 'info');
-            
-            // 请求串口访问权限
-            this.port = await navigator.serial.requestPort();
-            
-            // 打开串口，使用常量配置
-            await this.port.open({
-                baudRate: LIDAR_CONSTANTS.BAUD_RATE,
-                dataBits: LIDAR_CONSTANTS.DATA_BITS,
-                stopBits: LIDAR_CONSTANTS.STOP_BITS,
-                parity: LIDAR_CONSTANTS.PARITY,
-                flowControl: LIDAR_CONSTANTS.FLOW_CONTROL
-            });
-            
-            this.log('串口已打开，开始初始化激光雷达...', 'info');
-            
-            // 初始化激光雷达
-            await this.initializeLidar();
-            
-            this.isConnected = true;
-            this.updateStatus('已连接', 'connected');
-            this.updateButtons();
-            this.log('激光雷达连接成功！', 'success');
-            
-            // 发送状态更新到WebSocket服务器
-            this.sendStatusUpdate();
-            
-        } catch (error) {
-            this.handleConnectionError(error);
-        }
+    isClockResyncDue() {
+        const state = this.sensorClock.getState();
+        return state.lastSync !== null &&
+            this.sensorClock.now() - state.lastSync > LIDAR_CONSTANTS.CLOCK.RESYNC_INTERVAL;
     }
     
     /**
-     * 处理连接错误
-     * @param {Error} error - 错误对象
+     * 计算一帧扫描的采集时间
+     * @param {number|null} sensorTimestamp - 帧中的传感器时间戳
+     * @returns {{sensorTimestamp: number|null, acquiredAt: number, timeSource: string}}
      */
-    handleConnectionError(error) {
-        this.log(`连接失败: ${error.message}`, 'error');
-        this.isConnected = false;
-        this.updateStatus('连接失败', 'disconnected');
-        this.updateButtons();
-        
-        // 清理资源
-        this.cleanup();
+    computeScanTiming(sensorTimestamp) {
+        const hostTime = sensorTimestamp !== null ? this.sensorClock.toHostTime(sensorTimestamp) : null;
+        return {
+            sensorTimestamp,
+            acquiredAt: hostTime !== null ? hostTime : this.sensorClock.now(),
+            timeSource: hostTime !== null ? 'sensor' : 'host'
+        };
     }
     
     /**
-     * 断开激光雷达连接
-     * @returns {Promise<void>}
+     * 计算一帧扫描采集时刻的装置高度，用于把二维扫描放到实际高程上
+     * @param {{acquiredAt: number, timeSource: string}} timing - computeScanTiming 的结果
+     * @returns {Object|null} 见 STP23LSensor.heightAt，没有同期高度数据时为 null
      */
-    async disconnect() {
-        try {
-            this.log('正在断开连接...', 'info');
-            
-            // 停止扫描
-            this.stopScanning();
-            
-            // 发送关闭激光命令
-            await this.sendLaserOffCommand();
-            
-            // 关闭串口
-            await this.closeSerialPort();
-            
-            // 清理状态
-            this.cleanup();
-            
-            this.updateStatus('已断开', 'disconnected');
-            this.updateButtons();
-            this.updateVisualization();
-            this.log('激光雷达已断开连接', 'info');
-            
-        } catch (error) {
-            this.log(`断开连接失败: ${error.message}`, 'error');
+    computeScanHeight(timing) {
+        const roundTrip = this.sensorClock.getState().roundTrip;
+        const timeUncertainty = timing.timeSource === 'sensor' && roundTrip !== null ?
+            roundTrip / 2 : LIDAR_CONSTANTS.CLOCK.HOST_TIME_UNCERTAINTY;
+        return this.stp23lSensor.heightAt(timing.acquiredAt, { timeUncertainty });
+    }
+    
+    /**
+     * 记录一条SCIP应答
+     * @param {string} response - 应答帧
+     */
+    logResponse(response) {
+        if (response.trim()) {
+            this.log(`收到响应: ${response.trim().split(LIDAR_CONSTANTS.SCIP.LINE_FEED).join(' | ')}`, 'info');
         }
     }
     
     /**
-     * 停止扫描
+     * 经命令队列发送SCIP命令并等待应答
+     * @param {string} command - SCIP命令
+     * @param {number} [timeout] - 应答超时（ms）
+     * @returns {Promise<string>} 应答帧
      */
-    stopScanning() {
-        this.isScanning = false;
+    async sendCommand(command, timeout) {
+        if (!this.scipQueue) {
+            throw new Error('串口未连接');
+        }
+        
+        this.log(`发送命令: ${command}`, 'info');
+        return this.scipQueue.send(command, { timeout });
+    }
+    
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    /**
+     * 开始连续扫描
+     */
+    async startScanning() {
+        if (!this.isConnected) {
+            this.log('激光雷达未连接', 'warning');
+            return;
+        }
+        
+        this.isScanning = true;
+        this.updateButtons();
+        
+        if (this.scanMode === 'stream') {
+            this.log('开始连续扫描（MD/MS流式采集）...', 'info');
+            await this.startStreaming();
+            return;
+        }
+        
+        this.log('开始连续扫描...', 'info');
         
+        this.scanInterval = setInterval(async () => {
+            // 上一次扫描应答未到时跳过，避免命令在队列中堆积
+            if (!this.isScanning || this.pollPending) return;
+            
+            this.pollPending = true;
+            try {
+                if (this.isClockResyncDue()) {
+                    await this.syncSensorClock();
+                }
+                await this.performScan();
+            } finally {
+                this.pollPending = false;
+            }
+        }, LIDAR_CONSTANTS.DELAYS.SCAN_INTERVAL);
+    }
+    
+    async pauseScanning() {
+        this.isScanning = false;
         if (this.scanInterval) {
             clearInterval(this.scanInterval);
             this.scanInterval = null;
         }
+        await this.stopStreaming();
+        this.updateButtons();
+        this.log('扫描已暂停', 'info');
+    }
+    
+    async singleScan() {
+        if (!this.isConnected) return;
         
-        if (this.scanAnimationFrame) {
-            cancelAnimationFrame(this.scanAnimationFrame);
-            this.scanAnimationFrame = null;
-        }
+        this.log('执行单次扫描...', 'info');
+        await this.performScan();
     }
     
-    /**
-     * 发送关闭激光命令
-     * @returns {Promise<void>}
-     */
-    async sendLaserOffCommand() {
-        if (!this.port) return;
+    async performScan() {
+        if (!this.scipQueue) {
+            this.log('激光雷达未连接', 'error');
+            return;
+        }
+        
+        const startTime = performance.now();
         
         try {
-            const writer = this.port.writable.getWriter();
-            await this.sendCommand(writer, LIDAR_CONSTANTS.COMMANDS.LASER_OFF);
-            writer.releaseLock();
-            this.log('已发送QT命令关闭激光', 'info');
+            // 从真实激光雷达获取数据
+            this.log('开始执行扫描...', 'info');
+            const scanData = await this.getRealLidarData();
+            
+            this.applyScanResult(scanData, performance.now() - startTime);
+            
         } catch (error) {
-            this.log('发送QT命令失败', 'warning');
+            this.log(`扫描失败: ${error.message}`, 'error');
+            this.recordReadFailure(error.message);
         }
     }
     
     /**
-     * 关闭串口
-     * @returns {Promise<void>}
+     * 应用一帧扫描结果：更新显示、统计并同步到服务器
+     * @param {Array<Object>} scanData - 扫描点
+     * @param {number} scanTime - 本帧耗时（ms）
      */
-    async closeSerialPort() {
-        if (!this.port) return;
+    applyScanResult(scanData, scanTime) {
+        this.scanData = scanData;
+        this.lastScanTime = scanTime;
+        this.consecutiveFailures = 0;
+        this.updateScanRate();
+        this.updateBackground(scanData);
+        
+        this.log(`扫描完成，获得 ${scanData.length} 个数据点`, 'success');
+        
+        // 更新显示
+        this.updateVisualization();
+        this.updateStats(scanData, scanTime);
+        
+        // 更新按钮状态 - 修复bug：扫描完成后启用树木检测按钮
+        this.updateButtons();
+        
+        // 发送扫描数据到WebSocket服务器
+        this.sendScanData();
+        this.sendStatusUpdate();
         
+        if (this.liveDetection) {
+            this.runLiveDetection();
+        }
+    }
+    
+    /**
+     * 当前扫描线布局，背景模型按它判断是否仍然有效
+     */
+    getScanLayout(scanData = this.scanData) {
+        return {
+            startStep: this.scanParams.startStep,
+            endStep: this.scanParams.endStep,
+            clusterCount: this.scanParams.clusterCount,
+            beams: scanData.length
+        };
+    }
+    
+    /**
+     * 开始学习背景：之后的N帧扫描作为背景，期间视野内应没有移动物体
+     * @param {number} [scans] - 学习帧数
+     */
+    startBackgroundLearning(scans = BACKGROUND_CONSTANTS.DEFAULT_LEARNING_SCANS) {
         try {
-            await this.port.close();
-            this.port = null;
+            this.backgroundModel.startLearning(scans);
         } catch (error) {
-            this.log('关闭串口失败', 'warning');
+            this.log(`无法学习背景: ${error.message}`, 'error');
+            return;
         }
+        
+        this.backgroundResult = null;
+        this.log(`开始学习背景：${this.backgroundModel.targetScans} 帧，请保持视野内没有移动物体`, 'info');
+        this.updateBackgroundStatus();
+    }
+    
+    clearBackground() {
+        this.backgroundModel.clear();
+        this.backgroundResult = null;
+        this.scanData.forEach(point => {
+            delete point.foreground;
+        });
+        this.updateBackgroundStatus();
+        this.updateVisualization();
+        this.log('背景模型已清除', 'info');
     }
     
     /**
-     * 清理系统资源
+     * 用一帧扫描学习背景，或与背景比较并标记前景点（point.foreground）、发出变化事件
+     * @param {Array<Object>} scanData
      */
-    cleanup() {
-        // 释放读取器
-        if (this.reader) {
-            try {
-                this.reader.releaseLock();
-            } catch (e) {
-                // 忽略释放错误
+    updateBackground(scanData) {
+        const model = this.backgroundModel;
+        if (!model.learning && !model.ready) return;
+        
+        const layout = this.getScanLayout(scanData);
+        if (!model.matches(layout)) {
+            model.clear();
+            this.backgroundResult = null;
+            this.log('扫描范围或簇数已变化，背景模型失效，请重新学习背景', 'warning');
+            this.updateBackgroundStatus();
+            return;
+        }
+        
+        if (model.learning) {
+            if (model.addScan(scanData, layout)) {
+                this.log(`背景学习完成：${model.layout.beams} 条扫描线，其中 ${model.getEmptyBeamCount()} 条没有背景回波`, 'success');
             }
-            this.reader = null;
+            this.updateBackgroundStatus();
+            return;
         }
         
-        // 重置状态
-        this.isConnected = false;
-        this.scanData = [];
-        this.trees = [];
+        const result = model.classify(scanData);
+        scanData.forEach((point, i) => {
+            point.foreground = result.foreground[i] === 1;
+        });
+        this.backgroundResult = result;
+        this.updateBackgroundStatus();
         
-        // 发送状态更新到WebSocket服务器
-        this.sendStatusUpdate();
+        const event = model.detectChange(result, this.scanTiming ? this.scanTiming.acquiredAt : Date.now());
+        if (event) {
+            this.log(event.message, event.state === 'cleared' ? 'info' : 'warning');
+            this.sendChangeEvent(event);
+        }
+    }
+    
+    updateBackgroundStatus() {
+        if (this.headless) return;
+        
+        const statusElement = document.getElementById('backgroundStatus');
+        if (!statusElement) return;
+        
+        const model = this.backgroundModel;
+        if (model.learning) {
+            statusElement.textContent = `学习中 ${model.learnedScans}/${model.targetScans} 帧`;
+        } else if (model.ready) {
+            const result = this.backgroundResult;
+            statusElement.textContent = result ?
+                `已学习（${model.learnedScans} 帧） · 前景 ${result.foregroundPoints} 点 · 目标 ${result.objects.length} 个` :
+                `已学习（${model.learnedScans} 帧）`;
+        } else {
+            statusElement.textContent = '未学习';
+        }
     }
     
     /**
-     * 初始化激光雷达
-     * @returns {Promise<void>}
+     * 开关实时检测
+     * @param {boolean} enabled
      */
-    async initializeLidar() {
-        if (!this.port) {
-            throw new Error('串口未连接');
+    setLiveDetection(enabled) {
+        this.liveDetection = enabled;
+        this.lastDetectionFrameTime = null;
+        this.detectionRate = 0;
+        
+        if (enabled) {
+            this.skippedDetectionFrames = 0;
+            this.log('实时检测已开启：每帧扫描完成后自动检测', 'info');
+        } else {
+            this.log(`实时检测已关闭（检测未完成时共跳过 ${this.skippedDetectionFrames} 帧）`, 'info');
         }
         
-        try {
-            const writer = this.port.writable.getWriter();
-            
-            // 初始化序列：SCIP2.0 -> VV -> BM
-            const initSequence = [
-                { command: LIDAR_CONSTANTS.COMMANDS.SCIP, description: 'SCIP2.0协议切换' },
-                { command: LIDAR_CONSTANTS.COMMANDS.VERSION, description: '获取传感器信息' },
-                { command: LIDAR_CONSTANTS.COMMANDS.LASER_ON, description: '使能激光' }
-            ];
-            
-            for (const step of initSequence) {
-                await this.sendCommand(writer, step.command);
-                await this.delay(LIDAR_CONSTANTS.DELAYS.INIT_RESPONSE);
-                await this.readResponse();
-                this.log(`${step.description}完成`, 'info');
-            }
-            
-            writer.releaseLock();
-            this.log('激光雷达初始化完成', 'success');
-            
-        } catch (error) {
-            this.log(`初始化失败: ${error.message}`, 'error');
-            throw error;
+        this.updateDetectionRate(false);
+        this.updateButtons();
+    }
+    
+    /**
+     * 对当前帧执行实时检测；上一帧的检测仍在进行时跳过本帧，不取消进行中的检测
+     */
+    runLiveDetection() {
+        if (this.liveDetectionBusy) {
+            this.skippedDetectionFrames++;
+            return;
         }
+        
+        this.liveDetectionBusy = true;
+        this.detectTrees({ live: true }).finally(() => {
+            this.liveDetectionBusy = false;
+        });
     }
     
-    async readResponse() {
-        // 读取激光雷达的响应
-        try {
-            if (this.reader) {
-                try {
-                    this.reader.releaseLock();
-                } catch (e) {
-                    // 忽略释放错误
-                }
-                this.reader = null;
-            }
-            
-            this.reader = this.port.readable.getReader();
-            let response = '';
-            let attempts = 0;
-            const maxAttempts = 10;
-            
-            while (attempts < maxAttempts) {
-                const { value, done } = await this.reader.read();
-                if (done) break;
-                
-                const chunk = new TextDecoder().decode(value);
-                response += chunk;
-                
-                // 检查是否收到完整响应（通常以换行符结束）
-                if (response.includes('\n') || response.includes('\r')) {
-                    break;
-                }
-                
-                attempts++;
-                await this.delay(50);
-            }
-            
-            if (response.trim()) {
-                this.log(`收到响应: ${response.trim()}`, 'info');
-            }
-            
-            return response;
-            
-        } finally {
-            if (this.reader) {
-                try {
-                    this.reader.releaseLock();
-                } catch (e) {
-                    // 忽略释放错误
-                }
-                this.reader = null;
+    /**
+     * 更新实际检测频率（指数平滑），与扫描频率一起显示
+     * @param {boolean} [completed=true] - 是否刚完成一次检测；为 false 时只刷新显示
+     */
+    updateDetectionRate(completed = true) {
+        if (completed) {
+            const now = performance.now();
+            if (this.lastDetectionFrameTime !== null && now > this.lastDetectionFrameTime) {
+                const rate = 1000 / (now - this.lastDetectionFrameTime);
+                this.detectionRate = this.detectionRate > 0 ? this.detectionRate * 0.8 + rate * 0.2 : rate;
             }
+            this.lastDetectionFrameTime = now;
+        }
+        
+        if (this.headless) return;
+        
+        const detectionRateElement = document.getElementById('detectionRate');
+        if (detectionRateElement) {
+            detectionRateElement.textContent = this.detectionRate.toFixed(1);
+            detectionRateElement.title = `检测未完成时跳过 ${this.skippedDetectionFrames} 帧`;
         }
-    }
-
-    async sendCommand(writer, command) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(command + '\r');
-        await writer.write(data);
-        this.log(`发送命令: ${command}`, 'info');
     }
     
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * 更新实际扫描频率（指数平滑）
+     */
+    updateScanRate() {
+        const now = performance.now();
+        if (this.lastFrameTime !== null && now > this.lastFrameTime) {
+            const rate = 1000 / (now - this.lastFrameTime);
+            this.scanRate = this.scanRate > 0 ? this.scanRate * 0.8 + rate * 0.2 : rate;
+        }
+        this.lastFrameTime = now;
+        
+        if (this.headless) return;
+        
+        const scanRateElement = document.getElementById('scanRate');
+        if (scanRateElement) {
+            scanRateElement.textContent = this.scanRate.toFixed(1);
+        }
     }
     
     /**
-     * 开始连续扫描
+     * 发送MD/MS命令开始流式采集，之后的数据帧由命令队列按回显交给handleStreamFrame
+     * @param {number} [scanCount=0] - 扫描次数，0表示不限次数直到QT
      */
-    async startScanning() {
-        if (!this.isConnected) {
-            this.log('激光雷达未连接', 'warning');
-            return;
+    async startStreaming(scanCount = 0) {
+        const command = this.buildStreamCommand(this.scanParams, 0, scanCount);
+        
+        // 流式采集过程中无法发送TM命令，只在开始前按需重新同步
+        if (this.isClockResyncDue()) {
+            await this.syncSensorClock();
         }
         
-        this.isScanning = true;
-        this.updateButtons();
-        this.log('开始连续扫描...', 'info');
+        this.streamCommand = command;
+        this.streamRemaining = scanCount > 0 ? scanCount : null;
+        this.lastFrameTime = null;
+        this.scanRate = 0;
+        this.streamLoop = new Promise(resolve => {
+            this.resolveStreamLoop = resolve;
+        });
         
-        this.scanInterval = setInterval(async () => {
-            if (this.isScanning) {
-                await this.performScan();
+        // 先订阅再发送：应答和第一帧数据可能在同一次读取中到达
+        this.endStreamSubscription = this.scipQueue.subscribe(command, (frame) => {
+            if (this.handleStreamFrame(frame, command, scanCount)) {
+                this.endStream();
             }
-        }, LIDAR_CONSTANTS.DELAYS.SCAN_INTERVAL);
-    }
-    
-    pauseScanning() {
-        this.isScanning = false;
-        if (this.scanInterval) {
-            clearInterval(this.scanInterval);
-            this.scanInterval = null;
+        });
+        
+        try {
+            const response = this.parseSCIPResponse(await this.sendCommand(command), command);
+            if (response.status !== LIDAR_CONSTANTS.SCIP.STATUS_OK) {
+                throw new Error(`状态 ${response.status}: ${this.describeSCIPStatus(response.status, command)}`);
+            }
+            this.log(`传感器已接受流式扫描命令 ${command}`, 'info');
+        } catch (error) {
+            this.log(`流式扫描命令失败: ${error.message}`, 'error');
+            this.endStream();
+            return;
         }
-        this.updateButtons();
-        this.log('扫描已暂停', 'info');
-    }
-    
-    async singleScan() {
-        if (!this.isConnected) return;
         
-        this.log('执行单次扫描...', 'info');
-        await this.performScan();
+        // 传感器复位后数据流会静默停止，长时间没有数据帧时重新连接
+        const acceptedAt = performance.now();
+        const stallTimeout = LIDAR_CONSTANTS.RECOVERY.STREAM_STALL_TIMEOUT;
+        this.streamWatchdog = setInterval(() => {
+            const lastFrame = this.lastFrameTime !== null ? this.lastFrameTime : acceptedAt;
+            if (performance.now() - lastFrame > stallTimeout) {
+                this.recoverConnection(`流式数据中断超过 ${stallTimeout}ms`);
+            }
+        }, stallTimeout / 2);
     }
     
-    async performScan() {
-        if (!this.port) {
-            this.log('激光雷达未连接', 'error');
-            return;
+    /**
+     * 结束流式采集：取消订阅并复位状态
+     */
+    endStream() {
+        if (this.streamWatchdog) {
+            clearInterval(this.streamWatchdog);
+            this.streamWatchdog = null;
         }
+        if (!this.streamLoop) return;
         
-        const startTime = performance.now();
+        if (this.endStreamSubscription) {
+            this.endStreamSubscription();
+            this.endStreamSubscription = null;
+        }
+        this.streamCommand = null;
+        this.streamLoop = null;
+        this.resolveStreamLoop();
+        this.resolveStreamLoop = null;
         
-        try {
-            // 从真实激光雷达获取数据
-            this.log('开始执行扫描...', 'info');
-            const scanData = await this.getRealLidarData();
-            this.scanData = scanData;
-            
-            this.log(`扫描完成，获得 ${scanData.length} 个数据点`, 'success');
-            
-            // 更新显示
-            this.updateVisualization();
-            this.updateStats(scanData, performance.now() - startTime);
-            
-            // 更新按钮状态 - 修复bug：扫描完成后启用树木检测按钮
+        // 重新同步时钟期间的暂停不结束连续扫描
+        if (this.isScanning && !this.streamResyncing) {
+            this.isScanning = false;
             this.updateButtons();
-            
-            // 发送扫描数据到WebSocket服务器
-            this.sendScanData();
             this.sendStatusUpdate();
-            
-        } catch (error) {
-            this.log(`扫描失败: ${error.message}`, 'error');
         }
     }
     
     /**
-     * 获取真实激光雷达数据
-     * @returns {Promise<Array>} 扫描数据数组
+     * 处理流中的一帧
+     * @param {string} frame - 完整SCIP帧
+     * @param {string} command - MD/MS命令
+     * @param {number} scanCount - 请求的扫描次数
+     * @returns {boolean} 流是否已结束
      */
-    async getRealLidarData() {
-        if (!this.port) {
-            throw new Error('激光雷达未连接');
+    handleStreamFrame(frame, command, scanCount) {
+        let response;
+        try {
+            response = this.parseSCIPResponse(frame, command);
+        } catch (error) {
+            // 单帧损坏只丢弃该帧，不中断数据流
+            this.log(`丢弃损坏的数据帧: ${error.message}`, 'warning');
+            this.recordReadFailure(error.message);
+            return false;
         }
         
+        if (response.status !== LIDAR_CONSTANTS.SCIP.STATUS_STREAMING) {
+            this.log(`流式扫描被拒绝，状态 ${response.status}: ${this.describeSCIPStatus(response.status, command)}`, 'error');
+            return true;
+        }
+        
+        // 回显末两位为剩余扫描次数
+        this.streamRemaining = parseInt(response.echo.slice(-2), 10);
+        
+        const now = performance.now();
+        const frameInterval = this.lastFrameTime !== null ? now - this.lastFrameTime : 0;
+        
         try {
-            // 发送扫描命令
-            const writer = this.port.writable.getWriter();
-            await this.sendCommand(writer, LIDAR_CONSTANTS.COMMANDS.SCAN);
-            writer.releaseLock();
-            
-            this.log('已发送扫描命令，等待数据...', 'info');
-            
-            // 等待激光雷达响应
-            await this.delay(LIDAR_CONSTANTS.DELAYS.SCAN_RESPONSE);
-            
-            // 读取串口数据
-            const data = await this.readSerialData();
-            
-            // 验证数据包完整性
-            if (data.length < LIDAR_CONSTANTS.EXPECTED_DATA_SIZE) {
-                throw new Error(`数据包不完整，只收到 ${data.length} 字节，期望 ${LIDAR_CONSTANTS.EXPECTED_DATA_SIZE} 字节`);
-            }
-            
-            // 处理数据包（按照MATLAB逻辑）
-            return this.processLidarData(data);
-            
+            this.applyScanResult(this.decodeScanResponse(response), frameInterval);
         } catch (error) {
-            this.log(`获取激光雷达数据失败: ${error.message}`, 'error');
-            throw error;
+            this.log(`数据帧解码失败: ${error.message}`, 'warning');
+            this.recordReadFailure(error.message);
+        }
+        
+        if (scanCount > 0 && this.streamRemaining === 0) {
+            this.log(`已完成 ${scanCount} 次流式扫描`, 'success');
+            return true;
         }
+        
+        // 不限次数的流持续时间不定，按间隔暂停数据流重新同步，否则只有连接时的一个样本，估计不出漂移
+        if (scanCount === 0 && this.isClockResyncDue()) {
+            this.resyncStream();
+        }
+        
+        return false;
     }
     
     /**
-     * 读取串口数据
-     * @returns {Promise<string>} 原始数据字符串
+     * 流式采集中重新同步传感器时钟：QT停止数据流 → TM0/TM1/TM2 → BM → 重新发送MD/MS
+     * 数据流中断约为一次时钟同步的时间
+     * @returns {Promise<void>}
      */
-    async readSerialData() {
-        // 按照MATLAB逻辑：等待字节可用性 >= 2134
-        let proceed = false;
-        let data = '';
-        
-        // 确保之前的读取器被释放
-        this.releaseReader();
-        
-        // 获取新的读取器
-        this.reader = this.port.readable.getReader();
+    async resyncStream() {
+        if (this.streamResyncing || !this.streamLoop) return;
         
+        this.streamResyncing = true;
         try {
-            while (!proceed) {
-                // 检查是否有足够的数据可用（模拟MATLAB的BytesAvailable）
-                const { value, done } = await this.reader.read();
-                if (done) break;
-                
-                const chunk = new TextDecoder().decode(value);
-                data += chunk;
-                
-                this.log(`接收到数据块: ${chunk.length} 字节，总计: ${data.length} 字节`, 'info');
-                
-                // 检查是否收到完整数据包
-                if (data.length >= LIDAR_CONSTANTS.EXPECTED_DATA_SIZE) {
-                    this.log(`收到完整数据包: ${data.length} 字节`, 'success');
-                    proceed = true;
-                }
-                
-                // 防止无限循环
-                if (data.length > LIDAR_CONSTANTS.MAX_BUFFER_SIZE) {
-                    this.log('数据包过大，可能有问题', 'warning');
-                    break;
-                }
-            }
-            
-            return data;
+            this.log('流式采集暂停，重新同步传感器时钟...', 'info');
+            await this.stopStreaming({ restoreLaser: false });
+            if (!this.scipQueue) return;
+            await this.syncSensorClock();
             
-        } catch (error) {
-            this.log(`读取串口数据失败: ${error.message}`, 'error');
-            throw error;
+            // 同步期间扫描被暂停或连接已断开
+            if (!this.isScanning || !this.scipQueue) return;
+            await this.startStreaming();
         } finally {
-            // 释放读取器
-            this.releaseReader();
+            this.streamResyncing = false;
+        }
+        
+        if (!this.streamLoop && this.isScanning) {
+            // 重新开始数据流失败
+            this.isScanning = false;
+            this.updateButtons();
+            this.sendStatusUpdate();
         }
     }
     
     /**
-     * 释放读取器
+     * 停止流式采集：发送QT并等待其应答
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreLaser=true] - QT会关闭激光，是否重新发送BM以便单次扫描
+     * @returns {Promise<void>}
      */
-    releaseReader() {
-        if (this.reader) {
+    async stopStreaming({ restoreLaser = true } = {}) {
+        if (!this.streamLoop) return;
+        
+        try {
+            await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.LASER_OFF, LIDAR_CONSTANTS.DELAYS.STREAM_STOP);
+            this.log('传感器已停止流式采集', 'info');
+        } catch (error) {
+            this.log(`停止流式采集失败: ${error.message}`, 'warning');
+        }
+        this.endStream();
+        
+        if (restoreLaser && this.scipQueue) {
             try {
-                this.reader.releaseLock();
-            } catch (e) {
-                // 忽略释放错误，但记录警告
-                if (e.message !== 'Releasing Default reader') {
-                    this.log(`释放读取器警告: ${e.message}`, 'warning');
-                }
+                this.logResponse(await this.sendCommand(LIDAR_CONSTANTS.COMMANDS.LASER_ON));
+            } catch (error) {
+                this.log(`重新使能激光失败: ${error.message}`, 'warning');
             }
-            this.reader = null;
         }
     }
     
+    /**
+     * 获取真实激光雷达数据
+     * @returns {Promise<Array>} 扫描数据数组
+     */
+    async getRealLidarData() {
+        if (!this.scipQueue) {
+            throw new Error('激光雷达未连接');
+        }
+        
+        try {
+            // 发送扫描命令，命令队列按回显返回对应的完整SCIP响应
+            const data = await this.sendCommand(this.scanCommand, LIDAR_CONSTANTS.DELAYS.SCAN_TIMEOUT);
+            this.log(`收到完整数据帧: ${data.length} 字节`, 'success');
+            
+            // 解析并校验数据帧
+            return this.processLidarData(data, this.scanCommand);
+            
+        } catch (error) {
+            this.log(`获取激光雷达数据失败: ${error.message}`, 'error');
+            throw error;
+        }
+    }
     
     /**
      * 处理激光雷达数据
      * @param {string} rawData - 原始数据字符串
+     * @param {string} command - 发出的扫描命令，用于校验回显
      * @returns {Array} 处理后的扫描数据
      */
-    processLidarData(rawData) {
+    processLidarData(rawData, command) {
         try {
-            this.log(`开始处理数据包，长度: ${rawData.length}`, 'info');
-            
-            // 验证数据长度
-            if (rawData.length < LIDAR_CONSTANTS.EXPECTED_DATA_SIZE) {
-                throw new Error(`数据包长度不足: ${rawData.length} < ${LIDAR_CONSTANTS.EXPECTED_DATA_SIZE}`);
-            }
-            
-            // 按照MATLAB的LidarScan.m逻辑处理数据
-            const data = rawData.substring(0, LIDAR_CONSTANTS.EXPECTED_DATA_SIZE);
+            this.log(`开始处理数据帧，长度: ${rawData.length}`, 'info');
             
-            // 查找数据开始位置（对应MATLAB的 i=find(data==data(13))）
-            const startChar = data[12]; // data(13)对应索引12
-            this.log(`起始字符: '${startChar}' (ASCII: ${startChar.charCodeAt(0)})`, 'info');
+            // 按SCIP 2.0协议解析：回显、状态、时间戳、逐块校验
+            const response = this.parseSCIPResponse(rawData, command);
             
-            const startIndices = this.findStartIndices(data, startChar);
-            this.log(`找到 ${startIndices.length} 个起始标识符，位置: [${startIndices.join(', ')}]`, 'info');
-            
-            if (startIndices.length < 3) {
-                throw new Error(`数据格式错误：只找到 ${startIndices.length} 个起始标识符，期望至少3个`);
+            if (response.status !== LIDAR_CONSTANTS.SCIP.STATUS_OK) {
+                throw new Error(`传感器返回错误状态 ${response.status}: ${this.describeSCIPStatus(response.status, response.echo)}`);
             }
             
-            // 提取和重组距离数据
-            const rangedata = data.substring(startIndices[2] + 1, data.length - 1);
-            const onlyrangedata = this.reorganizeRangeData(rangedata);
-            
-            // 转换为编码距离数据
-            const encodeddist = this.encodeDistanceData(onlyrangedata);
-            
-            // 解码距离数据
-            const ranges = this.decodeDistanceData(encodeddist);
-            
-            // 统计距离数据
-            this.logDistanceStats(ranges);
-            
-            // 转换为坐标
-            const scanData = this.convertToCoordinates(ranges);
-            
-            this.log(`成功处理 ${scanData.length} 个扫描点`, 'success');
-            return scanData;
+            return this.decodeScanResponse(response);
             
         } catch (error) {
             this.log(`数据处理失败: ${error.message}`, 'error');
@@ -1490,72 +4777,211 @@ class LidarSystem {
     }
     
     /**
-     * 查找起始标识符位置
-     * @param {string} data - 数据字符串
-     * @param {string} startChar - 起始字符
-     * @returns {Array<number>} 起始位置数组
+     * 将已校验的数据帧解码为扫描点
+     * @param {Object} response - parseSCIPResponse的结果
+     * @returns {Array} 扫描数据
      */
-    findStartIndices(data, startChar) {
-        const startIndices = [];
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] === startChar) {
-                startIndices.push(i);
+    decodeScanResponse(response) {
+        this.log(`数据帧校验通过: ${response.blockCount} 个数据块，时间戳 ${response.timestamp}ms`, 'info');
+        
+        // 解码距离数据（GD/MD/GE/ME为3字符编码，GS/MS为2字符编码）
+        const encoding = response.echo.substring(0, 2);
+        const charsPerValue = LIDAR_CONSTANTS.SCIP.CHARS_PER_VALUE[encoding];
+        let ranges = this.decodeDistanceData(response.data, charsPerValue);
+        let intensities = null;
+        
+        // GE/ME的数据为距离、强度交替排列
+        if (this.isIntensityCommand(encoding)) {
+            if (ranges.length !== this.scanParams.numPoints * 2) {
+                throw new Error(`距离/强度值数量不符: 收到 ${ranges.length} 个，期望 ${this.scanParams.numPoints * 2} 个`);
             }
+            const values = ranges;
+            ranges = values.filter((value, index) => index % 2 === 0);
+            intensities = values.filter((value, index) => index % 2 === 1);
         }
-        return startIndices;
+        
+        if (ranges.length !== this.scanParams.numPoints) {
+            throw new Error(`距离值数量不符: 收到 ${ranges.length} 个，期望 ${this.scanParams.numPoints} 个`);
+        }
+        
+        // 统计距离数据
+        this.logDistanceStats(ranges);
+        
+        // 采集时间：传感器时间戳按同步结果换算为主机时间
+        this.scanTiming = this.computeScanTiming(response.timestamp);
+        this.scanHeight = this.computeScanHeight(this.scanTiming);
+        
+        // 转换为坐标
+        const scanData = this.convertToCoordinates(ranges, intensities);
+        
+        this.log(`成功处理 ${scanData.length} 个扫描点`, 'success');
+        return scanData;
     }
     
     /**
-     * 重新组织距离数据
-     * @param {string} rangedata - 原始距离数据
-     * @returns {string} 重组后的距离数据
+     * 解析SCIP 2.0响应帧
+     * 帧格式: 回显行 / 状态行(2字符+校验和) / [时间戳行(4字符+校验和)] / 数据行(≤64字符+校验和)... / 空行
+     * @param {string} frame - 完整响应帧
+     * @param {string} [expectedCommand] - 期望的命令回显
+     * @returns {{echo: string, status: string, timestamp: number|null, data: string, blockCount: number, infoLines: Array<string>}}
      */
-    reorganizeRangeData(rangedata) {
-        this.log(`提取距离数据长度: ${rangedata.length}`, 'info');
+    parseSCIPResponse(frame, expectedCommand) {
+        const lines = frame.replace(/\r\n?/g, LIDAR_CONSTANTS.SCIP.LINE_FEED).split(LIDAR_CONSTANTS.SCIP.LINE_FEED);
         
-        let onlyrangedata = '';
-        for (let j = 0; j < 32; j++) {
-            const start = 1 + (66 * j);
-            const end = 64 + (66 * j);
-            if (end <= rangedata.length) {
-                onlyrangedata += rangedata.substring(start, end);
-            }
+        // 去掉帧尾空行
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        
+        if (lines.length < 2) {
+            throw new Error(`SCIP响应不完整: 仅有 ${lines.length} 行`);
+        }
+        
+        // 校验命令回显
+        const echo = lines[0];
+        if (expectedCommand && !this.matchesSCIPEcho(echo, expectedCommand)) {
+            throw new Error(`SCIP回显不匹配: 期望 ${expectedCommand}，收到 ${echo}`);
         }
         
-        this.log(`重新组织后数据长度: ${onlyrangedata.length}`, 'info');
-        return onlyrangedata;
+        // 解析状态行
+        const statusLine = lines[1];
+        if (statusLine.length < 2) {
+            throw new Error(`SCIP状态行格式错误: "${statusLine}"`);
+        }
+        const status = statusLine.substring(0, 2);
+        if (statusLine.length > 2 && !this.verifySCIPLine(statusLine)) {
+            throw new Error(`SCIP状态行校验和错误: "${statusLine}"`);
+        }
+        
+        // 非数据命令或错误状态没有时间戳和数据
+        const isDataResponse = this.isSCIPDataCommand(echo) &&
+            (status === LIDAR_CONSTANTS.SCIP.STATUS_OK || status === LIDAR_CONSTANTS.SCIP.STATUS_STREAMING);
+        if (!isDataResponse || lines.length < 3) {
+            return { echo, status, timestamp: null, data: '', blockCount: 0, infoLines: lines.slice(2) };
+        }
+        
+        // 解析时间戳行
+        const timestampLine = lines[2];
+        if (timestampLine.length !== 5 || !this.verifySCIPLine(timestampLine)) {
+            throw new Error(`SCIP时间戳行校验失败: "${timestampLine}"`);
+        }
+        const timestamp = this.decodeSCIP(timestampLine.substring(0, 4));
+        
+        // 逐块校验数据行
+        let data = '';
+        const dataLines = lines.slice(3);
+        dataLines.forEach((line, block) => {
+            if (line.length < 2 || line.length > LIDAR_CONSTANTS.SCIP.DATA_LINE_LENGTH + 1) {
+                throw new Error(`SCIP数据块 ${block + 1}/${dataLines.length} 长度异常: ${line.length} 字符`);
+            }
+            if (!this.verifySCIPLine(line)) {
+                throw new Error(`SCIP数据块 ${block + 1}/${dataLines.length} 校验和错误: 期望 '${this.computeSCIPChecksum(line.slice(0, -1))}'，收到 '${line.slice(-1)}'`);
+            }
+            data += line.slice(0, -1);
+        });
+        
+        return { echo, status, timestamp, data, blockCount: dataLines.length, infoLines: [] };
     }
     
     /**
-     * 编码距离数据
-     * @param {string} onlyrangedata - 重组后的距离数据
-     * @returns {Array<Array<string>>} 编码后的距离数据
+     * 校验命令回显；连续扫描命令（MD/MS等）回显的末两位是剩余扫描次数，不参与比较
+     * @param {string} echo - 回显行
+     * @param {string} command - 发出的命令
+     * @returns {boolean}
      */
-    encodeDistanceData(onlyrangedata) {
-        const encodeddist = [];
-        for (let i = 0; i < Math.floor(onlyrangedata.length / 3); i++) {
-            const start = i * 3;
-            encodeddist.push([
-                onlyrangedata[start],
-                onlyrangedata[start + 1],
-                onlyrangedata[start + 2]
-            ]);
+    matchesSCIPEcho(echo, command) {
+        if (/^[MN][DSE]/.test(command)) {
+            return echo.length === command.length && echo.slice(0, -2) === command.slice(0, -2);
         }
+        return echo === command;
+    }
+    
+    /**
+     * 从缓冲区中取出第一个完整的SCIP帧（以空行结束），兼容以CR作为行结束符的设备
+     * @param {string} buffer - 接收缓冲区
+     * @returns {{frame: string, rest: string}|null} 帧与剩余数据；帧不完整时返回null
+     */
+    extractSCIPFrame(buffer) {
+        // 末尾为CR时等待下一个字符，避免把跨块的CRLF当成两个换行
+        if (buffer.endsWith('\r')) return null;
         
-        this.log(`编码距离数据组数: ${encodeddist.length}`, 'info');
-        return encodeddist;
+        const normalized = buffer.replace(/\r\n?/g, LIDAR_CONSTANTS.SCIP.LINE_FEED);
+        const frameEnd = normalized.indexOf(LIDAR_CONSTANTS.SCIP.FRAME_END);
+        if (frameEnd === -1) return null;
+        
+        const end = frameEnd + LIDAR_CONSTANTS.SCIP.FRAME_END.length;
+        return { frame: normalized.substring(0, end), rest: normalized.substring(end) };
+    }
+    
+    /**
+     * 判断命令是否为返回测距数据的命令（GD/GS/MD/MS等）
+     * @param {string} command - 命令或回显
+     * @returns {boolean}
+     */
+    isSCIPDataCommand(command) {
+        return /^[GMHN][DSE]/.test(command);
+    }
+    
+    /**
+     * 判断命令是否同时返回反射强度（GE/ME）
+     * @param {string} command - 命令或回显
+     * @returns {boolean}
+     */
+    isIntensityCommand(command) {
+        return LIDAR_CONSTANTS.SCIP.INTENSITY_COMMANDS.includes(command.substring(0, 2));
+    }
+    
+    /**
+     * 计算SCIP校验和：数据字节累加后取低6位再加0x30
+     * @param {string} text - 参与校验的字符
+     * @returns {string} 校验字符
+     */
+    computeSCIPChecksum(text) {
+        let sum = 0;
+        for (let i = 0; i < text.length; i++) {
+            sum += text.charCodeAt(i);
+        }
+        return String.fromCharCode((sum & 0x3F) + 0x30);
+    }
+    
+    /**
+     * 校验以校验和字符结尾的SCIP行
+     * @param {string} line - 含校验和的行
+     * @returns {boolean}
+     */
+    verifySCIPLine(line) {
+        return this.computeSCIPChecksum(line.slice(0, -1)) === line.slice(-1);
+    }
+    
+    /**
+     * 获取SCIP状态码说明
+     * @param {string} status - 两字符状态码
+     * @param {string} [command] - 出错的命令
+     * @returns {string}
+     */
+    describeSCIPStatus(status, command) {
+        const message = LIDAR_CONSTANTS.STATUS_MESSAGES[status] || `未知错误代码 ${status}`;
+        // URG-04LX-UG01等型号不支持反射强度输出
+        if (command && this.isIntensityCommand(command)) {
+            return `${message}（该型号可能不支持反射强度命令，请改用GD/GS编码）`;
+        }
+        return message;
     }
     
     /**
      * 解码距离数据
-     * @param {Array<Array<string>>} encodeddist - 编码后的距离数据
+     * @param {string} data - 去除校验和后拼接的数据字符串
+     * @param {number} charsPerValue - 每个距离值的编码字符数
      * @returns {Array<number>} 解码后的距离数组
      */
-    decodeDistanceData(encodeddist) {
+    decodeDistanceData(data, charsPerValue) {
+        if (data.length % charsPerValue !== 0) {
+            throw new Error(`数据长度 ${data.length} 不是 ${charsPerValue} 的整数倍`);
+        }
+        
         const ranges = [];
-        for (let k = 0; k < encodeddist.length; k++) {
-            const distance = this.decodeSCIP(encodeddist[k]);
-            ranges.push(distance);
+        for (let k = 0; k < data.length; k += charsPerValue) {
+            ranges.push(this.decodeSCIP(data.substring(k, k + charsPerValue)));
         }
         return ranges;
     }
@@ -1565,7 +4991,7 @@ class LidarSystem {
      * @param {Array<number>} ranges - 距离数组
      */
     logDistanceStats(ranges) {
-        const validRanges = ranges.filter(r => r > 0 && r < LIDAR_CONSTANTS.MAX_RANGE);
+        const validRanges = ranges.filter(r => r > 0 && r < this.scanParams.maxRange);
         const avgDistance = validRanges.length > 0 ? validRanges.reduce((a, b) => a + b, 0) / validRanges.length : 0;
         this.log(`解码完成: ${ranges.length} 个距离值，有效值: ${validRanges.length}，平均距离: ${Math.round(avgDistance)}mm`, 'info');
     }
@@ -1573,76 +4999,210 @@ class LidarSystem {
     /**
      * 转换为坐标
      * @param {Array<number>} ranges - 距离数组
+     * @param {Array<number>|null} [intensities] - 反射强度数组，与距离一一对应
      * @returns {Array<Object>} 扫描数据数组
      */
-    convertToCoordinates(ranges) {
+    convertToCoordinates(ranges, intensities = null) {
         const scanData = [];
         
         for (let i = 0; i < ranges.length; i++) {
-            // 计算角度：完全按照MATLAB逻辑
-            // MATLAB: min_angle=(-120:240/682:120-240/682)*pi/180;
-            const angle = (LIDAR_CONSTANTS.START_ANGLE + (240 * i) / LIDAR_CONSTANTS.TOTAL_POINTS) * Math.PI / 180;
+            // 按实际请求的起始步和簇数计算每个点的角度
+            const angle = this.indexToAngle(i) * Math.PI / 180;
             const distance = ranges[i];
-            
-            scanData.push({
+            const point = {
                 angle: angle,
                 distance: distance,
                 x: distance * Math.cos(angle),
                 y: distance * Math.sin(angle)
-            });
+            };
+            
+            if (intensities) {
+                point.intensity = intensities[i];
+            }
+            
+            scanData.push(point);
         }
         
         return scanData;
     }
     
-    decodeSCIP(rangeenc) {
-        // 完全按照MATLAB的decodeSCIP.m逻辑
-        if (rangeenc[0] === '0' && rangeenc[1] === '0' && rangeenc[2] === '0') {
-            return 0;
+    /**
+     * 配置扫描扇区、步进与簇数
+     * 可以用步号或角度指定扇区，角度会换算到最近的步号
+     * @param {Object} options - 扫描配置
+     * @param {number} [options.startStep] - 起始步
+     * @param {number} [options.endStep] - 结束步
+     * @param {number} [options.startAngle] - 起始角度（度），未给出起始步时使用
+     * @param {number} [options.endAngle] - 结束角度（度），未给出结束步时使用
+     * @param {number} [options.clusterCount] - 簇数，相邻步合并为一个点
+     * @param {string} [options.encoding] - 'GD'（3字符编码）、'GS'（2字符编码）或 'GE'（距离+反射强度）
+     * @returns {Object} 更新后的扫描参数
+     */
+    configureScan(options = {}) {
+        // 流中的数据帧按开始时的几何编码，不能中途更改
+        if (this.streamCommand) {
+            throw new Error('流式采集进行中，请先暂停扫描');
+        }
+        
+        const pick = (stepKey, angleKey) => {
+            if (options[stepKey] !== undefined) return Math.round(options[stepKey]);
+            if (options[angleKey] !== undefined) return this.angleToStep(options[angleKey]);
+            return this.scanParams[stepKey];
+        };
+        
+        const config = {
+            startStep: pick('startStep', 'startAngle'),
+            endStep: pick('endStep', 'endAngle'),
+            clusterCount: options.clusterCount !== undefined ? Math.round(options.clusterCount) : this.scanParams.clusterCount,
+            encoding: options.encoding || this.scanParams.encoding
+        };
+        
+        if (!Number.isFinite(config.startStep) || !Number.isFinite(config.endStep) ||
+            config.startStep < this.sensorGeometry.minStep || config.endStep > this.sensorGeometry.maxStep) {
+            throw new Error(`扫描步范围无效: ${config.startStep}-${config.endStep}，允许 ${this.sensorGeometry.minStep}-${this.sensorGeometry.maxStep}`);
+        }
+        if (config.endStep < config.startStep) {
+            throw new Error(`结束步 ${config.endStep} 小于起始步 ${config.startStep}`);
+        }
+        if (!(config.clusterCount >= 1 && config.clusterCount <= LIDAR_CONSTANTS.MAX_CLUSTER_COUNT)) {
+            throw new Error(`簇数无效: ${config.clusterCount}，允许 1-${LIDAR_CONSTANTS.MAX_CLUSTER_COUNT}`);
+        }
+        if (!LIDAR_CONSTANTS.SCIP.CHARS_PER_VALUE[config.encoding]) {
+            throw new Error(`不支持的扫描编码: ${config.encoding}`);
+        }
+        
+        Object.assign(this.scanParams, config, this.computeScanGeometry(config));
+        this.scanCommand = this.buildScanCommand(this.scanParams);
+        this.currentScanAngle = this.scanParams.startAngle;
+        
+        this.log(`扫描参数已更新: ${this.scanParams.startAngle.toFixed(1)}° ~ ${this.scanParams.endAngle.toFixed(1)}°，` +
+            `簇数 ${this.scanParams.clusterCount}，${this.scanParams.numPoints} 个点，命令 ${this.scanCommand}`, 'success');
+        
+        return { ...this.scanParams };
+    }
+    
+    /**
+     * 从界面输入框读取并应用扫描参数
+     */
+    applyScanParamsFromInputs() {
+        const readNumber = (id) => {
+            const input = document.getElementById(id);
+            return input && input.value !== '' ? parseFloat(input.value) : undefined;
+        };
+        const encodingSelect = document.getElementById('scanEncoding');
+        
+        try {
+            this.configureScan({
+                startAngle: readNumber('scanStartAngle'),
+                endAngle: readNumber('scanEndAngle'),
+                clusterCount: readNumber('scanClusterCount'),
+                encoding: encodingSelect ? encodingSelect.value : undefined
+            });
+            this.updateVisualization();
+        } catch (error) {
+            this.log(`扫描参数无效: ${error.message}`, 'error');
         }
+    }
+    
+    /**
+     * 根据步进配置计算扫描几何
+     * @param {Object} config - 含startStep/endStep/clusterCount/encoding
+     * @returns {Object} 起止角度、点数、角分辨率与最大量程
+     */
+    computeScanGeometry(config) {
+        const stepAngle = 360 / this.sensorGeometry.stepsPerRevolution;
+        const geometry = {
+            startAngle: this.stepToAngle(config.startStep),
+            endAngle: this.stepToAngle(config.endStep),
+            numPoints: Math.ceil((config.endStep - config.startStep + 1) / config.clusterCount),
+            angularStep: stepAngle * config.clusterCount
+        };
         
-        if (rangeenc[0] === '0') {
-            // 2字符编码
-            const dig1 = ((rangeenc[1].charCodeAt(0) - '!'.charCodeAt(0)) + 33);
-            const dig2 = ((rangeenc[2].charCodeAt(0) - '!'.charCodeAt(0)) + 33);
-            const dig1sub = dig1 - 48;
-            const dig2sub = dig2 - 48;
-            const dig1bin = dig1sub.toString(2).padStart(6, '0');
-            const dig2bin = dig2sub.toString(2).padStart(6, '0');
-            const result = parseInt(dig1bin + dig2bin, 2);
-            
-            // 调试信息
-            if (Math.random() < 0.01) { // 1%的概率输出调试信息
-                this.log(`2字符解码: [${rangeenc.join('')}] -> dig1=${dig1sub}, dig2=${dig2sub} -> ${result}mm`, 'info');
-            }
-            
-            return result;
-        } else {
-            // 3字符编码
-            const dig1 = ((rangeenc[0].charCodeAt(0) - '!'.charCodeAt(0)) + 33);
-            const dig2 = ((rangeenc[1].charCodeAt(0) - '!'.charCodeAt(0)) + 33);
-            const dig3 = ((rangeenc[2].charCodeAt(0) - '!'.charCodeAt(0)) + 33);
-            const dig1sub = dig1 - 48;
-            const dig2sub = dig2 - 48;
-            const dig3sub = dig3 - 48;
-            const dig1bin = dig1sub.toString(2).padStart(6, '0');
-            const dig2bin = dig2sub.toString(2).padStart(6, '0');
-            const dig3bin = dig3sub.toString(2).padStart(6, '0');
-            const result = parseInt(dig1bin + dig2bin + dig3bin, 2);
-            
-            // 调试信息
-            if (Math.random() < 0.01) { // 1%的概率输出调试信息
-                this.log(`3字符解码: [${rangeenc.join('')}] -> dig1=${dig1sub}, dig2=${dig2sub}, dig3=${dig3sub} -> ${result}mm`, 'info');
-            }
-            
-            return result;
+        // GS命令2字符编码，最大只能表示4095mm
+        const encodingLimit = Math.pow(64, LIDAR_CONSTANTS.SCIP.CHARS_PER_VALUE[config.encoding]) - 1;
+        geometry.maxRange = Math.min(this.sensorGeometry.maxRange, encodingLimit);
+        geometry.minRange = this.sensorGeometry.minRange;
+        
+        return geometry;
+    }
+    
+    /**
+     * 生成扫描命令，如 GD0044072500
+     * @param {Object} config - 含startStep/endStep/clusterCount/encoding
+     * @returns {string} SCIP命令
+     */
+    buildScanCommand(config) {
+        const pad = (value, width) => String(value).padStart(width, '0');
+        return `${config.encoding}${pad(config.startStep, 4)}${pad(config.endStep, 4)}${pad(config.clusterCount, 2)}`;
+    }
+    
+    /**
+     * 生成连续扫描命令，如 MD0044072501000
+     * @param {Object} config - 含startStep/endStep/clusterCount/encoding
+     * @param {number} [scanInterval=0] - 每两次输出之间跳过的扫描数
+     * @param {number} [scanCount=0] - 扫描次数，0表示不限次数
+     * @returns {string} SCIP命令
+     */
+    buildStreamCommand(config, scanInterval = 0, scanCount = 0) {
+        const streamEncodings = {
+            [LIDAR_CONSTANTS.COMMANDS.SCAN_SHORT]: LIDAR_CONSTANTS.COMMANDS.STREAM_SHORT,
+            [LIDAR_CONSTANTS.COMMANDS.SCAN_INTENSITY]: LIDAR_CONSTANTS.COMMANDS.STREAM_INTENSITY
+        };
+        const streamEncoding = streamEncodings[config.encoding] || LIDAR_CONSTANTS.COMMANDS.STREAM;
+        const command = this.buildScanCommand({ ...config, encoding: streamEncoding });
+        return `${command}${Math.min(9, scanInterval)}${String(Math.min(99, scanCount)).padStart(2, '0')}`;
+    }
+    
+    /**
+     * 步号转角度（度），正前方为0°
+     * @param {number} step - 步号
+     * @returns {number} 角度
+     */
+    stepToAngle(step) {
+        return (step - this.sensorGeometry.frontStep) * 360 / this.sensorGeometry.stepsPerRevolution;
+    }
+    
+    /**
+     * 角度（度）转最近的步号
+     * @param {number} angle - 角度
+     * @returns {number} 步号
+     */
+    angleToStep(angle) {
+        const step = Math.round(angle * this.sensorGeometry.stepsPerRevolution / 360) + this.sensorGeometry.frontStep;
+        return Math.max(this.sensorGeometry.minStep, Math.min(this.sensorGeometry.maxStep, step));
+    }
+    
+    /**
+     * 数据点序号转角度（度），取该簇覆盖步的中心
+     * @param {number} index - 数据点序号
+     * @returns {number} 角度
+     */
+    indexToAngle(index) {
+        const { startStep, endStep, clusterCount } = this.scanParams;
+        const first = startStep + index * clusterCount;
+        const last = Math.min(first + clusterCount - 1, endStep);
+        return this.stepToAngle((first + last) / 2);
+    }
+    
+    /**
+     * SCIP字符解码：每个字符减去0x30得到6位，按高位在前拼接
+     * @param {string} encoded - 2/3/4字符编码
+     * @returns {number} 解码值
+     */
+    decodeSCIP(encoded) {
+        let value = 0;
+        for (let i = 0; i < encoded.length; i++) {
+            value = (value << 6) | ((encoded.charCodeAt(i) - 0x30) & 0x3F);
         }
+        return value;
     }
     
     /**
      * 更新可视化显示
      */
     updateVisualization() {
+        if (this.headless) return;
+        
         // 完全重置Canvas状态
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -1773,6 +5333,23 @@ class LidarSystem {
         this.log(`标签显示: ${this.viewSettings.showLabels ? '开启' : '关闭'}`, 'success');
     }
     
+    /**
+     * 切换按反射强度着色
+     */
+    toggleIntensityColor() {
+        this.viewSettings.colorByIntensity = !this.viewSettings.colorByIntensity;
+        const btn = document.getElementById('toggleIntensityBtn');
+        if (btn) {
+            btn.classList.toggle('active', this.viewSettings.colorByIntensity);
+        }
+        this.updateVisualization();
+        
+        if (this.viewSettings.colorByIntensity && !this.scanData.some(point => point.intensity !== undefined)) {
+            this.log('当前数据没有反射强度，请将编码切换为GE后重新扫描', 'warning');
+        }
+        this.log(`按反射强度着色: ${this.viewSettings.colorByIntensity ? '开启' : '关闭'}`, 'success');
+    }
+    
     /**
      * 旋转视图90度
      */
@@ -1858,6 +5435,8 @@ class LidarSystem {
      * 更新扫描信息显示
      */
     updateScanInfo() {
+        if (this.headless) return;
+        
         const currentAngleElement = document.getElementById('currentAngle');
         const scanProgressElement = document.getElementById('scanProgress');
         
@@ -1866,8 +5445,8 @@ class LidarSystem {
         }
         
         if (scanProgressElement) {
-            const progress = ((this.currentScanAngle - LIDAR_CONSTANTS.START_ANGLE) / 
-                            (LIDAR_CONSTANTS.END_ANGLE - LIDAR_CONSTANTS.START_ANGLE)) * 100;
+            const span = this.scanParams.endAngle - this.scanParams.startAngle;
+            const progress = span > 0 ? ((this.currentScanAngle - this.scanParams.startAngle) / span) * 100 : 100;
             scanProgressElement.textContent = `${Math.max(0, Math.min(100, progress)).toFixed(1)}%`;
         }
     }
@@ -2082,19 +5661,18 @@ class LidarSystem {
     }
 
     /**
-     * 绘制扫描范围（240度扫描区域和阴影）
+     * 绘制扫描范围（当前配置的扫描扇区和阴影）
      */
     drawScanRange(maxRange, scale) {
-        // 使用真实的扫描范围：-120°到120°（240度）
-        // 盲区在下方：120°到-120°（经过下方，120度范围）
-        const startAngle = LIDAR_CONSTANTS.START_ANGLE * Math.PI / 180;  // -120度
-        const endAngle = LIDAR_CONSTANTS.END_ANGLE * Math.PI / 180;      // 120度
-        const scanRange = endAngle - startAngle;  // 240度
+        // 使用当前配置的扫描扇区；画布Y轴向下，世界角度θ对应画布角度-θ
+        const startAngle = -this.scanParams.endAngle * Math.PI / 180;
+        const endAngle = -this.scanParams.startAngle * Math.PI / 180;
+        const scanSpan = Math.round(this.scanParams.endAngle - this.scanParams.startAngle);
         
-        // 1. 绘制扫描不到的区域的阴影（下方盲区）- 清新橙色
+        // 1. 绘制扫描不到的区域的阴影（盲区）- 清新橙色
         this.ctx.fillStyle = 'rgba(255, 152, 0, 0.2)';
         
-        // 绘制下方阴影区域（120度到-120度，经过下方）
+        // 绘制扫描扇区以外的阴影区域
         this.ctx.beginPath();
         this.ctx.moveTo(0, 0);
         this.ctx.arc(0, 0, maxRange * scale, endAngle, startAngle + 2 * Math.PI);
@@ -2115,7 +5693,7 @@ class LidarSystem {
         this.ctx.strokeStyle = 'rgba(0, 172, 193, 0.7)';
         this.ctx.lineWidth = scanArcLineWidth * 0.8;
         
-        // 左边界射线（-120度）
+        // 起始边界射线
         this.ctx.beginPath();
         this.ctx.moveTo(0, 0);
         this.ctx.lineTo(
@@ -2124,7 +5702,7 @@ class LidarSystem {
         );
         this.ctx.stroke();
         
-        // 右边界射线（120度）
+        // 结束边界射线
         this.ctx.beginPath();
         this.ctx.moveTo(0, 0);
         this.ctx.lineTo(
@@ -2140,21 +5718,21 @@ class LidarSystem {
             this.ctx.font = `${fontSize}px Arial`;
             this.ctx.textAlign = 'center';
             
-            // 在扫描范围中心显示"240°扫描范围"（上方）
+            // 在扫描范围中心显示扫描角度
             const centerAngle = (startAngle + endAngle) / 2;
             const labelRadius = maxRange * scale * 0.7;
             const labelX = Math.cos(centerAngle) * labelRadius;
             const labelY = Math.sin(centerAngle) * labelRadius;
             
-            this.ctx.fillText('240°扫描范围', labelX, labelY);
+            this.ctx.fillText(`${scanSpan}°扫描范围`, labelX, labelY);
             
-            // 在下方阴影区域显示"盲区"
-            const blindAngle = Math.PI; // 正下方（180度）
+            // 在扫描扇区正对面的阴影区域显示"盲区"
+            const blindAngle = centerAngle + Math.PI;
             
             this.ctx.fillStyle = 'rgba(255, 152, 0, 0.95)';
             this.ctx.font = `${fontSize}px Arial`; // 固定字体大小
             
-            // 下方盲区标签
+            // 盲区标签
             const blindLabelX = Math.cos(blindAngle) * labelRadius * 0.6;
             const blindLabelY = Math.sin(blindAngle) * labelRadius * 0.6;
             this.ctx.fillText('盲区', blindLabelX, blindLabelY);
@@ -2228,19 +5806,68 @@ class LidarSystem {
         this.ctx.fillStyle = '#00acc1';
         this.ctx.globalAlpha = 0.9;
         
+        // 按反射强度着色时，用本帧强度的最小/最大值归一化
+        const intensityRange = this.viewSettings.colorByIntensity ? this.getIntensityRange() : null;
+        
         for (let i = 0; i < this.scanData.length; i += pointStep) {
             const point = this.scanData[i];
             const x = point.x * scale;
             const y = -point.y * scale; // 翻转Y轴
             
+            if (intensityRange && point.intensity !== undefined) {
+                this.ctx.fillStyle = this.intensityToColor(point.intensity, intensityRange);
+            }
+            
             this.ctx.beginPath();
             this.ctx.arc(x, y, pointSize, 0, 2 * Math.PI);
             this.ctx.fill();
         }
         
+        // 前景点（与背景不同）全部绘制并用红色放大显示
+        if (this.backgroundResult && this.backgroundResult.foregroundPoints > 0) {
+            this.ctx.fillStyle = '#e53935';
+            this.scanData.forEach(point => {
+                if (!point.foreground) return;
+                
+                this.ctx.beginPath();
+                this.ctx.arc(point.x * scale, -point.y * scale, pointSize * 2, 0, 2 * Math.PI);
+                this.ctx.fill();
+            });
+        }
+        
         this.ctx.globalAlpha = 1.0; // 重置透明度
     }
     
+    /**
+     * 计算当前扫描中有效点的反射强度范围
+     * @returns {{min: number, max: number}|null} 没有强度数据时返回null
+     */
+    getIntensityRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        
+        this.scanData.forEach(point => {
+            if (point.intensity === undefined || point.distance < this.scanParams.minRange) return;
+            min = Math.min(min, point.intensity);
+            max = Math.max(max, point.intensity);
+        });
+        
+        return min <= max ? { min, max } : null;
+    }
+    
+    /**
+     * 反射强度映射为颜色：低强度为蓝色，高强度为红色
+     * @param {number} intensity - 反射强度
+     * @param {{min: number, max: number}} range - 强度范围
+     * @returns {string} CSS颜色
+     */
+    intensityToColor(intensity, range) {
+        const span = range.max - range.min;
+        const ratio = span > 0 ? Math.min(1, Math.max(0, (intensity - range.min) / span)) : 0.5;
+        const hue = Math.round(240 * (1 - ratio));
+        return `hsl(${hue}, 85%, 50%)`;
+    }
+    
     /**
      * 绘制检测到的树木
      */
@@ -2274,17 +5901,22 @@ class LidarSystem {
             centerPointSize = 2.5;
         }
         
-        this.trees.forEach((tree, index) => {
+        this.trees.forEach(tree => {
             const x = tree.center.x * scale;
             const y = -tree.center.y * scale; // 翻转Y轴
             const radius = tree.radius * scale;
             
-            // 绘制圆形：清新绿色描边
-            this.ctx.strokeStyle = '#4caf50';
+            // 本帧未观测到、仍在跟踪的树半透明显示
+            this.ctx.globalAlpha = tree.misses ? 0.5 : 1;
+            
+            // 绘制圆形：清新绿色描边，覆盖角不足的用橙色虚线
+            this.ctx.strokeStyle = tree.lowCoverage ? '#ff9800' : '#4caf50';
             this.ctx.lineWidth = treeLineWidth;
+            this.ctx.setLineDash(tree.lowCoverage ? [6, 4] : []);
             this.ctx.beginPath();
             this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
             this.ctx.stroke();
+            this.ctx.setLineDash([]);
             
             // 绘制中心点：清新绿色
             this.ctx.fillStyle = '#388e3c';
@@ -2297,9 +5929,10 @@ class LidarSystem {
                 this.ctx.fillStyle = '#388e3c';
                 this.ctx.font = `${fontSize}px Arial`; // 使用固定字体大小
                 this.ctx.textAlign = 'center';
-                this.ctx.fillText(`树${index + 1}`, x, y - radius - 10);
+                this.ctx.fillText(`树${tree.id}（${tree.observations}次）`, x, y - radius - 10);
                 this.ctx.fillText(`${Math.round(tree.diameter)}mm`, x, y + radius + 20);
             }
+            this.ctx.globalAlpha = 1;
         });
     }
     
@@ -2308,8 +5941,8 @@ class LidarSystem {
      */
     animateScan() {
         this.currentScanAngle += 2;
-        if (this.currentScanAngle > LIDAR_CONSTANTS.END_ANGLE) {
-            this.currentScanAngle = LIDAR_CONSTANTS.START_ANGLE;
+        if (this.currentScanAngle > this.scanParams.endAngle) {
+            this.currentScanAngle = this.scanParams.startAngle;
         }
         
         // 绘制扫描线
@@ -2382,183 +6015,231 @@ class LidarSystem {
         this.ctx.globalAlpha = 1.0; // 重置透明度
     }
     
-    detectTrees() {
+    /**
+     * 提交给检测器的参数：界面参数加上当前扫描的角度间隔（computeScanGeometry 按每步角度 × 簇数计算），
+     * 自适应聚类和断点分割按它计算点间距
+     */
+    getDetectionParams() {
+        return {
+            ...this.detectionParams,
+            angularStep: this.scanParams.angularStep
+        };
+    }
+    
+    /**
+     * 检测算法的显示名称
+     */
+    getAlgorithmName(algorithm) {
+        return algorithm === 'breakpoint' ? '断点分割' : 'DBSCAN';
+    }
+    
+    /**
+     * 检测树木：聚类（或断点分割）和圆形拟合在检测Worker中执行，不阻塞界面
+     * 检测期间再次调用时，未完成的旧任务被取消
+     * @param {Object} [options]
+     * @param {string} [options.algorithm] - 'dbscan' 或 'breakpoint'，缺省使用界面选择的算法，便于在同一帧上比较；
+     *        与界面选择不同时为比较运行，只返回结果，不更新跟踪、树木列表和服务器
+     * @param {boolean} [options.live=false] - 实时检测：不逐帧记录开始/完成日志，完成后更新检测频率
+     * @returns {Promise<Object|undefined>} 比较运行时返回检测结果 {trees, clusterCount, elapsed}
+     */
+    async detectTrees(options = {}) {
         if (!this.scanData.length) {
-            this.log('没有扫描数据', 'warning');
+            if (!options.live) this.log('没有扫描数据', 'warning');
             return;
         }
         
-        this.log('开始检测树木...', 'info');
+        const params = this.getDetectionParams();
+        const comparison = !!options.algorithm && options.algorithm !== params.algorithm;
+        if (options.algorithm) {
+            params.algorithm = options.algorithm;
+        }
+        
+        // 提交的这一帧的采集时间和高度：等待检测期间后续帧会更新 scanTiming / scanHeight
+        const frame = { timing: this.scanTiming, height: this.scanHeight };
+        
+        if (!options.live) {
+            this.log(`开始检测树木（${this.getAlgorithmName(params.algorithm)}）...`, 'info');
+        }
         
         // 过滤有效数据点
-        const validPoints = this.scanData.filter(point => 
+        let validPoints = this.scanData.filter(point => 
             point.distance > this.scanParams.minRange && 
             point.distance < this.scanParams.maxRange
         );
         
+        // 只检测与背景不同的点
+        if (this.foregroundOnlyDetection && this.backgroundModel.ready) {
+            validPoints = validPoints.filter(point => point.foreground);
+        }
+        
         if (validPoints.length < this.detectionParams.minPoints) {
-            this.log('有效数据点不足，无法进行聚类', 'warning');
+            if (!options.live) this.log('有效数据点不足，无法进行聚类', 'warning');
             return;
         }
         
-        // DBSCAN聚类
-        const clusters = this.dbscan(validPoints);
-        
-        // 对每个聚类进行圆形拟合
-        this.trees = [];
-        clusters.forEach((cluster, index) => {
-            if (cluster.length >= this.detectionParams.minPoints) {
-                const circle = this.fitCircle(cluster);
-                if (circle && circle.radius >= this.detectionParams.minRadius && 
-                    circle.radius <= this.detectionParams.maxRadius) {
-                    this.trees.push({
-                        center: circle.center,
-                        radius: circle.radius,
-                        diameter: circle.radius * 2,
-                        points: cluster
-                    });
-                }
+        let result;
+        try {
+            result = await this.treeDetection.submit(validPoints, params);
+        } catch (error) {
+            if (error.cancelled) {
+                this.log(error.message, 'info');
+            } else {
+                this.log(`树木检测失败: ${error.message}`, 'error');
             }
-        });
+            return;
+        }
+        
+        // 另一种算法的结果不并入跟踪，否则两种检测器的新生和丢失会混在一起
+        if (comparison) {
+            this.log(`比较运行: ${this.getAlgorithmName(params.algorithm)}检测到 ${result.trees.length} 棵树（${result.clusterCount} 个${params.algorithm === 'breakpoint' ? '分段' : '聚类'}，耗时 ${result.elapsed.toFixed(1)}ms），未更新跟踪`, 'info');
+            return result;
+        }
+        
+        const tracking = this.treeTracker.update(result.trees, frame.timing ? frame.timing.acquiredAt : this.hostNow());
+        this.trees = tracking.trees;
+        this.lostTreeIds = tracking.lost;
         
         this.updateTreeList();
         this.updateVisualization();
-        this.updateStats(this.scanData, 0);
+        this.updateStats(this.scanData, this.lastScanTime || 0);
+        if (options.live) {
+            this.updateDetectionRate();
+        }
         
-        this.log(`检测到 ${this.trees.length} 棵树`, 'success');
+        if (tracking.born.length) {
+            this.log(`新出现的树: ${tracking.born.map(id => `#${id}`).join(', ')}`, 'info');
+        }
+        if (tracking.lost.length) {
+            this.log(`不再跟踪的树: ${tracking.lost.map(id => `#${id}`).join(', ')}`, 'info');
+        }
+        if (!options.live) {
+            this.log(`检测到 ${result.trees.length} 棵树，跟踪 ${this.trees.length} 棵（${this.getAlgorithmName(params.algorithm)}，${result.clusterCount} 个${params.algorithm === 'breakpoint' ? '分段' : '聚类'}，${this.treeDetection.usesWorker ? 'Worker' : '主线程'}耗时 ${result.elapsed.toFixed(1)}ms）`, 'success');
+        }
         
         // 发送树木数据到WebSocket服务器
-        this.sendTreeData();
+        this.sendTreeData(frame);
     }
     
-    dbscan(points) {
-        const clusters = [];
-        const visited = new Set();
-        const noise = new Set();
+    /**
+     * 比较网格索引与逐点比较的DBSCAN耗时
+     * 有扫描数据时把当前扫描加抖动后重复叠加（模拟多帧累积），否则生成含树干圆弧和杂点的模拟点云
+     * @param {Object} [options]
+     * @param {Array<number>} [options.sizes=[2000, 10000, 20000]] - 点云规模
+     * @param {number} [options.maxBruteForce=20000] - 超过该点数时不运行逐点比较
+     * @returns {Array<{points: number, gridMs: number, bruteForceMs: number|null, speedup: number|null, clusters: number, consistent: boolean|null}>}
+     */
+    benchmarkDetection(options = {}) {
+        const sizes = options.sizes || [2000, 10000, 20000];
+        const maxBruteForce = options.maxBruteForce || 20000;
+        const now = () => performance.now();
+        
+        // 固定种子的伪随机数，结果可重复（32位线性同余，Math.imul 避免乘积丢失精度）
+        let seed = 12345;
+        const random = () => {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            return seed / 4294967296;
+        };
         
-        points.forEach((point, index) => {
-            if (visited.has(index)) return;
-            
-            visited.add(index);
-            const neighbors = this.getNeighbors(points, index);
-            
-            if (neighbors.length < this.detectionParams.minPoints) {
-                noise.add(index);
-            } else {
-                const cluster = [point];
-                this.expandCluster(points, neighbors, cluster, visited, noise);
-                clusters.push(cluster);
+        const source = this.scanData.filter(point => point.distance > 0);
+        const generate = (size) => {
+            const cloud = [];
+            if (source.length > 0) {
+                while (cloud.length < size) {
+                    const point = source[cloud.length % source.length];
+                    cloud.push({ x: point.x + (random() - 0.5) * 10, y: point.y + (random() - 0.5) * 10 });
+                }
+                return cloud;
             }
-        });
-        
-        return clusters;
-    }
-    
-    getNeighbors(points, index) {
-        const neighbors = [];
-        const point = points[index];
-        
-        points.forEach((otherPoint, otherIndex) => {
-            if (index === otherIndex) return;
             
-            const distance = Math.sqrt(
-                Math.pow(point.x - otherPoint.x, 2) + 
-                Math.pow(point.y - otherPoint.y, 2)
-            );
-            
-            if (distance <= this.detectionParams.eps) {
-                neighbors.push(otherIndex);
+            const trees = Array.from({ length: 30 }, () => ({
+                x: (random() - 0.5) * 16000,
+                y: random() * 8000 + 500,
+                r: 100 + random() * 200
+            }));
+            while (cloud.length < size) {
+                if (random() < 0.8) {
+                    // 树干朝向雷达的半圆
+                    const tree = trees[Math.floor(random() * trees.length)];
+                    const facing = Math.atan2(-tree.y, -tree.x);
+                    const angle = facing + (random() - 0.5) * Math.PI;
+                    cloud.push({ x: tree.x + tree.r * Math.cos(angle), y: tree.y + tree.r * Math.sin(angle) });
+                } else {
+                    cloud.push({ x: (random() - 0.5) * 20000, y: random() * 10000 });
+                }
             }
-        });
+            return cloud;
+        };
         
-        return neighbors;
-    }
-    
-    expandCluster(points, neighbors, cluster, visited, noise) {
-        let i = 0;
-        while (i < neighbors.length) {
-            const neighborIndex = neighbors[i];
+        const params = this.getDetectionParams();
+        const clustering = params.clusteringMode === 'adaptive' ?
+            `自适应聚类，角度间隔 ${params.angularStep.toFixed(3)}°` :
+            `eps=${params.eps}mm`;
+        this.log(`=== DBSCAN性能测试（${clustering}, minPts=${params.minPoints}，${source.length > 0 ? '当前扫描叠加' : '模拟点云'}） ===`, 'info');
+        
+        const results = sizes.map(size => {
+            const cloud = generate(size);
             
-            if (!visited.has(neighborIndex)) {
-                visited.add(neighborIndex);
-                const newNeighbors = this.getNeighbors(points, neighborIndex);
-                if (newNeighbors.length >= this.detectionParams.minPoints) {
-                    neighbors.push(...newNeighbors);
-                }
-            }
+            let start = now();
+            const detector = new TreeDetection.TreeDetector(params);
+            const clusters = detector.dbscan(cloud);
+            const gridMs = now() - start;
             
-            if (!noise.has(neighborIndex)) {
-                cluster.push(points[neighborIndex]);
+            let bruteForceMs = null;
+            let consistent = null;
+            if (size <= maxBruteForce) {
+                start = now();
+                const reference = detector.dbscan(cloud, { index: new TreeDetection.SpatialGrid(cloud, Infinity) });
+                bruteForceMs = now() - start;
+                consistent = reference.length === clusters.length &&
+                    reference.every((cluster, i) => cluster.length === clusters[i].length);
             }
             
-            i++;
-        }
-    }
-    
-    fitCircle(points) {
-        if (points.length < 3) return null;
-        
-        // 使用最小二乘法拟合圆形
-        let sumX = 0, sumY = 0, sumX2 = 0, sumY2 = 0, sumXY = 0;
-        let sumX3 = 0, sumY3 = 0, sumXY2 = 0, sumX2Y = 0;
-        
-        points.forEach(point => {
-            const x = point.x;
-            const y = point.y;
-            
-            sumX += x;
-            sumY += y;
-            sumX2 += x * x;
-            sumY2 += y * y;
-            sumXY += x * y;
-            sumX3 += x * x * x;
-            sumY3 += y * y * y;
-            sumXY2 += x * y * y;
-            sumX2Y += x * x * y;
-        });
-        
-        const n = points.length;
-        const A = n * sumX2 - sumX * sumX;
-        const B = n * sumXY - sumX * sumY;
-        const C = n * sumY2 - sumY * sumY;
-        const D = 0.5 * (n * sumXY2 - sumX * sumY2 + n * sumX3 - sumX * sumX2);
-        const E = 0.5 * (n * sumX2Y - sumY * sumX2 + n * sumY3 - sumY * sumY2);
-        
-        const det = A * C - B * B;
-        if (Math.abs(det) < 1e-10) return null;
-        
-        const centerX = (D * C - B * E) / det;
-        const centerY = (A * E - B * D) / det;
-        
-        let radius = 0;
-        points.forEach(point => {
-            const dx = point.x - centerX;
-            const dy = point.y - centerY;
-            radius += Math.sqrt(dx * dx + dy * dy);
+            const result = {
+                points: size,
+                gridMs: gridMs,
+                bruteForceMs: bruteForceMs,
+                speedup: bruteForceMs !== null && gridMs > 0 ? bruteForceMs / gridMs : null,
+                clusters: clusters.length,
+                consistent: consistent
+            };
+            this.log(`${size} 点: 网格 ${gridMs.toFixed(1)}ms` +
+                (bruteForceMs !== null ? `，逐点 ${bruteForceMs.toFixed(1)}ms，加速 ${result.speedup.toFixed(1)}x${consistent ? '' : '（聚类结果不一致）'}` : '') +
+                `，${clusters.length} 个聚类`, consistent === false ? 'warning' : 'info');
+            return result;
         });
-        radius /= n;
         
-        return {
-            center: { x: centerX, y: centerY },
-            radius: radius
-        };
+        return results;
     }
     
     updateTreeList() {
+        if (this.headless) return;
+        
         const treeList = document.getElementById('treeList');
-        treeList.innerHTML = this.trees.map((tree, index) => `
+        treeList.innerHTML = this.trees.map(tree => `
             <div class="tree-item">
                 <div class="tree-info">
-                    <div class="tree-label">树 ${index + 1}</div>
+                    <div class="tree-label">树 #${tree.id}${tree.confirmed ? '' : '（待确认）'}</div>
                     <div class="tree-position">位置: (${Math.round(tree.center.x)}, ${Math.round(tree.center.y)})</div>
+                    ${tree.rms !== undefined ? `<div class="tree-fit">RMS ${tree.rms.toFixed(1)}mm · 内点 ${tree.inliers}/${tree.points.length} · 质量 ${Math.round(tree.quality * 100)}%</div>` : ''}
+                    <div class="tree-track">观测 ${tree.observations} 次${tree.misses ? ` · ${tree.misses} 帧未观测到` : ''}</div>
+                    ${tree.arcCoverage !== undefined ? `<div class="tree-coverage">覆盖角 ${Math.round(tree.arcCoverage)}°${tree.constrained ? ' · 圆心已约束' : ''}${tree.lowCoverage ? ' · ⚠ 覆盖不足' : ''}</div>` : ''}
                 </div>
-                <div class="tree-diameter">${Math.round(tree.diameter)}mm</div>
+                <div class="tree-diameter">${Math.round(tree.diameter)}mm${this.formatDiameterUncertainty(tree)}</div>
             </div>
         `).join('');
     }
     
+    /**
+     * 直径不确定度文本（±Nmm），不可估计时为 ±∞
+     */
+    formatDiameterUncertainty(tree) {
+        if (tree.diameterUncertainty === undefined) return '';
+        return isFinite(tree.diameterUncertainty) ? ` ±${Math.round(tree.diameterUncertainty)}mm` : ' ±∞';
+    }
+    
     clearResults() {
         this.trees = [];
+        this.treeTracker.reset();
         this.updateVisualization();
         this.updateTreeList();
         this.updateStats(this.scanData, 0);
@@ -2576,8 +6257,9 @@ class LidarSystem {
         
         // 统计距离分布
         const distances = this.scanData.map(point => point.distance);
-        const validDistances = distances.filter(d => d > 0 && d < 5500);
-        const invalidDistances = distances.filter(d => d <= 0 || d >= 5500);
+        const maxRange = this.scanParams.maxRange;
+        const validDistances = distances.filter(d => d > 0 && d < maxRange);
+        const invalidDistances = distances.filter(d => d <= 0 || d >= maxRange);
         
         this.log(`有效距离点: ${validDistances.length}`, 'info');
         this.log(`无效距离点: ${invalidDistances.length}`, 'info');
@@ -2619,7 +6301,7 @@ class LidarSystem {
         
         // 分析距离分布
         const distances = this.scanData.map(point => point.distance);
-        const validDistances = distances.filter(d => d > 0 && d < 5500);
+        const validDistances = distances.filter(d => d > 0 && d < this.scanParams.maxRange);
         
         if (validDistances.length === 0) {
             this.log('没有有效的距离数据', 'error');
@@ -2654,8 +6336,9 @@ class LidarSystem {
         
         this.log(`角度统计: 最小=${angleStats.min.toFixed(1)}°, 最大=${angleStats.max.toFixed(1)}°, 范围=${angleStats.range.toFixed(1)}°`, 'info');
         
-        // 检查角度范围是否正确
-        if (angleStats.range < 200) {
+        // 检查角度范围是否与配置的扫描扇区一致
+        const expectedSpan = this.scanParams.endAngle - this.scanParams.startAngle;
+        if (angleStats.range < expectedSpan * 0.8) {
             this.log('警告: 角度范围过小，可能角度计算有问题', 'warning');
         }
         
@@ -2696,8 +6379,8 @@ class LidarSystem {
         if (distanceStats.avg < 500) {
             this.log('建议: 检查SCIP解码逻辑，距离值可能被错误解码', 'info');
         }
-        if (angleStats.range < 200) {
-            this.log('建议: 检查角度计算逻辑，确保从-120°到120°', 'info');
+        if (angleStats.range < expectedSpan * 0.8) {
+            this.log(`建议: 检查角度计算逻辑，确保从${this.scanParams.startAngle.toFixed(1)}°到${this.scanParams.endAngle.toFixed(1)}°`, 'info');
         }
         if (xSymmetry > 1000 || ySymmetry > 1000) {
             this.log('建议: 检查坐标转换逻辑，确保激光雷达在原点', 'info');
@@ -2741,8 +6424,11 @@ class LidarSystem {
             return;
         }
         
-        // 计算数据范围
+        // 计算数据范围（包含滤波前的原始读数）
         const heights = heightHistory.map(h => h.height);
+        heightHistory.forEach(h => {
+            if (h.raw !== undefined) heights.push(h.raw);
+        });
         const minHeight = Math.min(...heights);
         const maxHeight = Math.max(...heights);
         const heightRange = maxHeight - minHeight || 1000; // 避免除零
@@ -2780,6 +6466,38 @@ class LidarSystem {
             ctx.stroke();
         }
         
+        // 绘制原始读数：灰色细线，离群读数标红
+        const hasRaw = heightHistory.some(h => h.raw !== undefined);
+        if (hasRaw) {
+            const pointX = (index) => heightHistory.length > 1 ?
+                margin.left + (chartWidth / (heightHistory.length - 1)) * index :
+                margin.left + chartWidth / 2;
+            const pointY = (value) => margin.top + chartHeight - ((value - minHeight) / heightRange) * chartHeight;
+            
+            ctx.strokeStyle = '#9ca3af';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            let started = false;
+            heightHistory.forEach((point, index) => {
+                if (point.raw === undefined) return;
+                if (!started) {
+                    ctx.moveTo(pointX(index), pointY(point.raw));
+                    started = true;
+                } else {
+                    ctx.lineTo(pointX(index), pointY(point.raw));
+                }
+            });
+            ctx.stroke();
+            
+            heightHistory.forEach((point, index) => {
+                if (point.raw === undefined) return;
+                ctx.fillStyle = point.outlier ? '#ef4444' : '#9ca3af';
+                ctx.beginPath();
+                ctx.arc(pointX(index), pointY(point.raw), point.outlier ? 4 : 2, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+        
         // 绘制高度曲线
         if (heightHistory.length > 0) {
             ctx.strokeStyle = '#3b82f6';
@@ -2865,7 +6583,103 @@ class LidarSystem {
         ctx.fillStyle = '#333';
         ctx.font = '12px Arial';
         ctx.textAlign = 'left';
-        ctx.fillText('高度 (mm)', width - 100, 22);
+        ctx.fillText(hasRaw ? '滤波高度 (mm)' : '高度 (mm)', width - 100, 22);
+        
+        if (hasRaw) {
+            ctx.fillStyle = '#9ca3af';
+            ctx.fillRect(width - 120, 30, 15, 15);
+            ctx.fillStyle = '#333';
+            ctx.fillText('原始读数', width - 100, 42);
+        }
+    }
+    
+    /**
+     * 从localStorage加载上次应用的报警规则
+     */
+    loadAlarmRules() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            const text = localStorage.getItem(HEIGHT_ALARM_CONSTANTS.RULES_STORAGE_KEY);
+            if (text) {
+                this.stp23lSensor.setAlarmRules(JSON.parse(text));
+            }
+        } catch (error) {
+            this.log(`读取报警规则失败: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * 当前报警规则（可直接编辑后重新应用的JSON结构）
+     * @returns {Array<Object>}
+     */
+    getAlarmRulesConfig() {
+        return this.stp23lSensor.alarmEngine.rules.map(rule => {
+            const config = { ...rule };
+            if (config.baseline === null) delete config.baseline;
+            return config;
+        });
+    }
+    
+    /**
+     * 应用输入框中的报警规则并保存
+     */
+    applyAlarmRulesFromInput() {
+        const input = document.getElementById('heightAlarmRules');
+        if (!input) return;
+        
+        let rules;
+        try {
+            rules = JSON.parse(input.value);
+        } catch (error) {
+            this.log(`报警规则不是有效的JSON: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (!this.stp23lSensor.setAlarmRules(rules)) return;
+        
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(HEIGHT_ALARM_CONSTANTS.RULES_STORAGE_KEY, JSON.stringify(rules));
+        }
+        input.value = JSON.stringify(this.getAlarmRulesConfig(), null, 2);
+        this.updateHeightAlarmBanner();
+    }
+    
+    /**
+     * 处理高度报警事件：更新横幅并广播
+     * @param {Array<Object>} events
+     */
+    handleHeightEvents(events) {
+        this.updateHeightAlarmBanner();
+        events.forEach(event => this.sendHeightEvent(event));
+    }
+    
+    /**
+     * 更新页面顶部的高度报警横幅，显示当前所有报警中的规则，最严重的决定颜色
+     */
+    updateHeightAlarmBanner() {
+        if (this.headless) return;
+        
+        const banner = document.getElementById('heightAlarmBanner');
+        if (!banner) return;
+        
+        const alarms = this.stp23lSensor.alarmEngine.getActiveAlarms();
+        if (alarms.length === 0) {
+            banner.className = 'height-alarm-banner';
+            banner.textContent = '';
+            return;
+        }
+        
+        const formatValue = (alarm) => {
+            if (alarm.value === null) return '';
+            if (alarm.type === 'rate') return `${Math.round(alarm.value)}mm/s`;
+            if (alarm.type === 'deviation') return `±${Math.round(alarm.value)}mm`;
+            return `${Math.round(alarm.value)}mm`;
+        };
+        const icons = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+        
+        banner.className = `height-alarm-banner visible alarm-${alarms[0].severity}`;
+        banner.textContent = `${icons[alarms[0].severity]} ${alarms.map(alarm => `${alarm.name} ${formatValue(alarm)}`).join('；')}`;
     }
     
     /**
@@ -2878,10 +6692,14 @@ class LidarSystem {
         }
         
         const data = this.stp23lSensor.heightHistory.map((point, index) => 
-            `${index + 1}\t${point.height}\t${new Date(point.timestamp).toISOString()}\t${point.noise}\t${point.confidence}`
+            `${index + 1}\t${point.height}\t${new Date(point.timestamp).toISOString()}\t${point.noise}\t${point.confidence}\t${point.precision !== undefined ? point.precision.toFixed(1) : ''}\t${point.samples !== undefined ? point.samples : ''}\t${point.raw !== undefined ? point.raw : ''}\t${point.outlier ? 1 : 0}\t${point.reftof !== undefined ? point.reftof.toFixed(1) : ''}\t${point.events ? point.events.map(e => e.message).join('; ') : ''}`
         ).join('\n');
         
-        const header = '序号\t高度(mm)\t时间戳\t噪声\t置信度\n';
+        const compensation = this.stp23lSensor.compensation;
+        const compensationLine = compensation ?
+            `# 温漂补偿: 偏移 ${compensation.offset.toFixed(2)}mm, 斜率 ${compensation.slope.toFixed(4)}mm/REFTOF, 参考REFTOF ${compensation.reference.toFixed(1)}\n` :
+            '# 温漂补偿: 无\n';
+        const header = `# 高度滤波: ${this.stp23lSensor.heightFilter.type}\n${compensationLine}序号\t滤波高度(mm)\t时间戳\t噪声\t置信度\t精度(mm)\t有效点数\t原始高度(mm)\t离群\tREFTOF\t报警事件\n`;
         const csvData = header + data;
         
         const blob = new Blob([csvData], { type: 'text/plain;charset=utf-8' });
@@ -2956,21 +6774,53 @@ class LidarSystem {
             const lines = text.trim().split('\n');
             
             this.scanData = [];
+            this.scanTiming = null;
+            this.scanHeight = null;
+            const timing = {};
             lines.forEach((line, index) => {
+                // 注释行：采集时间和高度
+                if (line.startsWith('#')) {
+                    const [key, value] = line.substring(1).trim().split(/\s+/);
+                    timing[key] = value;
+                    return;
+                }
+                
                 const values = line.trim().split(/\s+/);
                 if (values.length >= 2) {
                     const distance = parseFloat(values[0]);
                     const angle = parseFloat(values[1]) * Math.PI / 180;
-                    
-                    this.scanData.push({
+                    const point = {
                         angle: angle,
                         distance: distance,
                         x: distance * Math.cos(angle),
                         y: distance * Math.sin(angle)
-                    });
+                    };
+                    
+                    // 第5列为反射强度（GE/ME扫描导出的数据）
+                    if (values.length >= 5) {
+                        point.intensity = parseFloat(values[4]);
+                    }
+                    
+                    this.scanData.push(point);
                 }
             });
             
+            if (timing.acquiredAt) {
+                this.scanTiming = {
+                    sensorTimestamp: timing.sensorTimestamp && timing.sensorTimestamp !== 'null' ? parseInt(timing.sensorTimestamp, 10) : null,
+                    acquiredAt: Date.parse(timing.acquiredAt),
+                    timeSource: timing.timeSource || 'host'
+                };
+            }
+            if (timing.height) {
+                this.scanHeight = {
+                    height: parseFloat(timing.height),
+                    uncertainty: parseFloat(timing.heightUncertainty) || 0,
+                    method: timing.heightMethod || 'interpolated',
+                    sampleGap: null
+                };
+            }
+            
             this.updateVisualization();
             this.updateButtons();
             this.log(`成功导入 ${this.scanData.length} 个数据点`, 'success');
@@ -2986,9 +6836,13 @@ class LidarSystem {
             return;
         }
         
-        const data = this.scanData.map(point => 
-            `${point.distance}\t${point.angle * 180 / Math.PI}\t${point.x}\t${point.y}`
-        ).join('\n');
+        // 有反射强度时追加第5列
+        const lines = this.scanData.map(point => {
+            const line = `${point.distance}\t${point.angle * 180 / Math.PI}\t${point.x}\t${point.y}`;
+            return point.intensity !== undefined ? `${line}\t${point.intensity}` : line;
+        });
+        
+        const data = [...this.getScanTimingHeader(), ...this.getScanHeightHeader(), ...lines].join('\n');
         
         const blob = new Blob([data], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
@@ -3001,15 +6855,43 @@ class LidarSystem {
         this.log('数据已导出', 'success');
     }
     
+    /**
+     * 导出文件头部的采集时间注释行（以#开头，导入时跳过）
+     * @returns {Array<string>}
+     */
+    getScanTimingHeader() {
+        if (!this.scanTiming) return [];
+        return [
+            `# acquiredAt\t${new Date(this.scanTiming.acquiredAt).toISOString()}`,
+            `# sensorTimestamp\t${this.scanTiming.sensorTimestamp}`,
+            `# timeSource\t${this.scanTiming.timeSource}`
+        ];
+    }
+    
+    /**
+     * 导出文件头部的扫描高度注释行
+     * @returns {Array<string>}
+     */
+    getScanHeightHeader() {
+        if (!this.scanHeight) return [];
+        return [
+            `# height\t${this.scanHeight.height.toFixed(1)}`,
+            `# heightUncertainty\t${this.scanHeight.uncertainty.toFixed(1)}`,
+            `# heightMethod\t${this.scanHeight.method}`
+        ];
+    }
+    
     exportTrees() {
         if (!this.trees.length) {
             this.log('没有树木数据可导出', 'warning');
             return;
         }
         
-        const data = this.trees.map((tree, index) => 
-            `树${index + 1}\t${Math.round(tree.center.x)}\t${Math.round(tree.center.y)}\t${Math.round(tree.diameter)}`
-        ).join('\n');
+        const lines = this.trees.map(tree => 
+            `树${tree.id}\t${tree.observations}\t${Math.round(tree.center.x)}\t${Math.round(tree.center.y)}\t${Math.round(tree.diameter)}\t${tree.rms !== undefined ? tree.rms.toFixed(1) : ''}\t${tree.inliers !== undefined ? tree.inliers : ''}\t${tree.points.length}\t${tree.quality !== undefined ? tree.quality.toFixed(2) : ''}\t${tree.arcCoverage !== undefined ? tree.arcCoverage.toFixed(1) : ''}\t${tree.diameterUncertainty !== undefined && isFinite(tree.diameterUncertainty) ? tree.diameterUncertainty.toFixed(1) : ''}\t${tree.constrained ? 1 : 0}\t${tree.lowCoverage ? 1 : 0}`
+        );
+        const columns = '编号\t观测次数\tX(mm)\tY(mm)\t直径(mm)\tRMS(mm)\t内点数\t点数\t拟合质量\t覆盖角(°)\t直径不确定度(mm)\t圆心约束\t覆盖不足';
+        const data = [...this.getScanTimingHeader(), ...this.getScanHeightHeader(), columns, ...lines].join('\n');
         
         const blob = new Blob([data], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
@@ -3023,6 +6905,8 @@ class LidarSystem {
     }
     
     updateStats(scanData, scanTime) {
+        if (this.headless) return;
+        
         this.log(`开始更新统计信息: scanData.length=${scanData ? scanData.length : 'null'}, scanTime=${scanTime}`, 'info');
         
         // 更新各个统计元素
@@ -3101,6 +6985,8 @@ class LidarSystem {
     }
     
     updateStatus(text, type) {
+        if (this.headless) return;
+        
         const statusText = document.getElementById('statusText');
         const statusDot = document.getElementById('statusDot');
         
@@ -3114,6 +7000,8 @@ class LidarSystem {
     }
 
     updateButtons() {
+        if (this.headless) return;
+        
         const connectBtn = document.getElementById('connectBtn');
         const disconnectBtn = document.getElementById('disconnectBtn');
         const startScanBtn = document.getElementById('startScanBtn');
@@ -3125,9 +7013,9 @@ class LidarSystem {
         
         if (connectBtn) connectBtn.disabled = this.isConnected;
         if (disconnectBtn) disconnectBtn.disabled = !this.isConnected;
-        if (startScanBtn) startScanBtn.disabled = !this.isConnected || this.isScanning;
+        if (startScanBtn) startScanBtn.disabled = !this.isConnected || this.isScanning || this.isRecovering;
         if (pauseScanBtn) pauseScanBtn.disabled = !this.isConnected || !this.isScanning;
-        if (singleScanBtn) singleScanBtn.disabled = !this.isConnected;
+        if (singleScanBtn) singleScanBtn.disabled = !this.isConnected || this.isRecovering;
         
         // 树木检测按钮：只要有扫描数据就可以使用
         const hasScanData = this.scanData && this.scanData.length > 0;
@@ -3138,9 +7026,29 @@ class LidarSystem {
         
         if (debugBtn) debugBtn.disabled = !hasScanData;
         if (calibrateBtn) calibrateBtn.disabled = !hasScanData;
+        
+        const liveDetectionBtn = document.getElementById('liveDetectionBtn');
+        if (liveDetectionBtn) {
+            liveDetectionBtn.textContent = this.liveDetection ? '关闭实时检测' : '开启实时检测';
+        }
+        
+        // 录制与回放
+        const recordSessionBtn = document.getElementById('recordSessionBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        const isRecording = !!(this.recorder && this.recorder.isRecording);
+        if (recordSessionBtn) {
+            recordSessionBtn.textContent = isRecording ? '停止录制并下载' : '开始录制';
+            recordSessionBtn.disabled = !this.recorder || this.replaying;
+        }
+        if (replayBtn) replayBtn.disabled = isRecording || this.replaying;
     }
 
     log(message, type = 'info') {
+        if (this.headless) {
+            console.log(`[${type}] ${message}`);
+            return;
+        }
+        
         const logArea = document.getElementById('logArea');
         if (!logArea) return;
         
@@ -3165,14 +7073,21 @@ class LidarSystem {
     initWebSocket() {
         try {
             // 检测当前环境，确定WebSocket服务器地址
-            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const host = window.location.hostname;
-            const port = window.location.port || '8080';
-            const wsUrl = `${protocol}//${host}:${port}/ws`;
+            let wsUrl = this.wsUrl;
+            if (!wsUrl) {
+                const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                const host = window.location.hostname;
+                const port = window.location.port || '8080';
+                wsUrl = `${protocol}//${host}:${port}/ws`;
+            }
+            
+            if (!this.WebSocketImpl) {
+                throw new Error('当前环境没有WebSocket实现，请通过 options.WebSocket 传入');
+            }
             
             this.log(`正在连接WebSocket服务器: ${wsUrl}`, 'info');
             
-            this.ws = new WebSocket(wsUrl);
+            this.ws = new this.WebSocketImpl(wsUrl);
             
             this.ws.onopen = () => {
                 this.wsConnected = true;
@@ -3209,14 +7124,15 @@ class LidarSystem {
      * 发送设备信息
      */
     sendDeviceInfo() {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
         
         const deviceInfo = {
             type: 'device_info',
             deviceType: 'laser_lidar',
             deviceName: '激光雷达树木检测系统',
             capabilities: ['scan', 'tree_detection', 'height_measurement'],
-            version: '1.0.0'
+            version: '1.0.0',
+            sensor: this.deviceInfo ? { ...this.deviceInfo, geometry: { ...this.sensorGeometry } } : null
         };
         
         this.ws.send(JSON.stringify(deviceInfo));
@@ -3256,6 +7172,14 @@ class LidarSystem {
                     this.handleRemoteHeightData(data);
                     break;
                     
+                case 'height_event':
+                    this.handleRemoteHeightEvent(data);
+                    break;
+                    
+                case 'change_event':
+                    this.handleRemoteChangeEvent(data);
+                    break;
+                    
                 case 'status_update':
                     this.handleRemoteStatusUpdate(data);
                     break;
@@ -3310,6 +7234,26 @@ class LidarSystem {
         // 可以在这里处理远程高度数据
     }
     
+    /**
+     * 处理远程高度报警事件
+     */
+    handleRemoteHeightEvent(data) {
+        if (data.clientId === this.clientId) return; // 忽略自己的数据
+        
+        const event = data.data;
+        const logTypes = { info: 'info', warning: 'warning', critical: 'error' };
+        this.log(`远程高度报警 (${data.clientId}): ${event.message}`, event.state === 'cleared' ? 'info' : (logTypes[event.severity] || 'warning'));
+    }
+    
+    /**
+     * 处理远程场景变化事件
+     */
+    handleRemoteChangeEvent(data) {
+        if (data.clientId === this.clientId) return; // 忽略自己的数据
+        
+        this.log(`远程场景变化 (${data.clientId}): ${data.data.message}`, data.data.state === 'cleared' ? 'info' : 'warning');
+    }
+    
     /**
      * 处理远程状态更新
      */
@@ -3317,17 +7261,27 @@ class LidarSystem {
         if (data.clientId === this.clientId) return; // 忽略自己的数据
         
         this.log(`远程设备状态更新 (${data.clientId}): 激光雷达=${data.data.lidarConnected}, STP-23L=${data.data.stp23lConnected}`, 'info');
+        
+        const recovery = data.data.recovery;
+        if (recovery) {
+            const device = recovery.device === 'stp23l' ? 'STP-23L' : '激光雷达';
+            const states = { started: '开始自动恢复', recovered: '已恢复连接', failed: '自动恢复失败' };
+            this.log(`远程设备 ${data.clientId} 的${device}${states[recovery.state] || recovery.state}: ${recovery.reason}`, recovery.state === 'failed' ? 'warning' : 'info');
+        }
     }
     
     /**
      * 发送扫描数据到服务器
      */
     sendScanData() {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
         
         const scanData = {
             type: 'scan_data',
             points: this.scanData,
+            hasIntensity: this.scanData.some(point => point.intensity !== undefined),
+            ...this.getScanTimingMessage(),
+            ...this.getScanHeightMessage(),
             treeCount: this.trees.length,
             scanTime: this.lastScanTime || 0,
             avgDistance: this.calculateAverageDistance(),
@@ -3337,17 +7291,51 @@ class LidarSystem {
         this.ws.send(JSON.stringify(scanData));
     }
     
+    /**
+     * 当前扫描的采集时间字段，随扫描和树木数据一起发送
+     * @returns {{acquiredAt: string|null, sensorTimestamp: number|null, timeSource: string|null}}
+     */
+    getScanTimingMessage(timing = this.scanTiming) {
+        if (!timing) {
+            return { acquiredAt: null, sensorTimestamp: null, timeSource: null };
+        }
+        return {
+            acquiredAt: new Date(timing.acquiredAt).toISOString(),
+            sensorTimestamp: timing.sensorTimestamp,
+            timeSource: timing.timeSource
+        };
+    }
+    
+    /**
+     * 当前扫描采集时刻的装置高度字段，随扫描和树木数据一起发送
+     * @returns {{height: number|null, heightUncertainty: number|null, heightMethod: string|null}}
+     */
+    getScanHeightMessage(height = this.scanHeight) {
+        if (!height) {
+            return { height: null, heightUncertainty: null, heightMethod: null };
+        }
+        return {
+            height: height.height,
+            heightUncertainty: height.uncertainty,
+            heightMethod: height.method
+        };
+    }
+    
     /**
      * 发送树木数据到服务器
+     * @param {{timing: Object|null, height: Object|null}} [frame] - 检测所用扫描帧的采集时间和高度，默认为当前帧
      */
-    sendTreeData() {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    sendTreeData(frame = { timing: this.scanTiming, height: this.scanHeight }) {
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
         
         const treeData = {
             type: 'tree_data',
             trees: this.trees,
             treeCount: this.trees.length,
-            avgDiameter: this.calculateAverageDiameter()
+            lostTreeIds: this.lostTreeIds,
+            avgDiameter: this.calculateAverageDiameter(),
+            ...this.getScanTimingMessage(frame.timing),
+            ...this.getScanHeightMessage(frame.height)
         };
         
         this.ws.send(JSON.stringify(treeData));
@@ -3357,30 +7345,70 @@ class LidarSystem {
      * 发送高度数据到服务器
      */
     sendHeightData() {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
         
+        const history = this.stp23lSensor.heightHistory;
+        const latest = history[history.length - 1];
         const heightData = {
             type: 'height_data',
             currentHeight: this.stp23lSensor.currentHeight || 0,
+            rawHeight: latest && latest.raw !== undefined ? latest.raw : null,
+            filterType: this.stp23lSensor.heightFilter.type,
+            outlierCount: this.stp23lSensor.outlierCount,
+            compensated: !!this.stp23lSensor.compensation,
             avgHeight: this.stp23lSensor.averageHeight || 0,
-            heightCount: this.stp23lSensor.measurementCount || 0
+            heightCount: this.stp23lSensor.measurementCount || 0,
+            precision: this.stp23lSensor.currentPrecision,
+            packetStats: { ...this.stp23lSensor.packetStats, lowQuality: this.stp23lSensor.lowQualityPackets }
         };
         
         this.ws.send(JSON.stringify(heightData));
     }
     
+    /**
+     * 发送高度报警事件到服务器
+     * @param {Object} event - HeightAlarmEngine 产生的事件
+     */
+    sendHeightEvent(event) {
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
+        
+        this.ws.send(JSON.stringify({
+            type: 'height_event',
+            ...event,
+            timestamp: new Date(event.timestamp).toISOString()
+        }));
+    }
+    
+    /**
+     * 发送场景变化事件到服务器
+     * @param {Object} event - BackgroundModel.detectChange 返回的事件
+     */
+    sendChangeEvent(event) {
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
+        
+        this.ws.send(JSON.stringify({
+            type: 'change_event',
+            ...event,
+            timestamp: new Date(event.timestamp).toISOString()
+        }));
+    }
+    
     /**
      * 发送状态更新到服务器
+     * @param {Object} [recovery] - 自动恢复事件 {device, state: 'started'|'recovered'|'failed', reason, attempts, downtime, recoveryCount}
      */
-    sendStatusUpdate() {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    sendStatusUpdate(recovery = null) {
+        if (!this.ws || this.ws.readyState !== this.ws.OPEN) return;
         
         const statusData = {
             type: 'status_update',
             lidarConnected: this.isConnected,
             stp23lConnected: this.stp23lSensor.isConnected,
             isScanning: this.isScanning,
-            isMeasuring: this.stp23lSensor.isMeasuring
+            isMeasuring: this.stp23lSensor.isMeasuring,
+            lidarRecovering: this.isRecovering,
+            stp23lRecovering: this.stp23lSensor.isRecovering,
+            recovery
         };
         
         this.ws.send(JSON.stringify(statusData));
@@ -3391,7 +7419,7 @@ class LidarSystem {
      */
     startHeartbeat() {
         this.heartbeatInterval = setInterval(() => {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            if (this.ws && this.ws.readyState === this.ws.OPEN) {
                 this.ws.send(JSON.stringify({ type: 'ping' }));
             }
         }, 30000); // 每30秒发送一次心跳
@@ -3457,16 +7485,37 @@ class LidarSystem {
     }
 }
 
-// 初始化系统
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM已加载，开始初始化激光雷达系统...');
-    // 延迟初始化，确保所有DOM元素都已加载
-    setTimeout(() => {
-        try {
-            window.lidarSystem = new LidarSystem();
-            console.log('激光雷达系统初始化完成:', window.lidarSystem);
-        } catch (error) {
-            console.error('激光雷达系统初始化失败:', error);
-        }
-    }, 100);
-});
\ No newline at end of file
+// 初始化系统（浏览器环境）
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM已加载，开始初始化激光雷达系统...');
+        // 延迟初始化，确保所有DOM元素都已加载
+        setTimeout(() => {
+            try {
+                window.lidarSystem = new LidarSystem();
+                console.log('激光雷达系统初始化完成:', window.lidarSystem);
+            } catch (error) {
+                console.error('激光雷达系统初始化失败:', error);
+            }
+        }, 100);
+    });
+}
+
+// Node.js环境下导出，配合 serial-transport.js 中的传输层以无界面模式运行
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STP23L_CONSTANTS,
+        HEIGHT_ALARM_CONSTANTS,
+        BACKGROUND_CONSTANTS,
+        LIDAR_CONSTANTS,
+        SensorClock,
+        SerialSession,
+        SCIPCommandQueue,
+        STP23LFramer,
+        HeightFilter,
+        HeightAlarmEngine,
+        STP23LSensor,
+        BackgroundModel,
+        LidarSystem
+    };
+}
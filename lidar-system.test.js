@@ -0,0 +1,1481 @@
+/**
+ * lidar-system.js 测试
+ * 运行: npm test（Node.js 18+ 内置测试运行器）
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryTransport } = require('./serial-transport');
+const {
+    STP23L_CONSTANTS,
+    BACKGROUND_CONSTANTS,
+    LIDAR_CONSTANTS,
+    SensorClock,
+    SerialSession,
+    STP23LFramer,
+    HeightFilter,
+    HeightAlarmEngine,
+    STP23LSensor,
+    BackgroundModel,
+    LidarSystem
+} = require('./lidar-system');
+
+// ---------- SCIP 2.0 编码 ----------
+
+/**
+ * SCIP校验和：各字符求和后取低6位加0x30
+ */
+function scipChecksum(text) {
+    let sum = 0;
+    for (const char of text) {
+        sum += char.charCodeAt(0);
+    }
+    return String.fromCharCode((sum & 0x3f) + 0x30);
+}
+
+/**
+ * 按SCIP字符编码把整数编码为 length 个字符（每字符6位）
+ */
+function scipEncode(value, length) {
+    let text = '';
+    for (let i = length - 1; i >= 0; i--) {
+        text += String.fromCharCode(((value >> (6 * i)) & 0x3f) + 0x30);
+    }
+    return text;
+}
+
+/**
+ * 带校验和的一行
+ */
+function scipLine(text) {
+    return `${text}${scipChecksum(text)}\n`;
+}
+
+/**
+ * 测距应答帧：回显 / 状态 / 时间戳 / 64字符一块的数据
+ * @param {string} echo - 回显行
+ * @param {string} status - 状态（00 或 99）
+ * @param {number} timestamp - 传感器时间（ms）
+ * @param {Array<number>} ranges - 距离（mm），3字符编码
+ */
+function scipDataFrame(echo, status, timestamp, ranges) {
+    const data = ranges.map(range => scipEncode(range, 3)).join('');
+    let frame = `${echo}\n${scipLine(status)}${scipLine(scipEncode(timestamp, 4))}`;
+    for (let i = 0; i < data.length; i += LIDAR_CONSTANTS.SCIP.DATA_LINE_LENGTH) {
+        frame += scipLine(data.substring(i, i + LIDAR_CONSTANTS.SCIP.DATA_LINE_LENGTH));
+    }
+    return `${frame}\n`;
+}
+
+/**
+ * VV/PP/II应答中的信息行 "KEY:value;" 加校验和（不含分号）
+ */
+function scipInfoLine(key, value) {
+    return `${key}:${value};${scipChecksum(`${key}:${value}`)}\n`;
+}
+
+// ---------- 模拟URG ----------
+
+/**
+ * 在 MemoryTransport 上模拟URG：应答初始化、TM时钟同步、GD/GE单次扫描、MD/ME流式扫描和QT
+ * @param {Object} [options]
+ * @param {Function} [options.range] - (index, scan) => 距离（mm）
+ * @param {Function} [options.intensity] - (index, scan) => 反射强度，GE/ME与距离交替输出
+ * @param {Object} [options.info] - VV/PP/II的信息行，如 { PP: { ARES: 1440 } }
+ * @param {number} [options.frameInterval=20] - MD数据帧间隔（ms）
+ */
+function createUrgSimulator({
+    range = (index, scan) => 1000 + index + scan,
+    intensity = (index, scan) => 2000 + 2 * index + scan,
+    info = {},
+    frameInterval = 20
+} = {}) {
+    const simulator = {
+        commands: [],
+        scans: 0,
+        streamTimer: null,
+        sensorTime: () => Math.round(performance.now()) + 5000
+    };
+
+    const stopStream = () => {
+        if (simulator.streamTimer) {
+            clearInterval(simulator.streamTimer);
+            simulator.streamTimer = null;
+        }
+    };
+
+    const scanRanges = (command) => {
+        const startStep = parseInt(command.substring(2, 6), 10);
+        const endStep = parseInt(command.substring(6, 10), 10);
+        const clusterCount = parseInt(command.substring(10, 12), 10) || 1;
+        const count = Math.ceil((endStep - startStep + 1) / clusterCount);
+        const scan = simulator.scans++;
+        if (command[1] === 'E') {
+            return Array.from({ length: count }, (_, index) => [range(index, scan), intensity(index, scan)]).flat();
+        }
+        return Array.from({ length: count }, (_, index) => range(index, scan));
+    };
+
+    simulator.transport = new MemoryTransport({
+        description: '模拟URG',
+        responder: (text, transport) => {
+            const command = text.trim();
+            simulator.commands.push(command);
+
+            if (command === 'TM1') {
+                transport.push(`TM1\n${scipLine('00')}${scipLine(scipEncode(simulator.sensorTime(), 4))}\n`);
+            } else if (/^G[DE]/.test(command)) {
+                transport.push(scipDataFrame(command, '00', simulator.sensorTime(), scanRanges(command)));
+            } else if (/^M[DE]/.test(command)) {
+                transport.push(`${command}\n${scipLine('00')}\n`);
+
+                // 回显末两位为剩余次数，00表示不限次数
+                let remaining = parseInt(command.slice(-2), 10);
+                const unlimited = remaining === 0;
+                stopStream();
+                simulator.streamTimer = setInterval(() => {
+                    if (!transport.isOpen) {
+                        stopStream();
+                        return;
+                    }
+                    if (!unlimited) remaining--;
+                    const echo = command.slice(0, -2) + String(remaining).padStart(2, '0');
+                    transport.push(scipDataFrame(echo, '99', simulator.sensorTime(), scanRanges(command)));
+                    if (!unlimited && remaining === 0) stopStream();
+                }, frameInterval);
+            } else if (info[command]) {
+                const lines = Object.entries(info[command]).map(([key, value]) => scipInfoLine(key, value));
+                transport.push(`${command}\n${scipLine('00')}${lines.join('')}\n`);
+            } else {
+                if (command === 'QT') stopStream();
+                transport.push(`${command}\n${scipLine('00')}\n`);
+            }
+        }
+    });
+    simulator.stop = stopStream;
+
+    return simulator;
+}
+
+/**
+ * 无界面的LidarSystem，日志收集到 logs 中
+ */
+function createSystem(transport) {
+    const system = new LidarSystem({ headless: true, transport });
+    system.logs = [];
+    system.log = (message, type = 'info') => system.logs.push({ message, type });
+    return system;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('LidarSystem 与模拟URG', () => {
+    let simulator;
+    let system;
+
+    afterEach(async () => {
+        if (system && system.isConnected) {
+            await system.disconnect();
+        }
+        if (simulator) simulator.stop();
+    });
+
+    it('连接时完成初始化序列和时钟同步', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+
+        await system.connect();
+
+        assert.equal(system.isConnected, true);
+        assert.deepEqual(simulator.commands.slice(0, 5), ['SCIP2.0', 'VV', 'PP', 'II', 'TM0']);
+        assert.ok(simulator.commands.includes('TM1'));
+        assert.ok(simulator.commands.indexOf('TM2') > simulator.commands.lastIndexOf('TM1'));
+        assert.equal(simulator.commands[simulator.commands.length - 1], 'BM');
+        assert.equal(system.sensorClock.getState().samples, 1);
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error'), []);
+    });
+
+    it('GD单次扫描解码为坐标点并按传感器时间标注采集时刻', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        const before = system.hostNow();
+        await system.singleScan();
+
+        assert.ok(simulator.commands.includes(system.scanCommand));
+        assert.equal(system.scanData.length, LIDAR_CONSTANTS.MAX_STEP - LIDAR_CONSTANTS.MIN_STEP + 1);
+        assert.equal(system.scanData[0].distance, 1000);
+        assert.equal(system.scanData[10].distance, 1010);
+
+        const point = system.scanData[10];
+        assert.ok(Math.abs(Math.hypot(point.x, point.y) - point.distance) < 1e-6);
+
+        assert.equal(system.scanTiming.timeSource, 'sensor');
+        assert.ok(Math.abs(system.scanTiming.acquiredAt - before) < 100);
+    });
+
+    it('MD流式扫描按剩余次数结束', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        const frames = [];
+        const applyScanResult = system.applyScanResult.bind(system);
+        system.applyScanResult = (scanData, scanTime) => {
+            frames.push(scanData[0].distance);
+            applyScanResult(scanData, scanTime);
+        };
+
+        await system.startStreaming(3);
+        await system.streamLoop;
+
+        // 模拟器每帧的距离加1
+        assert.deepEqual(frames, [1000, 1001, 1002]);
+        assert.equal(system.streamRemaining, 0);
+        assert.equal(system.streamLoop, null);
+    });
+
+    it('QT停止不限次数的MD流式扫描', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        await system.startScanning();
+        const command = simulator.commands[simulator.commands.length - 1];
+        assert.match(command, /^MD\d{13}$/);
+        assert.ok(command.endsWith('00'));
+
+        await delay(150);
+        await system.pauseScanning();
+        const scans = simulator.scans;
+
+        assert.ok(scans >= 2, `只收到 ${scans} 帧`);
+        assert.equal(system.isScanning, false);
+        assert.ok(simulator.commands.includes('QT'));
+        assert.equal(simulator.commands[simulator.commands.length - 1], 'BM');
+
+        await delay(60);
+        assert.equal(simulator.scans, scans);
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error'), []);
+    });
+
+    it('不限次数的流式采集按间隔暂停并重新同步时钟', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        await system.startScanning();
+        const command = simulator.commands[simulator.commands.length - 1];
+        await delay(50);
+
+        // 上次同步已超过重新同步间隔
+        system.sensorClock.samples[0].host -= LIDAR_CONSTANTS.CLOCK.RESYNC_INTERVAL + 1;
+        const issued = simulator.commands.length;
+        await delay(150);
+
+        const resync = simulator.commands.slice(issued);
+        assert.equal(resync[0], 'QT');
+        assert.equal(resync[1], 'TM0');
+        assert.ok(resync.indexOf('TM2') > resync.indexOf('TM1'));
+        assert.deepEqual(resync.slice(-2), ['BM', command]);
+        assert.equal(system.sensorClock.getState().samples, 2);
+        assert.equal(system.isScanning, true);
+        assert.equal(system.streamResyncing, false);
+
+        // 数据流已恢复
+        const scans = simulator.scans;
+        await delay(60);
+        assert.ok(simulator.scans > scans);
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error'), []);
+    });
+
+    it('断开时发送QT并关闭传输层', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        await system.disconnect();
+
+        assert.equal(system.isConnected, false);
+        assert.equal(simulator.commands[simulator.commands.length - 1], 'QT');
+        assert.equal(simulator.transport.isOpen, false);
+    });
+
+    it('按角度配置扇区和簇数，扫描命令和各点角度与配置一致', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        // 1024步/圈，正前方384步：±45° 对应 256-512 步
+        const params = system.configureScan({ startAngle: -45, endAngle: 45, clusterCount: 3 });
+        assert.equal(system.scanCommand, 'GD0256051203');
+        assert.equal(params.startStep, 256);
+        assert.equal(params.endStep, 512);
+        assert.equal(params.startAngle, -45);
+        assert.equal(params.endAngle, 45);
+        assert.equal(params.numPoints, 86);
+        assert.equal(params.angularStep, 360 / 1024 * 3);
+
+        await system.singleScan();
+        assert.equal(simulator.commands[simulator.commands.length - 1], 'GD0256051203');
+        assert.equal(system.scanData.length, 86);
+
+        // 每个点取该簇覆盖步的中心，最后一簇只有 511、512 两步
+        const stepAngle = 360 / 1024;
+        const degrees = (point) => point.angle * 180 / Math.PI;
+        assert.ok(Math.abs(degrees(system.scanData[0]) - (257 - 384) * stepAngle) < 1e-9);
+        assert.ok(Math.abs(degrees(system.scanData[1]) - (260 - 384) * stepAngle) < 1e-9);
+        assert.ok(Math.abs(degrees(system.scanData[85]) - (511.5 - 384) * stepAngle) < 1e-9);
+        assert.equal(system.scanData[85].distance, 1085);
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error'), []);
+    });
+
+    it('超出传感器范围的扇区和无效簇数不改变扫描配置', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+        const command = system.scanCommand;
+
+        assert.throws(() => system.configureScan({ startStep: 10 }), /扫描步范围无效: 10-725/);
+        assert.throws(() => system.configureScan({ startStep: 500, endStep: 400 }), /结束步 400 小于起始步 500/);
+        assert.throws(() => system.configureScan({ clusterCount: 0 }), /簇数无效/);
+        assert.throws(() => system.configureScan({ encoding: 'GX' }), /不支持的扫描编码: GX/);
+        assert.equal(system.scanCommand, command);
+
+        // 角度超出范围时取最近的有效步
+        system.configureScan({ startAngle: -180, endAngle: 180 });
+        assert.equal(system.scanCommand, `GD00440725${command.slice(-2)}`);
+    });
+
+    it('PP应答的参数决定每圈步数、扫描范围和量程', async () => {
+        simulator = createUrgSimulator({
+            info: {
+                VV: { VEND: 'Hokuyo', PROD: 'UTM-30LX', FIRM: '1.2.0', SERI: 'H0000001' },
+                PP: { MODL: 'UTM-30LX', DMIN: 23, DMAX: 60000, ARES: 1440, AMIN: 0, AMAX: 1080, AFRT: 540, SCAN: 2400 }
+            }
+        });
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        assert.deepEqual(system.sensorGeometry, {
+            minStep: 0, maxStep: 1080, frontStep: 540, stepsPerRevolution: 1440, minRange: 23, maxRange: 60000
+        });
+        assert.equal(system.deviceInfo.vendor, 'Hokuyo');
+        assert.equal(system.deviceInfo.model, 'UTM-30LX');
+        assert.equal(system.deviceInfo.scanRate, 40);
+
+        // 原先为全量程扇区，跟随新的全量程
+        assert.equal(system.scanCommand, 'GD0000108001');
+        assert.equal(system.scanParams.numPoints, 1081);
+        assert.equal(system.scanParams.startAngle, -135);
+        assert.equal(system.scanParams.angularStep, 0.25);
+        assert.equal(system.scanParams.minRange, 23);
+        assert.equal(system.scanParams.maxRange, 60000);
+
+        await system.singleScan();
+        assert.equal(system.scanData.length, 1081);
+        assert.equal(system.scanData[540].angle, 0);
+        assert.ok(Math.abs(system.scanData[1080].angle * 180 / Math.PI - 135) < 1e-9);
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error' || entry.type === 'warning'), []);
+    });
+
+    it('已配置的扇区限制在传感器上报的步范围内', async () => {
+        simulator = createUrgSimulator({ info: { PP: { AMIN: 100, AMAX: 600, AFRT: 350, ARES: 1024 } } });
+        system = createSystem(simulator.transport);
+        system.configureScan({ startStep: 60, endStep: 700, clusterCount: 2 });
+        await system.connect();
+
+        assert.equal(system.scanCommand, 'GD0100060002');
+        assert.equal(system.scanParams.startAngle, (100 - 350) * 360 / 1024);
+    });
+
+    it('信息行校验和错误时不采用该应答', () => {
+        system = createSystem(null);
+        const frame = (lines) => `PP\n${scipLine('00')}${lines}\n`;
+
+        // 不同固件的校验和可能包含分号
+        const info = system.parseDeviceInfoResponse(frame(
+            `${scipInfoLine('ARES', 1440)}DMAX:60000;${scipChecksum('DMAX:60000;')}\n${scipInfoLine('XXXX', 'ignored')}`), 'PP');
+        assert.deepEqual(info, { angularResolution: 1440, maxDistance: 60000 });
+
+        assert.throws(() => system.parseDeviceInfoResponse(frame('ARES:1440;!\n'), 'PP'), /信息行校验和错误/);
+        assert.throws(() => system.parseDeviceInfoResponse(frame(`${scipLine('ARES=1440')}`), 'PP'), /信息行格式错误/);
+        assert.throws(() => system.parseDeviceInfoResponse(`PP\n${scipLine('01')}\n`, 'PP'), /PP返回错误状态 01/);
+    });
+
+    it('GE扫描的距离与反射强度交替排列，拆分后落在对应的点上', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+
+        system.configureScan({ encoding: 'GE' });
+        assert.equal(system.scanCommand, 'GE0044072501');
+        await system.singleScan();
+
+        assert.equal(simulator.commands[simulator.commands.length - 1], 'GE0044072501');
+        assert.equal(system.scanData.length, 682);
+        [0, 10, 681].forEach(index => {
+            assert.equal(system.scanData[index].distance, 1000 + index);
+            assert.equal(system.scanData[index].intensity, 2000 + 2 * index);
+        });
+        assert.deepEqual(system.logs.filter(entry => entry.type === 'error'), []);
+    });
+
+    it('ME流式扫描每帧带反射强度', async () => {
+        simulator = createUrgSimulator();
+        system = createSystem(simulator.transport);
+        await system.connect();
+        system.configureScan({ encoding: 'GE', clusterCount: 2 });
+
+        const frames = [];
+        const applyScanResult = system.applyScanResult.bind(system);
+        system.applyScanResult = (scanData, scanTime) => {
+            frames.push(scanData);
+            applyScanResult(scanData, scanTime);
+        };
+
+        await system.startStreaming(2);
+        await system.streamLoop;
+
+        assert.match(simulator.commands.find(command => command.startsWith('M')), /^ME0044072502\d02$/);
+        assert.equal(frames.length, 2);
+        frames.forEach((scanData, scan) => {
+            assert.equal(scanData.length, 341);
+            assert.equal(scanData[5].distance, 1005 + scan);
+            assert.equal(scanData[5].intensity, 2010 + scan);
+        });
+    });
+
+    it('GE数据的值个数不是点数的两倍时报错', () => {
+        system = createSystem(null);
+        system.configureScan({ encoding: 'GE' });
+        const ranges = new Array(682).fill(1000);
+        const response = system.parseSCIPResponse(scipDataFrame('GE0044072501', '00', 42, ranges), 'GE0044072501');
+
+        assert.throws(() => system.decodeScanResponse(response), /距离\/强度值数量不符: 收到 682 个，期望 1364 个/);
+    });
+});
+
+describe('parseSCIPResponse', () => {
+    const system = createSystem(null);
+    const command = 'GD0044004801';
+    const ranges = Array.from({ length: 30 }, (_, i) => 500 + i * 37);
+
+    it('解析回显、状态、时间戳和多个数据块', () => {
+        const response = system.parseSCIPResponse(scipDataFrame(command, '00', 123456, ranges), command);
+
+        assert.equal(response.echo, command);
+        assert.equal(response.status, '00');
+        assert.equal(response.timestamp, 123456);
+        assert.equal(response.blockCount, 2);
+        assert.equal(response.data.length, ranges.length * 3);
+        assert.deepEqual(system.decodeDistanceData(response.data, 3), ranges);
+    });
+
+    it('兼容CRLF行结束符', () => {
+        const frame = scipDataFrame(command, '00', 42, ranges).replace(/\n/g, '\r\n');
+        const response = system.parseSCIPResponse(frame, command);
+        assert.equal(response.timestamp, 42);
+        assert.equal(response.data.length, ranges.length * 3);
+    });
+
+    it('数据块校验和错误时报告块号', () => {
+        const lines = scipDataFrame(command, '00', 42, ranges).split('\n');
+        // 第二个数据块改动一个字符，校验和不再匹配
+        lines[4] = (lines[4][0] === '0' ? '1' : '0') + lines[4].slice(1);
+        assert.throws(() => system.parseSCIPResponse(lines.join('\n'), command), /数据块 2\/2 校验和错误/);
+    });
+
+    it('状态行和时间戳行校验和错误时抛出异常', () => {
+        const lines = scipDataFrame(command, '00', 42, ranges).split('\n');
+
+        const badStatus = [...lines];
+        badStatus[1] = '00Q';
+        assert.throws(() => system.parseSCIPResponse(badStatus.join('\n'), command), /状态行校验和错误/);
+
+        const badTimestamp = [...lines];
+        badTimestamp[2] = badTimestamp[2].slice(0, -1) + '!';
+        assert.throws(() => system.parseSCIPResponse(badTimestamp.join('\n'), command), /时间戳行校验失败/);
+    });
+
+    it('回显与发出的命令不一致时抛出异常', () => {
+        const frame = scipDataFrame('GD0044072501', '00', 42, ranges);
+        assert.throws(() => system.parseSCIPResponse(frame, command), /回显不匹配/);
+    });
+
+    it('流式命令的回显忽略末两位剩余次数', () => {
+        const frame = scipDataFrame('MD004400480100', '99', 42, ranges);
+        const response = system.parseSCIPResponse(frame, 'MD004400480103');
+        assert.equal(response.status, '99');
+        assert.equal(response.data.length, ranges.length * 3);
+
+        assert.throws(() => system.parseSCIPResponse(frame, 'MD004400490103'), /回显不匹配/);
+    });
+
+    it('错误状态不解析时间戳和数据', () => {
+        const response = system.parseSCIPResponse(`${command}\n${scipLine('10')}\n`, command);
+        assert.equal(response.status, '10');
+        assert.equal(response.timestamp, null);
+        assert.equal(response.data, '');
+        assert.equal(response.blockCount, 0);
+    });
+
+    it('非测距命令的附加行作为信息行返回', () => {
+        const response = system.parseSCIPResponse(`VV\n${scipLine('00')}${scipLine('VEND:Hokuyo;')}\n`, 'VV');
+        assert.equal(response.timestamp, null);
+        assert.deepEqual(response.infoLines, [scipLine('VEND:Hokuyo;').trim()]);
+    });
+
+    it('不完整的响应抛出异常', () => {
+        assert.throws(() => system.parseSCIPResponse(`${command}\n\n`, command), /响应不完整/);
+    });
+});
+
+describe('SensorClock', () => {
+    const PERIOD = Math.pow(2, LIDAR_CONSTANTS.CLOCK.TIMESTAMP_BITS);
+
+    /**
+     * 传感器时钟比主机快 driftPpm，主机时间 host 时的原始时间戳
+     */
+    const sensorAt = (host, driftPpm, start = 1000) => Math.round(start + host * (1 + driftPpm * 1e-6)) % PERIOD;
+
+    it('样本跨度不足时只估计偏移', () => {
+        const clock = new SensorClock({ now: () => 0 });
+        assert.equal(clock.toHostTime(1234), null);
+
+        clock.addSample(sensorAt(0, 200), -2, 2);
+        clock.addSample(sensorAt(5000, 200), 4998, 5002);
+
+        assert.equal(clock.rate, 1);
+        assert.equal(clock.getState().driftPpm, 0);
+        assert.equal(clock.getState().samples, 2);
+    });
+
+    it('样本跨度足够时估计漂移', () => {
+        const clock = new SensorClock({ now: () => 0 });
+        for (let host = 0; host <= 60000; host += 20000) {
+            clock.addSample(sensorAt(host, 200), host - 2, host + 2);
+        }
+
+        assert.ok(Math.abs(clock.getState().driftPpm - 200) < 5);
+
+        // 外推到一小时后：只估计偏移时误差为720ms
+        const host = 3600000;
+        assert.ok(Math.abs(clock.toHostTime(sensorAt(host, 200)) - host) < 20);
+    });
+
+    it('漂移估计超过上限时视为异常', () => {
+        const clock = new SensorClock({ now: () => 0 });
+        clock.addSample(sensorAt(0, 5000), -2, 2);
+        clock.addSample(sensorAt(20000, 5000), 19998, 20002);
+        assert.equal(clock.rate, 1);
+    });
+
+    it('跨过24位回绕时换算连续', () => {
+        const clock = new SensorClock({ now: () => 0 });
+        const start = PERIOD - 30000;
+        clock.addSample(sensorAt(0, 0, start), -2, 2);
+        clock.addSample(sensorAt(20000, 0, start), 19998, 20002);
+
+        // 回绕后的时间戳
+        const wrapped = sensorAt(40000, 0, start);
+        assert.ok(wrapped < 20000);
+        assert.equal(clock.toHostTime(wrapped), 40000);
+        assert.equal(clock.wraps, 1);
+
+        // 回绕前的迟到时间戳仍属于上一个周期
+        assert.equal(clock.toHostTime(sensorAt(29000, 0, start)), 29000);
+        assert.equal(clock.toHostTime(sensorAt(41000, 0, start)), 41000);
+        assert.equal(clock.wraps, 1);
+    });
+});
+
+// ---------- STP-23L数据包 ----------
+
+/**
+ * STP-23L测量数据包
+ * @param {number|Array<Object>} points - 12个测量点 {distance, noise, confidence, reftof}；为数字时12个点的距离相同
+ */
+function stpPacket(points) {
+    if (!Array.isArray(points)) {
+        points = new Array(12).fill({ distance: points });
+    }
+    const packet = new Uint8Array(STP23L_CONSTANTS.PACKET_SIZE);
+    packet.fill(STP23L_CONSTANTS.START_BYTE, 0, STP23L_CONSTANTS.HEADER_LENGTH);
+    packet[STP23L_CONSTANTS.COMMAND_INDEX] = STP23L_CONSTANTS.COMMAND_MEASUREMENT;
+    packet[STP23L_CONSTANTS.LENGTH_INDEX] = STP23L_CONSTANTS.DATA_LENGTH;
+    points.forEach(({ distance, noise = 0, confidence = 100, reftof = 0 }, point) => {
+        const offset = STP23L_CONSTANTS.DATA_START_INDEX + point * STP23L_CONSTANTS.DATA_INTERVAL;
+        packet[offset] = distance & 0xFF;
+        packet[offset + 1] = distance >> 8;
+        packet[offset + 2] = noise & 0xFF;
+        packet[offset + 3] = noise >> 8;
+        packet[offset + 8] = confidence;
+        packet[offset + 13] = reftof & 0xFF;
+        packet[offset + 14] = reftof >> 8;
+    });
+    let sum = 0;
+    for (let i = STP23L_CONSTANTS.HEADER_LENGTH; i < STP23L_CONSTANTS.CHECKSUM_INDEX; i++) {
+        sum += packet[i];
+    }
+    packet[STP23L_CONSTANTS.CHECKSUM_INDEX] = sum & 0xFF;
+    return packet;
+}
+
+/**
+ * 无界面的STP-23L传感器，日志收集到 logs 中
+ */
+function createSensor(options = {}) {
+    const sensor = new STP23LSensor({ headless: true, ...options });
+    sensor.logs = [];
+    sensor.log = (message, type = 'info') => sensor.logs.push({ message, type });
+    return sensor;
+}
+
+const packetDistance = (packet) => packet[STP23L_CONSTANTS.DATA_START_INDEX] |
+    (packet[STP23L_CONSTANTS.DATA_START_INDEX + 1] << 8);
+
+describe('STP23LFramer', () => {
+    let transport;
+    let session;
+    let framer;
+    let warnings;
+
+    const open = async (options = {}) => {
+        transport = new MemoryTransport();
+        session = new SerialSession(transport, { log: () => {} });
+        await session.open();
+        warnings = [];
+        framer = new STP23LFramer(session, {
+            log: (message, type) => warnings.push({ message, type }),
+            ...options
+        });
+    };
+
+    const concat = (...parts) => {
+        const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        return bytes;
+    };
+
+    afterEach(async () => {
+        framer.close();
+        await session.close();
+    });
+
+    it('跨数据块拼接数据包并标记到达时间', async () => {
+        let now = 1000;
+        await open({ now: () => now });
+
+        const packet = stpPacket(1234);
+        transport.push(packet.slice(0, 50));
+        await delay(5);
+        now = 1040;
+        transport.push(packet.slice(50));
+
+        const received = await framer.next(100);
+        assert.equal(packetDistance(received.data), 1234);
+        assert.equal(received.receivedAt, 1040);
+        assert.equal(framer.stats.good, 1);
+        assert.equal(framer.stats.resyncs, 0);
+    });
+
+    it('跳过包头前的杂散字节并重新同步', async () => {
+        await open();
+
+        const garbage = Uint8Array.from([0x01, 0xAA, 0xAA, 0xAA, 0x55, 0x00]);
+        transport.push(concat(garbage, stpPacket(1500)));
+
+        const received = await framer.next(100);
+        assert.equal(packetDistance(received.data), 1500);
+        assert.equal(framer.stats.skippedBytes, garbage.length);
+        assert.equal(framer.stats.resyncs, 1);
+        assert.equal(framer.stats.bad, 0);
+    });
+
+    it('丢弃校验和错误的数据包，对齐到下一个包头', async () => {
+        await open();
+
+        const corrupt = stpPacket(1111);
+        corrupt[STP23L_CONSTANTS.CHECKSUM_INDEX] ^= 0xFF;
+        transport.push(concat(corrupt, stpPacket(2222)));
+
+        const received = await framer.next(100);
+        assert.equal(packetDistance(received.data), 2222);
+        assert.equal(framer.stats.bad, 1);
+        assert.equal(framer.stats.good, 1);
+        assert.equal(framer.stats.resyncs, 1);
+        assert.equal(framer.stats.skippedBytes, STP23L_CONSTANTS.PACKET_SIZE);
+        assert.match(warnings[0].message, /校验和错误/);
+    });
+
+    it('丢弃包头字段错误的数据包', async () => {
+        await open();
+
+        const wrongCommand = stpPacket(2222);
+        wrongCommand[STP23L_CONSTANTS.COMMAND_INDEX] = 0x05;
+        const wrongLength = stpPacket(2222);
+        wrongLength[STP23L_CONSTANTS.LENGTH_INDEX] = 12;
+        // 被截断的数据包：下一个数据包的包头落在它的数据区
+        const truncated = stpPacket(2222).slice(0, 100);
+        transport.push(concat(wrongCommand, wrongLength, truncated, stpPacket(3333)));
+
+        const received = await framer.next(100);
+        assert.equal(packetDistance(received.data), 3333);
+        assert.equal(framer.stats.good, 1);
+        assert.ok(framer.stats.bad >= 3);
+        assert.match(warnings[0].message, /命令码/);
+        assert.match(warnings[1].message, /数据长度/);
+    });
+
+    it('没有读取时只保留最新的数据包', async () => {
+        await open();
+
+        transport.push(concat(stpPacket(1), stpPacket(2), stpPacket(3), stpPacket(4)));
+        await delay(5);
+
+        assert.equal(framer.stats.dropped, 4 - STP23L_CONSTANTS.MAX_QUEUED_PACKETS);
+        assert.equal(packetDistance((await framer.next(100)).data), 3);
+        assert.equal(packetDistance((await framer.next(100)).data), 4);
+    });
+
+    it('等待超时或会话关闭时读取失败', async () => {
+        await open();
+
+        await assert.rejects(framer.next(20), /超时/);
+
+        const pending = framer.next(1000);
+        framer.close(new Error('串口已拔出'));
+        await assert.rejects(pending, /串口已拔出/);
+    });
+});
+
+describe('STP23LSensor 测量点合并', () => {
+    const { MIN_VALID_MEASUREMENTS, MAD_SCALE } = STP23L_CONSTANTS;
+    const point = (distance, fields = {}) => ({ distance, noise: 100, confidence: 100, reftof: 0, ...fields });
+
+    it('加权中位数取累计权重首次超过一半的值', () => {
+        assert.equal(STP23LSensor.weightedMedian([3, 1, 2], [1, 1, 1]), 2);
+        assert.equal(STP23LSensor.weightedMedian([1000, 1010, 1020], [10, 10, 100]), 1020);
+        assert.equal(STP23LSensor.weightedMedian([1020, 1000, 1010], [100, 60, 60]), 1010);
+    });
+
+    it('累计权重恰好一半时取相邻两值的平均', () => {
+        assert.equal(STP23LSensor.weightedMedian([4, 1, 3, 2], [1, 1, 1, 1]), 2.5);
+        assert.equal(STP23LSensor.weightedMedian([1000, 1010], [60, 60]), 1005);
+        assert.equal(STP23LSensor.weightedMedian([1000, 1010], [60, 0]), 1000);
+    });
+
+    it('丢弃置信度过低、噪声过高和超出量程的测量点', () => {
+        const sensor = createSensor();
+        const measurements = [
+            ...new Array(8).fill(null).map(() => point(1000)),
+            point(5000, { confidence: STP23L_CONSTANTS.MIN_CONFIDENCE - 1 }),
+            point(5000, { noise: STP23L_CONSTANTS.MAX_NOISE + 1 }),
+            point(STP23L_CONSTANTS.MIN_DISTANCE - 1),
+            point(0)
+        ];
+
+        const combined = sensor.combineMeasurements(measurements);
+        assert.equal(combined.distance, 1000);
+        assert.equal(combined.used, 8);
+        assert.equal(combined.total, 12);
+        assert.equal(combined.noise, 100);
+        assert.equal(combined.confidence, 100);
+        assert.equal(combined.precision, 0);
+    });
+
+    it('离散程度为加权中位绝对偏差换算的标准差', () => {
+        const sensor = createSensor();
+        const measurements = [
+            ...new Array(6).fill(null).map(() => point(1000, { noise: 200, reftof: 300 })),
+            ...new Array(3).fill(null).map(() => point(1010, { confidence: 80, reftof: 310 })),
+            ...new Array(3).fill(null).map(() => point(990, { confidence: 80, reftof: 290 }))
+        ];
+
+        // 偏差为 0（权重600）和 10（权重480），中位数落在 0
+        const combined = sensor.combineMeasurements(measurements);
+        assert.equal(combined.distance, 1000);
+        assert.equal(combined.precision, 0);
+        assert.equal(combined.confidence, 90);
+        assert.equal(combined.noise, 150);
+        assert.equal(combined.reftof, 300);
+
+        // 偏差 0 和 10 的权重各一半时取平均 5
+        const balanced = sensor.combineMeasurements([
+            ...new Array(6).fill(null).map(() => point(1000)),
+            ...new Array(3).fill(null).map(() => point(1010)),
+            ...new Array(3).fill(null).map(() => point(990))
+        ]);
+        assert.ok(Math.abs(balanced.precision - 5 * MAD_SCALE) < 1e-9);
+    });
+
+    it('有效测量点不足 MIN_VALID_MEASUREMENTS 时丢弃整包并计数', async () => {
+        const sensor = createSensor();
+        const lowQuality = [
+            ...new Array(MIN_VALID_MEASUREMENTS - 1).fill(null).map(() => point(1000)),
+            ...new Array(12 - MIN_VALID_MEASUREMENTS + 1).fill(null).map(() => point(1000, { confidence: 10 }))
+        ];
+        assert.equal(sensor.combineMeasurements(lowQuality), null);
+
+        const transport = new MemoryTransport();
+        sensor.transport = transport;
+        await sensor.connect();
+        try {
+            transport.push(stpPacket(lowQuality));
+            await sensor.performMeasurement();
+            assert.equal(sensor.lowQualityPackets, 1);
+            assert.equal(sensor.heightHistory.length, 0);
+
+            transport.push(stpPacket(1200));
+            await sensor.performMeasurement();
+            assert.equal(sensor.lowQualityPackets, 1);
+            assert.equal(sensor.heightHistory.length, 1);
+            assert.equal(sensor.heightHistory[0].raw, 1200);
+            assert.equal(sensor.currentHeight, 1200);
+        } finally {
+            await sensor.disconnect();
+        }
+    });
+});
+
+describe('STP23LSensor 温漂补偿', () => {
+    const { MIN_CALIBRATION_SAMPLES } = STP23L_CONSTANTS;
+
+    /**
+     * 按设备保存在内存中的补偿系数
+     */
+    const createStore = () => {
+        const saved = new Map();
+        return {
+            saved,
+            load: (deviceId) => saved.get(deviceId) || null,
+            save: (deviceId, coefficients) => saved.set(deviceId, coefficients)
+        };
+    };
+
+    /**
+     * 连接到内存传输的传感器，测量由测试逐包驱动
+     */
+    const connectSensor = async (options) => {
+        const transport = new MemoryTransport();
+        const sensor = createSensor({ transport, ...options });
+        await sensor.connect();
+        sensor.isMeasuring = true;
+        sensor.measure = async (distance, reftof) => {
+            transport.push(stpPacket(new Array(12).fill({ distance, reftof })));
+            await sensor.performMeasurement();
+        };
+        return sensor;
+    };
+
+    let sensor;
+
+    afterEach(async () => {
+        if (sensor && sensor.isConnected) {
+            await sensor.disconnect();
+        }
+    });
+
+    it('按已知距离拟合偏移和REFTOF斜率，补偿之后的读数', async () => {
+        const store = createStore();
+        sensor = await connectSensor({ deviceId: 'stp-a', calibrationStore: store });
+
+        // 误差 = 5mm + 0.5mm × (REFTOF - 320)
+        sensor.startCalibration(1000);
+        for (let k = 0; k <= 40; k++) {
+            const reftof = 280 + 2 * k;
+            await sensor.measure(1005 + 0.5 * (reftof - 320), reftof);
+        }
+        assert.equal(sensor.calibration.samples.length, 41);
+
+        const compensation = sensor.finishCalibration();
+        assert.equal(sensor.calibration, null);
+        assert.equal(compensation.reference, 320);
+        assert.ok(Math.abs(compensation.offset - 5) < 1e-9);
+        assert.ok(Math.abs(compensation.slope - 0.5) < 1e-9);
+        assert.ok(compensation.rms < 1e-9);
+        assert.equal(compensation.reftofSpan, 80);
+        assert.equal(store.saved.get('stp-a'), compensation);
+
+        // 补偿后不同温度下的读数都回到已知距离
+        await sensor.measure(1025, 360);
+        await sensor.measure(985, 280);
+        const readings = sensor.heightHistory.slice(-2);
+        readings.forEach(reading => assert.ok(Math.abs(reading.raw - 1000) < 1e-9));
+        assert.equal(sensor.compensate({ distance: 1025, reftof: 360 }).uncompensated, 1025);
+    });
+
+    it('REFTOF变化不足 MIN_REFTOF_SPAN 时只标定固定偏移', async () => {
+        sensor = await connectSensor({ deviceId: 'stp-a', calibrationStore: createStore() });
+
+        sensor.startCalibration(1000);
+        for (let k = 0; k < MIN_CALIBRATION_SAMPLES; k++) {
+            await sensor.measure(1008 + (k % 2) * 2, 300 + (k % 2) * 4);
+        }
+
+        const compensation = sensor.finishCalibration();
+        assert.equal(compensation.slope, 0);
+        assert.equal(compensation.offset, 9);
+        assert.equal(compensation.reftofSpan, 4);
+        assert.ok(sensor.logs.some(log => /只标定固定偏移/.test(log.message)));
+        assert.equal(sensor.compensate({ distance: 1009, reftof: 350 }).distance, 1000);
+    });
+
+    it('样本不足时标定失败，不改变补偿系数', async () => {
+        sensor = await connectSensor({ deviceId: 'stp-a', calibrationStore: createStore() });
+
+        sensor.startCalibration(1000);
+        await sensor.measure(1005, 300);
+        assert.equal(sensor.finishCalibration(), null);
+        assert.equal(sensor.compensation, null);
+        assert.ok(sensor.logs.some(log => log.type === 'error' && /样本不足/.test(log.message)));
+    });
+
+    it('补偿系数按设备保存和加载', async () => {
+        const store = createStore();
+        const coefficients = { offset: 10, slope: 0, reference: 300, calibratedAt: '2026-01-01T00:00:00.000Z' };
+        store.save('stp-a', coefficients);
+
+        sensor = await connectSensor({ deviceId: 'stp-a', calibrationStore: store });
+        assert.equal(sensor.compensation, coefficients);
+        await sensor.measure(1010, 300);
+        assert.equal(sensor.currentHeight, 1000);
+
+        sensor.clearCompensation();
+        assert.equal(store.saved.get('stp-a'), null);
+        await sensor.disconnect();
+
+        // 其他设备没有补偿
+        sensor = await connectSensor({ deviceId: 'stp-b', calibrationStore: store });
+        assert.equal(sensor.compensation, null);
+        await sensor.measure(1010, 300);
+        assert.equal(sensor.currentHeight, 1010);
+    });
+});
+
+describe('STP23LSensor.heightAt', () => {
+    const { HEIGHT_MAX_GAP, HEIGHT_MAX_HOLD } = STP23L_CONSTANTS;
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+    const sensor = createSensor();
+    sensor.heightHistory = [
+        { timestamp: 1000, height: 1000, precision: 3 },
+        { timestamp: 1200, height: 1100, precision: 4 },
+        { timestamp: 1400, height: 1100, precision: 4 },
+        { timestamp: 1400 + HEIGHT_MAX_GAP + 100, height: 1200, precision: 2 }
+    ];
+    const last = sensor.heightHistory[3];
+
+    it('早于第一个样本时没有高度', () => {
+        assert.equal(sensor.heightAt(999), null);
+    });
+
+    it('两个样本之间线性插值，不确定度按权重合成并加上时间不确定度', () => {
+        const result = sensor.heightAt(1050, { timeUncertainty: 10 });
+        assert.equal(result.method, 'interpolated');
+        assert.equal(result.sampleGap, 200);
+        close(result.height, 1025);
+        // hypot(0.75 × 3, 0.25 × 4) + 0.5mm/ms × 10ms
+        close(result.uncertainty, Math.hypot(2.25, 1) + 5);
+
+        const exact = sensor.heightAt(1200);
+        assert.equal(exact.method, 'interpolated');
+        assert.equal(exact.height, 1100);
+        assert.equal(exact.uncertainty, 4);
+    });
+
+    it('前后样本相隔超过 HEIGHT_MAX_GAP 时不插值', () => {
+        assert.equal(sensor.heightAt(1500), null);
+    });
+
+    it('晚于最新样本不超过 HEIGHT_MAX_HOLD 时沿用最新高度，按最近的变化速率放大不确定度', () => {
+        const result = sensor.heightAt(last.timestamp + 100, { timeUncertainty: 20 });
+        assert.equal(result.method, 'held');
+        assert.equal(result.height, 1200);
+        assert.equal(result.sampleGap, 100);
+        const slope = 100 / (HEIGHT_MAX_GAP + 100);
+        close(result.uncertainty, 2 + slope * (100 + 20));
+
+        assert.equal(sensor.heightAt(last.timestamp + HEIGHT_MAX_HOLD).method, 'held');
+        assert.equal(sensor.heightAt(last.timestamp + HEIGHT_MAX_HOLD + 1), null);
+    });
+
+    it('没有精度的样本按0计算不确定度', () => {
+        const single = createSensor();
+        single.heightHistory = [{ timestamp: 1000, height: 1000 }];
+        assert.deepEqual(single.heightAt(1100), { height: 1000, uncertainty: 0, method: 'held', sampleGap: 100 });
+    });
+});
+
+describe('HeightFilter', () => {
+    const { OUTLIER_MAX_CONSECUTIVE, KALMAN_PROCESS_NOISE, KALMAN_MIN_VARIANCE } = STP23L_CONSTANTS;
+
+    /**
+     * 按 100ms 间隔输入读数，返回每次的滤波结果
+     */
+    const feed = (filter, readings, start = 0) => readings.map((raw, index) =>
+        filter.update(raw, { timestamp: start + index * 100 }));
+
+    ['median', 'ema', 'kalman'].forEach(type => {
+        it(`${type}: 单个尖峰作为离群值剔除，不改变滤波结果`, () => {
+            const filter = new HeightFilter({ type });
+            feed(filter, [1000, 1002, 998, 1001]);
+            const before = filter.value;
+
+            const [spike] = feed(filter, [1500], 400);
+            assert.equal(spike.outlier, true);
+            assert.equal(spike.value, before);
+            assert.equal(filter.value, before);
+
+            // 尖峰之后的正常读数照常接受，连续离群计数清零
+            const [next] = feed(filter, [1000], 500);
+            assert.equal(next.outlier, false);
+            assert.equal(filter.consecutiveOutliers, 0);
+        });
+
+        it(`${type}: 持续的台阶在连续 OUTLIER_MAX_CONSECUTIVE 次离群后重新跟上`, () => {
+            const filter = new HeightFilter({ type });
+            feed(filter, [1000, 1000, 1000]);
+
+            const results = feed(filter, new Array(OUTLIER_MAX_CONSECUTIVE).fill(1200), 300);
+            results.slice(0, -1).forEach(result => {
+                assert.equal(result.outlier, true);
+                assert.equal(result.value, 1000);
+            });
+            assert.deepEqual(results[results.length - 1], { value: 1200, outlier: false });
+            assert.deepEqual(filter.window, [1200]);
+
+            // 新高度附近的读数正常滤波
+            assert.equal(feed(filter, [1203], 300 + OUTLIER_MAX_CONSECUTIVE * 100)[0].outlier, false);
+        });
+    });
+
+    it('median: 取最近 MEDIAN_WINDOW 个接受读数的中值', () => {
+        const filter = new HeightFilter({ type: 'median' });
+        const values = feed(filter, [1000, 1010, 990, 1004, 996, 1020]).map(result => result.value);
+        assert.deepEqual(values, [1000, 1005, 1000, 1002, 1000, 1004]);
+    });
+
+    it('ema: 按 EMA_ALPHA 向新读数平滑', () => {
+        const filter = new HeightFilter({ type: 'ema' });
+        const [, second] = feed(filter, [1000, 1010]);
+        assert.ok(Math.abs(second.value - (1000 + STP23L_CONSTANTS.EMA_ALPHA * 10)) < 1e-9);
+    });
+
+    it('kalman: 预测方差随间隔时间增长，间隔越久越信任新读数', () => {
+        const step = (dt, raw) => {
+            const filter = new HeightFilter({ type: 'kalman' });
+            filter.update(1000, { timestamp: 0 });
+            const result = filter.update(raw, { timestamp: dt });
+            return { filter, result };
+        };
+
+        const short = step(100, 1010);
+        const long = step(10000, 1010);
+        const gain = (dt) => {
+            const predicted = KALMAN_MIN_VARIANCE + KALMAN_PROCESS_NOISE * dt / 1000;
+            return predicted / (predicted + KALMAN_MIN_VARIANCE);
+        };
+        assert.ok(Math.abs(short.result.value - (1000 + 10 * gain(100))) < 1e-9);
+        assert.ok(Math.abs(long.result.value - (1000 + 10 * gain(10000))) < 1e-9);
+        assert.ok(long.result.value > short.result.value);
+        assert.ok(long.filter.variance > short.filter.variance);
+
+        // 离群门限同样随预测方差放宽：长时间没有读数后 80mm 的变化不算离群
+        assert.equal(step(100, 1080).result.outlier, true);
+        assert.equal(step(10000, 1080).result.outlier, false);
+    });
+
+    it('none: 直接输出原始读数；未知的滤波方式抛出异常', () => {
+        const filter = new HeightFilter({ type: 'none' });
+        assert.deepEqual(feed(filter, [1000, 1500]).map(result => result.value), [1000, 1500]);
+        assert.throws(() => filter.setType('mean'), /未知的高度滤波方式: mean/);
+    });
+});
+
+describe('HeightAlarmEngine', () => {
+    /**
+     * 依次输入 [时间, 高度] 样本，返回每个样本产生的事件状态
+     */
+    const feed = (engine, samples) => samples.map(([timestamp, height]) =>
+        engine.evaluate({ height, timestamp }).map(event => `${event.ruleId}:${event.state}`));
+
+    it('超限触发，回到阈值以内超过迟滞才解除', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [{ id: 'low', type: 'min', threshold: 1000, hysteresis: 20 }]
+        });
+
+        assert.deepEqual(feed(engine, [[0, 1200], [100, 990], [200, 1010], [300, 1015], [400, 1025]]),
+            [[], ['low:triggered'], [], [], ['low:cleared']]);
+        assert.deepEqual(engine.getActiveAlarms(), []);
+    });
+
+    it('冷却时间内不重复触发', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [{ id: 'high', type: 'max', threshold: 1600, cooldown: 1000 }]
+        });
+
+        assert.deepEqual(feed(engine, [[0, 1700], [100, 1500], [200, 1700], [900, 1700], [1000, 1700]]),
+            [['high:triggered'], ['high:cleared'], [], [], ['high:triggered']]);
+        assert.equal(engine.getActiveAlarms()[0].value, 1700);
+    });
+
+    it('超限持续 duration 才触发，中途回到阈值以内重新计时', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [{ id: 'drift', type: 'deviation', threshold: 50, duration: 300, baseline: 1000 }]
+        });
+
+        assert.deepEqual(feed(engine, [[0, 1060], [200, 1060], [250, 1000], [300, 1060], [500, 1060], [600, 1060]]),
+            [[], [], [], [], [], ['drift:triggered']]);
+    });
+
+    it('速率窗口内数据跨度不足半个窗口时不判断', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [{ id: 'fast', type: 'rate', threshold: 1000, window: 1000, hysteresis: 200 }]
+        });
+
+        // 400ms 内变化 600mm（1500mm/s），跨度不足 500ms
+        assert.deepEqual(feed(engine, [[0, 1000], [200, 1300], [400, 1600]]), [[], [], []]);
+        assert.equal(engine.states.get('fast').value, null);
+
+        assert.deepEqual(feed(engine, [[600, 1900]]), [['fast:triggered']]);
+        assert.equal(engine.getActiveAlarms()[0].value, 1500);
+
+        // 窗口滑过突变后速率回落到 600mm/s，低于阈值减迟滞
+        assert.deepEqual(feed(engine, [[1200, 1900]]), [['fast:cleared']]);
+    });
+
+    it('测量中断后速率无法判断时解除报警，数据恢复后重新触发', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [{ id: 'fast', type: 'rate', threshold: 1000, window: 1000 }]
+        });
+
+        assert.deepEqual(feed(engine, [[0, 1000], [600, 1900]]), [[], ['fast:triggered']]);
+
+        // 中断 5 秒：窗口内只剩新样本
+        assert.deepEqual(feed(engine, [[5600, 1900]]), [['fast:cleared']]);
+        assert.equal(engine.getActiveAlarms().length, 0);
+
+        assert.deepEqual(feed(engine, [[5800, 1900], [6200, 2800]]), [[], ['fast:triggered']]);
+    });
+
+    it('未指定基准时以第一个样本为基准，规则的 baseline 优先', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [
+                { id: 'auto', type: 'deviation', threshold: 50 },
+                { id: 'fixed', type: 'deviation', threshold: 50, baseline: 1250 }
+            ]
+        });
+
+        assert.deepEqual(feed(engine, [[0, 1200], [100, 1260]]), [[], ['auto:triggered']]);
+        assert.equal(engine.baseline, 1200);
+
+        engine.setBaseline(1260);
+        assert.deepEqual(feed(engine, [[200, 1260]]), [['auto:cleared']]);
+
+        // 重置后在下一个样本重新确定基准
+        engine.reset();
+        assert.equal(engine.baseline, null);
+        assert.deepEqual(feed(engine, [[300, 1310]]), [['fixed:triggered']]);
+        assert.equal(engine.baseline, 1310);
+    });
+
+    it('按严重程度排列当前报警，停用的规则不判断', () => {
+        const engine = new HeightAlarmEngine({
+            rules: [
+                { id: 'low', type: 'min', threshold: 1000, severity: 'info' },
+                { id: 'very-low', type: 'min', threshold: 900, severity: 'critical' },
+                { id: 'off', type: 'min', threshold: 1000, enabled: false }
+            ]
+        });
+
+        engine.evaluate({ height: 800, timestamp: 0 });
+        assert.deepEqual(engine.getActiveAlarms().map(alarm => alarm.id), ['very-low', 'low']);
+    });
+
+    it('无效规则抛出异常', () => {
+        assert.throws(() => new HeightAlarmEngine({ rules: {} }), /必须是数组/);
+        assert.throws(() => new HeightAlarmEngine({ rules: [{ type: 'avg', threshold: 1 }] }), /第1条 的类型无效/);
+        assert.throws(() => new HeightAlarmEngine({ rules: [{ id: 'x', type: 'min' }] }), /x 缺少阈值/);
+        assert.throws(() => new HeightAlarmEngine({ rules: [{ type: 'max', threshold: 1, severity: 'fatal' }] }), /严重程度无效/);
+    });
+});
+
+describe('BackgroundModel', () => {
+    const BEAMS = 100;
+    const layout = { startStep: 0, endStep: BEAMS - 1, clusterCount: 1, beams: BEAMS };
+
+    /**
+     * 一帧扫描：range(i) 为第i条扫描线的距离，0 表示没有回波
+     */
+    const scan = (range) => Array.from({ length: BEAMS }, (_, i) => {
+        const angle = (i - BEAMS / 2) * Math.PI / 180;
+        const distance = range(i);
+        return { angle, distance, x: distance * Math.cos(angle), y: distance * Math.sin(angle) };
+    });
+
+    // 背景：3000mm 的墙，第90条以后是空旷方向，学习帧之间有 ±5mm 的抖动
+    const background = (i, frame = 0) => (i >= 90 ? 0 : 3000 + (frame % 3 - 1) * 5);
+
+    const learn = () => {
+        const model = new BackgroundModel();
+        model.startLearning(BACKGROUND_CONSTANTS.MIN_LEARNING_SCANS);
+        for (let frame = 0; frame < BACKGROUND_CONSTANTS.MIN_LEARNING_SCANS; frame++) {
+            assert.equal(model.learning, true);
+            model.addScan(scan(i => background(i, frame)), layout);
+        }
+        return model;
+    };
+
+    const kinds = (result) => result.objects.map(object => [object.kind, object.startBeam, object.endBeam]);
+
+    it('学习背景并统计空旷方向', () => {
+        const model = learn();
+
+        assert.equal(model.ready, true);
+        assert.equal(model.learning, false);
+        assert.equal(model.getEmptyBeamCount(), 10);
+        assert.equal(model.background[0], 3000);
+        assert.equal(model.threshold[0], BACKGROUND_CONSTANTS.MIN_DIFFERENCE);
+        assert.equal(model.matches(layout), true);
+        assert.equal(model.matches({ ...layout, clusterCount: 2 }), false);
+
+        assert.throws(() => model.startLearning(BACKGROUND_CONSTANTS.MIN_LEARNING_SCANS - 1), /学习帧数无效/);
+    });
+
+    it('与背景一致的扫描没有变化目标', () => {
+        const result = learn().classify(scan(i => (i >= 90 ? 0 : background(i, 1) + (i % 2 ? 40 : -40))));
+
+        assert.deepEqual(result.objects, []);
+        assert.equal(result.foregroundPoints, 0);
+        assert.equal(result.removedBeams, 0);
+    });
+
+    it('比背景近的连续扫描线为前景目标，孤立噪声忽略', () => {
+        const result = learn().classify(scan(i => {
+            if (i >= 20 && i <= 25) return 1500;
+            if (i === 50) return 800;
+            return background(i);
+        }));
+
+        assert.deepEqual(kinds(result), [['foreground', 20, 25]]);
+        assert.equal(result.foregroundPoints, 6);
+        assert.equal(result.foreground[22], 1);
+        assert.equal(result.foreground[50], 0);
+        assert.equal(result.objects[0].range, 1500);
+        assert.equal(result.objects[0].depth, 1500);
+    });
+
+    it('目标内短暂的间断不拆分目标', () => {
+        const gap = BACKGROUND_CONSTANTS.MAX_OBJECT_GAP;
+        const result = learn().classify(scan(i => {
+            if ((i >= 10 && i < 14) || (i >= 14 + gap && i < 18 + gap)) return 1500;
+            return background(i);
+        }));
+        assert.deepEqual(kinds(result), [['foreground', 10, 17 + gap]]);
+    });
+
+    it('空旷方向出现的回波为前景目标', () => {
+        const result = learn().classify(scan(i => (i >= 92 && i <= 95 ? 2000 : background(i))));
+
+        assert.deepEqual(kinds(result), [['foreground', 92, 95]]);
+        assert.equal(result.objects[0].depth, null);
+    });
+
+    it('比背景远或回波消失的扫描线为移走目标，位置取原背景', () => {
+        const result = learn().classify(scan(i => {
+            if (i >= 30 && i <= 34) return 4000;
+            // 倒下的树干：原方向超出量程，没有回波
+            if (i >= 60 && i <= 64) return 0;
+            return background(i);
+        }));
+
+        assert.deepEqual(kinds(result), [['removed', 30, 34], ['removed', 60, 64]]);
+        assert.equal(result.removedBeams, 10);
+        assert.equal(result.foregroundPoints, 0);
+
+        const [farther, vanished] = result.objects;
+        assert.equal(farther.depth, 1000);
+        assert.equal(farther.range, 3000);
+        assert.equal(vanished.depth, null);
+        assert.equal(vanished.range, 3000);
+        assert.ok(Math.abs(Math.hypot(vanished.center.x, vanished.center.y) - 3000) < 5);
+    });
+
+    it('变化连续保持 CONFIRM_FRAMES 帧才发出事件', () => {
+        const model = learn();
+        const empty = scan(i => background(i));
+        const person = scan(i => (i >= 20 && i <= 25 ? 1500 : background(i)));
+        const moved = scan(i => {
+            if (i >= 20 && i <= 25) return 1500;
+            if (i >= 60 && i <= 64) return 0;
+            return background(i);
+        });
+        const step = (scanData, timestamp) => model.detectChange(model.classify(scanData), timestamp);
+
+        // 只出现一帧的变化不报告
+        assert.equal(step(person, 0), null);
+        assert.equal(step(empty, 100), null);
+
+        assert.equal(step(person, 200), null);
+        const appeared = step(person, 300);
+        assert.equal(appeared.state, 'appeared');
+        assert.equal(appeared.foregroundObjects, 1);
+        assert.equal(appeared.removedObjects, 0);
+        assert.equal(appeared.timestamp, 300);
+        assert.equal(step(person, 400), null);
+
+        assert.equal(step(moved, 500), null);
+        const changed = step(moved, 600);
+        assert.equal(changed.state, 'changed');
+        assert.equal(changed.removedObjects, 1);
+        assert.equal(changed.removedBeams, 5);
+
+        assert.equal(step(empty, 700), null);
+        const cleared = step(empty, 800);
+        assert.equal(cleared.state, 'cleared');
+        assert.deepEqual(cleared.objects, []);
+        assert.equal(step(empty, 900), null);
+    });
+});
+
+describe('LidarSystem 树木检测', () => {
+    /**
+     * 一棵树干的扫描点：按当前扫描几何从传感器射线求与圆的交点
+     */
+    function trunkScan(system, trunk) {
+        const step = system.scanParams.angularStep * Math.PI / 180;
+        const points = [];
+        for (let angle = -Math.PI / 2; angle <= Math.PI / 2; angle += step) {
+            const along = Math.cos(angle) * trunk.x + Math.sin(angle) * trunk.y;
+            const discriminant = trunk.r * trunk.r - (trunk.x * trunk.x + trunk.y * trunk.y - along * along);
+            if (discriminant < 0) continue;
+            const distance = along - Math.sqrt(discriminant);
+            points.push({ angle, distance, x: distance * Math.cos(angle), y: distance * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    /**
+     * 等待实时检测完成（最多约1秒）
+     */
+    async function detectionIdle(system) {
+        for (let i = 0; i < 500 && system.liveDetectionBusy; i++) {
+            await delay(2);
+        }
+        assert.equal(system.liveDetectionBusy, false);
+    }
+
+    function createDetectingSystem(trunk) {
+        const system = createSystem(new MemoryTransport());
+        system.scanData = trunkScan(system, trunk);
+        system.scanTiming = { acquiredAt: 1000, sensorTimestamp: 42, timeSource: 'sensor' };
+        system.scanHeight = { height: 1300, uncertainty: 5, method: 'interpolated' };
+        return system;
+    }
+
+    it('跟踪和发送使用提交检测的那一帧的采集时间和高度', async () => {
+        const system = createDetectingSystem({ x: 2000, y: 0, r: 150 });
+        const sent = [];
+        system.ws = { OPEN: 1, readyState: 1, send: (text) => sent.push(JSON.parse(text)) };
+
+        const detection = system.detectTrees();
+        // 检测期间到达下一帧
+        system.scanTiming = { acquiredAt: 5000, sensorTimestamp: 4042, timeSource: 'sensor' };
+        system.scanHeight = { height: 1800, uncertainty: 5, method: 'interpolated' };
+        await detection;
+
+        assert.equal(system.trees.length, 1);
+        assert.equal(system.trees[0].lastSeen, 1000);
+        assert.equal(system.trees[0].firstSeen, 1000);
+
+        const treeData = sent.find(message => message.type === 'tree_data');
+        assert.equal(treeData.acquiredAt, new Date(1000).toISOString());
+        assert.equal(treeData.sensorTimestamp, 42);
+        assert.equal(treeData.height, 1300);
+    });
+
+    it('指定另一种算法的比较运行不更新跟踪', async () => {
+        const system = createDetectingSystem({ x: 2000, y: 0, r: 150 });
+        await system.detectTrees();
+        const trees = system.trees;
+        const nextId = system.treeTracker.nextId;
+
+        const other = system.detectionParams.algorithm === 'breakpoint' ? 'dbscan' : 'breakpoint';
+        const result = await system.detectTrees({ algorithm: other });
+
+        assert.equal(result.trees.length, 1);
+        assert.equal(system.trees, trees);
+        assert.equal(system.treeTracker.nextId, nextId);
+        assert.equal(system.treeTracker.tracks[0].observations, 1);
+    });
+
+    it('实时检测：上一帧检测未完成时跳过新帧，不取消进行中的检测', async () => {
+        const system = createSystem(new MemoryTransport());
+        const frame = trunkScan(system, { x: 2000, y: 0, r: 150 });
+        assert.equal(system.treeDetection.usesWorker, false);
+
+        let submitted = 0;
+        const submit = system.treeDetection.submit.bind(system.treeDetection);
+        system.treeDetection.submit = (points, params) => {
+            submitted++;
+            return submit(points, params);
+        };
+
+        system.setLiveDetection(true);
+        system.applyScanResult(frame, 5);
+        system.applyScanResult(frame, 5);
+        system.applyScanResult(frame, 5);
+        assert.equal(submitted, 1);
+        assert.equal(system.skippedDetectionFrames, 2);
+        assert.equal(system.liveDetectionBusy, true);
+
+        await detectionIdle(system);
+        assert.equal(system.trees.length, 1);
+        assert.ok(!system.logs.some(entry => /取消|取代/.test(entry.message)));
+
+        // 检测完成后下一帧照常检测
+        system.applyScanResult(frame, 5);
+        assert.equal(submitted, 2);
+        await detectionIdle(system);
+        assert.equal(system.trees[0].observations, 2);
+
+        system.setLiveDetection(false);
+        assert.ok(system.logs.some(entry => entry.message.includes('共跳过 2 帧')));
+        system.applyScanResult(frame, 5);
+        assert.equal(submitted, 2);
+    });
+
+    it('检测频率按完成间隔指数平滑', () => {
+        const system = createSystem(new MemoryTransport());
+        const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.5, `${actual} ≠ ${expected}`);
+
+        // 第一次完成只记录时间
+        system.updateDetectionRate();
+        assert.equal(system.detectionRate, 0);
+
+        system.lastDetectionFrameTime = performance.now() - 100;
+        system.updateDetectionRate();
+        near(system.detectionRate, 10);
+
+        // 新的间隔按 0.2 的权重并入
+        system.lastDetectionFrameTime = performance.now() - 50;
+        system.updateDetectionRate();
+        near(system.detectionRate, 10 * 0.8 + 20 * 0.2);
+
+        // 只刷新显示时不改变频率；开关实时检测时清零
+        const rate = system.detectionRate;
+        system.updateDetectionRate(false);
+        assert.equal(system.detectionRate, rate);
+        system.setLiveDetection(true);
+        assert.equal(system.detectionRate, 0);
+        assert.equal(system.lastDetectionFrameTime, null);
+    });
+});
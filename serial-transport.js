@@ -0,0 +1,882 @@
+/**
+ * 串口传输层
+ * 为激光雷达和STP-23L提供统一的字节流接口，采集代码因此可以运行在浏览器（Web Serial）、
+ * Node.js（serialport / TCP）或内存数据上
+ *
+ * 每种传输都实现以下接口：
+ *   open()        打开连接
+ *   read()        返回 Promise<{value: Uint8Array, done: boolean}>，连接关闭后 done 为 true
+ *   write(data)   写入 Uint8Array，返回 Promise
+ *   close()       关闭连接，未完成的 read() 以 done: true 结束
+ *   reopen()      断开后重新打开同一设备（自动恢复时使用）
+ *   onDisconnect  连接意外断开时调用的回调，参数为异常
+ *   description   日志中显示的连接描述
+ *
+ * 另有会话录制（SessionRecorder / RecordingTransport）与回放（ReplayTransport）：
+ * 录制文件为JSON Lines，首行为文件头，其后每行一条记录：
+ *   {"t": 相对开始的毫秒数, "ch": "lidar"|"stp23l", "type": "rx"|"tx"|"open"|"close"|"disconnect", "data": Base64}
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * 基于数据块队列的传输基类
+ * Node.js的串口和TCP以事件推送数据，这里把事件转换为 read() 拉取
+ */
+class ChunkQueueTransport {
+    constructor() {
+        this.chunks = [];
+        this.pendingRead = null;
+        this.isOpen = false;
+        this.onDisconnect = null;
+        this.description = '数据流';
+    }
+
+    /**
+     * 读取下一个数据块
+     * @returns {Promise<{value: Uint8Array|undefined, done: boolean}>}
+     */
+    read() {
+        if (this.chunks.length > 0) {
+            return Promise.resolve({ value: this.chunks.shift(), done: false });
+        }
+        if (!this.isOpen) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+            this.pendingRead = { resolve, reject };
+        });
+    }
+
+    /**
+     * 放入收到的数据块
+     * @param {Uint8Array|Buffer} chunk - 数据块
+     */
+    enqueue(chunk) {
+        // Node.js的Buffer可能共享底层内存，复制为独立的Uint8Array
+        const value = Uint8Array.from(chunk);
+
+        if (this.pendingRead) {
+            const { resolve } = this.pendingRead;
+            this.pendingRead = null;
+            resolve({ value, done: false });
+        } else {
+            this.chunks.push(value);
+        }
+    }
+
+    /**
+     * 重新打开连接，丢弃断开前未读出的数据
+     * @returns {Promise<void>}
+     */
+    reopen() {
+        this.chunks = [];
+        this.pendingRead = null;
+        return this.open();
+    }
+
+    /**
+     * 结束数据流
+     * @param {Error|null} [error] - 意外断开时的异常
+     */
+    end(error = null) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        if (this.pendingRead) {
+            const { resolve, reject } = this.pendingRead;
+            this.pendingRead = null;
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ value: undefined, done: true });
+            }
+        }
+
+        if (error && this.onDisconnect) {
+            this.onDisconnect(error);
+        }
+    }
+}
+
+/**
+ * Web Serial传输（Chrome / Edge）
+ */
+class WebSerialTransport {
+    /**
+     * @param {Object} [options]
+     * @param {SerialPort} [options.port] - 已授权的串口；不提供时在open()中弹出选择框
+     * @param {Object} options.serialOptions - 传给 port.open() 的参数（波特率等）
+     * @param {Array<Object>} [options.filters] - requestPort的设备过滤条件
+     */
+    constructor(options = {}) {
+        this.port = options.port || null;
+        this.serialOptions = options.serialOptions;
+        this.filters = options.filters || [];
+        this.requestedPort = false;
+        this.lastPortInfo = null;
+
+        this.reader = null;
+        this.writer = null;
+        this.onDisconnect = null;
+        this.handleDisconnectEvent = (event) => {
+            if (event.target === this.port && this.onDisconnect) {
+                this.onDisconnect(new Error('串口设备已断开'));
+            }
+        };
+    }
+
+    /**
+     * 当前环境是否支持Web Serial
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.serial;
+    }
+
+    get description() {
+        if (!this.port || typeof this.port.getInfo !== 'function') return 'Web Serial';
+
+        const info = this.port.getInfo();
+        if (info.usbVendorId === undefined) return 'Web Serial';
+        const hex = (id) => id.toString(16).padStart(4, '0');
+        return `Web Serial (USB ${hex(info.usbVendorId)}:${hex(info.usbProductId)})`;
+    }
+
+    async open() {
+        if (!WebSerialTransport.isSupported()) {
+            throw new Error('当前浏览器不支持Web Serial API，请使用Chrome或Edge，或在Node.js中使用NodeSerialTransport/TcpTransport');
+        }
+
+        if (!this.port) {
+            this.port = await navigator.serial.requestPort({ filters: this.filters });
+            this.requestedPort = true;
+        }
+
+        await this.port.open(this.serialOptions);
+        this.lastPortInfo = typeof this.port.getInfo === 'function' ? this.port.getInfo() : {};
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+        navigator.serial.addEventListener('disconnect', this.handleDisconnectEvent);
+    }
+
+    /**
+     * 重新打开断开前使用的串口
+     * 拔出后原SerialPort对象失效，重新插入后从已授权的串口中按USB厂商/产品ID找回，不再弹出选择框
+     * @returns {Promise<void>}
+     */
+    async reopen() {
+        if (this.lastPortInfo && this.lastPortInfo.usbVendorId !== undefined) {
+            const ports = await navigator.serial.getPorts();
+            const port = ports.find(candidate => {
+                const info = candidate.getInfo();
+                return info.usbVendorId === this.lastPortInfo.usbVendorId &&
+                    info.usbProductId === this.lastPortInfo.usbProductId;
+            });
+            if (!port) {
+                throw new Error('已授权的串口中未找到该设备，等待设备重新插入');
+            }
+            if (port !== this.port) {
+                this.port = port;
+                this.requestedPort = true;
+            }
+        } else if (!this.port) {
+            throw new Error('没有可恢复的串口');
+        }
+
+        await this.open();
+    }
+
+    read() {
+        if (!this.reader) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return this.reader.read();
+    }
+
+    write(data) {
+        if (!this.writer) {
+            return Promise.reject(new Error('串口未打开'));
+        }
+        return this.writer.write(data);
+    }
+
+    async close() {
+        if (WebSerialTransport.isSupported()) {
+            navigator.serial.removeEventListener('disconnect', this.handleDisconnectEvent);
+        }
+
+        if (this.reader) {
+            try {
+                await this.reader.cancel();
+                this.reader.releaseLock();
+            } catch (e) {
+                // 忽略释放错误
+            }
+            this.reader = null;
+        }
+
+        if (this.writer) {
+            try {
+                this.writer.releaseLock();
+            } catch (e) {
+                // 忽略释放错误
+            }
+            this.writer = null;
+        }
+
+        if (this.port) {
+            try {
+                await this.port.close();
+            } catch (e) {
+                // 设备已拔出时关闭会失败
+            }
+            // 由选择框获得的串口在下次连接时重新选择
+            if (this.requestedPort) {
+                this.port = null;
+                this.requestedPort = false;
+            }
+        }
+    }
+}
+
+/**
+ * Node.js串口传输，依赖 serialport 包
+ */
+class NodeSerialTransport extends ChunkQueueTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - 串口路径，如 /dev/ttyACM0 或 COM3
+     * @param {Object} options.serialOptions - 波特率等参数，格式同Web Serial
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.path) {
+            throw new Error('NodeSerialTransport需要串口路径 path');
+        }
+
+        this.path = options.path;
+        this.serialOptions = options.serialOptions || {};
+        this.port = null;
+        this.description = `串口 ${this.path}`;
+    }
+
+    async open() {
+        const { SerialPort } = require('serialport');
+
+        this.port = new SerialPort({
+            path: this.path,
+            baudRate: this.serialOptions.baudRate,
+            dataBits: this.serialOptions.dataBits,
+            stopBits: this.serialOptions.stopBits,
+            parity: this.serialOptions.parity,
+            rtscts: this.serialOptions.flowControl === 'hardware',
+            autoOpen: false
+        });
+
+        await new Promise((resolve, reject) => {
+            this.port.open(error => error ? reject(error) : resolve());
+        });
+
+        this.isOpen = true;
+        this.port.on('data', chunk => this.enqueue(chunk));
+        this.port.on('error', error => this.end(error));
+        this.port.on('close', error => this.end(error && error.disconnected ? error : null));
+    }
+
+    write(data) {
+        return new Promise((resolve, reject) => {
+            if (!this.port || !this.isOpen) {
+                reject(new Error(`${this.description} 未打开`));
+                return;
+            }
+            this.port.write(Buffer.from(data), error => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                this.port.drain(resolve);
+            });
+        });
+    }
+
+    async close() {
+        const port = this.port;
+        this.port = null;
+        this.end();
+
+        if (port && port.isOpen) {
+            await new Promise(resolve => port.close(() => resolve()));
+        }
+    }
+}
+
+/**
+ * TCP传输：以太网版URG（UST/UTM等，默认端口10940）或 ser2net 等串口服务器
+ */
+class TcpTransport extends ChunkQueueTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.host - 主机地址
+     * @param {number} [options.port=10940] - 端口
+     * @param {number} [options.connectTimeout=3000] - 连接超时（ms）
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.host) {
+            throw new Error('TcpTransport需要主机地址 host');
+        }
+
+        this.host = options.host;
+        this.port = options.port || 10940;
+        this.connectTimeout = options.connectTimeout || 3000;
+        this.socket = null;
+        this.description = `TCP ${this.host}:${this.port}`;
+    }
+
+    async open() {
+        const net = require('net');
+
+        this.socket = await new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`连接 ${this.description} 超时`));
+            }, this.connectTimeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve(socket);
+            });
+            socket.once('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        this.isOpen = true;
+        this.socket.setNoDelay(true);
+        this.socket.on('data', chunk => this.enqueue(chunk));
+        this.socket.on('error', error => this.end(error));
+        this.socket.on('close', () => this.end(this.isOpen ? new Error(`${this.description} 连接已断开`) : null));
+    }
+
+    write(data) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.isOpen) {
+                reject(new Error(`${this.description} 未连接`));
+                return;
+            }
+            this.socket.write(Buffer.from(data), error => error ? reject(error) : resolve());
+        });
+    }
+
+    async close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.end();
+
+        if (socket) {
+            socket.destroy();
+        }
+    }
+}
+
+/**
+ * 内存传输：回放预先录制的数据，或由应答函数模拟设备
+ */
+class MemoryTransport extends ChunkQueueTransport {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Uint8Array|string>} [options.chunks] - 打开后依次读出的数据
+     * @param {Function} [options.responder] - (text, transport) => void，收到写入时调用，可用push()返回应答
+     * @param {string} [options.description='内存数据']
+     */
+    constructor(options = {}) {
+        super();
+        this.initialChunks = options.chunks || [];
+        this.responder = options.responder || null;
+        this.description = options.description || '内存数据';
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+        this.written = [];
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.initialChunks.forEach(chunk => this.push(chunk));
+    }
+
+    /**
+     * 放入待读出的数据
+     * @param {Uint8Array|string} data - 数据
+     */
+    push(data) {
+        if (!this.isOpen) return;
+        this.enqueue(typeof data === 'string' ? this.encoder.encode(data) : data);
+    }
+
+    async write(data) {
+        if (!this.isOpen) {
+            throw new Error(`${this.description} 未打开`);
+        }
+
+        const text = this.decoder.decode(data);
+        this.written.push(text);
+        if (this.responder) {
+            this.responder(text, this);
+        }
+    }
+
+    async close() {
+        this.end();
+    }
+
+    /**
+     * 模拟设备断开
+     * @param {Error} [error]
+     */
+    disconnect(error = new Error(`${this.description} 已断开`)) {
+        this.end(error);
+    }
+}
+
+/**
+ * 会话录制器：记录各传输层收发的原始数据块及时间
+ * 浏览器中保存在内存，停止后下载；Node.js中可传入sink逐行写入文件
+ */
+class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.sink] - (line) => void，提供时每条记录直接交给sink，不保存在内存
+     * @param {Function} [options.now] - 主机时间（Unix毫秒）
+     */
+    constructor(options = {}) {
+        this.sink = options.sink || null;
+        this.now = options.now || (() => performance.timeOrigin + performance.now());
+        this.lines = [];
+        this.startedAt = null;
+        this.isRecording = false;
+        this.recordCount = 0;
+        this.byteCount = 0;
+    }
+
+    /**
+     * 开始录制，清除上一次的记录
+     */
+    start() {
+        this.startedAt = this.now();
+        this.lines = [];
+        this.recordCount = 0;
+        this.byteCount = 0;
+        this.isRecording = true;
+        this.writeLine({
+            type: 'header',
+            format: SessionRecorder.FORMAT,
+            version: SessionRecorder.VERSION,
+            startedAt: this.startedAt
+        });
+    }
+
+    /**
+     * 停止录制
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * 记录一个数据块或事件；未在录制时忽略
+     * @param {string} channel - 设备通道，如 'lidar'、'stp23l'
+     * @param {string} type - 'rx'/'tx'/'open'/'close'/'disconnect'
+     * @param {Uint8Array|null} [data] - 数据块
+     * @param {Object} [extra] - 附加字段，如断开原因
+     */
+    record(channel, type, data = null, extra = {}) {
+        if (!this.isRecording) return;
+
+        const entry = { t: Math.round((this.now() - this.startedAt) * 1000) / 1000, ch: channel, type, ...extra };
+        if (data) {
+            entry.data = SessionRecorder.encodeBytes(data);
+            this.byteCount += data.length;
+        }
+        this.recordCount++;
+        this.writeLine(entry);
+    }
+
+    writeLine(entry) {
+        const line = JSON.stringify(entry);
+        if (this.sink) {
+            this.sink(line + '\n');
+        } else {
+            this.lines.push(line);
+        }
+    }
+
+    /**
+     * 录制内容（JSON Lines）
+     * @returns {string}
+     */
+    toText() {
+        return this.lines.join('\n') + '\n';
+    }
+
+    /**
+     * 为传输层加上录制
+     * @param {Object} transport - 被录制的传输层
+     * @param {string} channel - 设备通道
+     * @returns {RecordingTransport}
+     */
+    wrap(transport, channel) {
+        return new RecordingTransport(transport, this, channel);
+    }
+
+    /**
+     * 解析录制文件
+     * @param {string} text - 录制文件内容
+     * @returns {{header: Object, records: Array<Object>}}
+     */
+    static parse(text) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('录制文件为空');
+        }
+
+        const header = JSON.parse(lines[0]);
+        if (header.type !== 'header' || header.format !== SessionRecorder.FORMAT) {
+            throw new Error('不是有效的会话录制文件');
+        }
+        if (header.version > SessionRecorder.VERSION) {
+            throw new Error(`不支持的录制文件版本: ${header.version}`);
+        }
+
+        const records = lines.slice(1).map((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`录制文件第 ${index + 2} 行格式错误: ${error.message}`);
+            }
+            if (entry.data !== undefined) {
+                entry.data = SessionRecorder.decodeBytes(entry.data);
+            }
+            return entry;
+        });
+
+        return { header, records };
+    }
+
+    static encodeBytes(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    static decodeBytes(text) {
+        if (typeof Buffer !== 'undefined') {
+            return Uint8Array.from(Buffer.from(text, 'base64'));
+        }
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+SessionRecorder.FORMAT = 'lidar-session';
+SessionRecorder.VERSION = 1;
+
+/**
+ * 录制传输：转发到实际传输层，录制器在录制时记录每个收发的数据块
+ */
+class RecordingTransport {
+    /**
+     * @param {Object} transport - 实际传输层
+     * @param {SessionRecorder} recorder - 录制器
+     * @param {string} channel - 设备通道
+     */
+    constructor(transport, recorder, channel) {
+        this.transport = transport;
+        this.recorder = recorder;
+        this.channel = channel;
+        this.onDisconnect = null;
+
+        transport.onDisconnect = (error) => {
+            this.recorder.record(this.channel, 'disconnect', null, { message: error.message });
+            if (this.onDisconnect) {
+                this.onDisconnect(error);
+            }
+        };
+    }
+
+    get description() {
+        return this.recorder.isRecording ? `${this.transport.description}（录制中）` : this.transport.description;
+    }
+
+    async open() {
+        await this.transport.open();
+        this.recorder.record(this.channel, 'open');
+    }
+
+    async reopen() {
+        await this.transport.reopen();
+        this.recorder.record(this.channel, 'open');
+    }
+
+    async read() {
+        const result = await this.transport.read();
+        if (!result.done && result.value) {
+            this.recorder.record(this.channel, 'rx', result.value);
+        }
+        return result;
+    }
+
+    write(data) {
+        this.recorder.record(this.channel, 'tx', data);
+        return this.transport.write(data);
+    }
+
+    close() {
+        this.recorder.record(this.channel, 'close');
+        return this.transport.close();
+    }
+}
+
+/**
+ * 回放传输：按录制时的时间间隔（可加速）读出某个通道收到的数据
+ * 录制中的发送记录作为同步点：回放停在下一条发送记录处，直到采集代码发出相同的命令，
+ * 这样命令与应答的先后顺序和现场一致；采集代码跳过的命令及其应答会被丢弃。
+ * 采集代码超过gateTimeout仍未发出录制中的命令（如现场手动暂停扫描）时越过该命令，
+ * 之后按录制时间继续回放，直到采集代码再次发出录制中的命令
+ */
+class ReplayTransport extends ChunkQueueTransport {
+    /**
+     * @param {Object} options
+     * @param {string|Object} options.session - 录制文件内容或 SessionRecorder.parse() 的结果
+     * @param {string} options.channel - 回放的设备通道
+     * @param {number} [options.speed=1] - 回放倍速，Infinity表示不等待
+     * @param {number} [options.gateTimeout=1000] - 等待采集代码发出录制中命令的时间（ms，实际时间）
+     * @param {Function} [options.onFinish] - 回放到末尾时调用
+     */
+    constructor(options = {}) {
+        super();
+        const session = typeof options.session === 'string' ? SessionRecorder.parse(options.session) : options.session;
+        if (!session || !options.channel) {
+            throw new Error('ReplayTransport需要录制内容 session 和通道 channel');
+        }
+
+        this.header = session.header;
+        this.channel = options.channel;
+        this.records = session.records.filter(record => record.ch === options.channel);
+        this.speed = options.speed || 1;
+        this.gateTimeout = options.gateTimeout !== undefined ? options.gateTimeout : 1000;
+        this.onFinish = options.onFinish || null;
+        this.description = `回放 ${this.channel}（${Number.isFinite(this.speed) ? `${this.speed}x` : '最快'}）`;
+
+        this.isReplay = true;
+        this.index = 0;
+        this.anchor = null;  // 录制时间与实际时间的对应点
+        this.timer = null;
+        this.skippedCommands = 0;  // 录制中没有的命令
+        this.skippedGates = 0;     // 采集代码没有发出的录制命令
+        this.freeRunning = false;  // 越过命令后不再等待，直到命令再次对上
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * 回放中的主机时间：录制开始时间加上当前回放位置
+     * 不超过下一条未回放记录的时间，等待命令或处理数据时时间停住，与现场的先后关系一致
+     * @returns {number} Unix毫秒
+     */
+    now() {
+        if (!this.anchor) {
+            return this.header.startedAt;
+        }
+        const elapsed = Number.isFinite(this.speed) ? (performance.now() - this.anchor.realTime) * this.speed : 0;
+        const next = this.records[this.index];
+        const position = this.anchor.recordTime + elapsed;
+        return this.header.startedAt + (next ? Math.min(position, next.t) : position);
+    }
+
+    /**
+     * 回放进度
+     * @returns {{position: number, total: number}}
+     */
+    get progress() {
+        return { position: this.index, total: this.records.length };
+    }
+
+    /**
+     * 查找当前位置之后第一条满足条件的发送记录
+     * @param {Function} predicate - (command) => boolean，参数为去掉换行的命令
+     * @returns {string|null}
+     */
+    findCommand(predicate) {
+        for (let i = this.index; i < this.records.length; i++) {
+            const record = this.records[i];
+            if (record.type !== 'tx') continue;
+
+            const command = this.decoder.decode(record.data).trim();
+            if (predicate(command)) return command;
+        }
+        return null;
+    }
+
+    async open() {
+        // 重新打开（自动恢复）时从断开处继续
+        this.isOpen = true;
+        this.scheduleNext();
+    }
+
+    /**
+     * 安排下一个数据块；遇到发送记录时等待write()
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isOpen) return;
+
+        while (this.index < this.records.length && this.records[this.index].type !== 'rx') {
+            const record = this.records[this.index];
+            if (record.type === 'tx') {
+                this.waitForCommand(record);
+                return;
+            }
+            if (record.type === 'disconnect') {
+                this.replayDisconnect(record);
+                return;
+            }
+            this.index++;
+        }
+
+        if (this.index >= this.records.length) {
+            this.end();
+            if (this.onFinish) {
+                this.onFinish();
+            }
+            return;
+        }
+
+        const record = this.records[this.index];
+        if (!this.anchor) {
+            this.anchor = { recordTime: record.t, realTime: performance.now() };
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.isOpen) return;
+
+            this.index++;
+            if (!Number.isFinite(this.speed)) {
+                this.anchor = { recordTime: record.t, realTime: performance.now() };
+            }
+            this.enqueue(record.data);
+            this.scheduleNext();
+        }, this.delayUntil(record));
+    }
+
+    /**
+     * 距离按回放速度到达某条记录的实际等待时间
+     * @param {Object} record - 记录
+     * @returns {number} ms
+     */
+    delayUntil(record) {
+        if (!Number.isFinite(this.speed)) return 0;
+        return Math.max(0, (record.t - this.anchor.recordTime) / this.speed - (performance.now() - this.anchor.realTime));
+    }
+
+    /**
+     * 停在发送记录处等待write()；超时后越过该命令
+     * @param {Object} record - 发送记录
+     */
+    waitForCommand(record) {
+        if (!this.anchor) {
+            this.anchor = { recordTime: record.t, realTime: performance.now() };
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.isOpen) return;
+
+            this.skippedGates++;
+            this.freeRunning = true;
+            this.index++;
+            this.anchor = { recordTime: record.t, realTime: performance.now() };
+            this.scheduleNext();
+        }, this.delayUntil(record) + (this.freeRunning ? 0 : this.gateTimeout));
+    }
+
+    /**
+     * 按录制时间回放断开：等待中的读取以异常结束，并调用onDisconnect
+     * @param {Object} record - 断开记录
+     */
+    replayDisconnect(record) {
+        if (!this.anchor) {
+            this.anchor = { recordTime: record.t, realTime: performance.now() };
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.isOpen) return;
+
+            this.index++;
+            this.anchor = { recordTime: record.t, realTime: performance.now() };
+            this.end(new Error(record.message || `${this.description} 录制时断开`));
+        }, this.delayUntil(record));
+    }
+
+    /**
+     * 采集代码发出命令：定位到录制中的同一命令，从该处继续回放
+     * @param {Uint8Array} data - 命令
+     */
+    async write(data) {
+        if (!this.isOpen) {
+            throw new Error(`${this.description} 未打开`);
+        }
+
+        const text = this.decoder.decode(data);
+        let next = this.index;
+        while (next < this.records.length &&
+            !(this.records[next].type === 'tx' && this.decoder.decode(this.records[next].data) === text)) {
+            next++;
+        }
+
+        // 录制中之后没有这条命令：不应答，由调用方按超时处理
+        if (next >= this.records.length) {
+            this.skippedCommands++;
+            return;
+        }
+
+        this.index = next + 1;
+        this.freeRunning = false;
+        this.anchor = { recordTime: this.records[next].t, realTime: performance.now() };
+        this.scheduleNext();
+    }
+
+    async close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.end();
+    }
+}
+
+// Node.js环境下导出；浏览器中以上类为全局类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChunkQueueTransport,
+        WebSerialTransport,
+        NodeSerialTransport,
+        TcpTransport,
+        MemoryTransport,
+        SessionRecorder,
+        RecordingTransport,
+        ReplayTransport
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * serial-transport.js 测试
+ * 运行: npm test（Node.js 18+ 内置测试运行器）
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryTransport, SessionRecorder, ReplayTransport } = require('./serial-transport');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const bytes = (text) => encoder.encode(text);
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 读取一个数据块并解码为文本；数据流结束时返回 null
+ */
+async function readText(transport) {
+    const { value, done } = await transport.read();
+    return done ? null : decoder.decode(value);
+}
+
+/**
+ * 读取在 ms 内是否完成
+ */
+async function settlesWithin(promise, ms) {
+    const timeout = Symbol('timeout');
+    return await Promise.race([promise, delay(ms).then(() => timeout)]) !== timeout;
+}
+
+/**
+ * 按给定时间（相对录制开始，ms）录制一个会话
+ * @param {Array<[number, string, string, string?, Object?]>} entries - [时间, 通道, 类型, 数据, 附加字段]
+ * @returns {string} 录制文件内容
+ */
+function recordSession(entries) {
+    let clock = 1700000000000;
+    const startedAt = clock;
+    const recorder = new SessionRecorder({ now: () => clock });
+    recorder.start();
+    entries.forEach(([t, channel, type, data, extra]) => {
+        clock = startedAt + t;
+        recorder.record(channel, type, data !== undefined ? bytes(data) : null, extra);
+    });
+    recorder.stop();
+    return recorder.toText();
+}
+
+describe('SessionRecorder', () => {
+    it('录制经过传输层的收发并解析回原始数据', async () => {
+        let clock = 5000;
+        const recorder = new SessionRecorder({ now: () => clock });
+        const device = new MemoryTransport({
+            description: '模拟设备',
+            responder: (text, transport) => transport.push(`${text.trim().toLowerCase()}\n`)
+        });
+        const transport = recorder.wrap(device, 'lidar');
+
+        recorder.start();
+        await transport.open();
+        clock += 10;
+        await transport.write(bytes('PING\n'));
+        clock += 5;
+        assert.equal(await readText(transport), 'ping\n');
+        assert.equal(transport.description, '模拟设备（录制中）');
+        recorder.stop();
+        await transport.write(bytes('IGNORED\n'));
+        await transport.close();
+
+        const { header, records } = SessionRecorder.parse(recorder.toText());
+        assert.equal(header.format, SessionRecorder.FORMAT);
+        assert.equal(header.startedAt, 5000);
+        assert.deepEqual(records.map(record => [record.t, record.ch, record.type]),
+            [[0, 'lidar', 'open'], [10, 'lidar', 'tx'], [15, 'lidar', 'rx']]);
+        assert.equal(decoder.decode(records[1].data), 'PING\n');
+        assert.equal(decoder.decode(records[2].data), 'ping\n');
+        assert.equal(recorder.recordCount, 3);
+        assert.equal(recorder.byteCount, 10);
+    });
+
+    it('无效的录制文件抛出异常', () => {
+        assert.throws(() => SessionRecorder.parse('\n'), /录制文件为空/);
+        assert.throws(() => SessionRecorder.parse('{"type":"header","format":"other"}'), /不是有效的会话录制文件/);
+        assert.throws(() => SessionRecorder.parse(`{"type":"header","format":"${SessionRecorder.FORMAT}","version":99}`),
+            /不支持的录制文件版本: 99/);
+        const header = JSON.stringify({ type: 'header', format: SessionRecorder.FORMAT, version: 1 });
+        assert.throws(() => SessionRecorder.parse(`${header}\n{oops`), /第 2 行格式错误/);
+    });
+});
+
+describe('ReplayTransport', () => {
+    let replay;
+
+    afterEach(async () => {
+        if (replay) await replay.close();
+    });
+
+    const session = recordSession([
+        [0, 'lidar', 'open'],
+        [10, 'lidar', 'tx', 'A\n'],
+        [12, 'stp23l', 'rx', 'other channel'],
+        [15, 'lidar', 'rx', 'a1'],
+        [16, 'lidar', 'rx', 'a2'],
+        [20, 'lidar', 'tx', 'B\n'],
+        [25, 'lidar', 'rx', 'b'],
+        [30, 'lidar', 'close']
+    ]);
+
+    it('停在发送记录处，采集代码发出相同命令后回放应答', async () => {
+        replay = new ReplayTransport({ session, channel: 'lidar', speed: Infinity, gateTimeout: 10000 });
+        await replay.open();
+
+        const pending = readText(replay);
+        assert.equal(await settlesWithin(pending, 30), false);
+        assert.equal(replay.now(), replay.header.startedAt + 10);
+
+        await replay.write(bytes('A\n'));
+        assert.equal(await pending, 'a1');
+        assert.equal(await readText(replay), 'a2');
+
+        await replay.write(bytes('B\n'));
+        assert.equal(await readText(replay), 'b');
+        assert.equal(await readText(replay), null);
+        assert.deepEqual(replay.progress, { position: 7, total: 7 });
+        assert.equal(replay.skippedGates, 0);
+    });
+
+    it('录制中没有的命令不应答，跳过的命令及其应答被丢弃', async () => {
+        replay = new ReplayTransport({ session: SessionRecorder.parse(session), channel: 'lidar', speed: Infinity });
+        await replay.open();
+
+        await replay.write(bytes('QT\n'));
+        assert.equal(replay.skippedCommands, 1);
+        assert.equal(await settlesWithin(readText(replay), 30), false);
+
+        await replay.write(bytes('B\n'));
+        assert.equal(await readText(replay), 'b');
+        assert.equal(replay.findCommand(() => true), null);
+    });
+
+    it('超过 gateTimeout 未发出录制中的命令时越过该命令，之后不再等待', async () => {
+        let finished = false;
+        replay = new ReplayTransport({
+            session, channel: 'lidar', speed: Infinity, gateTimeout: 20,
+            onFinish: () => { finished = true; }
+        });
+        await replay.open();
+
+        const started = performance.now();
+        assert.equal(await readText(replay), 'a1');
+        assert.ok(performance.now() - started >= 15);
+        assert.equal(replay.skippedGates, 1);
+        assert.equal(replay.freeRunning, true);
+
+        assert.equal(await readText(replay), 'a2');
+        assert.equal(await readText(replay), 'b');
+        assert.equal(await readText(replay), null);
+        assert.equal(replay.skippedGates, 2);
+        assert.equal(finished, true);
+    });
+
+    it('回放录制时的断开，重新打开后从断开处继续', async () => {
+        replay = new ReplayTransport({
+            session: recordSession([
+                [0, 'stp23l', 'open'],
+                [5, 'stp23l', 'rx', 'before'],
+                [8, 'stp23l', 'disconnect', undefined, { message: '设备已拔出' }],
+                [50, 'stp23l', 'open'],
+                [55, 'stp23l', 'rx', 'after']
+            ]),
+            channel: 'stp23l',
+            speed: Infinity
+        });
+        const disconnects = [];
+        replay.onDisconnect = (error) => disconnects.push(error.message);
+        await replay.open();
+
+        assert.equal(await readText(replay), 'before');
+        await assert.rejects(replay.read(), /设备已拔出/);
+        assert.deepEqual(disconnects, ['设备已拔出']);
+        assert.equal(replay.isOpen, false);
+
+        await replay.reopen();
+        assert.equal(await readText(replay), 'after');
+        assert.equal(await readText(replay), null);
+    });
+
+    it('断开按录制时间回放，等待中的读取以异常结束', async () => {
+        replay = new ReplayTransport({
+            session: recordSession([
+                [0, 'lidar', 'rx', 'before'],
+                [20, 'lidar', 'disconnect', undefined, { message: '设备已拔出' }]
+            ]),
+            channel: 'lidar'
+        });
+        await replay.open();
+
+        const started = performance.now();
+        assert.equal(await readText(replay), 'before');
+        await assert.rejects(replay.read(), /设备已拔出/);
+        assert.ok(performance.now() - started >= 15);
+    });
+
+    it('缺少录制内容或通道时抛出异常', () => {
+        assert.throws(() => new ReplayTransport({ channel: 'lidar' }), /需要录制内容/);
+        assert.throws(() => new ReplayTransport({ session }), /需要录制内容/);
+    });
+});
@@ -0,0 +1,1071 @@
+/**
+ * 树木检测
+ * DBSCAN聚类（或按扫描顺序断点分割）加稳健圆形拟合（RANSAC初值 + Levenberg–Marquardt几何精化）。
+ * 同一份代码可以在主线程或Node.js中直接调用（TreeDetector），也可以作为Web Worker脚本运行，避免聚类时界面卡顿
+ *
+ * Worker消息接口：
+ *   主线程 → Worker  {type: 'detect', jobId, points: [{x, y, ...}], params: {algorithm, eps, minPoints, minRadius, maxRadius, fitTolerance,
+ *                    minArcCoverage, arcCoverageMode, clusteringMode, angularStep, adaptiveBeams,
+ *                    breakpointLambda, rangeNoise, maxBeamGap}}
+ *   Worker → 主线程  {type: 'result', jobId, trees: [{center, radius, diameter, rms, inliers, inlierRatio, quality,
+ *                             arcCoverage, lowCoverage, constrained, diameterUncertainty, points}], clusterCount, elapsed}
+ *                    {type: 'error', jobId, message}
+ * Worker中的检测是同步计算，运行期间不会处理其他消息；TreeDetectionClient 取消过时任务时
+ * 直接终止Worker，下一个任务提交时重新创建
+ *
+ * @version 1.0.0
+ */
+
+// 检测参数默认值
+const TREE_DETECTION_DEFAULTS = {
+    algorithm: 'dbscan',       // 'dbscan' 聚类，'breakpoint' 按扫描顺序断点分割
+    eps: 100,                  // DBSCAN聚类半径（mm），固定聚类时使用
+    minPoints: 5,              // 核心点的最少邻居数，自适应聚类时为远处的基准值
+    minRadius: 50,             // 最小树干半径（mm）
+    maxRadius: 500,            // 最大树干半径（mm）
+    fitTolerance: 20,          // 圆拟合内点容差：点到圆周的距离（mm）
+    minArcCoverage: 60,        // 最小弧覆盖角（度），激光雷达只能看到树干朝向传感器的一侧
+    arcCoverageMode: 'reject', // 覆盖角不足时：'reject' 丢弃，'flag' 保留并标记 lowCoverage
+    clusteringMode: 'fixed',   // 'fixed' 固定聚类半径，'adaptive' 聚类半径随距离和角分辨率变化
+    angularStep: 360 / 1024,   // 相邻扫描点的角度间隔（度），自适应聚类使用
+    adaptiveBeams: 5,          // 自适应聚类半径包含的相邻扫描点间隔数
+    breakpointLambda: 10,      // 自适应断点检测的辅助角（度），越小越不容易断开
+    rangeNoise: 10,            // 测距噪声标准差（mm），断点阈值加3σ
+    maxBeamGap: 2              // 分段内允许连续缺失的扫描点数，超过则断开
+};
+
+// 检测算法
+const DETECTION_ALGORITHMS = ['dbscan', 'breakpoint'];
+
+// 覆盖角不足时的处理方式
+const ARC_COVERAGE_MODES = ['reject', 'flag'];
+
+// 聚类方式
+const CLUSTERING_MODES = ['fixed', 'adaptive'];
+
+// 自适应聚类的限制
+const ADAPTIVE_CLUSTERING = {
+    MIN_EPS: 30,          // 聚类半径下限（mm），近处点间距远小于测距噪声
+    MAX_EPS: 400,         // 聚类半径上限（mm），避免远处相邻物体连成一片
+    MIN_POINTS_FLOOR: 3,  // 最少邻居数下限
+    MAX_POINTS_SCALE: 4   // 最少邻居数上限为 minPoints 的倍数
+};
+
+// 断点分割的分段筛选
+const SEGMENT_FILTER = {
+    MIN_SAGITTA_RATIO: 0.03,  // 弓高与弦长之比的下限，低于该值视为直线（墙面、围栏）
+    MIN_CONVEX_RATIO: 0.6     // 中间点中位于弦的传感器一侧（向传感器凸出）的比例下限
+};
+
+// 圆拟合参数
+const CIRCLE_FIT = {
+    RANSAC_ITERATIONS: 100,   // RANSAC最多抽样次数
+    RANSAC_STOP_RATIO: 0.95,  // 内点比例达到该值时提前结束抽样
+    RANSAC_SEED: 20240601,    // 固定随机种子，同一聚类的结果可重复
+    LM_MAX_ITERATIONS: 30,    // Levenberg–Marquardt最多迭代次数
+    LM_TOLERANCE: 1e-4,       // 参数变化小于该值（mm）时停止迭代
+    REFINE_PASSES: 2,         // 精化后重新选取内点并再次精化的轮数
+    BEHIND_SEARCH_ITERATIONS: 60, // 约束圆心在表面后方时沿视线方向的黄金分割搜索次数
+    MIN_RESIDUAL_SIGMA: 1     // 估计直径不确定度时残差标准差的下限（mm），避免点数少时低估
+};
+
+// 多帧跟踪参数
+const TREE_TRACKING = {
+    GATE_DISTANCE: 250,       // 关联门限：检测圆心到跟踪圆心的最大距离（mm），不小于跟踪半径
+    CONFIRM_OBSERVATIONS: 2,  // 新树连续观测到该次数后才确认，确认前漏检一帧即删除
+    MAX_MISSES: 5,            // 连续该帧数未观测到则删除
+    MIN_SMOOTHING_WEIGHT: 0.2 // 新观测的最小权重：前几次观测取平均，之后按该权重指数平滑
+};
+
+/**
+ * 二维均匀网格空间索引
+ * 格子边长取查询半径（DBSCAN的eps），半径查询只需检查相邻格子中的点
+ */
+class SpatialGrid {
+    /**
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} cellSize - 格子边长（mm），为 Infinity 时退化为逐点比较
+     */
+    constructor(points, cellSize) {
+        if (!(cellSize > 0)) {
+            throw new Error(`网格边长无效: ${cellSize}`);
+        }
+        this.points = points;
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        
+        points.forEach((point, index) => {
+            const key = this.keyOf(this.cellOf(point.x), this.cellOf(point.y));
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(index);
+        });
+    }
+    
+    cellOf(value) {
+        return Number.isFinite(this.cellSize) ? Math.floor(value / this.cellSize) : 0;
+    }
+    
+    keyOf(cx, cy) {
+        return `${cx},${cy}`;
+    }
+    
+    /**
+     * 查询距离 (x, y) 不超过 radius 的点
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @param {number} [excludeIndex=-1] - 不返回的点（通常是查询点自身）
+     * @returns {Array<number>} 点的下标
+     */
+    query(x, y, radius, excludeIndex = -1) {
+        const result = [];
+        const radiusSquared = radius * radius;
+        const span = Number.isFinite(this.cellSize) ? Math.ceil(radius / this.cellSize) : 0;
+        const cx = this.cellOf(x);
+        const cy = this.cellOf(y);
+        
+        for (let i = cx - span; i <= cx + span; i++) {
+            for (let j = cy - span; j <= cy + span; j++) {
+                const cell = this.cells.get(this.keyOf(i, j));
+                if (!cell) continue;
+                
+                for (let k = 0; k < cell.length; k++) {
+                    const index = cell[k];
+                    if (index === excludeIndex) continue;
+                    
+                    const dx = this.points[index].x - x;
+                    const dy = this.points[index].y - y;
+                    if (dx * dx + dy * dy <= radiusSquared) {
+                        result.push(index);
+                    }
+                }
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * 查询某个点的邻居（不含自身）
+     * @param {number} index
+     * @param {number} radius
+     * @returns {Array<number>}
+     */
+    neighbors(index, radius) {
+        const point = this.points[index];
+        return this.query(point.x, point.y, radius, index);
+    }
+}
+
+/**
+ * 树木检测器：聚类后对每个聚类拟合圆，半径在范围内的作为树干
+ */
+class TreeDetector {
+    /**
+     * @param {Object} [params] - 检测参数，缺省项取 TREE_DETECTION_DEFAULTS
+     */
+    constructor(params = {}) {
+        this.params = { ...TREE_DETECTION_DEFAULTS, ...params };
+        if (!ARC_COVERAGE_MODES.includes(this.params.arcCoverageMode)) {
+            throw new Error(`未知的覆盖角处理方式: ${this.params.arcCoverageMode}`);
+        }
+        if (!DETECTION_ALGORITHMS.includes(this.params.algorithm)) {
+            throw new Error(`未知的检测算法: ${this.params.algorithm}`);
+        }
+        if (!CLUSTERING_MODES.includes(this.params.clusteringMode)) {
+            throw new Error(`未知的聚类方式: ${this.params.clusteringMode}`);
+        }
+        if ((this.params.clusteringMode === 'adaptive' || this.params.algorithm === 'breakpoint') &&
+            !(this.params.angularStep > 0)) {
+            throw new Error(`角度间隔无效: ${this.params.angularStep}`);
+        }
+    }
+    
+    /**
+     * 检测树木
+     * algorithm 为 'dbscan' 时对点云聚类；为 'breakpoint' 时按扫描顺序断点分割，并按长度、曲率和凸性筛选分段
+     * @param {Array<{x: number, y: number}>} points - 有效扫描点，断点分割要求按扫描角度顺序排列
+     * @returns {{trees: Array<{center: {x: number, y: number}, radius: number, diameter: number, points: Array<Object>}>, clusterCount: number}}
+     *          clusterCount 为聚类数或分段数（筛选前）
+     */
+    detect(points) {
+        let clusters;
+        let candidates;
+        if (this.params.algorithm === 'breakpoint') {
+            clusters = this.segmentScan(points);
+            candidates = clusters.filter(segment => this.isTrunkSegment(segment));
+        } else {
+            clusters = this.dbscan(points);
+            candidates = clusters;
+        }
+        const trees = [];
+        
+        candidates.forEach(cluster => {
+            const requiredPoints = this.requiredPoints(cluster);
+            if (cluster.length < requiredPoints) return;
+            
+            const circle = this.fitCircle(cluster);
+            if (circle && circle.inliers >= requiredPoints &&
+                circle.radius >= this.params.minRadius &&
+                circle.radius <= this.params.maxRadius) {
+                const lowCoverage = circle.arcCoverage < this.params.minArcCoverage;
+                if (lowCoverage && this.params.arcCoverageMode !== 'flag') return;
+                
+                trees.push({
+                    center: circle.center,
+                    radius: circle.radius,
+                    diameter: circle.radius * 2,
+                    rms: circle.rms,
+                    inliers: circle.inliers,
+                    inlierRatio: circle.inlierRatio,
+                    quality: circle.quality,
+                    arcCoverage: circle.arcCoverage,
+                    lowCoverage: lowCoverage,
+                    constrained: circle.constrained,
+                    diameterUncertainty: circle.diameterUncertainty,
+                    points: cluster
+                });
+            }
+        });
+        
+        return { trees, clusterCount: clusters.length };
+    }
+    
+    /**
+     * DBSCAN聚类，邻居查询使用网格索引
+     * 每个点只归入一个聚类，扩展队列中的点不重复加入；先被判为噪声的边界点并入聚类
+     * 自适应聚类时每个点按自身距离取聚类半径和最少邻居数（见 neighborhoodOf）
+     * @param {Array<{x: number, y: number}>} points
+     * @param {Object} [options]
+     * @param {SpatialGrid} [options.index] - 预先建立的空间索引（任意格子边长都能得到正确结果）
+     * @returns {Array<Array<Object>>} 聚类列表
+     */
+    dbscan(points, options = {}) {
+        const epsOf = new Float64Array(points.length);
+        const minPointsOf = new Int32Array(points.length);
+        points.forEach((point, i) => {
+            const neighborhood = this.neighborhoodOf(point);
+            epsOf[i] = neighborhood.eps;
+            minPointsOf[i] = neighborhood.minPoints;
+        });
+        
+        let index = options.index;
+        if (!index) {
+            // 自适应时格子边长取平均聚类半径，查询半径更大的点多查几圈格子
+            const cellSize = this.params.clusteringMode === 'adaptive' && points.length ?
+                epsOf.reduce((sum, eps) => sum + eps, 0) / points.length :
+                this.params.eps;
+            index = new SpatialGrid(points, cellSize);
+        }
+        
+        // 0: 未访问，-1: 噪声，>0: 聚类编号
+        const labels = new Int32Array(points.length);
+        const queued = new Uint8Array(points.length);
+        const clusters = [];
+        
+        for (let i = 0; i < points.length; i++) {
+            if (labels[i] !== 0) continue;
+            
+            const neighbors = index.neighbors(i, epsOf[i]);
+            if (neighbors.length < minPointsOf[i]) {
+                labels[i] = -1;
+                continue;
+            }
+            
+            const clusterId = clusters.length + 1;
+            const cluster = [points[i]];
+            labels[i] = clusterId;
+            
+            const queue = [];
+            const enqueue = (j) => {
+                if (!queued[j] && labels[j] <= 0) {
+                    queued[j] = 1;
+                    queue.push(j);
+                }
+            };
+            neighbors.forEach(enqueue);
+            
+            for (let q = 0; q < queue.length; q++) {
+                const j = queue[q];
+                const wasNoise = labels[j] === -1;
+                labels[j] = clusterId;
+                cluster.push(points[j]);
+                
+                // 边界点不继续扩展
+                if (wasNoise) continue;
+                
+                const next = index.neighbors(j, epsOf[j]);
+                if (next.length >= minPointsOf[j]) {
+                    next.forEach(enqueue);
+                }
+            }
+            
+            clusters.push(cluster);
+        }
+        
+        return clusters;
+    }
+    
+    /**
+     * 某个点的聚类半径和最少邻居数
+     * 固定聚类时为 eps / minPoints；自适应时聚类半径为 adaptiveBeams 个相邻扫描点间距（距离 × 角度间隔），
+     * 最少邻居数按聚类半径内的扫描点间隔数同比例缩放：远处与 minPoints 相同，近处聚类半径触及下限时相应增大
+     * @param {{x: number, y: number}} point - 以传感器为原点的坐标
+     * @returns {{eps: number, minPoints: number}}
+     */
+    neighborhoodOf(point) {
+        if (this.params.clusteringMode !== 'adaptive') {
+            return { eps: this.params.eps, minPoints: this.params.minPoints };
+        }
+        
+        const spacing = Math.max(Math.hypot(point.x, point.y) * this.params.angularStep * Math.PI / 180, 1e-6);
+        const eps = Math.min(ADAPTIVE_CLUSTERING.MAX_EPS,
+            Math.max(ADAPTIVE_CLUSTERING.MIN_EPS, this.params.adaptiveBeams * spacing));
+        const scaled = Math.round(this.params.minPoints * (eps / spacing) / this.params.adaptiveBeams);
+        const minPoints = Math.min(this.params.minPoints * ADAPTIVE_CLUSTERING.MAX_POINTS_SCALE,
+            Math.max(ADAPTIVE_CLUSTERING.MIN_POINTS_FLOOR, scaled));
+        return { eps, minPoints };
+    }
+    
+    /**
+     * 按扫描顺序的自适应断点分割（Borges & Aldon）
+     * 相邻两点距离超过 D = r·sin(Δφ)/sin(λ - Δφ) + 3σ 时断开：表面与视线夹角小于λ时相邻点间距才会超过前一项，
+     * 因此阈值随距离和角度间隔变化；相邻两点之间缺失超过 maxBeamGap 个扫描点也断开
+     * @param {Array<{x: number, y: number}>} points - 以传感器为原点、按扫描角度顺序排列的点
+     * @returns {Array<Array<Object>>} 分段列表
+     */
+    segmentScan(points) {
+        const segments = [];
+        if (!points.length) return segments;
+        
+        const step = this.params.angularStep * Math.PI / 180;
+        const lambda = this.params.breakpointLambda * Math.PI / 180;
+        const maxGap = step * (this.params.maxBeamGap + 1.5);
+        
+        let current = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1];
+            const point = points[i];
+            
+            let deltaPhi = Math.atan2(point.y, point.x) - Math.atan2(previous.y, previous.x);
+            if (deltaPhi > Math.PI) deltaPhi -= 2 * Math.PI;
+            if (deltaPhi < -Math.PI) deltaPhi += 2 * Math.PI;
+            deltaPhi = Math.abs(deltaPhi);
+            
+            let isBreak = deltaPhi > maxGap || deltaPhi >= lambda;
+            if (!isBreak) {
+                const range = Math.hypot(previous.x, previous.y);
+                const threshold = range * Math.sin(deltaPhi) / Math.sin(lambda - deltaPhi) + 3 * this.params.rangeNoise;
+                isBreak = Math.hypot(point.x - previous.x, point.y - previous.y) > threshold;
+            }
+            
+            if (isBreak) {
+                segments.push(current);
+                current = [];
+            }
+            current.push(point);
+        }
+        segments.push(current);
+        
+        return segments;
+    }
+    
+    /**
+     * 分段是否可能是树干的近侧
+     * 长度：点数不少于最少点数，弦长在 [minRadius, 2·maxRadius] 之间；
+     * 曲率：弓高与弦长之比不低于下限（排除墙面等直线）；
+     * 凸性：中间点大多位于弦的传感器一侧（排除墙角等凹面）
+     * @param {Array<{x: number, y: number}>} segment
+     * @returns {boolean}
+     */
+    isTrunkSegment(segment) {
+        if (segment.length < Math.max(3, this.requiredPoints(segment))) return false;
+        
+        const first = segment[0];
+        const last = segment[segment.length - 1];
+        const chord = Math.hypot(last.x - first.x, last.y - first.y);
+        if (chord < this.params.minRadius || chord > this.params.maxRadius * 2) return false;
+        
+        // 弦的单位法向量，朝向传感器（原点）为正
+        let nx = -(last.y - first.y) / chord;
+        let ny = (last.x - first.x) / chord;
+        if (nx * -first.x + ny * -first.y < 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        
+        let sagitta = 0;
+        let convex = 0;
+        for (let i = 1; i < segment.length - 1; i++) {
+            const offset = (segment[i].x - first.x) * nx + (segment[i].y - first.y) * ny;
+            sagitta = Math.max(sagitta, offset);
+            if (offset > 0) convex++;
+        }
+        
+        return sagitta / chord >= SEGMENT_FILTER.MIN_SAGITTA_RATIO &&
+            convex / (segment.length - 2) >= SEGMENT_FILTER.MIN_CONVEX_RATIO;
+    }
+    
+    /**
+     * 聚类成为树木所需的最少点数：聚类中各点最少邻居数的最小值（固定聚类时即 minPoints）
+     */
+    requiredPoints(cluster) {
+        if (this.params.clusteringMode !== 'adaptive') return this.params.minPoints;
+        
+        return cluster.reduce((min, point) => Math.min(min, this.neighborhoodOf(point).minPoints), Infinity);
+    }
+    
+    /**
+     * 稳健圆拟合：RANSAC三点抽样找出内点最多的圆作为初值，再对内点做几何距离的
+     * Levenberg–Marquardt精化，消除分叉、混合边缘点和背景点对圆心和半径的影响
+     * 点坐标以传感器为原点，只能看到树干的近侧：圆心落在观测表面前方（靠近传感器）时，
+     * 改为沿视线方向约束圆心在表面后方重新拟合
+     * @param {Array<{x: number, y: number}>} points - 一个聚类的点
+     * @returns {{center: {x: number, y: number}, radius: number, rms: number, inliers: number, inlierRatio: number, quality: number,
+     *            arcCoverage: number, constrained: boolean, diameterUncertainty: number}|null}
+     *          rms 为内点到圆周距离的均方根（mm），quality 为0~1的拟合质量（内点比例 × 残差相对容差的余量），
+     *          arcCoverage 为内点绕圆心覆盖的角度（度），diameterUncertainty 为直径的1σ不确定度（mm），覆盖角越小越大
+     */
+    fitCircle(points) {
+        if (points.length < 3) return null;
+        
+        const tolerance = this.params.fitTolerance;
+        let model = this.ransacCircle(points, tolerance) || this.fitCircleAlgebraic(points);
+        if (!model) return null;
+        
+        let inliers = this.selectInliers(points, model, tolerance);
+        for (let pass = 0; pass < CIRCLE_FIT.REFINE_PASSES && inliers.length >= 3; pass++) {
+            const refined = this.refineCircle(inliers, model);
+            const nextInliers = this.selectInliers(points, refined, tolerance);
+            model = refined;
+            if (nextInliers.length === inliers.length) {
+                inliers = nextInliers;
+                break;
+            }
+            inliers = nextInliers;
+        }
+        if (inliers.length < 3) return null;
+        
+        let constrained = false;
+        if (!TreeDetector.isBehindSurface(model, inliers)) {
+            model = this.fitCircleBehind(inliers);
+            inliers = this.selectInliers(points, model, tolerance);
+            constrained = true;
+            if (inliers.length < 3) return null;
+        }
+        
+        const rms = Math.sqrt(inliers.reduce((sum, point) => {
+            const residual = Math.hypot(point.x - model.center.x, point.y - model.center.y) - model.radius;
+            return sum + residual * residual;
+        }, 0) / inliers.length);
+        const inlierRatio = inliers.length / points.length;
+        
+        return {
+            center: model.center,
+            radius: model.radius,
+            rms: rms,
+            inliers: inliers.length,
+            inlierRatio: inlierRatio,
+            quality: inlierRatio * Math.max(0, 1 - rms / tolerance),
+            arcCoverage: TreeDetector.arcCoverage(inliers, model.center),
+            constrained: constrained,
+            diameterUncertainty: 2 * TreeDetector.radiusUncertainty(inliers, model, rms)
+        };
+    }
+    
+    /**
+     * 圆心是否在观测表面后方（比内点的平均距离离传感器更远）
+     */
+    static isBehindSurface(circle, points) {
+        const meanRange = points.reduce((sum, point) => sum + Math.hypot(point.x, point.y), 0) / points.length;
+        return Math.hypot(circle.center.x, circle.center.y) > meanRange;
+    }
+    
+    /**
+     * 圆心约束在传感器到内点质心的视线上、表面后方的拟合
+     * 给定圆心时最优半径为各点到圆心距离的均值，只需一维搜索圆心沿视线的距离
+     * @returns {{center: {x: number, y: number}, radius: number}}
+     */
+    fitCircleBehind(points) {
+        const cx = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const cy = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const centroidRange = Math.hypot(cx, cy) || 1e-9;
+        const ux = cx / centroidRange;
+        const uy = cy / centroidRange;
+        const meanRange = points.reduce((sum, point) => sum + Math.hypot(point.x, point.y), 0) / points.length;
+        
+        const evaluate = (range) => {
+            const center = { x: ux * range, y: uy * range };
+            const distances = points.map(point => Math.hypot(point.x - center.x, point.y - center.y));
+            const radius = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+            const cost = distances.reduce((sum, d) => sum + (d - radius) * (d - radius), 0);
+            return { center, radius, cost };
+        };
+        
+        // 黄金分割搜索：圆心距离在 [平均距离, 平均距离 + 最大直径] 之间
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let low = meanRange;
+        let high = meanRange + this.params.maxRadius * 2;
+        let x1 = high - ratio * (high - low);
+        let x2 = low + ratio * (high - low);
+        let f1 = evaluate(x1).cost;
+        let f2 = evaluate(x2).cost;
+        for (let iteration = 0; iteration < CIRCLE_FIT.BEHIND_SEARCH_ITERATIONS; iteration++) {
+            if (f1 < f2) {
+                high = x2;
+                x2 = x1;
+                f2 = f1;
+                x1 = high - ratio * (high - low);
+                f1 = evaluate(x1).cost;
+            } else {
+                low = x1;
+                x1 = x2;
+                f1 = f2;
+                x2 = low + ratio * (high - low);
+                f2 = evaluate(x2).cost;
+            }
+        }
+        
+        const best = evaluate((low + high) / 2);
+        return { center: best.center, radius: best.radius };
+    }
+    
+    /**
+     * 内点绕圆心覆盖的角度：360° 减去相邻点之间的最大角度间隔
+     * @returns {number} 覆盖角（度）
+     */
+    static arcCoverage(points, center) {
+        if (points.length < 2) return 0;
+        
+        const angles = points
+            .map(point => Math.atan2(point.y - center.y, point.x - center.x))
+            .sort((a, b) => a - b);
+        let maxGap = angles[0] + 2 * Math.PI - angles[angles.length - 1];
+        for (let i = 1; i < angles.length; i++) {
+            maxGap = Math.max(maxGap, angles[i] - angles[i - 1]);
+        }
+        return (2 * Math.PI - maxGap) * 180 / Math.PI;
+    }
+    
+    /**
+     * 半径的1σ不确定度：σ²·(JᵀJ)⁻¹ 中半径对应的对角元
+     * 弧越短，圆心与半径越难区分，(JᵀJ)⁻¹ 的半径项越大
+     * @returns {number} 半径不确定度（mm），矩阵奇异时为 Infinity
+     */
+    static radiusUncertainty(points, circle, rms) {
+        const n = points.length;
+        const H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        points.forEach(point => {
+            const dx = point.x - circle.center.x;
+            const dy = point.y - circle.center.y;
+            const d = Math.hypot(dx, dy) || 1e-9;
+            const J = [-dx / d, -dy / d, -1];
+            for (let p = 0; p < 3; p++) {
+                for (let q = 0; q < 3; q++) {
+                    H[p][q] += J[p] * J[q];
+                }
+            }
+        });
+        
+        const det = H[0][0] * (H[1][1] * H[2][2] - H[1][2] * H[2][1]) -
+            H[0][1] * (H[1][0] * H[2][2] - H[1][2] * H[2][0]) +
+            H[0][2] * (H[1][0] * H[2][1] - H[1][1] * H[2][0]);
+        if (Math.abs(det) < 1e-12) return Infinity;
+        
+        // 残差方差按自由度 n - 3 修正
+        const sigma = Math.max(CIRCLE_FIT.MIN_RESIDUAL_SIGMA, n > 3 ? rms * Math.sqrt(n / (n - 3)) : rms);
+        const radiusVariance = (H[0][0] * H[1][1] - H[0][1] * H[1][0]) / det;
+        return sigma * Math.sqrt(Math.max(0, radiusVariance));
+    }
+    
+    /**
+     * RANSAC：随机取三点求外接圆，保留内点最多的圆
+     * @returns {{center: {x: number, y: number}, radius: number}|null} 所有抽样都无效时返回 null
+     */
+    ransacCircle(points, tolerance) {
+        const n = points.length;
+        const maxRadius = this.params.maxRadius * 2;
+        // 32位线性同余：Math.imul 保证乘积按整数取模，普通乘法超出双精度的精确范围
+        let seed = CIRCLE_FIT.RANSAC_SEED >>> 0;
+        const randomIndex = () => {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            return Math.floor(seed / 4294967296 * n);
+        };
+        
+        let best = null;
+        let bestCount = 0;
+        for (let iteration = 0; iteration < CIRCLE_FIT.RANSAC_ITERATIONS; iteration++) {
+            const i = randomIndex();
+            const j = randomIndex();
+            const k = randomIndex();
+            if (i === j || j === k || i === k) continue;
+            
+            const circle = TreeDetector.circleFromThreePoints(points[i], points[j], points[k]);
+            // 近似共线的三点会得到极大的圆，不可能是树干
+            if (!circle || circle.radius > maxRadius) continue;
+            
+            const count = this.selectInliers(points, circle, tolerance).length;
+            if (count > bestCount) {
+                best = circle;
+                bestCount = count;
+                if (count >= n * CIRCLE_FIT.RANSAC_STOP_RATIO) break;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * 到圆周距离不超过容差的点
+     */
+    selectInliers(points, circle, tolerance) {
+        return points.filter(point =>
+            Math.abs(Math.hypot(point.x - circle.center.x, point.y - circle.center.y) - circle.radius) <= tolerance
+        );
+    }
+    
+    /**
+     * Levenberg–Marquardt几何拟合：最小化点到圆周距离的平方和
+     * @param {Array<{x: number, y: number}>} points - 内点
+     * @param {{center: {x: number, y: number}, radius: number}} initial - 初值
+     * @returns {{center: {x: number, y: number}, radius: number}}
+     */
+    refineCircle(points, initial) {
+        let a = initial.center.x;
+        let b = initial.center.y;
+        let r = initial.radius;
+        let lambda = 1e-3;
+        
+        const cost = (ca, cb, cr) => points.reduce((sum, point) => {
+            const residual = Math.hypot(point.x - ca, point.y - cb) - cr;
+            return sum + residual * residual;
+        }, 0);
+        let currentCost = cost(a, b, r);
+        
+        for (let iteration = 0; iteration < CIRCLE_FIT.LM_MAX_ITERATIONS; iteration++) {
+            // 正规方程 JᵀJ·δ = -Jᵀr，残差 rᵢ = dᵢ - r，雅可比 [-(xᵢ-a)/dᵢ, -(yᵢ-b)/dᵢ, -1]
+            const H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+            const g = [0, 0, 0];
+            points.forEach(point => {
+                const dx = point.x - a;
+                const dy = point.y - b;
+                const d = Math.hypot(dx, dy) || 1e-9;
+                const J = [-dx / d, -dy / d, -1];
+                const residual = d - r;
+                for (let p = 0; p < 3; p++) {
+                    g[p] += J[p] * residual;
+                    for (let q = 0; q < 3; q++) {
+                        H[p][q] += J[p] * J[q];
+                    }
+                }
+            });
+            
+            // 阻尼：成本下降则减小阻尼接近高斯-牛顿，否则增大阻尼接近梯度下降
+            let step = null;
+            while (lambda < 1e10) {
+                const damped = H.map((row, p) => row.map((value, q) => (p === q ? value * (1 + lambda) : value)));
+                const delta = TreeDetector.solve3x3(damped, g.map(value => -value));
+                if (delta) {
+                    const nextCost = cost(a + delta[0], b + delta[1], r + delta[2]);
+                    if (nextCost < currentCost) {
+                        step = delta;
+                        currentCost = nextCost;
+                        lambda = Math.max(lambda / 10, 1e-12);
+                        break;
+                    }
+                }
+                lambda *= 10;
+            }
+            if (!step) break;
+            
+            a += step[0];
+            b += step[1];
+            r += step[2];
+            if (Math.max(Math.abs(step[0]), Math.abs(step[1]), Math.abs(step[2])) < CIRCLE_FIT.LM_TOLERANCE) break;
+        }
+        
+        return { center: { x: a, y: b }, radius: Math.abs(r) };
+    }
+    
+    /**
+     * 三点外接圆
+     * @returns {{center: {x: number, y: number}, radius: number}|null} 三点共线时返回 null
+     */
+    static circleFromThreePoints(p1, p2, p3) {
+        const d = 2 * (p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) + p3.x * (p1.y - p2.y));
+        if (Math.abs(d) < 1e-9) return null;
+        
+        const s1 = p1.x * p1.x + p1.y * p1.y;
+        const s2 = p2.x * p2.x + p2.y * p2.y;
+        const s3 = p3.x * p3.x + p3.y * p3.y;
+        const x = (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d;
+        const y = (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d;
+        return { center: { x, y }, radius: Math.hypot(p1.x - x, p1.y - y) };
+    }
+    
+    /**
+     * 克莱姆法则解3×3线性方程组
+     * @returns {Array<number>|null} 矩阵奇异时返回 null
+     */
+    static solve3x3(A, b) {
+        const det = (m) =>
+            m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+        const D = det(A);
+        if (Math.abs(D) < 1e-12) return null;
+        
+        return [0, 1, 2].map(column => {
+            const m = A.map((row, i) => row.map((value, j) => (j === column ? b[i] : value)));
+            return det(m) / D;
+        });
+    }
+    
+    /**
+     * 代数最小二乘圆拟合（RANSAC找不到有效模型时的退路）
+     * @param {Array<{x: number, y: number}>} points
+     * @returns {{center: {x: number, y: number}, radius: number}|null} 行列式接近0（点共线）时返回 null
+     */
+    fitCircleAlgebraic(points) {
+        if (points.length < 3) return null;
+        
+        // 使用最小二乘法拟合圆形
+        let sumX = 0, sumY = 0, sumX2 = 0, sumY2 = 0, sumXY = 0;
+        let sumX3 = 0, sumY3 = 0, sumXY2 = 0, sumX2Y = 0;
+        
+        points.forEach(point => {
+            const x = point.x;
+            const y = point.y;
+            
+            sumX += x;
+            sumY += y;
+            sumX2 += x * x;
+            sumY2 += y * y;
+            sumXY += x * y;
+            sumX3 += x * x * x;
+            sumY3 += y * y * y;
+            sumXY2 += x * y * y;
+            sumX2Y += x * x * y;
+        });
+        
+        const n = points.length;
+        const A = n * sumX2 - sumX * sumX;
+        const B = n * sumXY - sumX * sumY;
+        const C = n * sumY2 - sumY * sumY;
+        const D = 0.5 * (n * sumXY2 - sumX * sumY2 + n * sumX3 - sumX * sumX2);
+        const E = 0.5 * (n * sumX2Y - sumY * sumX2 + n * sumY3 - sumY * sumY2);
+        
+        const det = A * C - B * B;
+        if (Math.abs(det) < 1e-10) return null;
+        
+        const centerX = (D * C - B * E) / det;
+        const centerY = (A * E - B * D) / det;
+        
+        let radius = 0;
+        points.forEach(point => {
+            const dx = point.x - centerX;
+            const dy = point.y - centerY;
+            radius += Math.sqrt(dx * dx + dy * dy);
+        });
+        radius /= n;
+        
+        return {
+            center: { x: centerX, y: centerY },
+            radius: radius
+        };
+    }
+}
+
+/**
+ * 多帧树木跟踪
+ * 按圆心距离在门限内做全局最近邻关联（所有候选配对按距离从小到大依次取用），
+ * 为同一棵树保持稳定编号并平滑圆心和直径；未关联的检测作为新树（待确认），连续 CONFIRM_OBSERVATIONS 次观测后确认，
+ * 待确认的树漏检一帧即删除，已确认的树连续 MAX_MISSES 帧未观测到才删除
+ */
+class TreeTracker {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+    
+    /**
+     * 用一帧的检测结果更新跟踪
+     * @param {Array<Object>} detections - TreeDetector.detect 返回的 trees
+     * @param {number} [timestamp=Date.now()] - 该帧的采集时间（ms）
+     * @returns {{trees: Array<Object>, born: Array<number>, lost: Array<number>}}
+     *          trees 为当前所有跟踪中的树（含本帧未观测到但尚未删除的），附带 id、observations、misses、confirmed；
+     *          born / lost 为本帧新出现和删除的树编号
+     */
+    update(detections, timestamp = Date.now()) {
+        const pairs = [];
+        this.tracks.forEach((track, t) => {
+            const gate = Math.max(TREE_TRACKING.GATE_DISTANCE, track.radius);
+            detections.forEach((detection, d) => {
+                const distance = Math.hypot(detection.center.x - track.center.x, detection.center.y - track.center.y);
+                if (distance <= gate) {
+                    pairs.push({ t, d, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+        
+        const trackMatched = new Uint8Array(this.tracks.length);
+        const detectionMatched = new Uint8Array(detections.length);
+        pairs.forEach(({ t, d }) => {
+            if (trackMatched[t] || detectionMatched[d]) return;
+            trackMatched[t] = 1;
+            detectionMatched[d] = 1;
+            this.observe(this.tracks[t], detections[d], timestamp);
+        });
+        
+        const lost = [];
+        this.tracks = this.tracks.filter((track, t) => {
+            if (trackMatched[t]) return true;
+            
+            track.misses++;
+            if (!track.confirmed || track.misses > TREE_TRACKING.MAX_MISSES) {
+                lost.push(track.id);
+                return false;
+            }
+            return true;
+        });
+        
+        const born = [];
+        detections.forEach((detection, d) => {
+            if (detectionMatched[d]) return;
+            
+            const track = {
+                ...detection,
+                id: this.nextId++,
+                observations: 0,
+                misses: 0,
+                confirmed: false,
+                firstSeen: timestamp
+            };
+            this.observe(track, detection, timestamp);
+            this.tracks.push(track);
+            born.push(track.id);
+        });
+        
+        const trees = this.tracks
+            .slice()
+            .sort((a, b) => a.id - b.id)
+            .map(track => ({ ...track }));
+        return { trees, born, lost };
+    }
+    
+    /**
+     * 把一次检测并入跟踪：前几次观测取平均，之后指数平滑；其他拟合指标取最新一次
+     */
+    observe(track, detection, timestamp) {
+        track.observations++;
+        track.misses = 0;
+        track.lastSeen = timestamp;
+        
+        const weight = Math.max(1 / track.observations, TREE_TRACKING.MIN_SMOOTHING_WEIGHT);
+        const center = {
+            x: track.center.x + weight * (detection.center.x - track.center.x),
+            y: track.center.y + weight * (detection.center.y - track.center.y)
+        };
+        const radius = track.radius + weight * (detection.radius - track.radius);
+        Object.assign(track, detection, {
+            center,
+            radius,
+            diameter: radius * 2,
+            observations: track.observations,
+            misses: 0,
+            lastSeen: timestamp
+        });
+        
+        if (track.observations >= TREE_TRACKING.CONFIRM_OBSERVATIONS) {
+            track.confirmed = true;
+        }
+    }
+}
+
+/**
+ * 处理一条检测消息并返回应答消息，Worker和无Worker环境共用
+ * @param {Object} message - {type: 'detect', jobId, points, params}
+ * @returns {Object} {type: 'result', ...} 或 {type: 'error', ...}
+ */
+function handleDetectionMessage(message) {
+    if (!message || message.type !== 'detect') {
+        return { type: 'error', jobId: message ? message.jobId : null, message: `未知的检测消息: ${message && message.type}` };
+    }
+    
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    try {
+        const start = now();
+        const result = new TreeDetector(message.params).detect(message.points);
+        return {
+            type: 'result',
+            jobId: message.jobId,
+            trees: result.trees,
+            clusterCount: result.clusterCount,
+            elapsed: now() - start
+        };
+    } catch (error) {
+        return { type: 'error', jobId: message.jobId, message: error.message };
+    }
+}
+
+/**
+ * 检测任务客户端（主线程使用）
+ * 有Web Worker时在Worker中检测，否则（Node.js、Worker创建失败）在当前线程中异步执行；
+ * 同一时间只保留最新的任务，提交新任务会取消尚未完成的旧任务
+ */
+class TreeDetectionClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.workerUrl='tree-detection.js'] - Worker脚本地址
+     * @param {Function|null} [options.Worker] - Worker构造函数，传 null 强制在当前线程执行
+     * @param {Function} [options.log] - 日志函数 (message, type)
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'tree-detection.js';
+        this.WorkerClass = options.Worker !== undefined ? options.Worker : (typeof Worker !== 'undefined' ? Worker : null);
+        this.log = options.log || (() => {});
+        this.worker = null;
+        this.current = null;
+        this.nextJobId = 1;
+    }
+    
+    /**
+     * 是否在Worker中执行
+     */
+    get usesWorker() {
+        return !!this.WorkerClass;
+    }
+    
+    /**
+     * 提交检测任务，未完成的旧任务以取消结束
+     * @param {Array<Object>} points - 有效扫描点
+     * @param {Object} params - 检测参数
+     * @returns {Promise<{trees: Array<Object>, clusterCount: number, elapsed: number, jobId: number}>}
+     *          被取消时以 error.cancelled === true 的异常结束
+     */
+    submit(points, params) {
+        this.cancel('检测任务已被新的数据取代');
+        
+        const message = { type: 'detect', jobId: this.nextJobId++, points, params };
+        return new Promise((resolve, reject) => {
+            this.current = { jobId: message.jobId, resolve, reject, timer: null };
+            
+            if (this.usesWorker) {
+                try {
+                    this.ensureWorker().postMessage(message);
+                    return;
+                } catch (error) {
+                    // 例如以file://打开页面时浏览器不允许创建Worker
+                    this.log(`无法在Worker中检测，改为在主线程检测: ${error.message}`, 'warning');
+                    this.WorkerClass = null;
+                    this.worker = null;
+                }
+            }
+            
+            // 放到下一个事件循环执行，期间提交的新任务可以取消它
+            this.current.timer = setTimeout(() => this.finish(handleDetectionMessage(message)), 0);
+        });
+    }
+    
+    /**
+     * 取消当前任务
+     * @param {string} [reason='检测任务已取消']
+     * @returns {boolean} 是否有任务被取消
+     */
+    cancel(reason = '检测任务已取消') {
+        const job = this.current;
+        if (!job) return false;
+        
+        this.current = null;
+        clearTimeout(job.timer);
+        
+        // Worker中的同步计算无法中断，终止Worker，下次提交时重建
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        const error = new Error(reason);
+        error.cancelled = true;
+        job.reject(error);
+        return true;
+    }
+    
+    /**
+     * 取消任务并释放Worker
+     */
+    terminate() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    ensureWorker() {
+        if (!this.worker) {
+            this.worker = new this.WorkerClass(this.workerUrl);
+            this.worker.onmessage = (event) => this.finish(event.data);
+            this.worker.onerror = (event) => {
+                if (event && typeof event.preventDefault === 'function') event.preventDefault();
+                const job = this.current;
+                if (job) {
+                    this.finish({ type: 'error', jobId: job.jobId, message: `检测Worker出错: ${event && event.message ? event.message : '未知错误'}` });
+                }
+                if (this.worker) {
+                    this.worker.terminate();
+                    this.worker = null;
+                }
+            };
+        }
+        return this.worker;
+    }
+    
+    /**
+     * 处理应答；已被取消或取代的任务的应答直接丢弃
+     */
+    finish(response) {
+        const job = this.current;
+        if (!job || !response || response.jobId !== job.jobId) return;
+        
+        this.current = null;
+        if (response.type === 'result') {
+            job.resolve(response);
+        } else {
+            job.reject(new Error(response.message));
+        }
+    }
+}
+
+// Web Worker环境：接收检测任务
+if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => {
+        self.postMessage(handleDetectionMessage(event.data));
+    };
+}
+
+// Node.js环境下导出；浏览器主线程中以上类为全局类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TREE_DETECTION_DEFAULTS,
+        ARC_COVERAGE_MODES,
+        DETECTION_ALGORITHMS,
+        CLUSTERING_MODES,
+        ADAPTIVE_CLUSTERING,
+        SEGMENT_FILTER,
+        CIRCLE_FIT,
+        TREE_TRACKING,
+        SpatialGrid,
+        TreeDetector,
+        TreeTracker,
+        TreeDetectionClient,
+        handleDetectionMessage
+    };
+}
@@ -0,0 +1,519 @@
+/**
+ * tree-detection.js 测试
+ * 运行: npm test（Node.js 18+ 内置测试运行器）
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TREE_DETECTION_DEFAULTS,
+    ADAPTIVE_CLUSTERING,
+    TREE_TRACKING,
+    SpatialGrid,
+    TreeDetector,
+    TreeTracker,
+    TreeDetectionClient,
+    handleDetectionMessage
+} = require('./tree-detection');
+
+// ---------- 模拟场景 ----------
+
+/**
+ * 固定种子的伪随机数（32位xorshift），返回 [0, 1)
+ */
+function createRandom(seed = 1) {
+    let state = seed >>> 0 || 1;
+    return () => {
+        state ^= state << 13;
+        state >>>= 0;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        state >>>= 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * 模拟以原点为中心的二维扫描：每条扫描线取最近的树干交点，没有命中的扫描线不输出
+ * @param {Array<{x: number, y: number, r: number}>} trees - 树干（mm）
+ * @param {Object} [options]
+ * @param {number} [options.angularStep] - 扫描线角度间隔（度）
+ * @param {number} [options.noise=0] - 测距噪声幅度（mm），均匀分布
+ * @param {number} [options.seed=1] - 噪声的随机种子
+ * @param {number} [options.wall] - 树后方墙面 x = wall（mm），不提供时没有墙面
+ * @returns {Array<{angle: number, distance: number, x: number, y: number}>} 按角度顺序排列的点
+ */
+function scanTrees(trees, { angularStep = TREE_DETECTION_DEFAULTS.angularStep, noise = 0, seed = 1, wall } = {}) {
+    const random = createRandom(seed);
+    const points = [];
+    for (let degrees = -135; degrees <= 135; degrees += angularStep) {
+        const angle = degrees * Math.PI / 180;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+
+        let nearest = wall !== undefined && dx > 0 ? wall / dx : Infinity;
+        trees.forEach(tree => {
+            const along = dx * tree.x + dy * tree.y;
+            const discriminant = tree.r * tree.r - (tree.x * tree.x + tree.y * tree.y - along * along);
+            if (discriminant < 0) return;
+            const distance = along - Math.sqrt(discriminant);
+            if (distance > 0) nearest = Math.min(nearest, distance);
+        });
+        if (!Number.isFinite(nearest)) continue;
+
+        const distance = nearest + (random() - 0.5) * 2 * noise;
+        points.push({ angle, distance, x: distance * dx, y: distance * dy });
+    }
+    return points;
+}
+
+describe('handleDetectionMessage', () => {
+    it('检测消息返回同一任务号的结果', () => {
+        const points = scanTrees([{ x: 2000, y: 0, r: 150 }]);
+        const response = handleDetectionMessage({ type: 'detect', jobId: 7, points, params: {} });
+
+        assert.equal(response.type, 'result');
+        assert.equal(response.jobId, 7);
+        assert.equal(response.clusterCount, 1);
+        assert.equal(response.trees.length, 1);
+        assert.ok(Math.abs(response.trees[0].radius - 150) < 5);
+        assert.ok(response.elapsed >= 0);
+    });
+
+    it('参数无效时返回错误应答', () => {
+        const response = handleDetectionMessage({ type: 'detect', jobId: 3, points: [], params: { algorithm: 'hough' } });
+        assert.deepEqual(response, { type: 'error', jobId: 3, message: '未知的检测算法: hough' });
+    });
+
+    it('未知消息返回错误应答', () => {
+        assert.equal(handleDetectionMessage({ type: 'ping', jobId: 1 }).type, 'error');
+        assert.equal(handleDetectionMessage({ type: 'ping', jobId: 1 }).jobId, 1);
+        assert.equal(handleDetectionMessage(null).jobId, null);
+    });
+});
+
+describe('TreeDetectionClient（无Worker）', () => {
+    const points = scanTrees([{ x: 1500, y: 500, r: 120 }, { x: 2500, y: -800, r: 200 }]);
+
+    it('在当前线程异步完成检测', async () => {
+        const client = new TreeDetectionClient({ Worker: null });
+        assert.equal(client.usesWorker, false);
+
+        const result = await client.submit(points, {});
+        assert.equal(result.type, 'result');
+        assert.equal(result.trees.length, 2);
+        assert.equal(client.current, null);
+    });
+
+    it('新任务取消尚未完成的旧任务', async () => {
+        const client = new TreeDetectionClient({ Worker: null });
+
+        const first = client.submit(points, {});
+        const second = client.submit(points.slice(0, 10), {});
+
+        await assert.rejects(first, error => error.cancelled === true && /取代/.test(error.message));
+        const result = await second;
+        assert.equal(result.jobId, 2);
+    });
+
+    it('cancel 只取消进行中的任务，迟到的应答被丢弃', async () => {
+        const client = new TreeDetectionClient({ Worker: null });
+        assert.equal(client.cancel(), false);
+
+        const job = client.submit(points, {});
+        assert.equal(client.cancel('停止检测'), true);
+        await assert.rejects(job, error => error.cancelled === true && error.message === '停止检测');
+
+        // 已取消任务的应答不会影响之后的任务
+        client.finish({ type: 'result', jobId: 1, trees: [] });
+        assert.equal(client.current, null);
+    });
+
+    it('检测出错时以普通异常结束', async () => {
+        const client = new TreeDetectionClient({ Worker: null });
+        await assert.rejects(client.submit(points, { arcCoverageMode: 'ignore' }),
+            error => !error.cancelled && /覆盖角处理方式/.test(error.message));
+    });
+});
+
+describe('TreeDetector.fitCircle', () => {
+    const detector = new TreeDetector();
+    const trunk = { x: 2000, y: 600, r: 150 };
+    const points = scanTrees([trunk], { noise: 3, seed: 7 });
+
+    it('从带噪声的近侧弧线拟合圆心和半径', () => {
+        const circle = detector.fitCircle(points);
+
+        assert.ok(Math.hypot(circle.center.x - trunk.x, circle.center.y - trunk.y) < 15);
+        assert.ok(Math.abs(circle.radius - trunk.r) < 10);
+        assert.ok(circle.rms < 3);
+        assert.equal(circle.inliers, points.length);
+        assert.equal(circle.constrained, false);
+        assert.ok(circle.arcCoverage > 120 && circle.arcCoverage < 180);
+        assert.ok(circle.diameterUncertainty > 0 && circle.diameterUncertainty < 20);
+        assert.ok(circle.quality > 0.8);
+    });
+
+    it('离群点不参与精化', () => {
+        // 树枝和背后墙面的点混入聚类
+        const outliers = [
+            { x: 1780, y: 640 }, { x: 1760, y: 650 }, { x: 1750, y: 655 },
+            { x: 2400, y: 500 }, { x: 2400, y: 560 }, { x: 2400, y: 620 }
+        ];
+        const circle = detector.fitCircle([...points, ...outliers]);
+
+        assert.ok(Math.abs(circle.radius - trunk.r) < 10);
+        assert.ok(Math.hypot(circle.center.x - trunk.x, circle.center.y - trunk.y) < 15);
+        assert.equal(circle.inliers, points.length);
+        assert.ok(circle.inlierRatio < 1);
+
+        const algebraic = detector.fitCircleAlgebraic([...points, ...outliers]);
+        assert.ok(Math.abs(algebraic.radius - trunk.r) > Math.abs(circle.radius - trunk.r));
+    });
+
+    it('固定随机种子，结果可重复', () => {
+        assert.deepEqual(new TreeDetector().fitCircle(points), detector.fitCircle(points));
+    });
+
+    it('圆心拟合到表面前方时约束到表面后方', () => {
+        // 朝传感器凹进的弧线（圆心在 (1300, 0)）：无约束拟合的圆心落在表面前方
+        const concave = [];
+        for (let degrees = -40; degrees <= 40; degrees += 5) {
+            const angle = degrees * Math.PI / 180;
+            concave.push({ x: 1300 + 200 * Math.cos(angle), y: 200 * Math.sin(angle) });
+        }
+        const circle = detector.fitCircle(concave);
+
+        assert.equal(circle.constrained, true);
+        assert.ok(circle.center.x > 1500);
+        assert.ok(Math.abs(circle.center.y) < 1);
+    });
+
+    it('少于三个点时返回 null', () => {
+        assert.equal(detector.fitCircle(points.slice(0, 2)), null);
+    });
+});
+
+describe('TreeDetector 弧覆盖角', () => {
+    /**
+     * 圆心 (2000, 0)、半径150mm 的树干朝向传感器一侧、以 180° 为中心的一段弧，带固定种子的径向噪声
+     */
+    const arc = (coverage, { count = 21, noise = 2, seed = 9 } = {}) => {
+        const random = createRandom(seed);
+        return Array.from({ length: count }, (_, i) => {
+            const angle = Math.PI + (i / (count - 1) - 0.5) * coverage * Math.PI / 180;
+            const r = 150 + (random() - 0.5) * 2 * noise;
+            return { x: 2000 + r * Math.cos(angle), y: r * Math.sin(angle) };
+        });
+    };
+
+    it('覆盖角不足时 reject 丢弃，flag 保留并标记 lowCoverage', () => {
+        const short = arc(40);
+
+        const rejected = new TreeDetector({ arcCoverageMode: 'reject' }).detect(short);
+        assert.equal(rejected.clusterCount, 1);
+        assert.equal(rejected.trees.length, 0);
+
+        const flagged = new TreeDetector({ arcCoverageMode: 'flag' }).detect(short);
+        assert.equal(flagged.trees.length, 1);
+        assert.equal(flagged.trees[0].lowCoverage, true);
+        assert.ok(flagged.trees[0].arcCoverage < TREE_DETECTION_DEFAULTS.minArcCoverage);
+    });
+
+    it('覆盖角足够时两种方式都保留，不标记', () => {
+        ['reject', 'flag'].forEach(arcCoverageMode => {
+            const { trees } = new TreeDetector({ arcCoverageMode }).detect(arc(120));
+            assert.equal(trees.length, 1);
+            assert.equal(trees[0].lowCoverage, false);
+            assert.ok(Math.abs(trees[0].arcCoverage - 120) < 5);
+        });
+    });
+
+    it('直径不确定度随覆盖角减小而增大', () => {
+        const detector = new TreeDetector();
+        const uncertainties = [150, 90, 45].map(coverage => detector.fitCircle(arc(coverage)).diameterUncertainty);
+
+        assert.ok(uncertainties[0] < uncertainties[1], uncertainties.join(', '));
+        assert.ok(uncertainties[1] < uncertainties[2], uncertainties.join(', '));
+        assert.ok(uncertainties[2] > 3 * uncertainties[0], uncertainties.join(', '));
+    });
+
+    it('未知的覆盖角处理方式抛出异常', () => {
+        assert.throws(() => new TreeDetector({ arcCoverageMode: 'drop' }), /未知的覆盖角处理方式: drop/);
+    });
+});
+
+describe('TreeDetector 自适应聚类', () => {
+    const detector = new TreeDetector({ clusteringMode: 'adaptive' });
+    const at = (range) => ({ x: range, y: 0 });
+    const spacing = (range) => range * TREE_DETECTION_DEFAULTS.angularStep * Math.PI / 180;
+
+    it('固定聚类时所有点使用 eps / minPoints', () => {
+        const fixed = new TreeDetector();
+        assert.deepEqual(fixed.neighborhoodOf(at(500)), { eps: 100, minPoints: 5 });
+        assert.deepEqual(fixed.neighborhoodOf(at(20000)), { eps: 100, minPoints: 5 });
+    });
+
+    it('中等距离按相邻扫描点间距计算聚类半径', () => {
+        const neighborhood = detector.neighborhoodOf(at(5000));
+        assert.ok(Math.abs(neighborhood.eps - TREE_DETECTION_DEFAULTS.adaptiveBeams * spacing(5000)) < 1e-9);
+        assert.equal(neighborhood.minPoints, TREE_DETECTION_DEFAULTS.minPoints);
+    });
+
+    it('近处聚类半径取下限，最少邻居数同比例增大并受上限约束', () => {
+        const near = detector.neighborhoodOf(at(500));
+        assert.equal(near.eps, ADAPTIVE_CLUSTERING.MIN_EPS);
+        assert.equal(near.minPoints, Math.round(ADAPTIVE_CLUSTERING.MIN_EPS / spacing(500)));
+
+        const veryNear = detector.neighborhoodOf(at(100));
+        assert.equal(veryNear.eps, ADAPTIVE_CLUSTERING.MIN_EPS);
+        assert.equal(veryNear.minPoints, TREE_DETECTION_DEFAULTS.minPoints * ADAPTIVE_CLUSTERING.MAX_POINTS_SCALE);
+    });
+
+    it('远处聚类半径取上限，最少邻居数不低于下限', () => {
+        const far = detector.neighborhoodOf(at(50000));
+        assert.equal(far.eps, ADAPTIVE_CLUSTERING.MAX_EPS);
+        assert.equal(far.minPoints, ADAPTIVE_CLUSTERING.MIN_POINTS_FLOOR);
+    });
+
+    it('聚类所需点数取其中各点最少邻居数的最小值', () => {
+        const cluster = [at(500), at(5000)];
+        assert.equal(detector.requiredPoints(cluster), TREE_DETECTION_DEFAULTS.minPoints);
+        assert.equal(new TreeDetector().requiredPoints(cluster), TREE_DETECTION_DEFAULTS.minPoints);
+    });
+
+    it('远处稀疏的树干在固定聚类中成为噪声，自适应聚类中保留', () => {
+        // 10m处相邻扫描点相距约61mm，固定的100mm聚类半径内只有两个邻居
+        const near = { x: 1500, y: -500, r: 150 };
+        const far = { x: 10000, y: 1000, r: 250 };
+        const points = scanTrees([near, far]);
+
+        const fixed = new TreeDetector().detect(points);
+        assert.equal(fixed.trees.length, 1);
+        assert.ok(Math.abs(fixed.trees[0].center.x - near.x) < 10);
+
+        const adaptive = detector.detect(points);
+        assert.equal(adaptive.trees.length, 2);
+        const farTree = adaptive.trees.find(tree => tree.center.x > 5000);
+        assert.ok(Math.hypot(farTree.center.x - far.x, farTree.center.y - far.y) < 30);
+        assert.ok(Math.abs(farTree.radius - far.r) < 20);
+    });
+});
+
+describe('SpatialGrid 与 DBSCAN', () => {
+    /**
+     * 固定种子的点云：若干团密集的点加上稀疏的噪声点，距离 500-6000mm
+     */
+    function cloud(seed) {
+        const random = createRandom(seed);
+        const points = [];
+        for (let blob = 0; blob < 8; blob++) {
+            const range = 500 + random() * 5500;
+            const angle = (random() - 0.5) * Math.PI;
+            const cx = range * Math.cos(angle);
+            const cy = range * Math.sin(angle);
+            for (let i = 0; i < 40; i++) {
+                points.push({ x: cx + (random() - 0.5) * 300, y: cy + (random() - 0.5) * 300 });
+            }
+        }
+        for (let i = 0; i < 150; i++) {
+            points.push({ x: random() * 6000, y: (random() - 0.5) * 12000 });
+        }
+        return points;
+    }
+
+    /**
+     * 聚类按点的下标表示并排序，便于比较不同索引得到的结果
+     */
+    const normalize = (points, clusters) => {
+        const indexOf = new Map(points.map((point, index) => [point, index]));
+        return clusters
+            .map(cluster => cluster.map(point => indexOf.get(point)).sort((a, b) => a - b))
+            .sort((a, b) => a[0] - b[0]);
+    };
+
+    const assertDisjoint = (clusters) => {
+        const seen = new Set();
+        clusters.forEach(cluster => cluster.forEach(index => {
+            assert.ok(!seen.has(index), `点 ${index} 属于多个聚类`);
+            seen.add(index);
+        }));
+    };
+
+    it('网格查询与逐点比较结果相同', () => {
+        const points = cloud(11);
+        const grid = new SpatialGrid(points, 100);
+        const bruteForce = new SpatialGrid(points, Infinity);
+        [0, 57, 333, 450].forEach(index => {
+            [30, 100, 250].forEach(radius => {
+                const sorted = (indices) => indices.slice().sort((a, b) => a - b);
+                assert.deepEqual(sorted(grid.neighbors(index, radius)), sorted(bruteForce.neighbors(index, radius)));
+            });
+        });
+        assert.throws(() => new SpatialGrid(points, 0), /网格边长无效/);
+    });
+
+    ['fixed', 'adaptive'].forEach(clusteringMode => {
+        it(`${clusteringMode}: 网格索引的聚类结果与逐点比较相同，每个点只属于一个聚类`, () => {
+            const points = cloud(clusteringMode === 'fixed' ? 5 : 6);
+            const detector = new TreeDetector({ clusteringMode });
+
+            const expected = normalize(points, detector.dbscan(points, { index: new SpatialGrid(points, Infinity) }));
+            assert.ok(expected.length > 1);
+            assert.ok(expected.flat().length < points.length, '应有噪声点');
+            assertDisjoint(expected);
+
+            // 默认索引：固定聚类格子边长为 eps，自适应聚类为平均聚类半径，与各点的查询半径不同
+            assert.deepEqual(normalize(points, detector.dbscan(points)), expected);
+            // 格子边长远小于查询半径时多查几圈格子
+            assert.deepEqual(normalize(points, detector.dbscan(points, { index: new SpatialGrid(points, 37) })), expected);
+        });
+    });
+});
+
+describe('TreeDetector 断点分割', () => {
+    const params = { algorithm: 'breakpoint' };
+    const detector = new TreeDetector(params);
+
+    it('距离跳变处断开，同一树干不断开', () => {
+        // 近处的树在视线上部分遮挡远处的树
+        const points = scanTrees([{ x: 1500, y: 0, r: 150 }, { x: 3000, y: 250, r: 200 }]);
+        const segments = detector.segmentScan(points);
+
+        assert.equal(segments.length, 2);
+        assert.equal(segments[0].length + segments[1].length, points.length);
+        segments.forEach(segment => {
+            const ranges = segment.map(point => point.distance);
+            assert.ok(Math.max(...ranges) - Math.min(...ranges) < 300);
+        });
+    });
+
+    it('断点阈值随距离增大', () => {
+        const step = TREE_DETECTION_DEFAULTS.angularStep * Math.PI / 180;
+        const pair = (range, jump) => [
+            { x: range, y: 0 },
+            { x: (range + jump) * Math.cos(step), y: (range + jump) * Math.sin(step) }
+        ];
+
+        // 同样 80mm 的距离差：近处断开，远处视为同一表面
+        assert.equal(detector.segmentScan(pair(1000, 80)).length, 2);
+        assert.equal(detector.segmentScan(pair(10000, 80)).length, 1);
+    });
+
+    it('缺失的扫描点超过 maxBeamGap 时断开', () => {
+        const points = scanTrees([{ x: 2000, y: 0, r: 300 }]);
+        const middle = Math.floor(points.length / 2);
+
+        const shortGap = [...points.slice(0, middle), ...points.slice(middle + 2)];
+        assert.equal(detector.segmentScan(shortGap).length, 1);
+
+        const longGap = [...points.slice(0, middle), ...points.slice(middle + 4)];
+        assert.equal(detector.segmentScan(longGap).length, 2);
+    });
+
+    it('筛选掉直线和凹面分段', () => {
+        const arc = scanTrees([{ x: 2000, y: 0, r: 200 }]);
+        assert.equal(detector.isTrunkSegment(arc), true);
+
+        const line = [];
+        for (let y = -200; y <= 200; y += 20) line.push({ x: 2000, y });
+        assert.equal(detector.isTrunkSegment(line), false);
+
+        const concave = arc.map(point => ({ x: 4000 - point.x, y: point.y }));
+        assert.equal(detector.isTrunkSegment(concave), false);
+
+        assert.equal(detector.isTrunkSegment(arc.slice(0, 3)), false);
+    });
+
+    it('检测墙前的树干', () => {
+        const trunks = [{ x: 1500, y: -600, r: 120 }, { x: 2200, y: 400, r: 180 }];
+        const points = scanTrees(trunks, { wall: 4000, noise: 2, seed: 3 })
+            .filter(point => point.distance < 5000);
+        const result = detector.detect(points);
+
+        assert.equal(result.trees.length, trunks.length);
+        trunks.forEach(trunk => {
+            const tree = result.trees.find(t => Math.hypot(t.center.x - trunk.x, t.center.y - trunk.y) < 30);
+            assert.ok(tree, `未检测到 (${trunk.x}, ${trunk.y}) 处的树`);
+            assert.ok(Math.abs(tree.radius - trunk.r) < 15);
+        });
+    });
+});
+
+describe('TreeTracker', () => {
+    const detection = (x, y, radius = 150) => ({ center: { x, y }, radius, diameter: radius * 2 });
+
+    it('同一棵树在多帧之间保持编号', () => {
+        const tracker = new TreeTracker();
+        const first = tracker.update([detection(1000, 0), detection(3000, 500)], 0);
+        assert.deepEqual(first.born, [1, 2]);
+        assert.ok(first.trees.every(tree => !tree.confirmed));
+
+        // 检测顺序变化、位置有抖动
+        const second = tracker.update([detection(3010, 495), detection(995, 8)], 100);
+        assert.deepEqual(second.born, []);
+        assert.deepEqual(second.trees.map(tree => tree.id), [1, 2]);
+        assert.ok(second.trees.every(tree => tree.confirmed && tree.observations === 2));
+
+        // 前几次观测取平均
+        assert.equal(second.trees[0].center.x, 997.5);
+        assert.equal(second.trees[0].center.y, 4);
+        assert.equal(second.trees[0].lastSeen, 100);
+    });
+
+    it('超出关联门限的检测作为新树', () => {
+        const tracker = new TreeTracker();
+        tracker.update([detection(1000, 0)], 0);
+        const result = tracker.update([detection(1000 + TREE_TRACKING.GATE_DISTANCE + 10, 0)], 100);
+
+        assert.deepEqual(result.born, [2]);
+        assert.deepEqual(result.lost, [1]);
+    });
+
+    it('未确认的树漏检一帧即删除', () => {
+        const tracker = new TreeTracker();
+        tracker.update([detection(1000, 0)], 0);
+        const result = tracker.update([], 100);
+
+        assert.deepEqual(result.lost, [1]);
+        assert.deepEqual(result.trees, []);
+    });
+
+    it('已确认的树连续漏检超过 MAX_MISSES 帧后删除', () => {
+        const tracker = new TreeTracker();
+        tracker.update([detection(1000, 0)], 0);
+        tracker.update([detection(1000, 0)], 100);
+
+        for (let miss = 1; miss <= TREE_TRACKING.MAX_MISSES; miss++) {
+            const result = tracker.update([], 100 + miss * 100);
+            assert.deepEqual(result.lost, []);
+            assert.equal(result.trees[0].misses, miss);
+            assert.equal(result.trees[0].lastSeen, 100);
+        }
+
+        const result = tracker.update([], 1000);
+        assert.deepEqual(result.lost, [1]);
+        assert.deepEqual(result.trees, []);
+    });
+
+    it('漏检后重新观测到时沿用编号，删除的编号不再使用', () => {
+        const tracker = new TreeTracker();
+        tracker.update([detection(1000, 0)], 0);
+        tracker.update([detection(1000, 0)], 100);
+        tracker.update([], 200);
+
+        const seen = tracker.update([detection(1005, 0)], 300);
+        assert.equal(seen.trees[0].id, 1);
+        assert.equal(seen.trees[0].misses, 0);
+        assert.equal(seen.trees[0].observations, 3);
+
+        for (let frame = 0; frame <= TREE_TRACKING.MAX_MISSES; frame++) {
+            tracker.update([], 400 + frame * 100);
+        }
+        assert.deepEqual(tracker.update([detection(1000, 0)], 2000).born, [2]);
+
+        tracker.reset();
+        assert.deepEqual(tracker.update([detection(1000, 0)], 0).born, [1]);
+    });
+});
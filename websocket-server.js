@@ -148,6 +148,7 @@ class LidarWebSocketServer {
                     case 'device_info':
                         client.deviceType = data.deviceType || 'unknown';
                         client.deviceName = data.deviceName || 'Unknown Device';
+                        client.sensorInfo = data.sensor || null;
                         console.log(`[${new Date().toISOString()}] 设备信息更新: ${clientId} - ${client.deviceName}`);
                         this.broadcastClientList();
                         break;
@@ -164,6 +165,14 @@ class LidarWebSocketServer {
                         this.handleHeightData(clientId, data);
                         break;
                         
+                    case 'height_event':
+                        this.handleHeightEvent(clientId, data);
+                        break;
+                        
+                    case 'change_event':
+                        this.handleChangeEvent(clientId, data);
+                        break;
+                        
                     case 'status_update':
                         this.handleStatusUpdate(clientId, data);
                         break;
@@ -194,6 +203,13 @@ class LidarWebSocketServer {
             timestamp: new Date().toISOString(),
             data: {
                 points: data.points,
+                hasIntensity: !!data.hasIntensity,
+                acquiredAt: data.acquiredAt || null,
+                sensorTimestamp: data.sensorTimestamp !== undefined ? data.sensorTimestamp : null,
+                timeSource: data.timeSource || null,
+                height: data.height !== undefined ? data.height : null,
+                heightUncertainty: data.heightUncertainty !== undefined ? data.heightUncertainty : null,
+                heightMethod: data.heightMethod || null,
                 treeCount: data.treeCount,
                 scanTime: data.scanTime,
                 avgDistance: data.avgDistance,
@@ -216,7 +232,11 @@ class LidarWebSocketServer {
             data: {
                 trees: data.trees,
                 treeCount: data.treeCount,
-                avgDiameter: data.avgDiameter
+                lostTreeIds: data.lostTreeIds || [],
+                avgDiameter: data.avgDiameter,
+                acquiredAt: data.acquiredAt || null,
+                height: data.height !== undefined ? data.height : null,
+                heightUncertainty: data.heightUncertainty !== undefined ? data.heightUncertainty : null
             }
         };
         
@@ -234,8 +254,14 @@ class LidarWebSocketServer {
             timestamp: new Date().toISOString(),
             data: {
                 currentHeight: data.currentHeight,
+                rawHeight: data.rawHeight !== undefined ? data.rawHeight : null,
+                filterType: data.filterType || null,
+                outlierCount: data.outlierCount || 0,
+                compensated: !!data.compensated,
                 avgHeight: data.avgHeight,
-                heightCount: data.heightCount
+                heightCount: data.heightCount,
+                precision: data.precision !== undefined ? data.precision : null,
+                packetStats: data.packetStats || null
             }
         };
         
@@ -243,6 +269,58 @@ class LidarWebSocketServer {
         this.broadcastToOthers(clientId, heightData);
     }
     
+    /**
+     * 处理高度报警事件
+     */
+    handleHeightEvent(clientId, data) {
+        const heightEvent = {
+            type: 'height_event',
+            clientId: clientId,
+            timestamp: new Date().toISOString(),
+            data: {
+                ruleId: data.ruleId,
+                ruleName: data.ruleName,
+                type: data.type,
+                severity: data.severity,
+                state: data.state,
+                height: data.height,
+                value: data.value,
+                threshold: data.threshold,
+                message: data.message,
+                occurredAt: data.timestamp
+            }
+        };
+        
+        console.log(`[${new Date().toISOString()}] 高度报警 ${clientId}: [${data.severity}] ${data.message}`);
+        this.addToHistory(heightEvent);
+        this.broadcastToOthers(clientId, heightEvent);
+    }
+    
+    /**
+     * 处理场景变化事件（静态背景模型检测到的前景或移走的物体）
+     */
+    handleChangeEvent(clientId, data) {
+        const changeEvent = {
+            type: 'change_event',
+            clientId: clientId,
+            timestamp: new Date().toISOString(),
+            data: {
+                state: data.state,
+                foregroundObjects: data.foregroundObjects,
+                removedObjects: data.removedObjects,
+                foregroundPoints: data.foregroundPoints,
+                removedBeams: data.removedBeams,
+                objects: data.objects || [],
+                message: data.message,
+                occurredAt: data.timestamp
+            }
+        };
+        
+        console.log(`[${new Date().toISOString()}] 场景变化 ${clientId}: ${data.message}`);
+        this.addToHistory(changeEvent);
+        this.broadcastToOthers(clientId, changeEvent);
+    }
+    
     /**
      * 处理状态更新
      */
@@ -255,10 +333,19 @@ class LidarWebSocketServer {
                 lidarConnected: data.lidarConnected,
                 stp23lConnected: data.stp23lConnected,
                 isScanning: data.isScanning,
-                isMeasuring: data.isMeasuring
+                isMeasuring: data.isMeasuring,
+                lidarRecovering: !!data.lidarRecovering,
+                stp23lRecovering: !!data.stp23lRecovering,
+                recovery: data.recovery || null
             }
         };
         
+        // 自动恢复事件记入日志和历史
+        if (data.recovery) {
+            console.log(`[${new Date().toISOString()}] 设备自动恢复 ${clientId}: ${data.recovery.device} ${data.recovery.state} - ${data.recovery.reason}`);
+            this.addToHistory(statusData);
+        }
+        
         this.broadcastToOthers(clientId, statusData);
     }
     
@@ -293,6 +380,7 @@ class LidarWebSocketServer {
             id: client.id,
             deviceType: client.deviceType,
             deviceName: client.deviceName || 'Unknown Device',
+            sensorInfo: client.sensorInfo || null,
             connectedAt: client.connectedAt,
             lastActivity: client.lastActivity
         }));